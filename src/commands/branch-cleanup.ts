@@ -0,0 +1,272 @@
+import * as vscode from 'vscode';
+import { GitService } from '../services/git-service';
+import { RepositoryManager } from '../services/repository-manager';
+import { BranchProvider } from '../providers/branch-provider';
+import { BranchCleanupCandidate, DeletedBranchRecord } from '../types/git';
+import { DashboardPanel } from '../webview/dashboard-panel';
+import { CommandHistory } from '../utils/command-history';
+import { DeletedBranches } from '../utils/deleted-branches';
+import { getDefaultCleanupBase, pickRepository, scanBranchCleanup } from '../utils/git-helpers';
+import { BRANCH_CLEANUP_REASON_LABELS, formatCleanupPreview, isDefaultCleanupSelection } from '../utils/branch-cleanup';
+import { formatRelativeDate } from '../utils/git-utils';
+
+/**
+ * 控制面板调用清理命令时传入的参数（指定分支时跳过选择步骤）
+ */
+export interface BranchCleanupArgs {
+    base?: string;
+    branches?: string[];
+    prune?: boolean;
+    dryRun?: boolean;
+}
+
+interface CleanupQuickPickItem extends vscode.QuickPickItem {
+    candidate: BranchCleanupCandidate;
+}
+
+interface DeletedBranchQuickPickItem extends vscode.QuickPickItem {
+    record: DeletedBranchRecord;
+}
+
+/**
+ * 选择清理的基准分支，默认 main / master
+ */
+async function pickCleanupBase(gitService: GitService): Promise<string | undefined> {
+    const branches = await gitService.getBranches();
+    const defaultBase = await getDefaultCleanupBase(gitService);
+    const localBranches = branches.all.filter(branch => !branch.startsWith('remotes/'));
+    const ordered = defaultBase
+        ? [defaultBase, ...localBranches.filter(branch => branch !== defaultBase)]
+        : localBranches;
+
+    const picked = await vscode.window.showQuickPick(
+        ordered.map(branch => ({
+            label: branch,
+            description: branch === defaultBase ? '默认' : (branch === branches.current ? '当前分支' : undefined)
+        })),
+        { placeHolder: '选择基准分支（已合并到该分支的分支可以安全删除）' }
+    );
+    return picked?.label;
+}
+
+/**
+ * 询问是否先执行 git fetch --prune，以便发现上游已删除的分支
+ */
+async function askPrune(): Promise<boolean | undefined> {
+    const picked = await vscode.window.showQuickPick(
+        [
+            { label: '先获取并清理远程跟踪分支', description: 'git fetch --all --prune', prune: true },
+            { label: '直接扫描', description: '使用本地已有的远程跟踪分支信息', prune: false }
+        ],
+        { placeHolder: '扫描前是否先执行 fetch --prune？' }
+    );
+    return picked?.prune;
+}
+
+/**
+ * 在编辑器中显示清理预览（dry run），不做任何修改
+ */
+async function showCleanupPreview(candidates: BranchCleanupCandidate[], base: string) {
+    const document = await vscode.workspace.openTextDocument({
+        content: formatCleanupPreview(candidates, base),
+        language: 'shellscript'
+    });
+    await vscode.window.showTextDocument(document, { preview: true });
+}
+
+function describeCandidate(candidate: BranchCleanupCandidate): string {
+    return `${formatRelativeDate(candidate.date)} · ${candidate.author} · ↑${candidate.ahead} ↓${candidate.behind}`;
+}
+
+/**
+ * 注册分支清理命令
+ */
+export function registerBranchCleanup(
+    context: vscode.ExtensionContext,
+    repositoryManager: RepositoryManager,
+    branchProvider: BranchProvider
+) {
+    // 清理已合并、上游已删除或长期无提交的本地分支
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.cleanupBranches', async (args?: BranchCleanupArgs) => {
+            const gitService = await pickRepository(repositoryManager, '清理分支');
+            if (!gitService) {
+                return;
+            }
+
+            try {
+                const base = args?.base || await pickCleanupBase(gitService);
+                if (!base) {
+                    return;
+                }
+                const prune = args ? Boolean(args.prune) : await askPrune();
+                if (prune === undefined) {
+                    return;
+                }
+                if (prune) {
+                    await vscode.window.withProgress(
+                        { location: vscode.ProgressLocation.Notification, title: '正在获取并清理远程跟踪分支...' },
+                        () => gitService.fetch({ all: true, prune: true })
+                    );
+                    CommandHistory.addCommand('git fetch --all --prune', '获取并清理', true);
+                }
+
+                const report = await vscode.window.withProgress(
+                    { location: vscode.ProgressLocation.Notification, title: '正在扫描可清理的分支...' },
+                    () => scanBranchCleanup(gitService, base)
+                );
+                if (report.candidates.length === 0) {
+                    vscode.window.showInformationMessage(`没有需要清理的分支（基准分支 ${base}，${report.staleDays} 天内有提交的分支视为活跃）`);
+                    return;
+                }
+
+                // 指定分支时只处理仍然满足清理条件的分支
+                let selected: BranchCleanupCandidate[];
+                if (args?.branches) {
+                    selected = report.candidates.filter(candidate => args.branches?.includes(candidate.name));
+                    if (selected.length === 0) {
+                        vscode.window.showWarningMessage('所选分支已不满足清理条件，请重新扫描');
+                        return;
+                    }
+                } else {
+                    const picked = await vscode.window.showQuickPick<CleanupQuickPickItem>(
+                        report.candidates.map(candidate => ({
+                            label: candidate.name,
+                            description: candidate.reasons.map(reason => BRANCH_CLEANUP_REASON_LABELS[reason]).join('、'),
+                            detail: describeCandidate(candidate),
+                            picked: isDefaultCleanupSelection(candidate),
+                            candidate
+                        })),
+                        {
+                            canPickMany: true,
+                            placeHolder: `选择要删除的分支（基准分支 ${base}，共 ${report.candidates.length} 个候选）`
+                        }
+                    );
+                    if (!picked || picked.length === 0) {
+                        return;
+                    }
+                    selected = picked.map(item => item.candidate);
+                }
+
+                if (args?.dryRun) {
+                    await showCleanupPreview(selected, base);
+                    return;
+                }
+
+                const names = selected.map(candidate => candidate.name);
+                const choice = await vscode.window.showWarningMessage(
+                    `确定删除 ${selected.length} 个本地分支？`,
+                    {
+                        modal: true,
+                        detail: [
+                            ...names.slice(0, 15),
+                            ...(names.length > 15 ? [`... 等 ${names.length} 个分支`] : []),
+                            '',
+                            '删除前会记录各分支的末端提交，可通过“恢复已删除的分支”恢复。'
+                        ].join('\n')
+                    },
+                    '删除',
+                    '预览'
+                );
+                if (choice === '预览') {
+                    await showCleanupPreview(selected, base);
+                    return;
+                }
+                if (choice !== '删除') {
+                    return;
+                }
+
+                const repository = gitService.getWorkspaceRoot() || '';
+                const failures: string[] = [];
+                let deleted = 0;
+                for (const candidate of selected) {
+                    try {
+                        // 已确认删除，且末端提交已记录，未合并到当前分支的分支同样强制删除
+                        await gitService.deleteBranch(candidate.name, true);
+                        DeletedBranches.record(repository, candidate.name, candidate.hash);
+                        CommandHistory.addCommand(`git branch -D ${candidate.name}`, '清理分支', true);
+                        deleted++;
+                    } catch (error) {
+                        const errorMessage = error instanceof Error ? error.message : String(error);
+                        failures.push(`${candidate.name}: ${errorMessage}`);
+                        CommandHistory.addCommand(`git branch -D ${candidate.name}`, '清理分支', false, errorMessage);
+                    }
+                }
+
+                branchProvider.refresh();
+                DashboardPanel.refresh();
+
+                if (failures.length > 0) {
+                    vscode.window.showWarningMessage(`已删除 ${deleted} 个分支，${failures.length} 个删除失败：${failures.join('；')}`);
+                } else {
+                    const action = await vscode.window.showInformationMessage(`✅ 已删除 ${deleted} 个分支`, '恢复');
+                    if (action === '恢复') {
+                        await vscode.commands.executeCommand('git-assistant.restoreDeletedBranch');
+                    }
+                }
+            } catch (error) {
+                const errorMessage = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`清理分支失败: ${errorMessage}`);
+            }
+        })
+    );
+
+    // 从删除记录中恢复分支
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.restoreDeletedBranch', async (recordId?: string) => {
+            const gitService = await pickRepository(repositoryManager, '恢复分支');
+            if (!gitService) {
+                return;
+            }
+
+            const records = DeletedBranches.getRecords(gitService.getWorkspaceRoot() || '');
+            let record = recordId ? records.find(item => item.id === recordId) : undefined;
+            if (!record) {
+                if (records.length === 0) {
+                    vscode.window.showInformationMessage('没有可恢复的已删除分支');
+                    return;
+                }
+                const picked = await vscode.window.showQuickPick<DeletedBranchQuickPickItem>(
+                    records.map(item => ({
+                        label: item.name,
+                        description: item.hash.substring(0, 8),
+                        detail: `删除于 ${new Date(item.timestamp).toLocaleString('zh-CN')}`,
+                        record: item
+                    })),
+                    { placeHolder: '选择要恢复的分支' }
+                );
+                record = picked?.record;
+            }
+            if (!record) {
+                return;
+            }
+
+            let branchName = record.name;
+            if (await gitService.resolveRef(`refs/heads/${branchName}`)) {
+                const input = await vscode.window.showInputBox({
+                    prompt: `分支 "${branchName}" 已存在，输入恢复后的分支名称`,
+                    value: `${branchName}-restored`,
+                    validateInput: value => value.trim() ? null : '分支名称不能为空'
+                });
+                if (!input) {
+                    return;
+                }
+                branchName = input.trim();
+            }
+
+            const commandText = `git branch ${branchName} ${record.hash}`;
+            try {
+                await gitService.restoreBranch(branchName, record.hash);
+                DeletedBranches.remove(record.id);
+                vscode.window.showInformationMessage(`✅ 已恢复分支 "${branchName}"（${record.hash.substring(0, 8)}）`);
+                CommandHistory.addCommand(commandText, '恢复分支', true);
+                branchProvider.refresh();
+                DashboardPanel.refresh();
+            } catch (error) {
+                const errorMessage = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`恢复分支失败: ${errorMessage}`);
+                CommandHistory.addCommand(commandText, '恢复分支', false, errorMessage);
+            }
+        })
+    );
+}
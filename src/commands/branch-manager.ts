@@ -1,32 +1,92 @@
 import * as vscode from 'vscode';
 import { GitService } from '../services/git-service';
-import { BranchProvider } from '../providers/branch-provider';
+import { RepositoryManager } from '../services/repository-manager';
+import { BranchProvider, BranchTreeItem } from '../providers/branch-provider';
 import { DashboardPanel } from '../webview/dashboard-panel';
+import { confirmProtectedBranchAction, pickRepository, promptBranchName, promptOperationStopped } from '../utils/git-helpers';
+import { formatPredictedConflicts, summarizeMergePrediction } from '../utils/conflict-status';
+import { CommandHistory } from '../utils/command-history';
+import { splitRemoteBranch } from '../utils/git-utils';
+import { BranchTracking } from '../types/git';
+
+/**
+ * 选择要比较的分支、标签，或手动输入提交哈希
+ */
+async function pickCompareRef(gitService: GitService, placeHolder: string, exclude?: string): Promise<string | undefined> {
+    const [branches, tags] = await Promise.all([gitService.getBranches(), gitService.getTags()]);
+    const typeRef = '$(edit) 输入提交哈希或其他引用...';
+    const items: vscode.QuickPickItem[] = [
+        { label: typeRef, alwaysShow: true },
+        ...branches.all
+            .map(branch => branch.replace(/^remotes\//, ''))
+            .filter(branch => branch !== exclude)
+            .map(branch => ({
+                label: branch,
+                description: branch === branches.current ? '当前分支' : undefined
+            })),
+        ...tags
+            .filter(tag => tag.name !== exclude)
+            .map(tag => ({ label: tag.name, description: '标签' }))
+    ];
+
+    const picked = await vscode.window.showQuickPick(items, { placeHolder });
+    if (!picked) {
+        return undefined;
+    }
+    if (picked.label !== typeRef) {
+        return picked.label;
+    }
+    const input = await vscode.window.showInputBox({
+        prompt: '输入提交哈希、分支或标签',
+        validateInput: value => value.trim() ? null : '引用不能为空'
+    });
+    return input?.trim() || undefined;
+}
+
+/**
+ * 上游跟踪信息的简短描述，例如 “origin/main ↑1 ↓2”
+ */
+function describeTracking(tracking: BranchTracking): string {
+    if (tracking.gone) {
+        return `${tracking.upstream}（已在远程删除）`;
+    }
+    return [
+        tracking.upstream,
+        tracking.ahead > 0 ? `↑${tracking.ahead}` : '',
+        tracking.behind > 0 ? `↓${tracking.behind}` : ''
+    ].filter(Boolean).join(' ');
+}
+
+/**
+ * 从分支视图的树项或分支名中取出本地分支名
+ */
+function getTargetBranch(target?: BranchTreeItem | string): string | undefined {
+    return typeof target === 'string' ? target : target?.branchName;
+}
 
 /**
  * 注册分支管理命令
  */
 export function registerBranchManager(
     context: vscode.ExtensionContext,
-    gitService: GitService,
+    repositoryManager: RepositoryManager,
     branchProvider: BranchProvider
 ) {
     // 创建分支
     context.subscriptions.push(
         vscode.commands.registerCommand('git-assistant.createBranch', async () => {
+            const gitService = await pickRepository(repositoryManager, '创建分支');
+            if (!gitService) {
+                return;
+            }
+
             try {
-                const branchName = await vscode.window.showInputBox({
+                const localBranches = (await gitService.getBranches()).all.filter(branch => !branch.startsWith('remotes/'));
+                // 检查 Git 命名规则、仓库的分支命名规范和工作流前缀
+                const branchName = await promptBranchName(gitService, {
                     prompt: '输入新分支名称',
                     placeHolder: 'feature/new-feature',
-                    validateInput: (value) => {
-                        if (!value) {
-                            return '分支名称不能为空';
-                        }
-                        if (!/^[a-zA-Z0-9/_-]+$/.test(value)) {
-                            return '分支名称只能包含字母、数字、下划线和横线';
-                        }
-                        return null;
-                    }
+                    localBranches
                 });
 
                 if (!branchName) {
@@ -60,6 +120,11 @@ export function registerBranchManager(
     // 切换分支
     context.subscriptions.push(
         vscode.commands.registerCommand('git-assistant.switchBranch', async () => {
+            const gitService = await pickRepository(repositoryManager, '切换分支');
+            if (!gitService) {
+                return;
+            }
+
             try {
                 // 获取所有分支
                 const branches = await gitService.getBranches();
@@ -123,6 +188,11 @@ export function registerBranchManager(
     // 合并分支
     context.subscriptions.push(
         vscode.commands.registerCommand('git-assistant.mergeBranch', async () => {
+            const gitService = await pickRepository(repositoryManager, '合并分支');
+            if (!gitService) {
+                return;
+            }
+
             try {
                 // 获取当前分支
                 const branches = await gitService.getBranches();
@@ -195,14 +265,18 @@ export function registerBranchManager(
                 }
 
                 // ========== 合并策略智能建议 ==========
-                const mergeInfo = await vscode.window.withProgress(
+                const [mergeInfo, prediction] = await vscode.window.withProgress(
                     {
                         location: vscode.ProgressLocation.Notification,
                         title: '正在分析分支关系...',
                         cancellable: false
                     },
                     async () => {
-                        return await gitService.getBranchMergeInfo(selected.branch);
+                        // 同时预测冲突（merge-tree，不修改工作区）
+                        return await Promise.all([
+                            gitService.getBranchMergeInfo(selected.branch),
+                            gitService.predictMergeConflicts(selected.branch)
+                        ]);
                     }
                 );
 
@@ -211,6 +285,7 @@ export function registerBranchManager(
                     label: string;
                     description: string;
                     value: 'fast-forward' | 'three-way';
+                    detail?: string;
                     recommended?: boolean;
                 }> = [];
 
@@ -256,14 +331,27 @@ export function registerBranchManager(
                     });
                 }
 
+                // 三路合并时附带冲突预测
+                const predictedConflicts = prediction && !prediction.clean ? prediction : null;
+                if (prediction && mergeInfo.canFastForward !== true) {
+                    const predictionDetail = predictedConflicts
+                        ? `$(warning) ${summarizeMergePrediction(prediction)}：${formatPredictedConflicts(prediction).join('、')}`
+                        : `$(check) ${summarizeMergePrediction(prediction)}`;
+                    strategyOptions
+                        .filter(option => option.value === 'three-way')
+                        .forEach(option => option.detail = predictionDetail);
+                }
+
                 const strategyPick = await vscode.window.showQuickPick(
                     strategyOptions,
                     {
-                        placeHolder: mergeInfo.canFastForward === true
-                            ? '✅ 检测到可快进合并，推荐使用快速合并'
-                            : mergeInfo.hasDiverged
-                                ? '⚠️ 分支已分叉，推荐使用三路合并'
-                                : '选择合并策略'
+                        placeHolder: predictedConflicts
+                            ? `⚠️ ${summarizeMergePrediction(predictedConflicts)}，合并后需要解决冲突`
+                            : mergeInfo.canFastForward === true
+                                ? '✅ 检测到可快进合并，推荐使用快速合并'
+                                : mergeInfo.hasDiverged
+                                    ? '⚠️ 分支已分叉，推荐使用三路合并'
+                                    : '选择合并策略'
                     }
                 );
 
@@ -278,6 +366,9 @@ export function registerBranchManager(
                 if (mergeInfo.commitsAhead > 0) {
                     confirmMessage += `\n\n将合并 ${mergeInfo.commitsAhead} 个提交到 ${currentBranch}`;
                 }
+                if (predictedConflicts && strategyPick.value === 'three-way') {
+                    confirmMessage += `\n\n⚠️ ${summarizeMergePrediction(predictedConflicts)}：\n${formatPredictedConflicts(predictedConflicts, 10).map(line => `• ${line}`).join('\n')}`;
+                }
                 if (mergeInfo.canFastForward === false && strategyPick.value === 'fast-forward') {
                     confirmMessage += `\n\n⚠️ 警告：此合并可能无法快进，操作可能失败`;
                 }
@@ -319,11 +410,11 @@ export function registerBranchManager(
                 DashboardPanel.refreshImmediate();
 
             } catch (error) {
-                const errorMsg = String(error);
-                if (errorMsg.includes('CONFLICT')) {
-                    vscode.window.showErrorMessage(
-                        '合并冲突！请使用 "Git Assistant: 解决冲突" 命令处理'
-                    );
+                if (await gitService.getOperationState()) {
+                    // 合并因冲突暂停：引导解决冲突或中止合并
+                    branchProvider.refresh();
+                    DashboardPanel.refresh();
+                    promptOperationStopped(gitService);
                 } else {
                     vscode.window.showErrorMessage(`合并失败: ${error}`);
                 }
@@ -334,6 +425,14 @@ export function registerBranchManager(
     // 重命名分支
     context.subscriptions.push(
         vscode.commands.registerCommand('git-assistant.renameBranch', async (branchName?: string) => {
+            // 从分支视图传入分支名时直接作用于当前活动仓库
+            const gitService = branchName
+                ? repositoryManager.getActive()
+                : await pickRepository(repositoryManager, '重命名分支');
+            if (!gitService) {
+                return;
+            }
+
             try {
                 const branches = await gitService.getBranches();
                 const currentBranch = branches.current;
@@ -362,22 +461,17 @@ export function registerBranchManager(
                     targetBranch = selected.branch;
                 }
 
-                const newName = await vscode.window.showInputBox({
+                // 重命名受保护分支需要输入分支名确认或被阻止
+                if (!await confirmProtectedBranchAction('rename', targetBranch)) {
+                    return;
+                }
+
+                const newName = await promptBranchName(gitService, {
                     prompt: `输入分支 "${targetBranch}" 的新名称`,
                     value: targetBranch,
                     placeHolder: 'feature/new-name',
-                    validateInput: (value) => {
-                        if (!value) {
-                            return '分支名称不能为空';
-                        }
-                        if (value === targetBranch) {
-                            return '新名称不能与原名称相同';
-                        }
-                        if (!/^[a-zA-Z0-9/_-]+$/.test(value)) {
-                            return '分支名称只能包含字母、数字、下划线和横线';
-                        }
-                        return null;
-                    }
+                    localBranches: branches.all.filter(branch => !branch.startsWith('remotes/')),
+                    original: targetBranch
                 });
 
                 if (!newName) {
@@ -406,6 +500,14 @@ export function registerBranchManager(
     // 删除分支
     context.subscriptions.push(
         vscode.commands.registerCommand('git-assistant.deleteBranch', async (branchName?: string) => {
+            // 从分支视图传入分支名时直接作用于当前活动仓库
+            const gitService = branchName
+                ? repositoryManager.getActive()
+                : await pickRepository(repositoryManager, '删除分支');
+            if (!gitService) {
+                return;
+            }
+
             try {
                 const branches = await gitService.getBranches();
                 const currentBranch = branches.current;
@@ -440,6 +542,11 @@ export function registerBranchManager(
                     return;
                 }
 
+                // 删除受保护分支需要输入分支名确认或被阻止
+                if (!await confirmProtectedBranchAction('delete', targetBranch)) {
+                    return;
+                }
+
                 // 判断分支是否已合并到当前分支，用于给出更友好的安全提示
                 const isMerged = await gitService.isBranchMergedIntoCurrent(targetBranch);
 
@@ -486,5 +593,272 @@ export function registerBranchManager(
             }
         })
     );
+
+    // 比较两个分支、标签或提交：在控制面板的分支比较视图中显示两侧独有的提交和文件差异
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.compareRefs', async (target?: BranchTreeItem | string) => {
+            const gitService = await pickRepository(repositoryManager, '比较分支');
+            if (!gitService) {
+                return;
+            }
+
+            try {
+                const currentBranch = (await gitService.getBranches()).current;
+                // 远程分支使用显示名称（origin/main），去掉 remotes/ 前缀
+                let right = typeof target === 'string'
+                    ? target
+                    : (target?.isRemote ? target.branchName.replace(/^remotes\//, '') : target?.branchName);
+                let left: string | undefined;
+
+                if (right && currentBranch && right !== currentBranch) {
+                    left = currentBranch;
+                } else {
+                    left = await pickCompareRef(gitService, '选择左侧（基准）分支、标签或提交');
+                    if (!left) {
+                        return;
+                    }
+                    right = await pickCompareRef(gitService, `选择与 "${left}" 比较的分支、标签或提交`, left);
+                    if (!right) {
+                        return;
+                    }
+                }
+
+                DashboardPanel.createOrShow(context.extensionUri, repositoryManager);
+                await DashboardPanel.showRefComparison(left, right);
+            } catch (error) {
+                const errorMessage = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`比较分支失败: ${errorMessage}`);
+            }
+        })
+    );
+
+    // 将远程分支检出为新的本地跟踪分支
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.checkoutTrackingBranch', async (target?: BranchTreeItem | string) => {
+            // 从分支视图传入远程分支时直接作用于当前活动仓库
+            const gitService = target
+                ? repositoryManager.getActive()
+                : await pickRepository(repositoryManager, '检出远程分支');
+            if (!gitService) {
+                return;
+            }
+
+            let remoteBranch = typeof target === 'string' ? target : target?.branchName.replace(/^remotes\//, '');
+            try {
+                const branches = await gitService.getBranches();
+                const localBranches = branches.all.filter(branch => !branch.startsWith('remotes/'));
+
+                if (!remoteBranch) {
+                    const items = branches.all
+                        .filter(branch => branch.startsWith('remotes/'))
+                        .map(branch => ({ label: `$(cloud) ${branch.replace('remotes/', '')}`, branch: branch.replace('remotes/', '') }));
+                    if (items.length === 0) {
+                        vscode.window.showInformationMessage('当前仓库没有远程分支，可以先获取（fetch）远程仓库');
+                        return;
+                    }
+                    const selected = await vscode.window.showQuickPick(items, {
+                        placeHolder: '选择要检出为本地跟踪分支的远程分支'
+                    });
+                    if (!selected) {
+                        return;
+                    }
+                    remoteBranch = selected.branch;
+                }
+
+                const remotes = (await gitService.getRemotes()).map(remote => remote.name);
+                const defaultName = splitRemoteBranch(remoteBranch, remotes).branch;
+
+                // 本地已有同名分支：可以切换到该分支或为新分支另起名称
+                if (localBranches.includes(defaultName)) {
+                    const upstream = (await gitService.getBranchTracking())[defaultName]?.upstream;
+                    const switchAction = '切换到已有分支';
+                    const renameAction = '使用其他名称';
+                    const choice = await vscode.window.showWarningMessage(
+                        upstream === remoteBranch
+                            ? `本地分支 "${defaultName}" 已经跟踪 ${remoteBranch}`
+                            : `本地已存在分支 "${defaultName}"`,
+                        {
+                            modal: true,
+                            detail: upstream === remoteBranch
+                                ? '可以直接切换到该分支'
+                                : `该分支${upstream ? `的上游为 ${upstream}` : '没有设置上游'}。可以切换到已有分支，或使用其他名称创建跟踪 ${remoteBranch} 的本地分支`
+                        },
+                        switchAction,
+                        renameAction
+                    );
+                    if (choice === switchAction) {
+                        if (defaultName !== branches.current) {
+                            await gitService.checkout(defaultName);
+                            CommandHistory.addCommand(`git checkout ${defaultName}`, '切换分支', true);
+                            vscode.window.showInformationMessage(`✅ 已切换到分支 "${defaultName}"`);
+                            branchProvider.refresh();
+                            DashboardPanel.refresh();
+                        }
+                        return;
+                    }
+                    if (choice !== renameAction) {
+                        return;
+                    }
+                }
+
+                const localName = await promptBranchName(gitService, {
+                    prompt: `输入跟踪 ${remoteBranch} 的本地分支名称`,
+                    placeHolder: defaultName,
+                    value: localBranches.includes(defaultName) ? undefined : defaultName,
+                    localBranches
+                });
+                if (!localName) {
+                    return;
+                }
+
+                await gitService.checkoutTrackingBranch(localName, remoteBranch);
+                CommandHistory.addCommand(`git checkout -b ${localName} --track ${remoteBranch}`, '检出远程分支', true);
+                vscode.window.showInformationMessage(`✅ 已创建跟踪 ${remoteBranch} 的本地分支 "${localName}" 并切换`);
+                branchProvider.refresh();
+                DashboardPanel.refresh();
+            } catch (error) {
+                const errorMessage = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`检出远程分支失败: ${errorMessage}`);
+                CommandHistory.addCommand(`git checkout --track ${remoteBranch || ''}`.trim(), '检出远程分支', false, errorMessage);
+            }
+        })
+    );
+
+    // 设置、更改或取消本地分支的上游分支
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.setUpstream', async (target?: BranchTreeItem | string) => {
+            const gitService = target
+                ? repositoryManager.getActive()
+                : await pickRepository(repositoryManager, '设置上游分支');
+            if (!gitService) {
+                return;
+            }
+
+            let branch = getTargetBranch(target);
+            try {
+                const branches = await gitService.getBranches();
+                const tracking = await gitService.getBranchTracking();
+
+                if (!branch) {
+                    const items = branches.all
+                        .filter(name => !name.startsWith('remotes/'))
+                        .map(name => ({
+                            label: name === branches.current ? `$(check) ${name}` : `$(git-branch) ${name}`,
+                            description: tracking[name] ? `⇄ ${describeTracking(tracking[name])}` : '未设置上游',
+                            branch: name
+                        }));
+                    const selected = await vscode.window.showQuickPick(items, {
+                        placeHolder: '选择要设置上游的本地分支'
+                    });
+                    if (!selected) {
+                        return;
+                    }
+                    branch = selected.branch;
+                }
+
+                const current = tracking[branch];
+                const remoteBranches = branches.all
+                    .filter(name => name.startsWith('remotes/'))
+                    .map(name => name.replace('remotes/', ''));
+                if (remoteBranches.length === 0 && !current) {
+                    vscode.window.showInformationMessage('当前仓库没有远程分支，可以先获取（fetch）远程仓库或推送分支');
+                    return;
+                }
+
+                // 同名的远程分支排在前面
+                const remotes = (await gitService.getRemotes()).map(remote => remote.name);
+                const sameName = (name: string) => splitRemoteBranch(name, remotes).branch === branch;
+                const items: (vscode.QuickPickItem & { upstream: string | null })[] = [
+                    ...(current ? [{ label: '$(close) 取消上游跟踪', description: current.upstream, upstream: null }] : []),
+                    ...[...remoteBranches.filter(sameName), ...remoteBranches.filter(name => !sameName(name))].map(name => ({
+                        label: `$(cloud) ${name}`,
+                        description: name === current?.upstream ? '当前上游' : (sameName(name) ? '同名分支' : undefined),
+                        upstream: name
+                    }))
+                ];
+                const picked = await vscode.window.showQuickPick(items, {
+                    placeHolder: current
+                        ? `"${branch}" 当前跟踪 ${describeTracking(current)}，选择新的上游分支`
+                        : `选择 "${branch}" 的上游分支`
+                });
+                if (!picked || picked.upstream === current?.upstream) {
+                    return;
+                }
+
+                if (picked.upstream === null) {
+                    await gitService.unsetUpstream(branch);
+                    CommandHistory.addCommand(`git branch --unset-upstream ${branch}`, '取消上游跟踪', true);
+                    vscode.window.showInformationMessage(`✅ 已取消 "${branch}" 的上游跟踪`);
+                } else {
+                    await gitService.setUpstream(branch, picked.upstream);
+                    CommandHistory.addCommand(`git branch --set-upstream-to=${picked.upstream} ${branch}`, '设置上游分支', true);
+                    const updated = (await gitService.getBranchTracking())[branch];
+                    vscode.window.showInformationMessage(
+                        `✅ "${branch}" 已跟踪 ${picked.upstream}${updated ? `（领先 ${updated.ahead}，落后 ${updated.behind}）` : ''}`
+                    );
+                }
+                branchProvider.refresh();
+                DashboardPanel.refresh();
+            } catch (error) {
+                const errorMessage = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`设置上游分支失败: ${errorMessage}`);
+                CommandHistory.addCommand(`git branch --set-upstream-to ${branch || ''}`.trim(), '设置上游分支', false, errorMessage);
+            }
+        })
+    );
+
+    // 取消本地分支的上游跟踪
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.unsetUpstream', async (target?: BranchTreeItem | string) => {
+            const gitService = target
+                ? repositoryManager.getActive()
+                : await pickRepository(repositoryManager, '取消上游跟踪');
+            if (!gitService) {
+                return;
+            }
+
+            let branch = getTargetBranch(target);
+            try {
+                if (!branch) {
+                    const tracking = await gitService.getBranchTracking();
+                    const items = Object.entries(tracking).map(([name, info]) => ({
+                        label: `$(git-branch) ${name}`,
+                        description: `⇄ ${describeTracking(info)}`,
+                        branch: name
+                    }));
+                    if (items.length === 0) {
+                        vscode.window.showInformationMessage('没有设置了上游的本地分支');
+                        return;
+                    }
+                    const selected = await vscode.window.showQuickPick(items, {
+                        placeHolder: '选择要取消上游跟踪的本地分支'
+                    });
+                    if (!selected) {
+                        return;
+                    }
+                    branch = selected.branch;
+                }
+
+                await gitService.unsetUpstream(branch);
+                CommandHistory.addCommand(`git branch --unset-upstream ${branch}`, '取消上游跟踪', true);
+                vscode.window.showInformationMessage(`✅ 已取消 "${branch}" 的上游跟踪`);
+                branchProvider.refresh();
+                DashboardPanel.refresh();
+            } catch (error) {
+                const errorMessage = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`取消上游跟踪失败: ${errorMessage}`);
+                CommandHistory.addCommand(`git branch --unset-upstream ${branch || ''}`.trim(), '取消上游跟踪', false, errorMessage);
+            }
+        })
+    );
+
+    // 受保护分支规则变化时刷新分支视图中的 🔒 标记
+    context.subscriptions.push(
+        vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration('git-assistant.protectedBranches')) {
+                branchProvider.refresh();
+            }
+        })
+    );
 }
 
@@ -0,0 +1,188 @@
+import * as vscode from 'vscode';
+import { RepositoryManager } from '../services/repository-manager';
+import { ChangeFileTreeItem, ChangesProvider, ChangesViewMode, ChangeViewItem, collectChangeEntries } from '../providers/changes-provider';
+import { ChangeEntry } from '../utils/change-groups';
+import { CommandHistory } from '../utils/command-history';
+import { DashboardPanel } from '../webview/dashboard-panel';
+import { toGitUri } from '../utils/git-helpers';
+
+/**
+ * 注册更改视图命令
+ */
+export function registerChangesManager(
+    context: vscode.ExtensionContext,
+    repositoryManager: RepositoryManager,
+    changesProvider: ChangesProvider
+) {
+    const refreshViews = () => {
+        changesProvider.refresh();
+        DashboardPanel.refresh();
+    };
+
+    // 树项菜单命令的参数为 (点击的项, 所有选中的项)
+    const resolveEntries = (item?: ChangeViewItem, selected?: ChangeViewItem[]): ChangeEntry[] => {
+        const items = selected && selected.length > 0 ? selected : item ? [item] : [];
+        return collectChangeEntries(items);
+    };
+
+    const formatFiles = (paths: string[]) => paths.length === 1 ? paths[0] : `${paths.length} 个文件`;
+
+    // 暂存（冲突文件暂存即标记为已解决）
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.stageChange', async (item?: ChangeViewItem, selected?: ChangeViewItem[]) => {
+            const paths = resolveEntries(item, selected)
+                .filter(entry => entry.group !== 'staged')
+                .map(entry => entry.path);
+            if (paths.length === 0) {
+                return;
+            }
+
+            const gitService = repositoryManager.getActive();
+            try {
+                await gitService.add(paths);
+                CommandHistory.addCommand(`git add -- ${paths.join(' ')}`, '暂存更改', true);
+                refreshViews();
+            } catch (error) {
+                const errorMessage = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`暂存失败: ${errorMessage}`);
+                CommandHistory.addCommand(`git add -- ${paths.join(' ')}`, '暂存更改', false, errorMessage);
+            }
+        })
+    );
+
+    // 取消暂存
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.unstageChange', async (item?: ChangeViewItem, selected?: ChangeViewItem[]) => {
+            const paths = resolveEntries(item, selected)
+                .filter(entry => entry.group === 'staged')
+                .flatMap(entry => entry.originalPath ? [entry.path, entry.originalPath] : [entry.path]);
+            if (paths.length === 0) {
+                return;
+            }
+
+            const gitService = repositoryManager.getActive();
+            try {
+                await gitService.unstage(paths);
+                CommandHistory.addCommand(`git reset HEAD -- ${paths.join(' ')}`, '取消暂存', true);
+                refreshViews();
+            } catch (error) {
+                const errorMessage = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`取消暂存失败: ${errorMessage}`);
+                CommandHistory.addCommand(`git reset HEAD -- ${paths.join(' ')}`, '取消暂存', false, errorMessage);
+            }
+        })
+    );
+
+    // 放弃工作区中的更改，未跟踪文件直接删除
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.discardChange', async (item?: ChangeViewItem, selected?: ChangeViewItem[]) => {
+            const entries = resolveEntries(item, selected);
+            const tracked = entries.filter(entry => entry.group === 'unstaged').map(entry => entry.path);
+            const untracked = entries.filter(entry => entry.group === 'untracked').map(entry => entry.path);
+            if (tracked.length === 0 && untracked.length === 0) {
+                return;
+            }
+
+            const message = untracked.length > 0
+                ? `将放弃 ${formatFiles(tracked.concat(untracked))} 的更改，其中 ${untracked.length} 个未跟踪文件将被删除，且无法恢复。确定继续？`
+                : `将放弃 ${formatFiles(tracked)} 的更改，且无法恢复。确定继续？`;
+            const discardAction = '放弃';
+            const confirm = await vscode.window.showWarningMessage(message, { modal: true }, discardAction);
+            if (confirm !== discardAction) {
+                return;
+            }
+
+            const gitService = repositoryManager.getActive();
+            try {
+                if (tracked.length > 0) {
+                    await gitService.discardChanges(tracked);
+                    CommandHistory.addCommand(`git checkout -- ${tracked.join(' ')}`, '放弃更改', true);
+                }
+                if (untracked.length > 0) {
+                    await gitService.cleanUntracked(untracked);
+                    CommandHistory.addCommand(`git clean -f -- ${untracked.join(' ')}`, '删除未跟踪文件', true);
+                }
+                refreshViews();
+            } catch (error) {
+                const errorMessage = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`放弃更改失败: ${errorMessage}`);
+                CommandHistory.addCommand('git checkout --', '放弃更改', false, errorMessage);
+                refreshViews();
+            }
+        })
+    );
+
+    // 查看差异：已暂存的更改比较 HEAD 与索引，未暂存的更改比较索引与工作区
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.openChangeDiff', async (item?: ChangeFileTreeItem) => {
+            if (!(item instanceof ChangeFileTreeItem)) {
+                return;
+            }
+
+            const { entry, fileUri } = item;
+            const fileName = entry.path.split('/').pop() || entry.path;
+            try {
+                if (entry.group === 'conflicted' || entry.group === 'untracked') {
+                    await vscode.commands.executeCommand('vscode.open', fileUri);
+                } else if (entry.group === 'staged') {
+                    if (entry.status === 'A') {
+                        await vscode.commands.executeCommand('vscode.open', toGitUri(fileUri, ''));
+                    } else if (entry.status === 'D') {
+                        await vscode.commands.executeCommand('vscode.open', toGitUri(fileUri, 'HEAD'));
+                    } else {
+                        const originalUri = entry.originalPath
+                            ? vscode.Uri.joinPath(vscode.Uri.file(repositoryManager.getActive().getWorkspaceRoot() || ''), entry.originalPath)
+                            : fileUri;
+                        await vscode.commands.executeCommand(
+                            'vscode.diff',
+                            toGitUri(originalUri, 'HEAD'),
+                            toGitUri(fileUri, ''),
+                            `${fileName} (已暂存)`
+                        );
+                    }
+                } else if (entry.status === 'D') {
+                    await vscode.commands.executeCommand('vscode.open', toGitUri(fileUri, '~'));
+                } else {
+                    await vscode.commands.executeCommand('vscode.diff', toGitUri(fileUri, '~'), fileUri, `${fileName} (工作区)`);
+                }
+            } catch (error) {
+                const errorMessage = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`打开差异失败: ${errorMessage}`);
+            }
+        })
+    );
+
+    // 打开文件
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.openChangeFile', async (item?: ChangeViewItem, selected?: ChangeViewItem[]) => {
+            const items = (selected && selected.length > 0 ? selected : item ? [item] : [])
+                .filter((candidate): candidate is ChangeFileTreeItem => candidate instanceof ChangeFileTreeItem)
+                .filter(candidate => candidate.entry.status !== 'D');
+            for (const candidate of items) {
+                await vscode.commands.executeCommand('vscode.open', candidate.fileUri, { preview: items.length === 1 });
+            }
+        })
+    );
+
+    // 树形 / 列表显示切换
+    const setViewMode = async (mode: ChangesViewMode) => {
+        await vscode.workspace.getConfiguration('git-assistant').update('changesViewMode', mode, vscode.ConfigurationTarget.Global);
+    };
+    const updateViewModeContext = () => {
+        const mode = vscode.workspace.getConfiguration('git-assistant').get<ChangesViewMode>('changesViewMode', 'tree');
+        vscode.commands.executeCommand('setContext', 'git-assistant.changesViewMode', mode);
+    };
+    updateViewModeContext();
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.changesViewAsTree', () => setViewMode('tree')),
+        vscode.commands.registerCommand('git-assistant.changesViewAsList', () => setViewMode('list')),
+        vscode.commands.registerCommand('git-assistant.refreshChanges', () => changesProvider.refresh()),
+        vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration('git-assistant.changesViewMode')) {
+                updateViewModeContext();
+                changesProvider.refresh();
+            }
+        })
+    );
+}
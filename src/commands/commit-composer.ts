@@ -0,0 +1,143 @@
+import * as vscode from 'vscode';
+import { RepositoryManager } from '../services/repository-manager';
+import { BranchProvider } from '../providers/branch-provider';
+import { HistoryProvider } from '../providers/history-provider';
+import { ChangesProvider } from '../providers/changes-provider';
+import { IndexEntrySnapshot } from '../types/git';
+import { CommandHistory } from '../utils/command-history';
+import { DashboardPanel } from '../webview/dashboard-panel';
+import { confirmProtectedBranchAction, pickRepository } from '../utils/git-helpers';
+import { composeCommitMessage, CommitRequest, splitCommitMessage } from '../utils/commit-message';
+import { getStagedPaths, reviewCommitMessage } from './commit-lint';
+import { confirmNoSecrets } from './secret-scan';
+import { guardLargeFiles } from './large-files';
+
+/**
+ * 注册提交编辑器命令
+ */
+export function registerCommitComposer(
+    context: vscode.ExtensionContext,
+    repositoryManager: RepositoryManager,
+    branchProvider: BranchProvider,
+    historyProvider: HistoryProvider,
+    changesProvider: ChangesProvider
+) {
+    // 在控制面板中打开提交编辑器
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.openCommitComposer', async () => {
+            const gitService = await pickRepository(repositoryManager, '提交');
+            if (!gitService) {
+                return;
+            }
+
+            DashboardPanel.createOrShow(context.extensionUri, repositoryManager);
+            await DashboardPanel.showCommitComposer();
+        })
+    );
+
+    // 执行提交编辑器中的提交（由控制面板调用），成功时返回 true
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.commitComposed', async (request: CommitRequest): Promise<boolean> => {
+            const gitService = repositoryManager.getActive();
+            const flags = [
+                request.amend ? ' --amend' : '',
+                request.signoff ? ' --signoff' : '',
+                request.noVerify ? ' --no-verify' : ''
+            ].join('');
+            const commandText = `git commit${flags} -m "${request.subject.trim()}"`;
+            // 提交前移出暂存区的文件原本的暂存版本，未完成提交时恢复
+            let unstaged: IndexEntrySnapshot[] = [];
+            let committed = false;
+
+            if (!request.subject.trim()) {
+                vscode.window.showWarningMessage('请输入提交标题');
+                return false;
+            }
+
+            try {
+                // 受保护分支上直接提交（包括修改上一次提交）需要确认
+                if (!await confirmProtectedBranchAction('commit', await gitService.getCurrentBranch())) {
+                    return false;
+                }
+
+                if (request.amend) {
+                    const head = await gitService.getHeadCommitMessage();
+                    if (!head) {
+                        vscode.window.showWarningMessage('当前分支还没有提交，无法修改上一次提交');
+                        return false;
+                    }
+                    if (await gitService.isCommitPushed(head.hash)) {
+                        const confirm = await vscode.window.showWarningMessage(
+                            '上一次提交已推送到远程，修改后需要强制推送才能更新远程分支。确定继续？',
+                            { modal: true },
+                            '修改提交'
+                        );
+                        if (confirm !== '修改提交') {
+                            return false;
+                        }
+                    }
+                }
+
+                // 取消勾选的文件先移出暂存区
+                if (request.unstage && request.unstage.length > 0) {
+                    unstaged = await gitService.getIndexEntries(request.unstage);
+                    await gitService.unstage(request.unstage);
+                    CommandHistory.addCommand(`git reset HEAD -- ${request.unstage.join(' ')}`, '取消暂存', true);
+                }
+
+                if (!request.amend) {
+                    const status = await gitService.getStatus(true);
+                    const hasStagedFiles = status.files.some(file => file.index !== ' ' && file.index !== '?');
+                    if (!hasStagedFiles) {
+                        vscode.window.showWarningMessage('没有已暂存的文件，无法提交');
+                        return false;
+                    }
+                }
+
+                if (!await guardLargeFiles(gitService, 'staged') || !await confirmNoSecrets(gitService, 'staged')) {
+                    return false;
+                }
+
+                // 按提交规范检查标题和正文（Co-authored-by 尾注在检查后再追加）
+                const reviewed = await reviewCommitMessage(
+                    composeCommitMessage(request.subject, request.body),
+                    await getStagedPaths(gitService)
+                );
+                if (!reviewed) {
+                    return false;
+                }
+                const { subject, body } = splitCommitMessage(reviewed);
+                const message = composeCommitMessage(subject, body, request.coAuthors);
+                await vscode.window.withProgress(
+                    {
+                        location: vscode.ProgressLocation.Notification,
+                        title: request.amend ? '正在修改上一次提交...' : '正在提交更改...',
+                        cancellable: false
+                    },
+                    () => gitService.commitWithOptions(message, request)
+                );
+
+                committed = true;
+                vscode.window.showInformationMessage(request.amend ? '✅ 已修改上一次提交' : '✅ 提交成功！');
+                CommandHistory.addCommand(commandText, request.amend ? '修改提交' : '提交更改', true);
+                return true;
+            } catch (error) {
+                const errorMessage = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`提交失败: ${errorMessage}`);
+                CommandHistory.addCommand(commandText, request.amend ? '修改提交' : '提交更改', false, errorMessage);
+                return false;
+            } finally {
+                // 取消或提交失败时，把取消勾选的文件放回暂存区
+                if (!committed && unstaged.length > 0) {
+                    await gitService.restoreIndexEntries(unstaged).catch(error => {
+                        const errorMessage = error instanceof Error ? error.message : String(error);
+                        vscode.window.showWarningMessage(`恢复暂存区失败，请重新暂存取消勾选的文件: ${errorMessage}`);
+                    });
+                }
+                branchProvider.refresh();
+                historyProvider.refresh();
+                changesProvider.refresh();
+            }
+        })
+    );
+}
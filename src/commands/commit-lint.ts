@@ -0,0 +1,294 @@
+import * as vscode from 'vscode';
+import { GitService } from '../services/git-service';
+import { RepositoryManager } from '../services/repository-manager';
+import { BranchProvider } from '../providers/branch-provider';
+import { HistoryProvider } from '../providers/history-provider';
+import { ChangesProvider } from '../providers/changes-provider';
+import { CommandHistory } from '../utils/command-history';
+import { DashboardPanel } from '../webview/dashboard-panel';
+import { confirmProtectedBranchAction, pickRepository } from '../utils/git-helpers';
+import { confirmNoSecrets } from './secret-scan';
+import { guardLargeFiles } from './large-files';
+import {
+    buildConventionalMessage,
+    CommitLintIssue,
+    DEFAULT_COMMIT_TYPES,
+    fixCommitMessage,
+    formatConventionalHeader,
+    getCommitLintConfig,
+    lintCommitMessage,
+    suggestScopes
+} from '../utils/commit-lint';
+
+/**
+ * 获取已暂存文件的路径（用于推荐作用域）
+ */
+export async function getStagedPaths(gitService: GitService): Promise<string[]> {
+    const status = await gitService.getStatus(true);
+    return status.files
+        .filter(file => file.index !== ' ' && file.index !== '?')
+        .map(file => file.path);
+}
+
+/**
+ * 输入框中的实时检查提示（只提示，不阻止确认，确认后再由 reviewCommitMessage 处理）
+ */
+export function getCommitLintHint(message: string): vscode.InputBoxValidationMessage | null {
+    const issues = lintCommitMessage(message, getCommitLintConfig());
+    if (issues.length === 0) {
+        return null;
+    }
+    return {
+        message: issues.map(issue => issue.message).join('；'),
+        severity: vscode.InputBoxValidationSeverity.Warning
+    };
+}
+
+const formatIssues = (issues: CommitLintIssue[]) =>
+    issues.map(issue => `${issue.severity === 'error' ? '❌' : '⚠️'} ${issue.message}`).join('\n');
+
+/**
+ * 提交前检查提交信息；存在问题时提示用户自动修复、使用向导重写或仍然提交。
+ * 返回最终使用的提交信息，取消时返回 undefined
+ *
+ * @param message - 待提交的信息
+ * @param scopePaths - 本次提交涉及的文件，用于向导中推荐作用域
+ */
+export async function reviewCommitMessage(message: string, scopePaths: string[] = []): Promise<string | undefined> {
+    const config = getCommitLintConfig();
+    let current = message.trim();
+
+    for (;;) {
+        const issues = lintCommitMessage(current, config);
+        if (issues.length === 0) {
+            return current;
+        }
+
+        const fixed = fixCommitMessage(current, config);
+        const fixAction = '自动修复格式';
+        const builderAction = '使用向导重写';
+        const ignoreAction = '仍然提交';
+        const actions = [
+            ...(fixed !== null && fixed !== current ? [fixAction] : []),
+            ...(config.convention === 'conventional' ? [builderAction] : []),
+            ignoreAction
+        ];
+        const hasErrors = issues.some(issue => issue.severity === 'error');
+        const choice = await vscode.window.showWarningMessage(
+            hasErrors ? '提交信息不符合提交规范' : '提交信息存在格式建议',
+            {
+                modal: true,
+                detail: `${current.split('\n')[0]}\n\n${formatIssues(issues)}${fixed !== null && fixed !== current ? `\n\n自动修复后：${fixed.split('\n')[0]}` : ''}`
+            },
+            ...actions
+        );
+
+        if (choice === fixAction && fixed !== null) {
+            current = fixed;
+        } else if (choice === builderAction) {
+            const rebuilt = await runCommitMessageBuilder(scopePaths, current);
+            if (!rebuilt) {
+                return undefined;
+            }
+            current = rebuilt;
+        } else if (choice === ignoreAction) {
+            return current;
+        } else {
+            return undefined;
+        }
+    }
+}
+
+interface ScopeQuickPickItem extends vscode.QuickPickItem {
+    scope?: string;
+    custom?: boolean;
+}
+
+/**
+ * 引导式生成约定式提交信息：依次选择类型、作用域、破坏性变更、描述、正文和尾注
+ *
+ * @param scopePaths - 本次提交涉及的文件，用于推荐作用域
+ * @param initialMessage - 重写时的原提交信息，用作描述的默认值
+ */
+export async function runCommitMessageBuilder(scopePaths: string[], initialMessage: string = ''): Promise<string | undefined> {
+    const config = getCommitLintConfig();
+
+    const typeItems = config.types.map(type => ({
+        label: type,
+        description: DEFAULT_COMMIT_TYPES[type] || ''
+    }));
+    const pickedType = await vscode.window.showQuickPick(typeItems, {
+        placeHolder: '选择提交类型 (1/5)',
+        matchOnDescription: true
+    });
+    if (!pickedType) {
+        return undefined;
+    }
+
+    // 作用域：根据本次提交涉及的目录推荐，也可手动输入
+    const scopeItems: ScopeQuickPickItem[] = [
+        ...suggestScopes(scopePaths).map(scope => ({ label: scope, description: '根据暂存文件推荐', scope })),
+        { label: '$(edit) 输入作用域...', custom: true },
+        ...(config.requireScope ? [] : [{ label: '$(circle-slash) 不填写作用域', scope: '' }])
+    ];
+    const pickedScope = await vscode.window.showQuickPick(scopeItems, {
+        placeHolder: config.requireScope ? '选择作用域（必填）(2/5)' : '选择作用域 (2/5)'
+    });
+    if (!pickedScope) {
+        return undefined;
+    }
+    let scope = pickedScope.scope || '';
+    if (pickedScope.custom) {
+        const input = await vscode.window.showInputBox({
+            prompt: '输入作用域',
+            placeHolder: '例如: auth、ui、api',
+            validateInput: value => {
+                if (!value.trim() && config.requireScope) {
+                    return '必须填写作用域';
+                }
+                return /[()\s:]/.test(value.trim()) ? '作用域不能包含括号、冒号或空格' : null;
+            }
+        });
+        if (input === undefined) {
+            return undefined;
+        }
+        scope = input.trim();
+    }
+
+    const breakingItems = [
+        { label: '否', breaking: false },
+        { label: '是', description: '包含不兼容的变更，标题中添加 "!" 并写入 BREAKING CHANGE 尾注', breaking: true }
+    ];
+    const pickedBreaking = await vscode.window.showQuickPick(breakingItems, {
+        placeHolder: '是否包含破坏性变更 (BREAKING CHANGE)？(3/5)'
+    });
+    if (!pickedBreaking) {
+        return undefined;
+    }
+    const breaking = pickedBreaking.breaking;
+
+    const initialDescription = initialMessage.split('\n')[0].replace(/^[^:：]*[:：]\s*/, '').trim();
+    const description = await vscode.window.showInputBox({
+        prompt: '输入简短描述 (4/5)',
+        value: initialDescription,
+        placeHolder: '例如: 支持短信验证码登录',
+        validateInput: value => {
+            if (!value.trim()) {
+                return '请输入描述';
+            }
+            const header = formatConventionalHeader({ type: pickedType.label, scope, breaking, description: value });
+            if (config.maxHeaderLength > 0 && header.length > config.maxHeaderLength) {
+                return `标题长度为 ${header.length}，超过 ${config.maxHeaderLength} 个字符`;
+            }
+            return null;
+        }
+    });
+    if (description === undefined) {
+        return undefined;
+    }
+
+    let breakingDescription: string | undefined;
+    if (breaking) {
+        breakingDescription = await vscode.window.showInputBox({
+            prompt: '说明不兼容的变更及迁移方式',
+            placeHolder: '例如: 配置项 foo 已更名为 bar',
+            validateInput: value => value.trim() ? null : '请说明破坏性变更'
+        });
+        if (breakingDescription === undefined) {
+            return undefined;
+        }
+    }
+
+    const body = await vscode.window.showInputBox({
+        prompt: '输入正文（可选，按 Enter 跳过）',
+        placeHolder: '说明修改的原因和影响'
+    });
+    if (body === undefined) {
+        return undefined;
+    }
+
+    const footer = await vscode.window.showInputBox({
+        prompt: '输入尾注（可选，按 Enter 跳过）(5/5)',
+        placeHolder: '例如: Closes #123'
+    });
+    if (footer === undefined) {
+        return undefined;
+    }
+
+    return buildConventionalMessage({
+        type: pickedType.label,
+        scope,
+        breaking,
+        description,
+        body,
+        breakingDescription,
+        footer
+    });
+}
+
+/**
+ * 注册提交信息规范相关命令
+ */
+export function registerCommitLint(
+    context: vscode.ExtensionContext,
+    repositoryManager: RepositoryManager,
+    branchProvider: BranchProvider,
+    historyProvider: HistoryProvider,
+    changesProvider: ChangesProvider
+) {
+    // 引导式生成提交信息并提交已暂存的更改
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.guidedCommit', async () => {
+            const gitService = await pickRepository(repositoryManager, '提交');
+            if (!gitService) {
+                return;
+            }
+
+            let commandText = 'git commit';
+            try {
+                const stagedPaths = await getStagedPaths(gitService);
+                if (stagedPaths.length === 0) {
+                    vscode.window.showWarningMessage('没有已暂存的文件。请先使用"添加文件"命令将文件添加到暂存区。');
+                    return;
+                }
+                if (!await confirmProtectedBranchAction('commit', await gitService.getCurrentBranch())) {
+                    return;
+                }
+                if (!await guardLargeFiles(gitService, 'staged') || !await confirmNoSecrets(gitService, 'staged')) {
+                    return;
+                }
+
+                const built = await runCommitMessageBuilder(stagedPaths);
+                if (!built) {
+                    return;
+                }
+                const message = await reviewCommitMessage(built, stagedPaths);
+                if (!message) {
+                    return;
+                }
+                commandText = `git commit -m "${message.split('\n')[0]}"`;
+
+                await vscode.window.withProgress(
+                    {
+                        location: vscode.ProgressLocation.Notification,
+                        title: '正在提交更改...',
+                        cancellable: false
+                    },
+                    () => gitService.commitWithOptions(message)
+                );
+
+                vscode.window.showInformationMessage('✅ 提交成功！');
+                CommandHistory.addCommand(commandText, '引导式提交', true);
+
+                branchProvider.refresh();
+                historyProvider.refresh();
+                changesProvider.refresh();
+                DashboardPanel.refresh();
+            } catch (error) {
+                const errorMessage = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`提交失败: ${errorMessage}`);
+                CommandHistory.addCommand(commandText, '引导式提交', false, errorMessage);
+            }
+        })
+    );
+}
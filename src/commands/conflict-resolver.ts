@@ -1,22 +1,44 @@
 import * as vscode from 'vscode';
+import * as fs from 'fs';
 import * as path from 'path';
 import { GitService } from '../services/git-service';
-import { ConflictProvider } from '../providers/conflict-provider';
+import { RepositoryManager } from '../services/repository-manager';
+import { ConflictProvider, ConflictTreeItem } from '../providers/conflict-provider';
+import { DashboardPanel } from '../webview/dashboard-panel';
+import { pickRepository, promptOperationStopped } from '../utils/git-helpers';
+import { applyConflictResolutions, ConflictResolution, parseConflictMarkers, resolveConflictBlock } from '../utils/git-utils';
+import { CONFLICT_RESOLUTION_LABELS, describeConflict, getConflictResolutions, isTextConflict } from '../utils/conflict-status';
+import { CommandHistory } from '../utils/command-history';
+import { ConflictEntry, ConflictSideResolution } from '../types/git';
+
+/**
+ * 整体取舍冲突文件的命令
+ */
+const RESOLUTION_COMMANDS: Array<[ConflictSideResolution, string]> = [
+    ['ours', 'git-assistant.resolveConflictOurs'],
+    ['theirs', 'git-assistant.resolveConflictTheirs'],
+    ['delete', 'git-assistant.resolveConflictDelete']
+];
 
 /**
  * 注册冲突解决命令
  */
 export function registerConflictResolver(
     context: vscode.ExtensionContext,
-    gitService: GitService,
+    repositoryManager: RepositoryManager,
     conflictProvider: ConflictProvider
 ) {
     // 解决冲突
     context.subscriptions.push(
         vscode.commands.registerCommand('git-assistant.resolveConflicts', async () => {
+            const gitService = await pickRepository(repositoryManager, '解决冲突');
+            if (!gitService) {
+                return;
+            }
+
             try {
                 // 获取冲突文件列表
-                const conflicts = await gitService.getConflicts();
+                const conflicts = await gitService.getConflictEntries();
 
                 if (conflicts.length === 0) {
                     vscode.window.showInformationMessage('当前没有冲突文件');
@@ -24,10 +46,11 @@ export function registerConflictResolver(
                 }
 
                 // 显示冲突文件列表
-                const items = conflicts.map(file => ({
-                    label: `$(warning) ${file}`,
-                    description: '存在冲突',
-                    file: file
+                const items = conflicts.map(entry => ({
+                    label: `$(warning) ${entry.path}`,
+                    description: describeConflict(entry),
+                    file: entry.path,
+                    entry
                 }));
 
                 const selected = await vscode.window.showQuickPick(items, {
@@ -38,29 +61,56 @@ export function registerConflictResolver(
                     return;
                 }
 
+                // 删除、重命名、二进制和子模块冲突无法按文本合并，只能整体取舍
+                if (!isTextConflict(selected.entry)) {
+                    const resolution = await pickConflictResolution(selected.entry, gitService.getWorkspaceRoot());
+                    if (resolution) {
+                        await applyConflictResolution(gitService, selected.entry, resolution, conflictProvider);
+                    }
+                    return;
+                }
+
                 // 打开冲突文件
                 const document = await vscode.workspace.openTextDocument(
                     resolveConflictFileUri(selected.file, gitService.getWorkspaceRoot())
                 );
                 await vscode.window.showTextDocument(document);
 
+                // 统计可自动解决的冲突块（只有一侧相对合并基准有修改）
+                const blocks = parseConflictMarkers(document.getText()).conflicts;
+                const autoCount = blocks.filter(block => resolveConflictBlock(block, 'auto') !== null).length;
+                const hasBase = blocks.some(block => block.base !== undefined);
+
                 // 提供冲突解决选项
                 const choice = await vscode.window.showQuickPick(
                     [
-                        // 如需开启逐块解决模式，可恢复下一行配置，并处理 interactive 分支
-                        // { label: '$(symbol-event) 逐个解决每个冲突（精细控制）', action: 'interactive' as const },
+                        ...(autoCount > 0 ? [{
+                            label: `$(sparkle) 自动解决（${autoCount}/${blocks.length} 个冲突块）`,
+                            description: hasBase ? '只有一侧相对合并基准有修改时采用该侧' : '两侧内容相同的冲突块',
+                            action: 'auto' as const
+                        }] : []),
+                        { label: '$(symbol-event) 逐个解决每个冲突（精细控制）', action: 'interactive' as const },
                         { label: '$(check) 接受当前更改（全部冲突块）', action: 'current' as const },
                         { label: '$(check) 接受传入更改（全部冲突块）', action: 'incoming' as const },
-                        { label: '$(check) 接受所有更改（合并保留）', action: 'both' as const },
+                        { label: '$(check) 接受所有更改（先当前后传入）', action: 'both' as const },
+                        { label: '$(check) 接受所有更改（先传入后当前）', action: 'incomingThenCurrent' as const },
                         { label: '$(edit) 手动编辑', action: 'manual' as const }
                     ],
-                    { placeHolder: '选择冲突解决方式' }
+                    { placeHolder: `发现 ${blocks.length} 个冲突块，选择冲突解决方式` }
                 );
 
                 if (!choice) {
                     return;
                 }
 
+                if (choice.action === 'interactive') {
+                    const remaining = await resolveConflictsInteractive(document);
+                    if (remaining === 0) {
+                        await promptStageReminder(document.uri.fsPath, gitService, conflictProvider, { autoResolved: true });
+                    }
+                    return;
+                }
+
                 if (choice.action === 'manual') {
                     vscode.window.showInformationMessage(
                         '请手动编辑并保存文件，完成后记得执行 git add 将其标记为已解决'
@@ -70,9 +120,19 @@ export function registerConflictResolver(
                 }
 
                 // 自动解决冲突
-                await resolveConflictAuto(document, choice.action);
+                const remaining = await resolveConflictAuto(document, choice.action);
+                if (remaining === null) {
+                    return;
+                }
                 await document.save();
 
+                if (remaining > 0) {
+                    vscode.window.showInformationMessage(
+                        `还有 ${remaining} 个冲突块两侧都有修改，无法自动解决，请逐个解决或手动编辑`
+                    );
+                    return;
+                }
+
                 await promptStageReminder(document.uri.fsPath, gitService, conflictProvider, { autoResolved: true });
 
             } catch (error) {
@@ -81,6 +141,90 @@ export function registerConflictResolver(
         })
     );
 
+    // 在控制面板的合并编辑器中打开冲突文件
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.openMergeEditor', async (item?: ConflictTreeItem | string) => {
+            // 冲突视图始终展示当前活动仓库的冲突
+            const gitService = item ? repositoryManager.getActive() : await pickRepository(repositoryManager, '打开合并编辑器');
+            if (!gitService) {
+                return;
+            }
+
+            try {
+                let file = typeof item === 'string' ? item : item?.filePath;
+                if (!file) {
+                    const conflicts = await gitService.getConflicts();
+                    if (conflicts.length === 0) {
+                        vscode.window.showInformationMessage('当前没有冲突文件');
+                        return;
+                    }
+                    file = await vscode.window.showQuickPick(conflicts, {
+                        placeHolder: '选择要在合并编辑器中打开的冲突文件'
+                    });
+                    if (!file) {
+                        return;
+                    }
+                }
+
+                DashboardPanel.createOrShow(context.extensionUri, repositoryManager);
+                await DashboardPanel.showMergeEditor(file);
+            } catch (error) {
+                const errorMessage = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`打开合并编辑器失败: ${errorMessage}`);
+            }
+        })
+    );
+
+    // 选择非文本冲突的解决方式（冲突视图中点击此类文件时触发）
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.resolveConflictFile', async (item?: ConflictTreeItem | string) => {
+            const gitService = item ? repositoryManager.getActive() : await pickRepository(repositoryManager, '解决冲突');
+            if (!gitService) {
+                return;
+            }
+
+            try {
+                const entry = await resolveConflictEntry(gitService, item, () => true);
+                if (!entry) {
+                    return;
+                }
+                const resolution = await pickConflictResolution(entry, gitService.getWorkspaceRoot());
+                if (resolution) {
+                    await applyConflictResolution(gitService, entry, resolution, conflictProvider);
+                }
+            } catch (error) {
+                const errorMessage = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`解决冲突失败: ${errorMessage}`);
+            }
+        })
+    );
+
+    // 使用当前版本 / 使用传入版本 / 删除文件
+    RESOLUTION_COMMANDS.forEach(([resolution, commandId]) => {
+        context.subscriptions.push(
+            vscode.commands.registerCommand(commandId, async (item?: ConflictTreeItem | string) => {
+                const gitService = item ? repositoryManager.getActive() : await pickRepository(repositoryManager, CONFLICT_RESOLUTION_LABELS[resolution]);
+                if (!gitService) {
+                    return;
+                }
+
+                try {
+                    const entry = await resolveConflictEntry(
+                        gitService,
+                        item,
+                        candidate => getConflictResolutions(candidate).includes(resolution)
+                    );
+                    if (entry) {
+                        await applyConflictResolution(gitService, entry, resolution, conflictProvider);
+                    }
+                } catch (error) {
+                    const errorMessage = error instanceof Error ? error.message : String(error);
+                    vscode.window.showErrorMessage(`解决冲突失败: ${errorMessage}`);
+                }
+            })
+        );
+    });
+
     // 标记冲突已解决
     context.subscriptions.push(
         vscode.commands.registerCommand('git-assistant.markResolved', async (file?: string) => {
@@ -94,7 +238,9 @@ export function registerConflictResolver(
                     file = editor.document.uri.fsPath;
                 }
 
-                await gitService.add(file);
+                // 使用文件所在的仓库（嵌套仓库时选择最内层仓库）
+                const gitService = repositoryManager.getServiceForPath(file) || repositoryManager.getActive();
+                await gitService.markResolved(file);
                 vscode.window.showInformationMessage(`✅ 文件 "${file}" 已标记为已解决`);
                 conflictProvider.refresh();
 
@@ -106,134 +252,93 @@ export function registerConflictResolver(
 }
 
 /**
- * 自动解决冲突
+ * 自动解决冲突，返回剩余未解决的冲突块数量（没有冲突标记时返回 null）
  */
 async function resolveConflictAuto(
     document: vscode.TextDocument,
-    action: string
-): Promise<void> {
-    const edit = new vscode.WorkspaceEdit();
+    action: ConflictResolution
+): Promise<number | null> {
     const text = document.getText();
-
-    // 匹配冲突标记（兼容不同分支名和 CRLF/LF）
-    // 形如：
-    // <<<<<<< HEAD
-    // ...当前更改...
-    // =======
-    // ...传入更改...
-    // >>>>>>> main
-    const conflictPattern = /<<<<<<<[^\n]*\r?\n([\s\S]*?)\r?\n=======\r?\n([\s\S]*?)\r?\n>>>>>>>[^\n]*/g;
-
-    let match;
-    const replacements: { range: vscode.Range; text: string }[] = [];
-
-    while ((match = conflictPattern.exec(text)) !== null) {
-        const fullMatch = match[0];
-        const currentChanges = match[1];
-        const incomingChanges = match[2];
-
-        let resolvedText = '';
-        switch (action) {
-            case 'current':
-                resolvedText = currentChanges;
-                break;
-            case 'incoming':
-                resolvedText = incomingChanges;
-                break;
-            case 'both':
-                resolvedText = currentChanges + '\n' + incomingChanges;
-                break;
-        }
-
-        const startPos = document.positionAt(match.index);
-        const endPos = document.positionAt(match.index + fullMatch.length);
-        replacements.push({
-            range: new vscode.Range(startPos, endPos),
-            text: resolvedText
-        });
-    }
+    const result = applyConflictResolutions(text, block => resolveConflictBlock(block, action));
 
     // 如果没有匹配到任何冲突块，给出提示，避免用户以为已经自动合并
-    if (replacements.length === 0) {
+    if (result.resolved === 0 && result.remaining === 0) {
         vscode.window.showWarningMessage(
             '未检测到标准 Git 冲突标记，自动合并未生效，请确认文件中仍包含 <<<<<<< / ======= / >>>>>>> 标记。'
         );
-        return;
+        return null;
     }
 
-    // 应用所有替换
-    for (const replacement of replacements) {
-        edit.replace(document.uri, replacement.range, replacement.text);
+    if (result.resolved > 0) {
+        await replaceDocumentText(document, result.content);
     }
-
-    await vscode.workspace.applyEdit(edit);
+    return result.remaining;
 }
 
 /**
- * 交互式逐个解决文件中的冲突块
+ * 交互式逐个解决文件中的冲突块，返回剩余未解决的冲突块数量
  */
-async function resolveConflictsInteractive(document: vscode.TextDocument): Promise<boolean> {
+async function resolveConflictsInteractive(document: vscode.TextDocument): Promise<number> {
     const text = document.getText();
-
-    const conflictPattern = /<<<<<<<[^\n]*\r?\n([\s\S]*?)\r?\n=======\r?\n([\s\S]*?)\r?\n>>>>>>>[^\n]*/g;
-
-    type ConflictBlock = {
-        index: number;
-        start: number;
-        end: number;
-        current: string;
-        incoming: string;
-    };
-
-    const blocks: ConflictBlock[] = [];
-    let match: RegExpExecArray | null;
-
-    while ((match = conflictPattern.exec(text)) !== null) {
-        const fullMatch = match[0];
-        const currentChanges = match[1];
-        const incomingChanges = match[2];
-
-        blocks.push({
-            index: blocks.length,
-            start: match.index,
-            end: match.index + fullMatch.length,
-            current: currentChanges,
-            incoming: incomingChanges
-        });
-    }
+    const blocks = parseConflictMarkers(text).conflicts;
 
     if (blocks.length === 0) {
         vscode.window.showWarningMessage(
             '未检测到标准 Git 冲突标记，无法进入逐个解决模式。'
         );
-        return false;
+        return 0;
     }
 
-    const edit = new vscode.WorkspaceEdit();
-    const replacements: { range: vscode.Range; text: string }[] = [];
+    const preview = (content: string | undefined) => content === undefined
+        ? '(无基准)'
+        : content.trim().split(/\r?\n/)[0] || '(空)';
+    const editor = vscode.window.visibleTextEditors.find(e => e.document === document);
+    const choices = new Map<number, ConflictResolution>();
 
     for (let i = 0; i < blocks.length; i++) {
         const block = blocks[i];
-        const currentPreview = block.current.trim().split(/\r?\n/)[0] || '(空行)';
-        const incomingPreview = block.incoming.trim().split(/\r?\n/)[0] || '(空行)';
+        const autoResult = resolveConflictBlock(block, 'auto');
+
+        // 在编辑器中定位到当前冲突块
+        if (editor) {
+            const range = new vscode.Range(block.start, 0, block.end, 0);
+            editor.selection = new vscode.Selection(range.start, range.end);
+            editor.revealRange(range, vscode.TextEditorRevealType.InCenter);
+        }
 
         const choice = await vscode.window.showQuickPick(
             [
                 {
-                    label: `$(check) 接受当前更改（第 ${i + 1}/${blocks.length} 个）`,
-                    description: currentPreview,
+                    // 当前 / 基准 / 传入三方内容并排预览
+                    label: `当前 (${block.currentLabel || 'ours'})：${preview(block.current)}  ｜  基准：${preview(block.base)}  ｜  传入 (${block.incomingLabel || 'theirs'})：${preview(block.incoming)}`,
+                    kind: vscode.QuickPickItemKind.Separator
+                },
+                ...(autoResult !== null ? [{
+                    label: '$(sparkle) 自动解决',
+                    description: block.base !== undefined ? '只有一侧相对基准有修改' : '两侧内容相同',
+                    detail: autoResult.join(' ⏎ ') || '(删除该块)',
+                    action: 'auto' as const
+                }] : []),
+                {
+                    label: `$(arrow-left) 接受当前更改（第 ${i + 1}/${blocks.length} 个）`,
+                    description: block.currentLabel,
+                    detail: preview(block.current),
                     action: 'current' as const
                 },
                 {
-                    label: `$(check) 接受传入更改（第 ${i + 1}/${blocks.length} 个）`,
-                    description: incomingPreview,
+                    label: `$(arrow-right) 接受传入更改（第 ${i + 1}/${blocks.length} 个）`,
+                    description: block.incomingLabel,
+                    detail: preview(block.incoming),
                     action: 'incoming' as const
                 },
                 {
-                    label: `$(check) 接受所有更改（合并保留）`,
-                    description: `${currentPreview}  |  ${incomingPreview}`,
+                    label: '$(arrow-both) 接受两者（先当前后传入）',
                     action: 'both' as const
                 },
+                {
+                    label: '$(arrow-swap) 接受两者（先传入后当前）',
+                    action: 'incomingThenCurrent' as const
+                },
                 {
                     label: '$(debug-pause) 跳过当前冲突（稍后手动处理）',
                     action: 'skip' as const
@@ -244,11 +349,11 @@ async function resolveConflictsInteractive(document: vscode.TextDocument): Promi
                 }
             ],
             {
-                placeHolder: `正在解决冲突（${i + 1}/${blocks.length}）：请选择处理方式`
+                placeHolder: `正在解决冲突（${i + 1}/${blocks.length}，第 ${block.start + 1} 行）：请选择处理方式`
             }
         );
 
-        if (!choice || choice.action === 'cancel') {
+        if (!choice?.action || choice.action === 'cancel') {
             break;
         }
 
@@ -256,43 +361,41 @@ async function resolveConflictsInteractive(document: vscode.TextDocument): Promi
             continue;
         }
 
-        let resolvedText = '';
-        switch (choice.action) {
-            case 'current':
-                resolvedText = block.current;
-                break;
-            case 'incoming':
-                resolvedText = block.incoming;
-                break;
-            case 'both':
-                resolvedText = `${block.current}\n${block.incoming}`;
-                break;
-        }
-
-        const startPos = document.positionAt(block.start);
-        const endPos = document.positionAt(block.end);
-        replacements.push({
-            range: new vscode.Range(startPos, endPos),
-            text: resolvedText
-        });
+        choices.set(i, choice.action);
     }
 
-    if (replacements.length === 0) {
-        return false;
+    if (choices.size === 0) {
+        return blocks.length;
     }
 
-    // 从后往前应用替换，避免位置偏移
-    for (let i = replacements.length - 1; i >= 0; i--) {
-        const replacement = replacements[i];
-        edit.replace(document.uri, replacement.range, replacement.text);
-    }
+    const result = applyConflictResolutions(text, (block, index) => {
+        const action = choices.get(index);
+        return action ? resolveConflictBlock(block, action) : null;
+    });
 
-    await vscode.workspace.applyEdit(edit);
+    await replaceDocumentText(document, result.content);
     await document.save();
 
-    vscode.window.showInformationMessage(`✅ 已自动处理 ${replacements.length} 处冲突，其余请手动检查。`);
+    vscode.window.showInformationMessage(
+        result.remaining > 0
+            ? `✅ 已处理 ${result.resolved} 处冲突，其余 ${result.remaining} 处请手动检查。`
+            : `✅ 已处理全部 ${result.resolved} 处冲突。`
+    );
 
-    return true;
+    return result.remaining;
+}
+
+/**
+ * 用新内容替换整个文档
+ */
+async function replaceDocumentText(document: vscode.TextDocument, content: string): Promise<void> {
+    const edit = new vscode.WorkspaceEdit();
+    const fullRange = new vscode.Range(
+        document.positionAt(0),
+        document.positionAt(document.getText().length)
+    );
+    edit.replace(document.uri, fullRange, content);
+    await vscode.workspace.applyEdit(edit);
 }
 
 /**
@@ -313,6 +416,114 @@ function resolveConflictFileUri(file: string, workspaceRoot?: string): vscode.Ur
     return vscode.Uri.file(path.resolve(file));
 }
 
+/**
+ * 根据命令参数获取冲突文件详情，未指定文件时从符合条件的冲突文件中选择
+ */
+async function resolveConflictEntry(
+    gitService: GitService,
+    target: ConflictTreeItem | string | undefined,
+    filter: (entry: ConflictEntry) => boolean
+): Promise<ConflictEntry | undefined> {
+    const entries = await gitService.getConflictEntries();
+    const file = typeof target === 'string' ? target : target?.filePath;
+    if (file) {
+        const entry = entries.find(item => item.path === file);
+        if (!entry) {
+            vscode.window.showInformationMessage(`文件 ${file} 已不处于冲突状态`);
+        }
+        return entry;
+    }
+
+    const candidates = entries.filter(filter);
+    if (candidates.length === 0) {
+        vscode.window.showInformationMessage('当前没有可以这样解决的冲突文件');
+        return undefined;
+    }
+    const selected = await vscode.window.showQuickPick(
+        candidates.map(entry => ({ label: `$(warning) ${entry.path}`, description: describeConflict(entry), entry })),
+        { placeHolder: '选择要解决的冲突文件' }
+    );
+    return selected?.entry;
+}
+
+/**
+ * 选择整体取舍方式，文件存在于工作区时还可以先打开查看
+ */
+async function pickConflictResolution(entry: ConflictEntry, workspaceRoot?: string): Promise<ConflictSideResolution | undefined> {
+    const details: Record<ConflictSideResolution, string> = {
+        ours: entry.stages.theirs ? '保留当前分支的版本，放弃传入版本' : '保留当前分支的文件，不接受传入分支的删除',
+        theirs: entry.stages.ours ? '采用传入分支的版本，放弃当前版本' : '采用传入分支的文件，不接受当前分支的删除',
+        delete: '接受删除，从工作区和索引中移除该文件'
+    };
+    const fileUri = resolveConflictFileUri(entry.path, workspaceRoot);
+    const canOpen = !entry.submodule && fs.existsSync(fileUri.fsPath);
+
+    const choice = await vscode.window.showQuickPick(
+        [
+            ...getConflictResolutions(entry).map(resolution => ({
+                label: resolution === 'delete' ? `$(trash) ${CONFLICT_RESOLUTION_LABELS[resolution]}` : `$(check) ${CONFLICT_RESOLUTION_LABELS[resolution]}`,
+                detail: details[resolution],
+                resolution: resolution as ConflictSideResolution | 'open'
+            })),
+            ...(canOpen ? [{ label: '$(go-to-file) 打开工作区中的文件', detail: undefined, resolution: 'open' as const }] : [])
+        ],
+        { placeHolder: `${entry.path}（${describeConflict(entry)}），选择解决方式` }
+    );
+
+    if (choice?.resolution === 'open') {
+        await vscode.commands.executeCommand('vscode.open', fileUri);
+        return undefined;
+    }
+    return choice?.resolution;
+}
+
+/**
+ * 执行整体取舍并记录命令历史，全部冲突解决后提示继续进行中的操作
+ */
+async function applyConflictResolution(
+    gitService: GitService,
+    entry: ConflictEntry,
+    resolution: ConflictSideResolution,
+    conflictProvider: ConflictProvider
+): Promise<void> {
+    if (resolution === 'delete') {
+        const confirm = await vscode.window.showWarningMessage(
+            `确定要删除 ${entry.path} 吗？该文件将从工作区和索引中移除。`,
+            { modal: true },
+            '删除'
+        );
+        if (confirm !== '删除') {
+            return;
+        }
+    }
+
+    const stage = resolution === 'delete' ? null : entry.stages[resolution];
+    const command = resolution === 'delete'
+        ? `git rm -- ${entry.path}`
+        : entry.submodule && stage
+            ? `git update-index --cacheinfo ${stage.mode},${stage.hash},${entry.path}`
+            : `git checkout --${resolution} -- ${entry.path} && git add ${entry.path}`;
+    const description = `解决冲突：${CONFLICT_RESOLUTION_LABELS[resolution]}`;
+
+    try {
+        await gitService.resolveConflictWith(entry.path, resolution);
+        vscode.window.showInformationMessage(`✅ ${entry.path} 已${CONFLICT_RESOLUTION_LABELS[resolution]}并标记为已解决`);
+        CommandHistory.addCommand(command, description, true);
+    } catch (error) {
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        vscode.window.showErrorMessage(`解决冲突失败: ${errorMessage}`);
+        CommandHistory.addCommand(command, description, false, errorMessage);
+        return;
+    } finally {
+        conflictProvider.refresh();
+        DashboardPanel.refresh();
+    }
+
+    if ((await gitService.getConflicts()).length === 0) {
+        await promptOperationStopped(gitService);
+    }
+}
+
 /**
  * 提示用户将已解决的文件再次添加到暂存区，并提供快捷操作
  */
@@ -1,58 +1,97 @@
 import * as vscode from 'vscode';
+import * as path from 'path';
+import { DefaultLogFields } from 'simple-git';
 import { GitService } from '../services/git-service';
+import { RepositoryManager } from '../services/repository-manager';
+import { CommitFileChange } from '../types/git';
 import { BranchProvider } from '../providers/branch-provider';
 import { HistoryProvider } from '../providers/history-provider';
 import { Logger } from '../utils/logger';
 import { CommandHistory } from '../utils/command-history';
 import { DashboardPanel } from '../webview/dashboard-panel';
-import { pickRemote, getDefaultRemote } from '../utils/git-helpers';
+import { confirmProtectedBranchAction, getProtectedBranchPattern, pickRemote, getDefaultRemote, pickRepository, getConfiguredFetchOptions, promptOperationStopped, toGitUri } from '../utils/git-helpers';
+import { formatRelativeDate } from '../utils/git-utils';
+import { buildPullArgs, isDivergentBranchesError, PULL_STRATEGY_LABELS, PullOptions, PullStrategy, resolvePullBranch } from '../utils/pull-strategy';
+import { buildFetchArgs } from '../utils/fetch-schedule';
+import { buildPushArgs, describePushRefUpdate, isPushRejectedError, isStaleLeaseError, PushOptions, PushRequest } from '../utils/push-options';
 import { ErrorHandler } from '../utils/error-handler';
+import { pickAndApplyHunks } from './partial-staging';
+import { getCommitLintHint, reviewCommitMessage } from './commit-lint';
+import { confirmNoSecrets } from './secret-scan';
+import { guardLargeFiles } from './large-files';
 
 /**
  * 注册Git操作命令（Push, Pull, Clone）
  */
 export function registerGitOperations(
     context: vscode.ExtensionContext,
-    gitService: GitService,
+    repositoryManager: RepositoryManager,
     branchProvider: BranchProvider,
     historyProvider: HistoryProvider
 ) {
 
-    // 快速推送
+    // 快速推送（控制面板可传入推送选项：远程分支名、安全强制推送、预演）
     context.subscriptions.push(
-        vscode.commands.registerCommand('git-assistant.quickPush', async () => {
-            let selectedRemote = 'origin'; // 在外部声明，确保 catch 块可以访问
+        vscode.commands.registerCommand('git-assistant.quickPush', async (request?: PushRequest) => {
+            const gitService = request ? repositoryManager.getActive() : await pickRepository(repositoryManager, '推送');
+            if (!gitService) {
+                return;
+            }
+
+            let selectedRemote = request?.remote || 'origin'; // 在外部声明，确保 catch 块可以访问
+            let command = 'git push';
             try {
                 const config = vscode.workspace.getConfiguration('git-assistant');
                 const needConfirm = config.get('confirmPush', true);
 
-                // 使用辅助函数获取远程仓库
-                const defaultRemote = await getDefaultRemote(gitService);
-                selectedRemote = defaultRemote;
-
                 // 如果有多个远程仓库，让用户选择
                 const remotes = await gitService.getRemotes();
-                if (remotes.length > 1) {
-                    const picked = await pickRemote(gitService, '推送');
-                    if (!picked) {
-                        return;
-                    }
-                    selectedRemote = picked;
-                } else if (remotes.length === 0) {
+                if (remotes.length === 0) {
                     vscode.window.showWarningMessage('尚未配置远程仓库，无法推送。请先添加远程仓库。');
                     return;
                 }
+                if (!request?.remote) {
+                    // 使用辅助函数获取远程仓库
+                    selectedRemote = await getDefaultRemote(gitService);
+                    if (remotes.length > 1) {
+                        const picked = await pickRemote(gitService, '推送');
+                        if (!picked) {
+                            return;
+                        }
+                        selectedRemote = picked;
+                    }
+                }
 
                 // 获取当前状态
                 const status = await gitService.getStatus();
+                if (status.detached || !status.current) {
+                    vscode.window.showWarningMessage('当前处于分离 HEAD 状态，无法推送。请先切换到分支。');
+                    return;
+                }
+                const localBranch = status.current;
+                const upstreamBranch = resolvePullBranch(selectedRemote, localBranch, status.tracking);
+                const options: PushOptions = {
+                    remoteBranch: request?.remoteBranch || upstreamBranch,
+                    forceWithLease: request?.forceWithLease,
+                    expectedRef: request?.expectedRef
+                };
+                const remoteRef = `${selectedRemote}/${options.remoteBranch}`;
+
+                // 预演：只显示将要更新的引用
+                if (request?.dryRun) {
+                    await previewPush(gitService, selectedRemote, localBranch, options);
+                    return;
+                }
 
                 // 检查是否有待推送的提交（ahead）或未提交的更改
                 const hasUncommittedChanges = status.modified.length > 0 || status.created.length > 0 || status.deleted.length > 0;
                 const hasUnpushedCommits = (status.ahead || 0) > 0;
+                // 推送到其他远程分支或强制推送时，不以当前上游的领先数判断
+                const isCustomPush = options.forceWithLease || options.remoteBranch !== upstreamBranch;
 
                 // 如果没有设置上游分支，检查是否有提交可以推送
-                let hasCommitsToPush = hasUnpushedCommits;
-                if (!hasUnpushedCommits && !status.tracking) {
+                let hasCommitsToPush = hasUnpushedCommits || isCustomPush;
+                if (!hasCommitsToPush && !status.tracking) {
                     // 检查是否有任何提交（可能还没有设置上游分支）
                     try {
                         const log = await gitService.getLog(1);
@@ -72,15 +111,16 @@ export function registerGitOperations(
                 // 构建推送信息
                 let message = '';
                 const needsUpstream = !status.tracking && hasCommitsToPush;
+                options.setUpstream = needsUpstream;
 
                 if (hasUncommittedChanges && hasCommitsToPush) {
                     const commitCount = hasUnpushedCommits ? status.ahead : '本地';
                     message = `有未提交的更改和 ${commitCount} 个待推送的提交。推送只会上传已提交的内容。`;
                 } else if (hasCommitsToPush) {
-                    if (hasUnpushedCommits) {
+                    if (hasUnpushedCommits && !isCustomPush) {
                         message = `准备推送 ${status.ahead} 个提交到远程仓库`;
                     } else {
-                        message = `准备推送本地提交到远程仓库${needsUpstream ? '（将设置上游分支）' : ''}`;
+                        message = `准备推送 ${localBranch} 到 ${remoteRef}${needsUpstream ? '（将设置上游分支）' : ''}`;
                     }
                 } else {
                     message = `有未提交的更改，请先提交后再推送`;
@@ -88,7 +128,32 @@ export function registerGitOperations(
                     return;
                 }
 
-                if (needConfirm && hasCommitsToPush) {
+                if (options.forceWithLease) {
+                    // 强制推送到受保护分支需要输入分支名确认或被阻止
+                    if (!await confirmProtectedBranchAction('forcePush', options.remoteBranch)) {
+                        return;
+                    }
+                    // 强制推送始终需要确认，并明确远程分支应当所在的提交
+                    if (options.expectedRef === undefined) {
+                        options.expectedRef = (await gitService.resolveRef(remoteRef)) || '';
+                    }
+                    const expected = options.expectedRef
+                        ? `仅当 ${remoteRef} 仍位于 ${options.expectedRef.substring(0, 8)} 时才会覆盖`
+                        : `仅当 ${remoteRef} 不存在时才会推送`;
+                    const choice = await vscode.window.showWarningMessage(
+                        `安全强制推送将用本地 ${localBranch} 覆盖 ${remoteRef}，${expected}。是否继续？`,
+                        { modal: true },
+                        '强制推送'
+                    );
+                    if (choice !== '强制推送') {
+                        return;
+                    }
+                } else if (getProtectedBranchPattern(options.remoteBranch)) {
+                    // 推送到受保护分支始终需要确认（不受 confirmPush 配置影响）
+                    if (!await confirmProtectedBranchAction('push', options.remoteBranch, message)) {
+                        return;
+                    }
+                } else if (needConfirm && hasCommitsToPush) {
                     const choice = await vscode.window.showWarningMessage(
                         message,
                         { modal: true },
@@ -100,6 +165,7 @@ export function registerGitOperations(
                 }
 
                 // 执行推送
+                command = `git ${buildPushArgs(selectedRemote, localBranch, options).join(' ')}`;
                 await vscode.window.withProgress(
                     {
                         location: vscode.ProgressLocation.Notification,
@@ -108,34 +174,28 @@ export function registerGitOperations(
                     },
                     async (progress) => {
                         progress.report({ increment: 30 });
-                        // 如果没有设置上游分支，使用 pushSetUpstream 方法
-                        const result = needsUpstream
-                            ? await gitService.pushSetUpstream(selectedRemote)
-                            : await gitService.push(selectedRemote);
+                        await gitService.push(selectedRemote, localBranch, options);
                         progress.report({ increment: 70 });
-                        return result;
                     }
                 );
 
                 // 获取推送后的最新状态并提示上游信息
                 const finalStatus = await gitService.getStatus();
-                const branch = finalStatus.current || 'main';
                 const finalTracking = finalStatus.tracking || null;
 
-                if (needsUpstream) {
-                    const upstream = finalTracking || `${selectedRemote}/${branch}`;
+                if (options.forceWithLease) {
+                    vscode.window.showInformationMessage(`✅ 已安全强制推送到 ${remoteRef}`);
+                } else if (needsUpstream) {
+                    const upstream = finalTracking || remoteRef;
                     vscode.window.showInformationMessage(`✅ 已推送到 ${selectedRemote}，并设置上游 ${upstream}`);
                 } else if (finalTracking) {
-                    vscode.window.showInformationMessage(`✅ 已推送到 ${selectedRemote}（当前上游：${finalTracking}）`);
+                    vscode.window.showInformationMessage(`✅ 已推送到 ${remoteRef}（当前上游：${finalTracking}）`);
                 } else {
-                    vscode.window.showInformationMessage(`✅ 已推送到 ${selectedRemote}`);
+                    vscode.window.showInformationMessage(`✅ 已推送到 ${remoteRef}`);
                 }
                 Logger.info('推送成功');
 
                 // 记录命令历史，包含远程仓库名称
-                const command = needsUpstream
-                    ? `git push -u ${selectedRemote} ${branch}`
-                    : `git push ${selectedRemote} ${branch}`;
                 CommandHistory.addCommand(command, '快速推送', true, undefined, selectedRemote);
 
                 branchProvider.refresh();
@@ -143,38 +203,115 @@ export function registerGitOperations(
 
             } catch (error) {
                 const errorMessage = error instanceof Error ? error.message : String(error);
-                ErrorHandler.handleGitError(error, '推送');
 
                 // 记录失败的命令历史
-                try {
-                    const finalStatus = await gitService.getStatus();
-                    const branch = finalStatus.current || 'main';
-                    CommandHistory.addCommand(
-                        `git push ${selectedRemote ?? 'origin'} ${branch}`,
-                        '快速推送',
-                        false,
-                        errorMessage,
-                        selectedRemote
-                    );
-                } catch {
-                    // 如果获取状态失败，仍然记录基本命令
-                    CommandHistory.addCommand(
-                        'git push',
-                        '快速推送',
-                        false,
-                        errorMessage,
-                        selectedRemote
-                    );
+                CommandHistory.addCommand(
+                    command,
+                    '快速推送',
+                    false,
+                    errorMessage,
+                    selectedRemote
+                );
+
+                if (isStaleLeaseError(errorMessage)) {
+                    vscode.window.showErrorMessage('强制推送已取消：远程分支已被更新，不在期望的提交上。请先获取并检查远程更改。');
+                } else if (isPushRejectedError(errorMessage)) {
+                    await handlePushRejected(gitService, selectedRemote, request);
+                } else {
+                    ErrorHandler.handleGitError(error, '推送');
                 }
             }
         })
     );
 
-    // 快速拉取
+    // 高级推送：选择推送方式、远程分支名和强制推送期望的提交
     context.subscriptions.push(
-        vscode.commands.registerCommand('git-assistant.quickPull', async () => {
+        vscode.commands.registerCommand('git-assistant.pushAdvanced', async () => {
+            const gitService = await pickRepository(repositoryManager, '推送');
+            if (!gitService) {
+                return;
+            }
+
+            try {
+                const remotes = await gitService.getRemotes();
+                if (remotes.length === 0) {
+                    vscode.window.showWarningMessage('尚未配置远程仓库，无法推送。请先添加远程仓库。');
+                    return;
+                }
+                const remote = remotes.length > 1 ? await pickRemote(gitService, '推送') : remotes[0].name;
+                if (!remote) {
+                    return;
+                }
+
+                const status = await gitService.getStatus();
+                if (status.detached || !status.current) {
+                    vscode.window.showWarningMessage('当前处于分离 HEAD 状态，无法推送。请先切换到分支。');
+                    return;
+                }
+
+                const mode = await vscode.window.showQuickPick(
+                    [
+                        { label: '$(cloud-upload) 普通推送', description: 'git push', mode: 'normal' },
+                        { label: '$(shield) 安全强制推送', description: 'git push --force-with-lease', detail: '变基或修改提交后使用，远程分支被他人更新时自动拒绝', mode: 'force' },
+                        { label: '$(eye) 预演推送', description: 'git push --dry-run', detail: '只显示将要更新的远程引用，不实际推送', mode: 'dry-run' }
+                    ],
+                    { placeHolder: '选择推送方式' }
+                );
+                if (!mode) {
+                    return;
+                }
+
+                const remoteBranch = await vscode.window.showInputBox({
+                    prompt: `推送 ${status.current} 到 ${remote} 的分支`,
+                    value: resolvePullBranch(remote, status.current, status.tracking),
+                    validateInput: value => (!value.trim() || /\s/.test(value.trim()) ? '请输入有效的远程分支名称' : null)
+                });
+                if (!remoteBranch) {
+                    return;
+                }
+
+                const request: PushRequest = { remote, remoteBranch: remoteBranch.trim(), dryRun: mode.mode === 'dry-run' };
+                if (mode.mode === 'force') {
+                    const remoteRef = `${remote}/${request.remoteBranch}`;
+                    const current = await gitService.resolveRef(remoteRef);
+                    const expected = await vscode.window.showInputBox({
+                        prompt: `期望 ${remoteRef} 当前所在的提交（远程分支不在此提交上时拒绝推送，留空表示远程分支应不存在）`,
+                        value: current || '',
+                        placeHolder: '提交哈希或引用'
+                    });
+                    if (expected === undefined) {
+                        return;
+                    }
+                    const expectedHash = expected.trim() ? await gitService.resolveRef(expected.trim()) : '';
+                    if (expectedHash === null) {
+                        vscode.window.showErrorMessage(`无法解析提交: ${expected.trim()}`);
+                        return;
+                    }
+                    request.forceWithLease = true;
+                    request.expectedRef = expectedHash;
+                }
+
+                await vscode.commands.executeCommand('git-assistant.quickPush', request);
+            } catch (error) {
+                const errorMessage = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`推送失败: ${errorMessage}`);
+            }
+        })
+    );
+
+    // 快速拉取（可通过参数指定拉取方式，否则在预览传入提交后选择；指定仓库根目录时不再选择仓库）
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.quickPull', async (strategyArg?: PullStrategy, repositoryRoot?: string) => {
+            const gitService = repositoryRoot
+                ? repositoryManager.getServiceForPath(repositoryRoot)
+                : await pickRepository(repositoryManager, '拉取');
+            if (!gitService) {
+                return;
+            }
+
             let hasStashed = false;
             let selectedRemote = 'origin'; // 在外部声明，确保 catch 块可以访问
+            let command = 'git pull';
             try {
                 // 使用辅助函数获取远程仓库
                 const defaultRemote = await getDefaultRemote(gitService);
@@ -194,42 +331,131 @@ export function registerGitOperations(
                 }
 
                 // 获取仓库状态
-                const status = await gitService.getStatus();
-
-                // 检查是否有未提交的更改
-                if (status.modified.length > 0 || status.created.length > 0) {
-                    const choice = await vscode.window.showWarningMessage(
-                        '有未提交的更改，是否先暂存(stash)？',
-                        '暂存并拉取',
-                        '直接拉取',
-                        '取消'
-                    );
-
-                    if (choice === '取消' || !choice) {
-                        return;
-                    }
-
-                    if (choice === '暂存并拉取') {
-                        await gitService.stash();
-                        hasStashed = true;
-                    }
+                const status = await gitService.getStatus(true);
+                if (status.detached || !status.current) {
+                    vscode.window.showWarningMessage('当前处于分离 HEAD 状态，无法拉取。请先切换到分支。');
+                    return;
                 }
+                const branch = resolvePullBranch(selectedRemote, status.current, status.tracking);
+                const remoteRef = `${selectedRemote}/${branch}`;
 
-                // 执行拉取
+                // 先获取远程更新，用于预览传入的提交
                 await vscode.window.withProgress(
                     {
                         location: vscode.ProgressLocation.Notification,
-                        title: `正在从 ${selectedRemote} 拉取...`,
+                        title: `正在从 ${selectedRemote} 获取更新...`,
                         cancellable: false
                     },
-                    async (progress) => {
-                        progress.report({ increment: 30 });
-                        const result = await gitService.pull(selectedRemote);
-                        progress.report({ increment: 70 });
-                        return result;
-                    }
+                    () => gitService.fetch({ remote: selectedRemote })
                 );
 
+                if (!(await gitService.resolveRef(remoteRef))) {
+                    vscode.window.showWarningMessage(`远程仓库 ${selectedRemote} 上不存在分支 ${branch}，无法拉取。`);
+                    return;
+                }
+
+                const incomingCount = await gitService.countCommits('HEAD', remoteRef);
+                if (incomingCount === 0) {
+                    vscode.window.showInformationMessage(`✅ 已是最新：${remoteRef} 没有新的提交`);
+                    return;
+                }
+                const localCount = await gitService.countCommits(remoteRef, 'HEAD');
+
+                const strategy = strategyArg && strategyArg in PULL_STRATEGY_LABELS
+                    ? strategyArg
+                    : await pickPullStrategy(gitService, remoteRef, incomingCount, localCount);
+                if (!strategy) {
+                    return;
+                }
+
+                // 检查是否有未提交的更改（未跟踪文件不影响拉取）
+                const config = vscode.workspace.getConfiguration('git-assistant');
+                let autostash = false;
+                if (status.files.some(file => file.index !== '?')) {
+                    if (config.get<boolean>('pullAutostash', true)) {
+                        autostash = true;
+                    } else {
+                        const choice = await vscode.window.showWarningMessage(
+                            '有未提交的更改，是否先暂存(stash)？',
+                            '暂存并拉取',
+                            '直接拉取',
+                            '取消'
+                        );
+
+                        if (choice === '取消' || !choice) {
+                            return;
+                        }
+
+                        if (choice === '暂存并拉取') {
+                            await gitService.stash();
+                            hasStashed = true;
+                        }
+                    }
+                }
+
+                const headBefore = await gitService.resolveRef('HEAD');
+                let pullStrategy = strategy;
+
+                // 执行拉取；仅快进失败时（本地与远程已分叉）改用合并或变基重试
+                for (;;) {
+                    const options: PullOptions = { strategy: pullStrategy, autostash };
+                    command = `git ${buildPullArgs(selectedRemote, branch, options).join(' ')}`;
+                    try {
+                        await vscode.window.withProgress(
+                            {
+                                location: vscode.ProgressLocation.Notification,
+                                title: `正在从 ${selectedRemote} 拉取（${PULL_STRATEGY_LABELS[pullStrategy]}）...`,
+                                cancellable: false
+                            },
+                            () => gitService.pull(selectedRemote, branch, options)
+                        );
+                        break;
+                    } catch (error) {
+                        // 合并或变基因冲突暂停时，进入冲突处理流程
+                        if (await gitService.getOperationState()) {
+                            CommandHistory.addCommand(command, '快速拉取（存在冲突）', true, undefined, selectedRemote);
+                            branchProvider.refresh();
+                            historyProvider.refresh();
+                            DashboardPanel.refresh();
+                            // 冲突未解决前无法恢复暂存，提示用户更改仍在储藏中
+                            if (hasStashed) {
+                                Logger.warn('拉取产生冲突，更改仍在暂存中，需要手动恢复');
+                                void vscode.window.showWarningMessage(
+                                    `拉取产生冲突。您的更改仍在 stash@{0} 中，解决冲突后可以使用 'git stash pop' 手动恢复。`
+                                );
+                            }
+                            await promptOperationStopped(gitService);
+                            return;
+                        }
+
+                        const errorMessage = error instanceof Error ? error.message : String(error);
+                        if (pullStrategy !== 'ff-only' || !isDivergentBranchesError(errorMessage)) {
+                            throw error;
+                        }
+
+                        const choice = await vscode.window.showWarningMessage(
+                            `本地分支与 ${remoteRef} 已分叉（本地 ${localCount} 个提交，远程 ${incomingCount} 个提交），无法快进。是否改用其他方式拉取？`,
+                            '合并',
+                            '变基'
+                        );
+                        if (!choice) {
+                            CommandHistory.addCommand(command, '快速拉取', false, errorMessage, selectedRemote);
+                            // 放弃拉取时恢复之前暂存的更改
+                            if (hasStashed) {
+                                try {
+                                    await gitService.stashPop();
+                                } catch {
+                                    vscode.window.showWarningMessage(
+                                        `恢复暂存时遇到问题。您的更改仍在 stash@{0} 中，可以使用 'git stash pop' 手动恢复。`
+                                    );
+                                }
+                            }
+                            return;
+                        }
+                        pullStrategy = choice === '变基' ? 'rebase' : 'merge';
+                    }
+                }
+
                 // 拉取成功后，如果有暂存则自动恢复
                 if (hasStashed) {
                     try {
@@ -247,22 +473,24 @@ export function registerGitOperations(
                     }
                 }
 
-                vscode.window.showInformationMessage('✅ 拉取成功！');
                 Logger.info('拉取成功');
-
-                // 记录命令历史，包含远程仓库名称
-                const finalStatus = await gitService.getStatus();
-                const branch = finalStatus.current || 'main';
-                CommandHistory.addCommand(
-                    `git pull ${selectedRemote} ${branch}`,
-                    '快速拉取',
-                    true,
-                    undefined,
-                    selectedRemote
-                );
+                CommandHistory.addCommand(command, '快速拉取', true, undefined, selectedRemote);
 
                 branchProvider.refresh();
                 historyProvider.refresh();
+                DashboardPanel.refresh();
+
+                // 显示本次拉取变更的文件
+                const files = headBefore
+                    ? await gitService.getChangedFiles(headBefore, 'HEAD').catch(() => [] as CommitFileChange[])
+                    : [];
+                const choice = await vscode.window.showInformationMessage(
+                    `✅ 拉取成功（${PULL_STRATEGY_LABELS[pullStrategy]}）：${incomingCount} 个新提交，${files.length} 个文件变更`,
+                    ...(files.length > 0 ? ['查看变更文件'] : [])
+                );
+                if (choice === '查看变更文件' && headBefore) {
+                    await showPulledFiles(gitService, headBefore, files);
+                }
 
             } catch (error) {
                 const errorMessage = error instanceof Error ? error.message : String(error);
@@ -277,26 +505,58 @@ export function registerGitOperations(
                 ErrorHandler.handleGitError(error, '拉取');
 
                 // 记录失败的命令历史
-                try {
-                    const finalStatus = await gitService.getStatus();
-                    const branch = finalStatus.current || 'main';
-                    CommandHistory.addCommand(
-                        `git pull ${selectedRemote} ${branch}`,
-                        '快速拉取',
-                        false,
-                        errorMessage,
-                        selectedRemote
-                    );
-                } catch {
-                    // 如果获取状态失败，仍然记录基本命令
-                    CommandHistory.addCommand(
-                        'git pull',
-                        '快速拉取',
-                        false,
-                        errorMessage,
-                        selectedRemote
-                    );
+                CommandHistory.addCommand(
+                    command,
+                    '快速拉取',
+                    false,
+                    errorMessage,
+                    selectedRemote
+                );
+            }
+        })
+    );
+
+    // 获取远程更新（使用自动获取的远程范围与清理设置）
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.fetch', async () => {
+            const gitService = await pickRepository(repositoryManager, '获取');
+            if (!gitService) {
+                return;
+            }
+
+            const options = await getConfiguredFetchOptions(gitService);
+            const command = buildFetchArgs(options).join(' ');
+            try {
+                const remotes = await gitService.getRemotes();
+                if (remotes.length === 0) {
+                    vscode.window.showWarningMessage('尚未配置远程仓库，无法获取。请先添加远程仓库。');
+                    return;
                 }
+
+                await vscode.window.withProgress(
+                    {
+                        location: vscode.ProgressLocation.Notification,
+                        title: options.all ? '正在获取所有远程仓库...' : `正在从 ${options.remote} 获取...`,
+                        cancellable: false
+                    },
+                    () => gitService.fetch(options)
+                );
+
+                const status = await gitService.getStatus(true);
+                vscode.window.showInformationMessage(
+                    status.tracking
+                        ? `✅ 获取完成：领先 ${status.ahead} 个提交，落后 ${status.behind} 个提交`
+                        : '✅ 获取完成'
+                );
+                CommandHistory.addCommand(`git ${command}`, '获取远程更新', true, undefined, options.remote);
+
+                branchProvider.refresh();
+                historyProvider.refresh();
+                DashboardPanel.refresh();
+            } catch (error) {
+                const errorMessage = error instanceof Error ? error.message : String(error);
+                ErrorHandler.handleGitError(error, '获取');
+                CommandHistory.addCommand(`git ${command}`, '获取远程更新', false, errorMessage, options.remote);
             }
         })
     );
@@ -345,7 +605,7 @@ export function registerGitOperations(
                     },
                     async (progress) => {
                         progress.report({ increment: 10, message: '连接远程仓库...' });
-                        await gitService.clone(repoUrl, targetFolder[0].fsPath);
+                        await repositoryManager.getActive().clone(repoUrl, targetFolder[0].fsPath);
                         progress.report({ increment: 90, message: '克隆完成' });
                     }
                 );
@@ -369,6 +629,11 @@ export function registerGitOperations(
     // 取消暂存文件
     context.subscriptions.push(
         vscode.commands.registerCommand('git-assistant.unstageFiles', async () => {
+            const gitService = await pickRepository(repositoryManager, '取消暂存');
+            if (!gitService) {
+                return;
+            }
+
             try {
                 const isRepo = await gitService.isRepository();
                 if (!isRepo) {
@@ -390,7 +655,8 @@ export function registerGitOperations(
                 const choice = await vscode.window.showQuickPick(
                     [
                         { label: '取消所有暂存', description: 'git reset HEAD', value: 'all' },
-                        { label: '选择文件', description: 'git reset HEAD <file>', value: 'select' }
+                        { label: '选择文件', description: 'git reset HEAD <file>', value: 'select' },
+                        { label: '选择代码块', description: '按块/行取消暂存文件中的部分更改', value: 'hunks' }
                     ],
                     { placeHolder: '选择取消暂存方式' }
                 );
@@ -413,6 +679,10 @@ export function registerGitOperations(
 
                     vscode.window.showInformationMessage('✅ 已取消所有已暂存文件');
                     CommandHistory.addCommand('git reset HEAD', '取消暂存', true);
+                } else if (choice.value === 'hunks') {
+                    if (!(await pickAndApplyHunks(gitService, stagedFiles, 'unstage'))) {
+                        return;
+                    }
                 } else {
                     const selected = await vscode.window.showQuickPick(
                         stagedFiles.map(file => ({ label: file, value: file })),
@@ -459,6 +729,11 @@ export function registerGitOperations(
     // 放弃更改
     context.subscriptions.push(
         vscode.commands.registerCommand('git-assistant.discardChanges', async () => {
+            const gitService = await pickRepository(repositoryManager, '放弃更改');
+            if (!gitService) {
+                return;
+            }
+
             try {
                 const isRepo = await gitService.isRepository();
                 if (!isRepo) {
@@ -480,7 +755,8 @@ export function registerGitOperations(
                 const choice = await vscode.window.showQuickPick(
                     [
                         { label: '放弃所有更改', description: 'git checkout -- .', value: 'all' },
-                        { label: '选择文件', description: 'git checkout -- <file>', value: 'select' }
+                        { label: '选择文件', description: 'git checkout -- <file>', value: 'select' },
+                        { label: '选择代码块', description: '按块/行放弃文件中的部分更改', value: 'hunks' }
                     ],
                     { placeHolder: '选择放弃方式' }
                 );
@@ -514,6 +790,10 @@ export function registerGitOperations(
 
                     vscode.window.showInformationMessage('✅ 已放弃所有已跟踪文件的更改');
                     CommandHistory.addCommand('git checkout -- .', '放弃更改', true);
+                } else if (choice.value === 'hunks') {
+                    if (!(await pickAndApplyHunks(gitService, discardableFiles, 'discard'))) {
+                        return;
+                    }
                 } else {
                     const selected = await vscode.window.showQuickPick(
                         discardableFiles.map(file => ({ label: file, value: file })),
@@ -571,6 +851,11 @@ export function registerGitOperations(
     // 提交所有已跟踪更改（git commit -a）
     context.subscriptions.push(
         vscode.commands.registerCommand('git-assistant.commitAllChanges', async () => {
+            const gitService = await pickRepository(repositoryManager, '提交');
+            if (!gitService) {
+                return;
+            }
+
             try {
                 const isRepo = await gitService.isRepository();
                 if (!isRepo) {
@@ -588,6 +873,16 @@ export function registerGitOperations(
                     return;
                 }
 
+                // 受保护分支上直接提交需要确认
+                if (!await confirmProtectedBranchAction('commit', status.current)) {
+                    return;
+                }
+
+                // 提交前检查大文件与二进制文件，并扫描所有已跟踪文件更改中的疑似密钥
+                if (!await guardLargeFiles(gitService, 'tracked') || !await confirmNoSecrets(gitService, 'tracked')) {
+                    return;
+                }
+
                 const message = await vscode.window.showInputBox({
                     prompt: '输入提交信息（提交所有更改）',
                     placeHolder: '例如：chore: 更新配置',
@@ -598,7 +893,7 @@ export function registerGitOperations(
                         if (value.trim().length > 200) {
                             return '提交信息不能超过200个字符';
                         }
-                        return null;
+                        return getCommitLintHint(value);
                     }
                 });
 
@@ -606,7 +901,13 @@ export function registerGitOperations(
                     return;
                 }
 
-                const trimmedMessage = message.trim();
+                const trimmedMessage = await reviewCommitMessage(
+                    message,
+                    [...(status.modified || []), ...(status.deleted || [])]
+                );
+                if (!trimmedMessage) {
+                    return;
+                }
 
                 await vscode.window.withProgress(
                     {
@@ -621,7 +922,7 @@ export function registerGitOperations(
 
                 vscode.window.showInformationMessage('✅ 已提交所有已跟踪的更改');
                 CommandHistory.addCommand(
-                    `git commit -am "${trimmedMessage}"`,
+                    `git commit -am "${trimmedMessage.split('\n')[0]}"`,
                     '提交所有更改',
                     true
                 );
@@ -646,6 +947,11 @@ export function registerGitOperations(
     // 撤销上次提交（软重置）
     context.subscriptions.push(
         vscode.commands.registerCommand('git-assistant.undoLastCommit', async () => {
+            const gitService = await pickRepository(repositoryManager, '撤销提交');
+            if (!gitService) {
+                return;
+            }
+
             try {
                 const isRepo = await gitService.isRepository();
                 if (!isRepo) {
@@ -698,3 +1004,163 @@ export function registerGitOperations(
     );
 }
 
+/**
+ * 预览传入的提交并选择拉取方式，默认方式排在首位
+ *
+ * 选择传入的提交时显示提交详情，然后重新显示选择列表。
+ */
+async function pickPullStrategy(
+    gitService: GitService,
+    remoteRef: string,
+    incomingCount: number,
+    localCount: number
+): Promise<PullStrategy | undefined> {
+    const defaultStrategy = vscode.workspace.getConfiguration('git-assistant')
+        .get<PullStrategy>('pullStrategy', 'merge');
+    const incoming = await gitService.getIncomingCommits(remoteRef, 20);
+    const diverged = localCount > 0;
+
+    const strategyDetails: Record<PullStrategy, string> = {
+        'merge': diverged ? '创建合并提交，保留本地与远程的提交历史' : '本地没有新提交，将直接快进',
+        'rebase': diverged ? `将本地 ${localCount} 个提交变基到 ${remoteRef} 之上，保持线性历史` : '本地没有新提交，将直接快进',
+        'ff-only': diverged ? '⚠ 本地与远程已分叉，无法快进' : '只在可以快进时拉取，不会创建合并提交'
+    };
+
+    const strategies = (['merge', 'rebase', 'ff-only'] as PullStrategy[])
+        .sort((a, b) => Number(b === defaultStrategy) - Number(a === defaultStrategy));
+
+    type PullPickItem = vscode.QuickPickItem & { strategy?: PullStrategy; commit?: DefaultLogFields };
+    const items: PullPickItem[] = [
+        ...strategies.map(strategy => ({
+            label: `$(${strategy === 'rebase' ? 'git-pull-request' : strategy === 'merge' ? 'git-merge' : 'arrow-right'}) ${PULL_STRATEGY_LABELS[strategy]}`,
+            description: strategy === defaultStrategy ? '默认' : undefined,
+            detail: strategyDetails[strategy],
+            strategy
+        })),
+        { label: `传入的提交（${incomingCount}）`, kind: vscode.QuickPickItemKind.Separator },
+        ...incoming.all.map(commit => ({
+            label: `$(git-commit) ${commit.hash.substring(0, 7)} ${commit.message}`,
+            description: `${commit.author_name} · ${formatRelativeDate(commit.date)}`,
+            commit
+        }))
+    ];
+    if (incomingCount > incoming.all.length) {
+        items.push({ label: `$(ellipsis) 还有 ${incomingCount - incoming.all.length} 个提交`, description: '' });
+    }
+
+    const placeHolder = `${remoteRef} 有 ${incomingCount} 个新提交${diverged ? `，本地领先 ${localCount} 个提交` : ''}，选择拉取方式`;
+    for (;;) {
+        const selected = await vscode.window.showQuickPick(items, { placeHolder });
+        if (!selected) {
+            return undefined;
+        }
+        if (selected.strategy) {
+            return selected.strategy;
+        }
+        if (selected.commit) {
+            await vscode.commands.executeCommand('git-assistant.showCommitDetails', selected.commit);
+        }
+    }
+}
+
+/**
+ * 列出拉取变更的文件，选择后在差异视图中对比拉取前后的版本
+ */
+async function showPulledFiles(gitService: GitService, headBefore: string, files: CommitFileChange[]) {
+    const workspaceRoot = gitService.getWorkspaceRoot();
+    if (!workspaceRoot) {
+        return;
+    }
+
+    const selected = await vscode.window.showQuickPick(
+        files.map(file => ({
+            label: file.path,
+            description: [
+                file.type || file.status,
+                file.additions !== undefined ? `+${file.additions}` : '',
+                file.deletions !== undefined ? `-${file.deletions}` : ''
+            ].filter(Boolean).join(' '),
+            file
+        })),
+        { placeHolder: `拉取变更了 ${files.length} 个文件，选择文件查看差异` }
+    );
+    if (!selected) {
+        return;
+    }
+
+    const file = selected.file;
+    const type = file.type || file.status.charAt(0);
+    const emptyUri = vscode.Uri.parse(`untitled:${path.join(workspaceRoot, file.path)}`);
+    const leftUri = type === 'A'
+        ? emptyUri
+        : toGitUri(vscode.Uri.file(path.join(workspaceRoot, file.oldPath || file.path)), headBefore);
+    const rightUri = type === 'D'
+        ? emptyUri
+        : toGitUri(vscode.Uri.file(path.join(workspaceRoot, file.path)), 'HEAD');
+    await vscode.commands.executeCommand(
+        'vscode.diff',
+        leftUri,
+        rightUri,
+        `${path.basename(file.path)} (${headBefore.substring(0, 7)} ↔ HEAD)`
+    );
+}
+
+/**
+ * 预演推送并显示将要更新的引用，确认后执行推送
+ */
+async function previewPush(gitService: GitService, remote: string, localBranch: string, options: PushOptions) {
+    const updates = await vscode.window.withProgress(
+        {
+            location: vscode.ProgressLocation.Notification,
+            title: `正在预演推送到 ${remote}...`,
+            cancellable: false
+        },
+        () => gitService.dryRunPush(remote, localBranch, options)
+    );
+    const command = `git ${buildPushArgs(remote, localBranch, { ...options, dryRun: true }).join(' ')}`;
+    CommandHistory.addCommand(command, '预演推送', true, undefined, remote);
+
+    if (updates.length === 0) {
+        vscode.window.showInformationMessage('预演完成：没有需要更新的远程引用');
+        return;
+    }
+
+    const rejected = updates.some(update => update.flag === '!');
+    const unchanged = updates.every(update => update.flag === '=');
+    const detail = updates.map(update => describePushRefUpdate(update)).join('\n');
+    const actions = rejected || unchanged ? [] : ['执行推送'];
+    const choice = await vscode.window.showInformationMessage(
+        rejected ? `预演推送到 ${remote}：推送将被拒绝` : `预演推送到 ${remote}`,
+        { modal: true, detail },
+        ...actions
+    );
+    if (choice === '执行推送') {
+        await vscode.commands.executeCommand('git-assistant.quickPush', { ...options, remote, dryRun: false });
+    }
+}
+
+/**
+ * 推送因非快进被拒绝时，提供拉取合并、变基或安全强制推送
+ */
+async function handlePushRejected(gitService: GitService, remote: string, request?: PushRequest) {
+    const choice = await vscode.window.showWarningMessage(
+        '推送被拒绝：远程分支包含本地没有的提交。请选择处理方式：',
+        '拉取并合并',
+        '拉取并变基',
+        '安全强制推送'
+    );
+
+    if (choice === '拉取并合并' || choice === '拉取并变基') {
+        const strategy: PullStrategy = choice === '拉取并变基' ? 'rebase' : 'merge';
+        // 传入仓库根目录，多仓库时拉取刚才推送的仓库而不是重新选择
+        await vscode.commands.executeCommand('git-assistant.quickPull', strategy, gitService.getWorkspaceRoot());
+    } else if (choice === '安全强制推送') {
+        // 以当前远程跟踪分支作为期望值：远程在上次获取后又有更新时仍会被拒绝
+        await vscode.commands.executeCommand('git-assistant.quickPush', {
+            ...request,
+            remote,
+            forceWithLease: true,
+            expectedRef: undefined
+        } as PushRequest);
+    }
+}
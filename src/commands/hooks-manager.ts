@@ -0,0 +1,285 @@
+import * as vscode from 'vscode';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { GitService } from '../services/git-service';
+import { RepositoryManager } from '../services/repository-manager';
+import { HooksProvider, HookTreeItem } from '../providers/hooks-provider';
+import { HookInfo } from '../types/git';
+import { CommandHistory } from '../utils/command-history';
+import { getDefaultRemote, pickRepository } from '../utils/git-helpers';
+import { getCommitLintConfig } from '../utils/commit-lint';
+import { buildHookScript, DISABLED_HOOK_SUFFIX, HOOK_TEMPLATES, HookTemplate, HookTemplateOptions } from '../utils/git-hooks';
+import { DEFAULT_PROTECTED_BRANCHES } from '../utils/protected-branches';
+import { HookOutput } from '../utils/hook-output';
+
+interface HookQuickPickItem extends vscode.QuickPickItem {
+    hook: HookInfo;
+}
+
+interface HookTemplateQuickPickItem extends vscode.QuickPickItem {
+    template: HookTemplate;
+}
+
+// 这些钩子的第一个参数是提交信息文件
+const MESSAGE_FILE_HOOKS = ['commit-msg', 'prepare-commit-msg', 'applypatch-msg'];
+const ZERO_OID = '0000000000000000000000000000000000000000';
+
+/**
+ * 从树项参数中取出钩子，未指定时从当前生效的钩子中选择
+ */
+async function resolveHook(
+    gitService: GitService,
+    item: HookTreeItem | undefined,
+    placeHolder: string,
+    filter: (hook: HookInfo) => boolean = () => true
+): Promise<HookInfo | undefined> {
+    if (item?.hook) {
+        return item.hook;
+    }
+    const hooks = (await gitService.getActiveHooks()).filter(filter);
+    if (hooks.length === 0) {
+        vscode.window.showInformationMessage('没有可选择的钩子');
+        return undefined;
+    }
+    const picked = await vscode.window.showQuickPick<HookQuickPickItem>(
+        hooks.map(hook => ({
+            label: hook.name,
+            description: hook.enabled ? '已启用' : '已禁用',
+            detail: hook.path,
+            hook
+        })),
+        { placeHolder }
+    );
+    return picked?.hook;
+}
+
+/**
+ * 准备手动运行钩子时需要的参数与标准输入，用户取消时返回 undefined
+ */
+async function prepareHookRun(gitService: GitService, hook: HookInfo): Promise<{ args: string[]; input: string; cleanup?: () => Promise<void> } | undefined> {
+    if (MESSAGE_FILE_HOOKS.includes(hook.name)) {
+        const head = await gitService.getHeadCommitMessage();
+        const message = await vscode.window.showInputBox({
+            prompt: `输入用于测试 ${hook.name} 钩子的提交信息`,
+            value: head?.message.split('\n')[0] || ''
+        });
+        if (message === undefined) {
+            return undefined;
+        }
+        const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'git-assistant-hook-'));
+        const messageFile = path.join(tempDir, 'COMMIT_EDITMSG');
+        await fs.promises.writeFile(messageFile, `${message}\n`, 'utf8');
+        return {
+            args: [messageFile],
+            input: '',
+            cleanup: () => fs.promises.rm(tempDir, { recursive: true, force: true })
+        };
+    }
+
+    if (hook.name === 'pre-push') {
+        // 模拟推送当前分支到默认远程：<本地引用> <本地提交> <远程引用> <远程提交>
+        const remote = await getDefaultRemote(gitService);
+        const remotes = await gitService.getRemotes();
+        const url = remotes.find(item => item.name === remote)?.refs?.push || remote;
+        const branch = await gitService.getCurrentBranch();
+        const localOid = await gitService.resolveRef('HEAD');
+        if (!branch || !localOid) {
+            return { args: [remote, url], input: '' };
+        }
+        const remoteOid = await gitService.resolveRef(`refs/remotes/${remote}/${branch}`) || ZERO_OID;
+        return {
+            args: [remote, url],
+            input: `refs/heads/${branch} ${localOid} refs/heads/${branch} ${remoteOid}\n`
+        };
+    }
+
+    return { args: [], input: '' };
+}
+
+/**
+ * 注册 Git 钩子管理命令
+ */
+export function registerHooksManager(context: vscode.ExtensionContext, repositoryManager: RepositoryManager, hooksProvider: HooksProvider) {
+    // 编辑钩子（已禁用的钩子打开 .disabled 或 .sample 文件）
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.openHook', async (item?: HookTreeItem) => {
+            const gitService = await pickRepository(repositoryManager, '编辑钩子');
+            if (!gitService) {
+                return;
+            }
+
+            try {
+                const hook = await resolveHook(gitService, item, '选择要编辑的钩子');
+                if (hook) {
+                    await vscode.window.showTextDocument(vscode.Uri.file(hook.path), { preview: true });
+                }
+            } catch (error) {
+                const errorMessage = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`打开钩子失败: ${errorMessage}`);
+            }
+        })
+    );
+
+    // 启用 / 禁用钩子
+    const registerToggle = (command: string, enabled: boolean) => {
+        const action = enabled ? '启用钩子' : '禁用钩子';
+        context.subscriptions.push(
+            vscode.commands.registerCommand(command, async (item?: HookTreeItem) => {
+                const gitService = await pickRepository(repositoryManager, action);
+                if (!gitService) {
+                    return;
+                }
+
+                let commandText = enabled ? 'mv <hook>.disabled <hook>' : 'mv <hook> <hook>.disabled';
+                try {
+                    const hook = await resolveHook(gitService, item, `选择要${enabled ? '启用' : '禁用'}的钩子`, candidate => candidate.enabled !== enabled);
+                    if (!hook) {
+                        return;
+                    }
+                    if (hook.enabled === enabled) {
+                        vscode.window.showInformationMessage(`${hook.name} 钩子已${enabled ? '启用' : '禁用'}`);
+                        return;
+                    }
+                    commandText = enabled
+                        ? `mv ${path.basename(hook.path)} ${hook.name}`
+                        : `mv ${hook.name} ${hook.name}${DISABLED_HOOK_SUFFIX}`;
+                    await gitService.setHookEnabled(hook, enabled);
+                    vscode.window.showInformationMessage(`✅ 已${enabled ? '启用' : '禁用'} ${hook.name} 钩子`);
+                    CommandHistory.addCommand(commandText, action, true);
+                    hooksProvider.refresh();
+                } catch (error) {
+                    const errorMessage = error instanceof Error ? error.message : String(error);
+                    vscode.window.showErrorMessage(`${action}失败: ${errorMessage}`);
+                    CommandHistory.addCommand(commandText, action, false, errorMessage);
+                }
+            })
+        );
+    };
+    registerToggle('git-assistant.enableHook', true);
+    registerToggle('git-assistant.disableHook', false);
+
+    // 从内置模板安装钩子
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.installHookTemplate', async () => {
+            const gitService = await pickRepository(repositoryManager, '安装钩子');
+            if (!gitService) {
+                return;
+            }
+
+            const picked = await vscode.window.showQuickPick<HookTemplateQuickPickItem>(
+                HOOK_TEMPLATES.map(template => ({
+                    label: template.name,
+                    description: template.hook,
+                    detail: template.description,
+                    template
+                })),
+                { placeHolder: '选择要安装的钩子模板' }
+            );
+            if (!picked) {
+                return;
+            }
+
+            const { template } = picked;
+            let commandText = `install ${template.hook}`;
+            try {
+                const options: HookTemplateOptions = {};
+                if (template.id === 'commit-message') {
+                    options.types = getCommitLintConfig().types;
+                } else if (template.id === 'protect-branches') {
+                    // 与扩展使用同一份受保护分支规则（支持通配符）
+                    options.protectedBranches = vscode.workspace.getConfiguration('git-assistant')
+                        .get<string[]>('protectedBranches', DEFAULT_PROTECTED_BRANCHES);
+                }
+
+                const { defaultDir, hooksPath } = await gitService.getHookDirectories();
+                const dir = hooksPath || defaultDir;
+                const existing = (await gitService.getHooks(dir)).find(hook => hook.name === template.hook && hook.enabled);
+                if (existing) {
+                    const confirm = await vscode.window.showWarningMessage(
+                        `${template.hook} 钩子已存在，确定用模板覆盖？`,
+                        { modal: true },
+                        '覆盖'
+                    );
+                    if (confirm !== '覆盖') {
+                        return;
+                    }
+                }
+
+                const hookPath = await gitService.installHook(dir, template.hook, buildHookScript(template.id, options));
+                commandText = `install ${template.hook} → ${hookPath}`;
+                vscode.window.showInformationMessage(`✅ 已安装 ${template.hook} 钩子：${template.name}`);
+                CommandHistory.addCommand(commandText, '安装钩子', true);
+                hooksProvider.refresh();
+                await vscode.window.showTextDocument(vscode.Uri.file(hookPath), { preview: true });
+            } catch (error) {
+                const errorMessage = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`安装钩子失败: ${errorMessage}`);
+                CommandHistory.addCommand(commandText, '安装钩子', false, errorMessage);
+            }
+        })
+    );
+
+    // 手动运行钩子，输出写入钩子输出面板
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.runHook', async (item?: HookTreeItem) => {
+            const gitService = await pickRepository(repositoryManager, '运行钩子');
+            if (!gitService) {
+                return;
+            }
+
+            let commandText = 'run hook';
+            try {
+                const hook = await resolveHook(gitService, item, '选择要运行的钩子', candidate => candidate.enabled);
+                if (!hook) {
+                    return;
+                }
+                if (!hook.enabled) {
+                    vscode.window.showWarningMessage(`${hook.name} 钩子已禁用，请先启用`);
+                    return;
+                }
+                const prepared = await prepareHookRun(gitService, hook);
+                if (!prepared) {
+                    return;
+                }
+
+                commandText = `${hook.path} ${prepared.args.join(' ')}`.trim();
+                let result;
+                try {
+                    result = await vscode.window.withProgress(
+                        {
+                            location: vscode.ProgressLocation.Notification,
+                            title: `正在运行 ${hook.name} 钩子...`,
+                            cancellable: true
+                        },
+                        (_progress, token) => gitService.runHook(hook, prepared.args, prepared.input, token)
+                    );
+                } finally {
+                    await prepared.cleanup?.();
+                }
+
+                HookOutput.append(`${hook.name} 退出码 ${result.exitCode}`, result.output, result.exitCode !== 0);
+                if (result.exitCode === 0) {
+                    const choice = await vscode.window.showInformationMessage(`✅ ${hook.name} 钩子运行通过`, '查看输出');
+                    if (choice === '查看输出') {
+                        HookOutput.show();
+                    }
+                    CommandHistory.addCommand(commandText, '运行钩子', true);
+                } else {
+                    vscode.window.showErrorMessage(`${hook.name} 钩子未通过（退出码 ${result.exitCode}），完整输出见“Git Assistant 钩子”输出面板`);
+                    CommandHistory.addCommand(commandText, '运行钩子', false, `退出码 ${result.exitCode}`);
+                }
+            } catch (error) {
+                const errorMessage = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`运行钩子失败: ${errorMessage}`);
+                CommandHistory.addCommand(commandText, '运行钩子', false, errorMessage);
+            }
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.refreshHooks', () => {
+            hooksProvider.refresh();
+        })
+    );
+}
@@ -1,44 +1,91 @@
 import * as vscode from 'vscode';
-import { GitService } from '../services/git-service';
+import { RepositoryManager } from '../services/repository-manager';
 import { BranchProvider } from '../providers/branch-provider';
 import { HistoryProvider } from '../providers/history-provider';
 import { ConflictProvider } from '../providers/conflict-provider';
+import { StashProvider } from '../providers/stash-provider';
+import { ChangesProvider } from '../providers/changes-provider';
+import { LfsProvider } from '../providers/lfs-provider';
+import { HooksProvider } from '../providers/hooks-provider';
 import { registerGitOperations } from './git-operations';
 import { registerBranchManager } from './branch-manager';
+import { registerBranchCleanup } from './branch-cleanup';
+import { registerWorkflow } from './workflow';
 import { registerConflictResolver } from './conflict-resolver';
 import { registerRepositoryInit } from './repository-init';
 import { registerTagManager } from './tag-manager';
+import { registerStashManager } from './stash-manager';
+import { registerRebaseManager } from './rebase-manager';
+import { registerOperationManager } from './operation-manager';
+import { registerPartialStaging, pickAndApplyHunks } from './partial-staging';
+import { registerChangesManager } from './changes-manager';
+import { registerCommitComposer } from './commit-composer';
+import { getCommitLintHint, registerCommitLint, reviewCommitMessage } from './commit-lint';
+import { confirmNoSecrets, registerSecretScan } from './secret-scan';
+import { guardLargeFiles, registerLargeFiles } from './large-files';
+import { registerHooksManager } from './hooks-manager';
 import { DashboardPanel } from '../webview/dashboard-panel';
 import { CommandHistory } from '../utils/command-history';
+import { confirmProtectedBranchAction, getStagedCommitSuggestion, pickRepository } from '../utils/git-helpers';
 
 /**
  * 注册所有命令
  */
 export function registerCommands(
     context: vscode.ExtensionContext,
-    gitService: GitService,
+    repositoryManager: RepositoryManager,
     branchProvider: BranchProvider,
     historyProvider: HistoryProvider,
-    conflictProvider: ConflictProvider
+    conflictProvider: ConflictProvider,
+    stashProvider: StashProvider,
+    changesProvider: ChangesProvider,
+    lfsProvider: LfsProvider,
+    hooksProvider: HooksProvider
 ) {
     // 注册Git操作命令
-    registerGitOperations(context, gitService, branchProvider, historyProvider);
+    registerGitOperations(context, repositoryManager, branchProvider, historyProvider);
 
     // 注册分支管理命令
-    registerBranchManager(context, gitService, branchProvider);
+    registerBranchManager(context, repositoryManager, branchProvider);
+    registerBranchCleanup(context, repositoryManager, branchProvider);
+    registerWorkflow(context, repositoryManager, branchProvider);
 
     // 注册标签管理命令
-    registerTagManager(context, gitService);
+    registerTagManager(context, repositoryManager);
+
+    // 注册储藏管理命令
+    registerStashManager(context, repositoryManager, branchProvider, stashProvider);
+
+    // 注册交互式变基命令
+    registerRebaseManager(context, repositoryManager, branchProvider, historyProvider);
+
+    // 注册合并/变基/拣选/回滚的继续、跳过、中止命令
+    registerOperationManager(context, repositoryManager, branchProvider, historyProvider, conflictProvider);
 
     // 注册冲突解决命令
-    registerConflictResolver(context, gitService, conflictProvider);
+    registerConflictResolver(context, repositoryManager, conflictProvider);
 
     // 注册仓库初始化命令
-    registerRepositoryInit(context, gitService, branchProvider, historyProvider);
+    registerRepositoryInit(context, repositoryManager, branchProvider, historyProvider);
+
+    // 注册按块/行暂存命令
+    registerPartialStaging(context, repositoryManager, branchProvider, historyProvider);
+
+    // 注册更改视图命令
+    registerChangesManager(context, repositoryManager, changesProvider);
+
+    // 注册提交编辑器命令
+    registerCommitComposer(context, repositoryManager, branchProvider, historyProvider, changesProvider);
+    registerCommitLint(context, repositoryManager, branchProvider, historyProvider, changesProvider);
+    registerSecretScan(context, repositoryManager);
+    registerLargeFiles(context, repositoryManager, lfsProvider);
+
+    // 注册 Git 钩子管理命令
+    registerHooksManager(context, repositoryManager, hooksProvider);
 
     // QuickPick 选项类型定义
     type CommitQuickPickItem = vscode.QuickPickItem & {
-        commitType: 'staged' | 'all' | 'stagedOnly';
+        commitType: 'staged' | 'all' | 'stagedOnly' | 'composer' | 'guided';
     };
 
     type BranchQuickPickItem = vscode.QuickPickItem & {
@@ -96,7 +143,9 @@ export function registerCommands(
                     const commitItems: CommitQuickPickItem[] = [
                         { label: '提交', description: '提交已暂存的更改', commitType: 'staged' },
                         { label: '提交已暂存文件', description: '只提交暂存区中的更改', commitType: 'stagedOnly' },
-                        { label: '全部提交', description: '将所有更改添加到暂存区并提交', commitType: 'all' }
+                        { label: '全部提交', description: '将所有更改添加到暂存区并提交', commitType: 'all' },
+                        { label: '提交编辑器', description: '编辑标题与正文，支持修改上次提交、签名和共同作者', commitType: 'composer' },
+                        { label: '引导式提交', description: '按约定式提交规范依次选择类型、作用域并填写描述', commitType: 'guided' }
                     ];
 
                     const pickedCommit = await vscode.window.showQuickPick<CommitQuickPickItem>(commitItems, {
@@ -117,6 +166,12 @@ export function registerCommands(
                             await vscode.commands.executeCommand('git-assistant.addFiles');
                             await vscode.commands.executeCommand('git-assistant.commitChanges');
                             break;
+                        case 'composer':
+                            await vscode.commands.executeCommand('git-assistant.openCommitComposer');
+                            break;
+                        case 'guided':
+                            await vscode.commands.executeCommand('git-assistant.guidedCommit');
+                            break;
                         default:
                             break;
                     }
@@ -334,6 +389,11 @@ export function registerCommands(
     // 添加文件到暂存区
     context.subscriptions.push(
         vscode.commands.registerCommand('git-assistant.addFiles', async () => {
+            const gitService = await pickRepository(repositoryManager, '添加文件');
+            if (!gitService) {
+                return;
+            }
+
             try {
                 // 检查是否是Git仓库
                 const isRepo = await gitService.isRepository();
@@ -359,7 +419,8 @@ export function registerCommands(
                 const choice = await vscode.window.showQuickPick(
                     [
                         { label: '添加所有文件', description: 'git add .', value: 'all' },
-                        { label: '选择文件', description: '从列表中选择文件', value: 'select' }
+                        { label: '选择文件', description: '从列表中选择文件', value: 'select' },
+                        { label: '选择代码块', description: '按块/行暂存文件中的部分更改', value: 'hunks' }
                     ],
                     {
                         placeHolder: '选择添加方式'
@@ -371,6 +432,18 @@ export function registerCommands(
                 }
 
                 if (choice.value === 'all') {
+                    // 添加前检查大文件与二进制文件，有文件被跳过时只添加剩余文件
+                    const addable = await gitService.getAddablePaths();
+                    const filesToAdd = await guardLargeFiles(gitService, 'add', addable);
+                    if (!filesToAdd) {
+                        return;
+                    }
+                    const partial = filesToAdd.length < addable.length;
+                    if (partial && filesToAdd.length === 0) {
+                        vscode.window.showInformationMessage('没有需要添加的文件');
+                        return;
+                    }
+
                     // 添加所有文件
                     await vscode.window.withProgress(
                         {
@@ -380,12 +453,35 @@ export function registerCommands(
                         },
                         async (progress) => {
                             progress.report({ increment: 50 });
-                            await gitService.addAll();
+                            if (partial) {
+                                await gitService.add(filesToAdd);
+                            } else {
+                                await gitService.addAll();
+                            }
                             progress.report({ increment: 50 });
                         }
                     );
-                    vscode.window.showInformationMessage('✅ 所有文件已添加到暂存区');
-                    CommandHistory.addCommand('git add .', '添加所有文件到暂存区', true);
+                    if (partial) {
+                        vscode.window.showInformationMessage(`✅ ${filesToAdd.length} 个文件已添加到暂存区（已跳过 ${addable.length - filesToAdd.length} 个大文件）`);
+                        CommandHistory.addCommand(`git add ${filesToAdd.join(' ')}`, `添加 ${filesToAdd.length} 个文件到暂存区`, true);
+                    } else {
+                        vscode.window.showInformationMessage('✅ 所有文件已添加到暂存区');
+                        CommandHistory.addCommand('git add .', '添加所有文件到暂存区', true);
+                    }
+                } else if (choice.value === 'hunks') {
+                    // 未跟踪文件没有可按块选择的差异，需要整体添加
+                    const trackedFiles = status.files
+                        .filter(file => file.working_dir !== ' ' && file.working_dir !== '?')
+                        .map(file => file.path);
+
+                    if (trackedFiles.length === 0) {
+                        vscode.window.showInformationMessage('没有可按块暂存的已跟踪文件');
+                        return;
+                    }
+
+                    if (!(await pickAndApplyHunks(gitService, trackedFiles, 'stage'))) {
+                        return;
+                    }
                 } else {
                     // 选择文件
                     const filesToAdd = [
@@ -411,6 +507,15 @@ export function registerCommands(
                         return;
                     }
 
+                    const guardedFiles = await guardLargeFiles(gitService, 'add', selectedFiles.map(f => f.value));
+                    if (!guardedFiles) {
+                        return;
+                    }
+                    if (guardedFiles.length === 0) {
+                        vscode.window.showInformationMessage('没有需要添加的文件');
+                        return;
+                    }
+
                     await vscode.window.withProgress(
                         {
                             location: vscode.ProgressLocation.Notification,
@@ -419,15 +524,15 @@ export function registerCommands(
                         },
                         async (progress) => {
                             progress.report({ increment: 50 });
-                            await gitService.add(selectedFiles.map(f => f.value));
+                            await gitService.add(guardedFiles);
                             progress.report({ increment: 50 });
                         }
                     );
 
-                    const fileCount = selectedFiles.length;
+                    const fileCount = guardedFiles.length;
                     vscode.window.showInformationMessage(`✅ ${fileCount} 个文件已添加到暂存区`);
                     CommandHistory.addCommand(
-                        `git add ${selectedFiles.map(f => f.value).join(' ')}`,
+                        `git add ${guardedFiles.join(' ')}`,
                         `添加 ${fileCount} 个文件到暂存区`,
                         true
                     );
@@ -449,6 +554,11 @@ export function registerCommands(
     // 提交更改
     context.subscriptions.push(
         vscode.commands.registerCommand('git-assistant.commitChanges', async () => {
+            const gitService = await pickRepository(repositoryManager, '提交');
+            if (!gitService) {
+                return;
+            }
+
             try {
                 // 检查是否是Git仓库
                 const isRepo = await gitService.isRepository();
@@ -470,10 +580,25 @@ export function registerCommands(
                     return;
                 }
 
-                // 输入提交信息
-                const commitMessage = await vscode.window.showInputBox({
-                    prompt: '输入提交信息',
+                // 受保护分支上直接提交需要确认
+                if (!await confirmProtectedBranchAction('commit', status.current)) {
+                    return;
+                }
+
+                // 提交前检查大文件与二进制文件，并扫描暂存区中的疑似密钥
+                if (!await guardLargeFiles(gitService, 'staged') || !await confirmNoSecrets(gitService, 'staged')) {
+                    return;
+                }
+
+                // 输入提交信息（预填根据暂存差异生成的建议，并选中摘要部分方便直接改写）
+                const suggestion = await getStagedCommitSuggestion(gitService);
+                const inputMessage = await vscode.window.showInputBox({
+                    prompt: suggestion ? '输入提交信息（已根据暂存的更改生成建议）' : '输入提交信息',
                     placeHolder: '例如: feat: 添加新功能',
+                    value: suggestion?.header,
+                    valueSelection: suggestion
+                        ? [suggestion.header.length - suggestion.summary.length, suggestion.header.length]
+                        : undefined,
                     validateInput: (value) => {
                         if (!value || value.trim().length === 0) {
                             return '请输入提交信息';
@@ -481,10 +606,19 @@ export function registerCommands(
                         if (value.trim().length > 200) {
                             return '提交信息不能超过200个字符';
                         }
-                        return null;
+                        return getCommitLintHint(value);
                     }
                 });
 
+                if (!inputMessage) {
+                    return;
+                }
+
+                // 提交前按提交规范检查
+                const stagedPaths = (status.files || [])
+                    .filter(file => file.index !== ' ' && file.index !== '?')
+                    .map(file => file.path);
+                const commitMessage = await reviewCommitMessage(inputMessage, stagedPaths);
                 if (!commitMessage) {
                     return;
                 }
@@ -498,13 +632,13 @@ export function registerCommands(
                     },
                     async (progress) => {
                         progress.report({ increment: 50 });
-                        await gitService.commit(commitMessage.trim());
+                        await gitService.commit(commitMessage);
                         progress.report({ increment: 50 });
                     }
                 );
 
                 vscode.window.showInformationMessage('✅ 提交成功！');
-                CommandHistory.addCommand(`git commit -m "${commitMessage.trim()}"`, '提交更改', true);
+                CommandHistory.addCommand(`git commit -m "${commitMessage.split('\n')[0]}"`, '提交更改', true);
 
                 // 刷新视图
                 branchProvider.refresh();
@@ -525,6 +659,7 @@ export function registerCommands(
             branchProvider.refresh();
             historyProvider.refresh();
             conflictProvider.refresh();
+            stashProvider.refresh();
             vscode.window.showInformationMessage('已刷新 Git 数据');
         })
     );
@@ -532,14 +667,14 @@ export function registerCommands(
     // 打开控制面板
     context.subscriptions.push(
         vscode.commands.registerCommand('git-assistant.openDashboard', () => {
-            DashboardPanel.createOrShow(context.extensionUri, gitService);
+            DashboardPanel.createOrShow(context.extensionUri, repositoryManager);
         })
     );
 
     // 显示提交历史
     context.subscriptions.push(
         vscode.commands.registerCommand('git-assistant.showHistory', async () => {
-            DashboardPanel.createOrShow(context.extensionUri, gitService);
+            DashboardPanel.createOrShow(context.extensionUri, repositoryManager);
             // 自动切换到历史视图
         })
     );
@@ -0,0 +1,277 @@
+import * as vscode from 'vscode';
+import { GitService } from '../services/git-service';
+import { RepositoryManager } from '../services/repository-manager';
+import { LfsProvider } from '../providers/lfs-provider';
+import { CommandHistory } from '../utils/command-history';
+import { pickRepository } from '../utils/git-helpers';
+import { formatFileSize } from '../utils/git-utils';
+import { appendGitignoreEntry, findLargeFileIssues, LargeFileIssue, suggestLfsPattern, toGitignoreEntry } from '../utils/large-files';
+import { DashboardPanel } from '../webview/dashboard-panel';
+
+/**
+ * staged：提交暂存区；tracked：提交所有已跟踪更改（git commit -a）；add：添加文件到暂存区之前
+ */
+export type LargeFileGuardMode = 'staged' | 'tracked' | 'add';
+
+type LargeFileDecision = 'exclude' | 'gitignore' | 'lfs' | 'keep';
+
+interface LargeFileDecisionItem extends vscode.QuickPickItem {
+    decision: LargeFileDecision;
+}
+
+const MAX_ISSUES_IN_DETAIL = 10;
+
+const describeIssue = (issue: LargeFileIssue) => {
+    const reasons = issue.reasons.map(reason => reason === 'size' ? '超过大小限制' : '二进制文件');
+    return `${formatFileSize(issue.size)} · ${reasons.join('、')}`;
+};
+
+/**
+ * 追加到仓库根目录的 .gitignore
+ */
+async function addToGitignore(gitService: GitService, files: string[]): Promise<void> {
+    const root = gitService.getWorkspaceRoot();
+    if (!root || files.length === 0) {
+        return;
+    }
+    const uri = vscode.Uri.joinPath(vscode.Uri.file(root), '.gitignore');
+    let content = '';
+    try {
+        content = Buffer.from(await vscode.workspace.fs.readFile(uri)).toString('utf8');
+    } catch {
+        // .gitignore 不存在
+    }
+    for (const file of files) {
+        content = appendGitignoreEntry(content, toGitignoreEntry(file)) ?? content;
+    }
+    await vscode.workspace.fs.writeFile(uri, Buffer.from(content, 'utf8'));
+}
+
+/**
+ * 提交或添加文件前检查超过大小限制的文件以及未使用 LFS 的二进制文件，
+ * 由用户逐项选择移出（不添加）、加入 .gitignore、使用 LFS 跟踪或保留
+ *
+ * @param files - add 模式下即将添加的文件；其它模式从暂存区或已跟踪的更改中读取
+ * @returns 处理后仍需提交或添加的文件；用户取消时返回 undefined
+ */
+export async function guardLargeFiles(gitService: GitService, mode: LargeFileGuardMode, files: string[] = []): Promise<string[] | undefined> {
+    const config = vscode.workspace.getConfiguration('git-assistant');
+    const candidates = mode === 'add' ? files : await gitService.getPendingCommitPaths(mode);
+    if (!config.get<boolean>('largeFileGuard', true) || candidates.length === 0) {
+        return candidates;
+    }
+
+    // 提交暂存区时检查暂存的版本，工作区中的文件可能已经再次修改
+    const infos = await gitService.getFileInfos(candidates, mode === 'staged' ? 'index' : 'worktree');
+    const issues = findLargeFileIssues(infos, await gitService.getLfsTrackedPaths(infos.map(info => info.path)), {
+        maxSizeBytes: Math.max(config.get<number>('largeFileThresholdMB', 10), 0) * 1024 * 1024,
+        checkBinary: config.get<boolean>('largeFileWarnBinary', true)
+    });
+    if (issues.length === 0) {
+        return candidates;
+    }
+
+    const proceedAction = mode === 'add' ? '仍然添加' : '仍然提交';
+    const reviewAction = '逐项处理';
+    const detail = issues
+        .slice(0, MAX_ISSUES_IN_DETAIL)
+        .map(issue => `${issue.path}  ${describeIssue(issue)}`)
+        .join('\n') + (issues.length > MAX_ISSUES_IN_DETAIL ? `\n... 共 ${issues.length} 个文件` : '');
+    const choice = await vscode.window.showWarningMessage(
+        `${mode === 'add' ? '即将添加' : '即将提交'} ${issues.length} 个大文件或二进制文件`,
+        { modal: true, detail },
+        reviewAction,
+        proceedAction
+    );
+    if (choice === proceedAction) {
+        return candidates;
+    }
+    if (choice !== reviewAction) {
+        return undefined;
+    }
+
+    const lfsInstalled = await gitService.isLfsInstalled();
+    const decisionItems = (issue: LargeFileIssue): LargeFileDecisionItem[] => {
+        const items: LargeFileDecisionItem[] = [];
+        // git commit -a 总会包含已跟踪文件的修改，无法只移出暂存区
+        if (mode !== 'tracked') {
+            items.push(mode === 'add'
+                ? { label: '$(circle-slash) 不添加', description: '本次跳过此文件', decision: 'exclude' }
+                : { label: '$(remove) 移出暂存区', description: 'git reset HEAD', decision: 'exclude' });
+        }
+        items.push({ label: '$(eye-closed) 加入 .gitignore', description: '忽略此文件并停止跟踪 (git rm --cached)', decision: 'gitignore' });
+        if (lfsInstalled) {
+            items.push({ label: '$(database) 使用 Git LFS 跟踪', description: `git lfs track "${suggestLfsPattern(issue.path)}"`, decision: 'lfs' });
+        }
+        items.push({ label: `$(check) ${proceedAction}`, decision: 'keep' });
+        return items;
+    };
+
+    const excluded: string[] = [];
+    const ignored: string[] = [];
+    const lfsPatterns = new Map<string, string[]>();
+    for (const [index, issue] of issues.entries()) {
+        // 已按相同规则使用 LFS 跟踪的文件不再询问
+        const samePattern = lfsPatterns.get(suggestLfsPattern(issue.path));
+        if (samePattern) {
+            samePattern.push(issue.path);
+            continue;
+        }
+
+        const picked = await vscode.window.showQuickPick(decisionItems(issue), {
+            title: `大文件或二进制文件 (${index + 1}/${issues.length})：${issue.path}`,
+            placeHolder: describeIssue(issue),
+            ignoreFocusOut: true
+        });
+        if (!picked) {
+            return undefined;
+        }
+        if (picked.decision === 'exclude') {
+            excluded.push(issue.path);
+        } else if (picked.decision === 'gitignore') {
+            ignored.push(issue.path);
+        } else if (picked.decision === 'lfs') {
+            const pattern = await vscode.window.showInputBox({
+                prompt: '输入 Git LFS 跟踪规则（写入 .gitattributes）',
+                value: suggestLfsPattern(issue.path),
+                validateInput: value => value.trim() ? null : '请输入跟踪规则'
+            });
+            if (!pattern) {
+                return undefined;
+            }
+            lfsPatterns.set(pattern.trim(), [...(lfsPatterns.get(pattern.trim()) || []), issue.path]);
+        }
+    }
+
+    // add 模式下文件尚未添加，排除即可；提交模式下需要修改暂存区
+    if (excluded.length > 0 && mode !== 'add') {
+        try {
+            await gitService.unstage(excluded);
+        } catch {
+            // 仓库还没有提交时无法 reset HEAD
+            await gitService.removeFromIndex(excluded);
+        }
+        CommandHistory.addCommand(`git reset HEAD -- ${excluded.join(' ')}`, '移出大文件', true);
+    }
+    if (ignored.length > 0) {
+        // .gitignore 已有其它未暂存的修改时不自动暂存，避免把无关修改一起提交
+        const gitignorePending = (await gitService.getStatus(true)).files
+            .some(file => file.path === '.gitignore' && file.working_dir !== ' ');
+        await addToGitignore(gitService, ignored);
+        await gitService.removeFromIndex(ignored);
+        if (gitignorePending) {
+            vscode.window.showInformationMessage('已将忽略规则写入 .gitignore。该文件还有其它未暂存的修改，因此没有自动暂存，请检查后手动暂存');
+        } else {
+            await gitService.add('.gitignore');
+        }
+        CommandHistory.addCommand(`git rm --cached -- ${ignored.join(' ')}`, '忽略大文件', true);
+    }
+    for (const [pattern, patternFiles] of lfsPatterns) {
+        await gitService.lfsTrack(pattern, mode === 'add' ? [] : patternFiles);
+        CommandHistory.addCommand(`git lfs track "${pattern}"`, '使用 Git LFS 跟踪', true);
+    }
+
+    const skipped = new Set([...excluded, ...ignored]);
+    const remaining = candidates.filter(file => !skipped.has(file));
+    if (mode === 'staged' && skipped.size > 0 && (await gitService.getStagedChanges()).length === 0) {
+        vscode.window.showWarningMessage('暂存区中已没有可提交的更改，已取消提交');
+        return undefined;
+    }
+    return remaining;
+}
+
+/**
+ * 注册 Git LFS 相关命令
+ */
+export function registerLargeFiles(context: vscode.ExtensionContext, repositoryManager: RepositoryManager, lfsProvider: LfsProvider) {
+    // 添加 LFS 跟踪规则
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.lfsTrackPattern', async () => {
+            const gitService = await pickRepository(repositoryManager, '添加 LFS 跟踪规则');
+            if (!gitService) {
+                return;
+            }
+
+            const pattern = await vscode.window.showInputBox({
+                prompt: '输入 Git LFS 跟踪规则（写入 .gitattributes）',
+                placeHolder: '例如: *.psd 或 assets/videos/**',
+                validateInput: value => value.trim() ? null : '请输入跟踪规则'
+            });
+            if (!pattern) {
+                return;
+            }
+
+            const commandText = `git lfs track "${pattern.trim()}"`;
+            try {
+                if (!await gitService.isLfsInstalled()) {
+                    vscode.window.showWarningMessage('未检测到 git-lfs，请先安装 Git LFS');
+                    return;
+                }
+                await gitService.lfsTrack(pattern.trim());
+                vscode.window.showInformationMessage(`✅ 已使用 Git LFS 跟踪 ${pattern.trim()}，.gitattributes 已暂存`);
+                CommandHistory.addCommand(commandText, '添加 LFS 跟踪规则', true);
+                lfsProvider.refresh();
+                DashboardPanel.refresh();
+            } catch (error) {
+                const errorMessage = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`添加 LFS 跟踪规则失败: ${errorMessage}`);
+                CommandHistory.addCommand(commandText, '添加 LFS 跟踪规则', false, errorMessage);
+            }
+        })
+    );
+
+    // 取消 LFS 跟踪规则（视图右键或命令面板）
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.lfsUntrackPattern', async (item?: { pattern?: string }) => {
+            const gitService = await pickRepository(repositoryManager, '取消 LFS 跟踪规则');
+            if (!gitService) {
+                return;
+            }
+
+            let commandText = 'git lfs untrack';
+            try {
+                let pattern = item?.pattern;
+                if (!pattern) {
+                    const patterns = await gitService.getLfsTrackedPatterns();
+                    if (patterns.length === 0) {
+                        vscode.window.showInformationMessage('没有 LFS 跟踪规则');
+                        return;
+                    }
+                    const picked = await vscode.window.showQuickPick(
+                        patterns.map(entry => ({ label: entry.pattern, description: entry.source })),
+                        { placeHolder: '选择要取消的 LFS 跟踪规则' }
+                    );
+                    pattern = picked?.label;
+                }
+                if (!pattern) {
+                    return;
+                }
+
+                commandText = `git lfs untrack "${pattern}"`;
+                const confirm = await vscode.window.showWarningMessage(
+                    `确定取消 LFS 跟踪规则 "${pattern}"？已提交的 LFS 文件不受影响。`,
+                    { modal: true },
+                    '取消跟踪'
+                );
+                if (confirm !== '取消跟踪') {
+                    return;
+                }
+                await gitService.lfsUntrack(pattern);
+                vscode.window.showInformationMessage(`✅ 已取消 LFS 跟踪规则 ${pattern}`);
+                CommandHistory.addCommand(commandText, '取消 LFS 跟踪规则', true);
+                lfsProvider.refresh();
+                DashboardPanel.refresh();
+            } catch (error) {
+                const errorMessage = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`取消 LFS 跟踪规则失败: ${errorMessage}`);
+                CommandHistory.addCommand(commandText, '取消 LFS 跟踪规则', false, errorMessage);
+            }
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.refreshLfs', () => {
+            lfsProvider.refresh();
+        })
+    );
+}
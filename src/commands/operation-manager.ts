@@ -0,0 +1,190 @@
+import * as vscode from 'vscode';
+import { GitService } from '../services/git-service';
+import { RepositoryManager } from '../services/repository-manager';
+import { BranchProvider } from '../providers/branch-provider';
+import { HistoryProvider } from '../providers/history-provider';
+import { ConflictProvider } from '../providers/conflict-provider';
+import { OperationStateTreeItem } from '../providers/operation-state-item';
+import { CommandHistory } from '../utils/command-history';
+import { DashboardPanel } from '../webview/dashboard-panel';
+import { pickRepository, promptOperationStopped } from '../utils/git-helpers';
+import { describeOperation, OPERATION_LABELS } from '../utils/operation-state';
+
+/**
+ * 命令参数：从视图传入状态树项，从控制面板或提示消息传入仓库根目录
+ */
+type OperationTarget = OperationStateTreeItem | string | undefined;
+
+/**
+ * 注册进行中操作（合并/变基/拣选/回滚）的继续、跳过、中止命令
+ */
+export function registerOperationManager(
+    context: vscode.ExtensionContext,
+    repositoryManager: RepositoryManager,
+    branchProvider: BranchProvider,
+    historyProvider: HistoryProvider,
+    conflictProvider: ConflictProvider
+) {
+    const refreshViews = () => {
+        branchProvider.refresh();
+        historyProvider.refresh();
+        conflictProvider.refresh();
+        DashboardPanel.refresh();
+    };
+
+    const resolveService = async (target: OperationTarget, actionLabel: string): Promise<GitService | undefined> => {
+        const root = typeof target === 'string' ? target : target?.repositoryRoot;
+        if (root) {
+            return repositoryManager.getServiceForPath(root) || repositoryManager.getActive();
+        }
+        return pickRepository(repositoryManager, actionLabel);
+    };
+
+    // 继续当前操作
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.continueOperation', async (target?: OperationTarget) => {
+            const gitService = await resolveService(target, '继续操作');
+            if (!gitService) {
+                return;
+            }
+
+            const state = await gitService.getOperationState();
+            if (!state) {
+                vscode.window.showInformationMessage('当前没有正在进行的合并、变基、拣选或回滚');
+                return;
+            }
+
+            const label = OPERATION_LABELS[state.type];
+            const command = state.squash ? 'git commit' : `git ${state.type} --continue`;
+            try {
+                const conflicts = await gitService.getConflicts();
+                if (conflicts.length > 0) {
+                    const choice = await vscode.window.showWarningMessage(
+                        `还有 ${conflicts.length} 个冲突文件未解决，请先解决冲突并标记为已解决`,
+                        '解决冲突'
+                    );
+                    if (choice === '解决冲突') {
+                        await vscode.commands.executeCommand('git-assistant.resolveConflicts');
+                    }
+                    return;
+                }
+
+                try {
+                    await gitService.continueOperation(state.type);
+                } catch (error) {
+                    // 变基继续后可能在下一个提交再次暂停，此时不视为失败
+                    if ((await gitService.getOperationState())?.type !== state.type) {
+                        throw error;
+                    }
+                }
+
+                CommandHistory.addCommand(command, `继续${label}`, true);
+                if (await gitService.getOperationState()) {
+                    promptOperationStopped(gitService);
+                } else {
+                    vscode.window.showInformationMessage(`✅ ${label}完成`);
+                }
+            } catch (error) {
+                const errorMessage = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`继续${label}失败: ${errorMessage}`);
+                CommandHistory.addCommand(command, `继续${label}`, false, errorMessage);
+            } finally {
+                refreshViews();
+            }
+        })
+    );
+
+    // 跳过当前提交
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.skipOperation', async (target?: OperationTarget) => {
+            const gitService = await resolveService(target, '跳过提交');
+            if (!gitService) {
+                return;
+            }
+
+            const state = await gitService.getOperationState();
+            if (!state) {
+                vscode.window.showInformationMessage('当前没有正在进行的合并、变基、拣选或回滚');
+                return;
+            }
+
+            const label = OPERATION_LABELS[state.type];
+            if (!state.canSkip) {
+                vscode.window.showInformationMessage(`${label}操作不支持跳过，请继续或中止${label}`);
+                return;
+            }
+
+            const confirm = await vscode.window.showWarningMessage(
+                `跳过当前提交${state.incoming ? ` ${state.incoming}` : ''} 会丢弃该提交的更改，是否继续？`,
+                { modal: true },
+                '跳过'
+            );
+            if (confirm !== '跳过') {
+                return;
+            }
+
+            const command = `git ${state.type} --skip`;
+            try {
+                try {
+                    await gitService.skipOperation(state.type);
+                } catch (error) {
+                    if ((await gitService.getOperationState())?.type !== state.type) {
+                        throw error;
+                    }
+                }
+
+                CommandHistory.addCommand(command, `跳过提交（${label}）`, true);
+                if (await gitService.getOperationState()) {
+                    promptOperationStopped(gitService);
+                } else {
+                    vscode.window.showInformationMessage(`✅ ${label}完成`);
+                }
+            } catch (error) {
+                const errorMessage = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`跳过提交失败: ${errorMessage}`);
+                CommandHistory.addCommand(command, `跳过提交（${label}）`, false, errorMessage);
+            } finally {
+                refreshViews();
+            }
+        })
+    );
+
+    // 中止当前操作
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.abortOperation', async (target?: OperationTarget) => {
+            const gitService = await resolveService(target, '中止操作');
+            if (!gitService) {
+                return;
+            }
+
+            const state = await gitService.getOperationState();
+            if (!state) {
+                vscode.window.showInformationMessage('当前没有正在进行的合并、变基、拣选或回滚');
+                return;
+            }
+
+            const label = OPERATION_LABELS[state.type];
+            const confirm = await vscode.window.showWarningMessage(
+                `确定要中止${label}（${describeOperation(state)}）吗？仓库将恢复到${label}开始前的状态。`,
+                { modal: true },
+                `中止${label}`
+            );
+            if (confirm !== `中止${label}`) {
+                return;
+            }
+
+            const command = state.squash ? 'git reset --merge' : `git ${state.type} --abort`;
+            try {
+                await gitService.abortOperation(state.type);
+                vscode.window.showInformationMessage(`✅ 已中止${label}`);
+                CommandHistory.addCommand(command, `中止${label}`, true);
+            } catch (error) {
+                const errorMessage = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`中止${label}失败: ${errorMessage}`);
+                CommandHistory.addCommand(command, `中止${label}`, false, errorMessage);
+            } finally {
+                refreshViews();
+            }
+        })
+    );
+}
@@ -0,0 +1,208 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { GitService } from '../services/git-service';
+import { RepositoryManager } from '../services/repository-manager';
+import { BranchProvider } from '../providers/branch-provider';
+import { HistoryProvider } from '../providers/history-provider';
+import { PartialChangeAction } from '../types/git';
+import { DashboardPanel } from '../webview/dashboard-panel';
+import { applyPartialChange, pickRepository } from '../utils/git-helpers';
+import { countHunkChanges, PARTIAL_CHANGE_LABELS, selectLinesInRange } from '../utils/diff-patch';
+
+/**
+ * 选择文件中的差异块并执行暂存/取消暂存/放弃
+ *
+ * 供 addFiles、unstageFiles、discardChanges 命令的“选择代码块”方式使用；
+ * 需要按行选择时可转到控制面板的按块暂存编辑器。成功应用时返回 true。
+ */
+export async function pickAndApplyHunks(
+    gitService: GitService,
+    files: string[],
+    action: PartialChangeAction
+): Promise<boolean> {
+    const label = PARTIAL_CHANGE_LABELS[action];
+    const file = files.length === 1
+        ? files[0]
+        : await vscode.window.showQuickPick(files, { placeHolder: `选择要按块${label}的文件` });
+    if (!file) {
+        return false;
+    }
+
+    const diff = await gitService.getFileDiff(file, action === 'unstage');
+    if (!diff || diff.hunks.length === 0) {
+        vscode.window.showInformationMessage(diff?.binary ? '二进制文件不支持按块操作，请整体处理' : `${file} 没有可${label}的更改`);
+        return false;
+    }
+
+    type HunkPickItem = vscode.QuickPickItem & { hunk?: number };
+    const items: HunkPickItem[] = diff.hunks.map((hunk, index) => {
+        const { added, deleted } = countHunkChanges(hunk);
+        const preview = hunk.lines
+            .filter(line => line.type !== 'context')
+            .slice(0, 2)
+            .map(line => `${line.type === 'add' ? '+' : '-'} ${line.content.trim()}`)
+            .join('  ');
+        return {
+            label: `$(diff) 第 ${hunk.newStart} 行`,
+            description: `+${added} -${deleted}  ${hunk.header.replace(/^@@[^@]*@@\s*/, '')}`,
+            detail: preview,
+            hunk: index
+        };
+    });
+    items.push(
+        { label: '', kind: vscode.QuickPickItemKind.Separator },
+        { label: '$(list-selection) 在控制面板中按行选择...', alwaysShow: true }
+    );
+
+    const selected = await vscode.window.showQuickPick(items, {
+        placeHolder: `选择要${label}的代码块（${file}）`,
+        canPickMany: true
+    });
+    if (!selected || selected.length === 0) {
+        return false;
+    }
+
+    const hunks = selected.filter(item => item.hunk !== undefined).map(item => ({ hunk: item.hunk as number }));
+    if (hunks.length === 0 || selected.length > hunks.length) {
+        // 选择了按行选择：转到控制面板
+        await vscode.commands.executeCommand('git-assistant.openHunkStaging', file, action === 'unstage');
+        return false;
+    }
+
+    const applied = await applyPartialChange(gitService, file, action, hunks, diff);
+    if (applied) {
+        vscode.window.showInformationMessage(`✅ 已${label} ${file} 中的 ${hunks.length} 个代码块`);
+    }
+    return applied;
+}
+
+/**
+ * 注册按块/行暂存命令
+ */
+export function registerPartialStaging(
+    context: vscode.ExtensionContext,
+    repositoryManager: RepositoryManager,
+    branchProvider: BranchProvider,
+    historyProvider: HistoryProvider
+) {
+    const refreshViews = () => {
+        branchProvider.refresh();
+        historyProvider.refresh();
+        DashboardPanel.refresh();
+    };
+
+    // 在控制面板中按块/行暂存文件
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.openHunkStaging', async (target?: vscode.Uri | string, staged?: boolean) => {
+            const gitService = target instanceof vscode.Uri
+                ? repositoryManager.getServiceForPath(target.fsPath)
+                : target
+                    ? repositoryManager.getActive()
+                    : await pickRepository(repositoryManager, '按块暂存');
+            if (!gitService) {
+                return;
+            }
+
+            try {
+                const workspaceRoot = gitService.getWorkspaceRoot();
+                if (!workspaceRoot) {
+                    vscode.window.showErrorMessage('无法获取工作区根目录');
+                    return;
+                }
+                if (target instanceof vscode.Uri) {
+                    repositoryManager.setActive(workspaceRoot);
+                }
+
+                let file = target instanceof vscode.Uri
+                    ? path.relative(workspaceRoot, target.fsPath).replace(/\\/g, '/')
+                    : target;
+                let showStaged = staged === true;
+
+                if (!file) {
+                    const status = await gitService.getStatus(true);
+                    const items = [
+                        ...status.files
+                            .filter(entry => entry.working_dir !== ' ' && entry.working_dir !== '?')
+                            .map(entry => ({ label: entry.path, description: '未暂存', staged: false })),
+                        ...status.files
+                            .filter(entry => entry.index !== ' ' && entry.index !== '?')
+                            .map(entry => ({ label: entry.path, description: '已暂存', staged: true }))
+                    ];
+                    if (items.length === 0) {
+                        vscode.window.showInformationMessage('没有可按块暂存的更改（未跟踪文件需要整体暂存）');
+                        return;
+                    }
+                    const picked = await vscode.window.showQuickPick(items, { placeHolder: '选择要按块/行暂存的文件' });
+                    if (!picked) {
+                        return;
+                    }
+                    file = picked.label;
+                    showStaged = picked.staged;
+                }
+
+                DashboardPanel.createOrShow(context.extensionUri, repositoryManager);
+                await DashboardPanel.showHunkStaging(file, showStaged);
+            } catch (error) {
+                const errorMessage = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`打开按块暂存失败: ${errorMessage}`);
+            }
+        })
+    );
+
+    // 编辑器中按选区暂存/放弃更改
+    const applySelectedRanges = async (action: PartialChangeAction) => {
+        const editor = vscode.window.activeTextEditor;
+        if (!editor || editor.document.uri.scheme !== 'file') {
+            vscode.window.showWarningMessage('请在文件编辑器中选择要处理的行');
+            return;
+        }
+
+        const gitService = repositoryManager.getServiceForPath(editor.document.uri.fsPath);
+        const workspaceRoot = gitService?.getWorkspaceRoot();
+        if (!gitService || !workspaceRoot) {
+            vscode.window.showWarningMessage('当前文件不在 Git 仓库中');
+            return;
+        }
+
+        // 差异基于磁盘上的内容，先保存未保存的修改
+        if (editor.document.isDirty && !(await editor.document.save())) {
+            return;
+        }
+
+        const file = path.relative(workspaceRoot, editor.document.uri.fsPath).replace(/\\/g, '/');
+        const diff = await gitService.getFileDiff(file);
+        if (!diff || diff.hunks.length === 0) {
+            vscode.window.showInformationMessage(`${file} 没有可${PARTIAL_CHANGE_LABELS[action]}的更改`);
+            return;
+        }
+
+        // 合并多个选区选中的行；选区结束于行首时不包含该行
+        const merged = new Map<number, Set<number>>();
+        for (const selection of editor.selections) {
+            const endLine = selection.end.character === 0 && selection.end.line > selection.start.line
+                ? selection.end.line - 1
+                : selection.end.line;
+            for (const item of selectLinesInRange(diff, selection.start.line + 1, endLine + 1)) {
+                const lines = merged.get(item.hunk) || new Set<number>();
+                (item.lines || []).forEach(line => lines.add(line));
+                merged.set(item.hunk, lines);
+            }
+        }
+        const selections = Array.from(merged.entries()).map(([hunk, lines]) => ({ hunk, lines: Array.from(lines) }));
+        if (selections.length === 0) {
+            vscode.window.showInformationMessage('选中的行中没有更改');
+            return;
+        }
+
+        if (await applyPartialChange(gitService, file, action, selections, diff)) {
+            const lineCount = selections.reduce((sum, item) => sum + item.lines.length, 0);
+            vscode.window.setStatusBarMessage(`✅ 已${PARTIAL_CHANGE_LABELS[action]} ${lineCount} 行更改`, 3000);
+            refreshViews();
+        }
+    };
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.stageSelectedRanges', () => applySelectedRanges('stage')),
+        vscode.commands.registerCommand('git-assistant.discardSelectedRanges', () => applySelectedRanges('discard'))
+    );
+}
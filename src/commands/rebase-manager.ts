@@ -0,0 +1,142 @@
+import * as vscode from 'vscode';
+import { RepositoryManager } from '../services/repository-manager';
+import { BranchProvider } from '../providers/branch-provider';
+import { HistoryProvider } from '../providers/history-provider';
+import { RebaseTodoItem } from '../types/git';
+import { CommandHistory } from '../utils/command-history';
+import { DashboardPanel } from '../webview/dashboard-panel';
+import { pickRepository, promptOperationStopped } from '../utils/git-helpers';
+import { OPERATION_LABELS } from '../utils/operation-state';
+import { validateRebaseTodo } from '../utils/rebase-todo';
+
+/**
+ * 注册交互式变基命令
+ */
+export function registerRebaseManager(
+    context: vscode.ExtensionContext,
+    repositoryManager: RepositoryManager,
+    branchProvider: BranchProvider,
+    historyProvider: HistoryProvider
+) {
+    const refreshViews = () => {
+        branchProvider.refresh();
+        historyProvider.refresh();
+        DashboardPanel.refresh();
+    };
+
+    // 打开交互式变基编辑器（从指定提交之后开始）
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.interactiveRebase', async (baseHash?: string) => {
+            const gitService = baseHash
+                ? repositoryManager.getActive()
+                : await pickRepository(repositoryManager, '交互式变基');
+            if (!gitService) {
+                return;
+            }
+
+            try {
+                const operationState = await gitService.getOperationState();
+                if (operationState) {
+                    vscode.window.showWarningMessage(`已有正在进行的${OPERATION_LABELS[operationState.type]}，请先继续或中止当前操作`);
+                    return;
+                }
+
+                if (!baseHash) {
+                    const log = await gitService.getLog(50);
+                    const selected = await vscode.window.showQuickPick(
+                        log.all.slice(1).map(commit => ({
+                            label: `$(git-commit) ${commit.message.split('\n')[0]}`,
+                            description: commit.hash.substring(0, 8),
+                            detail: `${commit.author_name} · ${new Date(commit.date).toLocaleString('zh-CN')}`,
+                            hash: commit.hash
+                        })),
+                        { placeHolder: '选择变基的基准提交（将重写该提交之后的所有提交）' }
+                    );
+                    if (!selected) {
+                        return;
+                    }
+                    baseHash = selected.hash;
+                }
+
+                DashboardPanel.createOrShow(context.extensionUri, repositoryManager);
+                await DashboardPanel.showInteractiveRebase(baseHash);
+            } catch (error) {
+                const errorMessage = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`打开交互式变基失败: ${errorMessage}`);
+            }
+        })
+    );
+
+    // 按控制面板中编辑好的计划执行变基
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.runInteractiveRebase', async (baseHash: string, items: RebaseTodoItem[]) => {
+            const gitService = repositoryManager.getActive();
+            if (!baseHash || !Array.isArray(items)) {
+                return;
+            }
+
+            const validationError = validateRebaseTodo(items);
+            if (validationError) {
+                vscode.window.showErrorMessage(`无法开始变基: ${validationError}`);
+                return;
+            }
+
+            try {
+                const status = await gitService.getStatus(true);
+                const hasChanges = status.files.some(file => file.index !== '?');
+                if (hasChanges) {
+                    const choice = await vscode.window.showWarningMessage(
+                        '工作区存在未提交的更改，变基前请先提交或储藏这些更改',
+                        '储藏更改'
+                    );
+                    if (choice === '储藏更改') {
+                        await vscode.commands.executeCommand('git-assistant.stashChanges');
+                    }
+                    return;
+                }
+
+                const rewritten = items.filter(item => item.action !== 'pick').length;
+                const confirm = await vscode.window.showWarningMessage(
+                    `即将变基 ${items.length} 个提交（其中 ${rewritten} 个被修改）。变基会重写提交历史，已推送的提交需要强制推送。是否继续？`,
+                    { modal: true },
+                    '开始变基'
+                );
+                if (confirm !== '开始变基') {
+                    return;
+                }
+
+                const command = `git rebase -i ${baseHash.substring(0, 8)}`;
+                try {
+                    await vscode.window.withProgress(
+                        {
+                            location: vscode.ProgressLocation.Notification,
+                            title: '正在执行交互式变基...',
+                            cancellable: false
+                        },
+                        () => gitService.interactiveRebase(baseHash, items)
+                    );
+                } catch (error) {
+                    // 冲突等原因导致变基暂停时，交给暂停处理流程
+                    if (!(await gitService.isRebaseInProgress())) {
+                        throw error;
+                    }
+                }
+
+                DashboardPanel.clearInteractiveRebase();
+                if (await gitService.isRebaseInProgress()) {
+                    CommandHistory.addCommand(command, '交互式变基（已暂停）', true);
+                    promptOperationStopped(gitService);
+                } else {
+                    vscode.window.showInformationMessage('✅ 交互式变基完成');
+                    CommandHistory.addCommand(command, '交互式变基', true);
+                }
+            } catch (error) {
+                const errorMessage = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`交互式变基失败: ${errorMessage}`);
+                CommandHistory.addCommand(`git rebase -i ${baseHash.substring(0, 8)}`, '交互式变基', false, errorMessage);
+            } finally {
+                refreshViews();
+            }
+        })
+    );
+}
@@ -1,23 +1,33 @@
 import * as vscode from 'vscode';
-import { GitService } from '../services/git-service';
+import { RepositoryManager } from '../services/repository-manager';
 import { BranchProvider } from '../providers/branch-provider';
 import { HistoryProvider } from '../providers/history-provider';
 import { CommandHistory } from '../utils/command-history';
 import { DashboardPanel } from '../webview/dashboard-panel';
 import { ErrorHandler } from '../utils/error-handler';
+import { pickRepository } from '../utils/git-helpers';
 
 /**
  * 注册仓库初始化相关命令
  */
 export function registerRepositoryInit(
     context: vscode.ExtensionContext,
-    gitService: GitService,
+    repositoryManager: RepositoryManager,
     branchProvider: BranchProvider,
     historyProvider: HistoryProvider
 ) {
     // 初始化仓库
     context.subscriptions.push(
         vscode.commands.registerCommand('git-assistant.initRepository', async () => {
+            // 多根工作区中先选择目标文件夹
+            const folder = await pickWorkspaceFolder('初始化仓库');
+            if (folder === null) {
+                return;
+            }
+            const gitService = folder
+                ? repositoryManager.getServiceForFolder(folder.uri.fsPath)
+                : repositoryManager.getActive();
+
             try {
                 // 检查是否已经是Git仓库
                 const isRepo = await gitService.isRepository();
@@ -96,6 +106,9 @@ export function registerRepositoryInit(
                     }
                 );
 
+                // 重新扫描仓库并切换到新初始化的仓库
+                await activateRepository(repositoryManager, gitService.getWorkspaceRoot());
+
                 vscode.window.showInformationMessage('✅ Git仓库初始化成功！');
 
                 // 记录命令历史
@@ -116,6 +129,15 @@ export function registerRepositoryInit(
     // 在当前文件夹执行 git clone
     context.subscriptions.push(
         vscode.commands.registerCommand('git-assistant.cloneIntoWorkspace', async () => {
+            // 多根工作区中先选择目标文件夹
+            const folder = await pickWorkspaceFolder('克隆仓库');
+            if (folder === null) {
+                return;
+            }
+            const gitService = folder
+                ? repositoryManager.getServiceForFolder(folder.uri.fsPath)
+                : repositoryManager.getActive();
+
             try {
                 const workspaceRoot = gitService.getWorkspaceRoot();
                 if (!workspaceRoot) {
@@ -176,6 +198,7 @@ export function registerRepositoryInit(
                 );
 
                 gitService.reinitialize();
+                await activateRepository(repositoryManager, gitService.getWorkspaceRoot());
 
                 vscode.window.showInformationMessage('✅ 仓库克隆完成！');
 
@@ -195,6 +218,11 @@ export function registerRepositoryInit(
     // 添加远程仓库
     context.subscriptions.push(
         vscode.commands.registerCommand('git-assistant.addRemote', async () => {
+            const gitService = await pickRepository(repositoryManager, '添加远程');
+            if (!gitService) {
+                return;
+            }
+
             try {
                 // 检查是否是Git仓库
                 const isRepo = await gitService.isRepository();
@@ -300,6 +328,11 @@ export function registerRepositoryInit(
     // 切换默认远程（用于快速推送 / 拉取等操作）
     context.subscriptions.push(
         vscode.commands.registerCommand('git-assistant.switchRemote', async () => {
+            const gitService = await pickRepository(repositoryManager, '切换默认远程');
+            if (!gitService) {
+                return;
+            }
+
             try {
                 const isRepo = await gitService.isRepository();
                 if (!isRepo) {
@@ -345,6 +378,11 @@ export function registerRepositoryInit(
     // 编辑远程仓库
     context.subscriptions.push(
         vscode.commands.registerCommand('git-assistant.editRemote', async () => {
+            const gitService = await pickRepository(repositoryManager, '编辑远程');
+            if (!gitService) {
+                return;
+            }
+
             try {
                 const isRepo = await gitService.isRepository();
                 if (!isRepo) {
@@ -443,6 +481,11 @@ export function registerRepositoryInit(
     // 删除远程仓库
     context.subscriptions.push(
         vscode.commands.registerCommand('git-assistant.deleteRemote', async () => {
+            const gitService = await pickRepository(repositoryManager, '删除远程');
+            if (!gitService) {
+                return;
+            }
+
             try {
                 const isRepo = await gitService.isRepository();
                 if (!isRepo) {
@@ -652,3 +695,28 @@ export function registerRepositoryInit(
     */
 }
 
+/**
+ * 在多根工作区中选择文件夹
+ * 返回 undefined 表示只有一个（或没有）工作区文件夹，返回 null 表示用户取消
+ */
+async function pickWorkspaceFolder(actionLabel: string): Promise<vscode.WorkspaceFolder | undefined | null> {
+    const folders = vscode.workspace.workspaceFolders || [];
+    if (folders.length <= 1) {
+        return folders[0];
+    }
+
+    const folder = await vscode.window.showWorkspaceFolderPick({
+        placeHolder: `选择要${actionLabel}的工作区文件夹`
+    });
+    return folder ?? null;
+}
+
+/**
+ * 重新扫描仓库并将指定目录设为活动仓库
+ */
+async function activateRepository(repositoryManager: RepositoryManager, root: string | undefined): Promise<void> {
+    await repositoryManager.scan();
+    if (root) {
+        repositoryManager.setActive(root);
+    }
+}
@@ -0,0 +1,217 @@
+import * as vscode from 'vscode';
+import { GitService } from '../services/git-service';
+import { RepositoryManager } from '../services/repository-manager';
+import { pickRepository } from '../utils/git-helpers';
+import { parseSecretAllowlist, scanDiffForSecrets, SecretFinding, SecretRule } from '../utils/secret-scan';
+
+type SecretDecision = 'block' | 'allowOnce' | 'allowlist';
+
+interface SecretDecisionItem extends vscode.QuickPickItem {
+    decision: SecretDecision;
+}
+
+interface SecretFindingItem extends vscode.QuickPickItem {
+    finding: SecretFinding;
+}
+
+const MAX_FINDINGS_IN_DETAIL = 10;
+
+const formatLocation = (finding: SecretFinding) => finding.line > 0 ? `${finding.file}:${finding.line}` : finding.file;
+
+/**
+ * 允许列表文件的位置（相对仓库根目录）
+ */
+function getAllowlistUri(gitService: GitService): vscode.Uri | null {
+    const root = gitService.getWorkspaceRoot();
+    if (!root) {
+        return null;
+    }
+    const file = vscode.workspace.getConfiguration('git-assistant').get<string>('secretScanAllowlistFile', '.secrets-allowlist');
+    return vscode.Uri.joinPath(vscode.Uri.file(root), file || '.secrets-allowlist');
+}
+
+async function readAllowlist(uri: vscode.Uri | null): Promise<string> {
+    if (!uri) {
+        return '';
+    }
+    try {
+        return Buffer.from(await vscode.workspace.fs.readFile(uri)).toString('utf8');
+    } catch {
+        // 允许列表文件不存在
+        return '';
+    }
+}
+
+/**
+ * 将发现追加到仓库中的允许列表文件（每项前写一行注释说明来源）
+ */
+async function appendToAllowlist(uri: vscode.Uri | null, findings: SecretFinding[]): Promise<void> {
+    if (!uri || findings.length === 0) {
+        return;
+    }
+    let content = await readAllowlist(uri);
+    if (!content) {
+        content = '# Git Assistant 密钥扫描允许列表：每行一个指纹 <规则>:<文件>:<内容哈希>，# 开头为注释\n';
+    } else if (!content.endsWith('\n')) {
+        content += '\n';
+    }
+    for (const finding of findings) {
+        content += `# ${finding.ruleName} ${formatLocation(finding)}\n${finding.fingerprint}\n`;
+    }
+    await vscode.workspace.fs.writeFile(uri, Buffer.from(content, 'utf8'));
+}
+
+async function revealFinding(gitService: GitService, finding: SecretFinding): Promise<void> {
+    const root = gitService.getWorkspaceRoot();
+    if (!root) {
+        return;
+    }
+    const uri = vscode.Uri.joinPath(vscode.Uri.file(root), finding.file);
+    try {
+        const line = Math.max(finding.line - 1, 0);
+        await vscode.window.showTextDocument(uri, { selection: new vscode.Range(line, 0, line, 0), preview: true });
+    } catch {
+        // 二进制文件无法在编辑器中打开
+    }
+}
+
+/**
+ * 扫描即将提交的更改
+ *
+ * @param scope - staged 扫描暂存区（git commit），tracked 扫描所有已跟踪文件的更改（git commit -a）
+ */
+export async function scanPendingSecrets(gitService: GitService, scope: 'staged' | 'tracked'): Promise<SecretFinding[]> {
+    const config = vscode.workspace.getConfiguration('git-assistant');
+    const customRules = config.get<Array<Partial<SecretRule>>>('secretScanRules', [])
+        .filter(rule => rule.pattern)
+        .map((rule, index) => ({
+            id: rule.id || `custom-${index + 1}`,
+            name: rule.name || rule.id || `自定义规则 ${index + 1}`,
+            pattern: rule.pattern as string
+        }));
+
+    const [diff, allowlist] = await Promise.all([
+        scope === 'staged' ? gitService.getDiff(undefined, true) : gitService.getTrackedDiff(),
+        readAllowlist(getAllowlistUri(gitService))
+    ]);
+    return scanDiffForSecrets(diff, customRules, parseSecretAllowlist(allowlist));
+}
+
+/**
+ * 提交前检查疑似密钥。发现问题时由用户逐项选择阻止提交、仅本次允许或加入允许列表
+ *
+ * @returns 可以继续提交时返回 true
+ */
+export async function confirmNoSecrets(gitService: GitService, scope: 'staged' | 'tracked'): Promise<boolean> {
+    if (!vscode.workspace.getConfiguration('git-assistant').get<boolean>('secretScan', true)) {
+        return true;
+    }
+
+    const findings = await scanPendingSecrets(gitService, scope);
+    if (findings.length === 0) {
+        return true;
+    }
+
+    const detail = findings
+        .slice(0, MAX_FINDINGS_IN_DETAIL)
+        .map(finding => `${formatLocation(finding)}  ${finding.ruleName}  ${finding.preview}`)
+        .join('\n') + (findings.length > MAX_FINDINGS_IN_DETAIL ? `\n... 共 ${findings.length} 处` : '');
+    const reviewAction = '逐项处理';
+    const allowOnceAction = '本次全部允许';
+    const allowlistAction = '全部加入允许列表';
+    const choice = await vscode.window.showWarningMessage(
+        `在即将提交的更改中发现 ${findings.length} 处疑似密钥`,
+        { modal: true, detail },
+        reviewAction,
+        allowOnceAction,
+        allowlistAction
+    );
+
+    const allowlistUri = getAllowlistUri(gitService);
+    if (choice === allowOnceAction) {
+        return true;
+    }
+    if (choice === allowlistAction) {
+        await appendToAllowlist(allowlistUri, findings);
+        if (allowlistUri) {
+            vscode.window.showInformationMessage(`已将 ${findings.length} 项加入允许列表 ${vscode.workspace.asRelativePath(allowlistUri)}`);
+        }
+        return true;
+    }
+    if (choice !== reviewAction) {
+        vscode.window.showWarningMessage('已阻止提交，请移除疑似密钥后再提交');
+        await revealFinding(gitService, findings[0]);
+        return false;
+    }
+
+    const decisionItems: SecretDecisionItem[] = [
+        { label: '$(circle-slash) 阻止提交', description: '打开文件以移除密钥', decision: 'block' },
+        { label: '$(check) 仅本次允许', decision: 'allowOnce' },
+        { label: '$(shield) 加入允许列表', description: '以后不再提示此项', decision: 'allowlist' }
+    ];
+    const toAllowlist: SecretFinding[] = [];
+    let blocked: SecretFinding | undefined;
+    for (const [index, finding] of findings.entries()) {
+        const picked = await vscode.window.showQuickPick(decisionItems, {
+            title: `疑似密钥 (${index + 1}/${findings.length})：${finding.ruleName}`,
+            placeHolder: `${formatLocation(finding)}  ${finding.preview}`,
+            ignoreFocusOut: true
+        });
+        if (!picked || picked.decision === 'block') {
+            blocked = finding;
+            break;
+        }
+        if (picked.decision === 'allowlist') {
+            toAllowlist.push(finding);
+        }
+    }
+
+    // 已选择加入允许列表的项即使最终阻止提交也保留
+    await appendToAllowlist(allowlistUri, toAllowlist);
+    if (blocked) {
+        vscode.window.showWarningMessage(`已阻止提交：${formatLocation(blocked)} 包含疑似密钥`);
+        await revealFinding(gitService, blocked);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * 注册密钥扫描命令
+ */
+export function registerSecretScan(context: vscode.ExtensionContext, repositoryManager: RepositoryManager) {
+    // 手动扫描暂存区
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.scanStagedSecrets', async () => {
+            const gitService = await pickRepository(repositoryManager, '扫描密钥');
+            if (!gitService) {
+                return;
+            }
+
+            try {
+                const findings = await scanPendingSecrets(gitService, 'staged');
+                if (findings.length === 0) {
+                    vscode.window.showInformationMessage('✅ 暂存区中未发现疑似密钥');
+                    return;
+                }
+
+                const items: SecretFindingItem[] = findings.map(finding => ({
+                    label: `$(key) ${finding.ruleName}`,
+                    description: formatLocation(finding),
+                    detail: finding.preview,
+                    finding
+                }));
+                const picked = await vscode.window.showQuickPick(items, {
+                    placeHolder: `发现 ${findings.length} 处疑似密钥，选择一项打开文件`,
+                    matchOnDescription: true
+                });
+                if (picked) {
+                    await revealFinding(gitService, picked.finding);
+                }
+            } catch (error) {
+                const errorMessage = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`扫描密钥失败: ${errorMessage}`);
+            }
+        })
+    );
+}
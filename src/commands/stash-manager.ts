@@ -0,0 +1,399 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { GitService } from '../services/git-service';
+import { RepositoryManager } from '../services/repository-manager';
+import { BranchProvider } from '../providers/branch-provider';
+import { StashProvider, StashTreeItem } from '../providers/stash-provider';
+import { CommitFileChange, StashEntry, StashOptions } from '../types/git';
+import { CommandHistory } from '../utils/command-history';
+import { DashboardPanel } from '../webview/dashboard-panel';
+import { pickRepository, promptBranchName, toGitUri } from '../utils/git-helpers';
+import { formatRelativeDate } from '../utils/git-utils';
+
+/**
+ * 储藏命令参数：树视图项、储藏对象（控制面板传入序号和哈希）或储藏序号
+ */
+type StashTarget = StashTreeItem | Pick<StashEntry, 'index' | 'hash'> | number | undefined;
+
+/**
+ * 注册储藏管理命令
+ */
+export function registerStashManager(
+    context: vscode.ExtensionContext,
+    repositoryManager: RepositoryManager,
+    branchProvider: BranchProvider,
+    stashProvider: StashProvider
+) {
+    const refreshViews = () => {
+        stashProvider.refresh();
+        DashboardPanel.refresh();
+    };
+
+    // 储藏更改
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.stashChanges', async () => {
+            const gitService = await pickRepository(repositoryManager, '储藏');
+            if (!gitService) {
+                return;
+            }
+
+            try {
+                const status = await gitService.getStatus(true);
+                if (status.files.length === 0) {
+                    vscode.window.showInformationMessage('没有需要储藏的更改');
+                    return;
+                }
+
+                const mode = await vscode.window.showQuickPick(
+                    [
+                        { label: '$(archive) 储藏所有更改', description: 'git stash push', value: 'all' as const },
+                        { label: '$(file-add) 包含未跟踪文件', description: 'git stash push -u', value: 'untracked' as const },
+                        { label: '$(check) 仅储藏已暂存的更改', description: 'git stash push --staged', value: 'staged' as const },
+                        { label: '$(list-selection) 选择文件', description: 'git stash push -- <paths>', value: 'paths' as const }
+                    ],
+                    { placeHolder: '选择储藏方式' }
+                );
+
+                if (!mode) {
+                    return;
+                }
+
+                const options: StashOptions = {};
+                if (mode.value === 'untracked') {
+                    options.includeUntracked = true;
+                } else if (mode.value === 'staged') {
+                    options.stagedOnly = true;
+                } else if (mode.value === 'paths') {
+                    const selectedFiles = await vscode.window.showQuickPick(
+                        status.files.map(file => ({
+                            label: file.path,
+                            description: file.index === '?' ? '未跟踪' : `${file.index}${file.working_dir}`.trim(),
+                            value: file.path,
+                            untracked: file.index === '?'
+                        })),
+                        {
+                            placeHolder: '选择要储藏的文件（可多选）',
+                            canPickMany: true
+                        }
+                    );
+
+                    if (!selectedFiles || selectedFiles.length === 0) {
+                        return;
+                    }
+                    options.paths = selectedFiles.map(f => f.value);
+                    // 选中未跟踪文件时需要 -u 才能储藏
+                    options.includeUntracked = selectedFiles.some(f => f.untracked);
+                }
+
+                const message = await vscode.window.showInputBox({
+                    prompt: '输入储藏说明（可选）',
+                    placeHolder: '例如: 临时保存登录页修改'
+                });
+
+                if (message === undefined) {
+                    return;
+                }
+
+                await gitService.stash(message.trim() || undefined, options);
+
+                vscode.window.showInformationMessage('✅ 更改已储藏');
+                CommandHistory.addCommand(buildStashCommand(message.trim(), options), '储藏更改', true);
+                refreshViews();
+            } catch (error) {
+                const errorMessage = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`储藏失败: ${errorMessage}`);
+                CommandHistory.addCommand('git stash push', '储藏更改', false, errorMessage);
+            }
+        })
+    );
+
+    // 应用储藏（保留储藏记录）
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.stashApply', async (target?: StashTarget) => {
+            const gitService = await resolveStashService(repositoryManager, target, '应用储藏');
+            if (!gitService) {
+                return;
+            }
+
+            const stash = await resolveStash(gitService, target, '选择要应用的储藏');
+            if (!stash) {
+                return;
+            }
+
+            try {
+                await gitService.stashApply(stash.index);
+                vscode.window.showInformationMessage(`✅ 已应用储藏 ${stash.ref}`);
+                CommandHistory.addCommand(`git stash apply ${stash.ref}`, '应用储藏', true);
+            } catch (error) {
+                handleStashApplyError(error, `git stash apply ${stash.ref}`, '应用储藏');
+            } finally {
+                refreshViews();
+            }
+        })
+    );
+
+    // 弹出储藏（应用并删除）
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.stashPop', async (target?: StashTarget) => {
+            const gitService = await resolveStashService(repositoryManager, target, '弹出储藏');
+            if (!gitService) {
+                return;
+            }
+
+            const stash = await resolveStash(gitService, target, '选择要弹出的储藏');
+            if (!stash) {
+                return;
+            }
+
+            try {
+                await gitService.stashPop(stash.index);
+                vscode.window.showInformationMessage(`✅ 已弹出储藏 ${stash.ref}`);
+                CommandHistory.addCommand(`git stash pop ${stash.ref}`, '弹出储藏', true);
+            } catch (error) {
+                handleStashApplyError(error, `git stash pop ${stash.ref}`, '弹出储藏');
+            } finally {
+                refreshViews();
+            }
+        })
+    );
+
+    // 删除储藏
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.stashDrop', async (target?: StashTarget) => {
+            const gitService = await resolveStashService(repositoryManager, target, '删除储藏');
+            if (!gitService) {
+                return;
+            }
+
+            const stash = await resolveStash(gitService, target, '选择要删除的储藏');
+            if (!stash) {
+                return;
+            }
+
+            const confirm = await vscode.window.showWarningMessage(
+                `确定要删除储藏 ${stash.ref} "${stash.message}" 吗？此操作无法撤销。`,
+                { modal: true },
+                '删除'
+            );
+
+            if (confirm !== '删除') {
+                return;
+            }
+
+            try {
+                await gitService.stashDrop(stash.index);
+                vscode.window.showInformationMessage(`✅ 已删除储藏 ${stash.ref}`);
+                CommandHistory.addCommand(`git stash drop ${stash.ref}`, '删除储藏', true);
+                refreshViews();
+            } catch (error) {
+                const errorMessage = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`删除储藏失败: ${errorMessage}`);
+                CommandHistory.addCommand(`git stash drop ${stash.ref}`, '删除储藏', false, errorMessage);
+            }
+        })
+    );
+
+    // 基于储藏创建分支
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.stashBranch', async (target?: StashTarget) => {
+            const gitService = await resolveStashService(repositoryManager, target, '从储藏创建分支');
+            if (!gitService) {
+                return;
+            }
+
+            const stash = await resolveStash(gitService, target, '选择用于创建分支的储藏');
+            if (!stash) {
+                return;
+            }
+
+            let branchName: string | undefined;
+            try {
+                const localBranches = (await gitService.getBranches()).all.filter(branch => !branch.startsWith('remotes/'));
+                branchName = await promptBranchName(gitService, {
+                    prompt: `基于储藏 ${stash.ref} 创建新分支`,
+                    placeHolder: 'feature/restore-stash',
+                    localBranches
+                });
+                if (!branchName) {
+                    return;
+                }
+
+                await gitService.stashBranch(branchName, stash.index);
+                vscode.window.showInformationMessage(`✅ 已基于储藏 ${stash.ref} 创建并切换到分支 "${branchName}"`);
+                CommandHistory.addCommand(`git stash branch ${branchName} ${stash.ref}`, '从储藏创建分支', true);
+                branchProvider.refresh();
+                refreshViews();
+            } catch (error) {
+                const errorMessage = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`从储藏创建分支失败: ${errorMessage}`);
+                CommandHistory.addCommand(`git stash branch ${branchName || '<branch>'} ${stash.ref}`, '从储藏创建分支', false, errorMessage);
+            }
+        })
+    );
+
+    // 查看储藏补丁
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.showStash', async (target?: StashTarget) => {
+            const gitService = await resolveStashService(repositoryManager, target, '查看储藏');
+            if (!gitService) {
+                return;
+            }
+
+            const stash = await resolveStash(gitService, target, '选择要查看的储藏');
+            if (!stash) {
+                return;
+            }
+
+            try {
+                const diff = await gitService.getStashDiff(stash.index);
+                const document = await vscode.workspace.openTextDocument({
+                    content: diff || `# ${stash.ref} 中没有已跟踪文件的更改`,
+                    language: 'diff'
+                });
+                await vscode.window.showTextDocument(document, { preview: true });
+            } catch (error) {
+                const errorMessage = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`查看储藏失败: ${errorMessage}`);
+            }
+        })
+    );
+
+    // 查看储藏中单个文件的差异
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.openStashFile', async (stash: StashEntry, file: CommitFileChange) => {
+            const gitService = repositoryManager.getActive();
+            const workspaceRoot = gitService.getWorkspaceRoot();
+            if (!stash || !file || !workspaceRoot) {
+                return;
+            }
+
+            try {
+                const fileUri = vscode.Uri.file(path.join(workspaceRoot, file.path));
+                const statusCode = file.type || file.status.charAt(0);
+                const title = `${path.basename(file.path)} (${stash.ref})`;
+
+                if (statusCode === 'U' || statusCode === 'A' || !stash.baseHash) {
+                    // 新增或未跟踪文件：与空内容比较（未跟踪文件保存在第三个父提交中）
+                    const ref = statusCode === 'U' ? `${stash.hash}^3` : stash.hash;
+                    const emptyUri = vscode.Uri.parse(`untitled:${path.join(workspaceRoot, file.path)}`);
+                    await vscode.commands.executeCommand('vscode.diff', emptyUri, toGitUri(fileUri, ref), title);
+                    return;
+                }
+
+                const leftPath = file.oldPath || file.path;
+                const leftUri = toGitUri(vscode.Uri.file(path.join(workspaceRoot, leftPath)), stash.baseHash);
+                const rightUri = statusCode === 'D'
+                    ? vscode.Uri.parse(`untitled:${path.join(workspaceRoot, file.path)}`)
+                    : toGitUri(fileUri, stash.hash);
+                await vscode.commands.executeCommand('vscode.diff', leftUri, rightUri, title);
+            } catch (error) {
+                const errorMessage = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`打开储藏差异失败: ${errorMessage}`);
+            }
+        })
+    );
+
+    // 刷新储藏列表
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.refreshStashes', () => {
+            stashProvider.refresh();
+        })
+    );
+}
+
+/**
+ * 确定储藏命令作用的仓库：来自视图或控制面板的调用使用当前活动仓库，否则弹出仓库选择器
+ */
+async function resolveStashService(
+    repositoryManager: RepositoryManager,
+    target: StashTarget,
+    actionLabel: string
+): Promise<GitService | undefined> {
+    if (target !== undefined) {
+        return repositoryManager.getActive();
+    }
+    return pickRepository(repositoryManager, actionLabel);
+}
+
+/**
+ * 将命令参数解析为储藏对象，未提供时弹出储藏选择列表
+ */
+async function resolveStash(
+    gitService: GitService,
+    target: StashTarget,
+    placeHolder: string
+): Promise<StashEntry | undefined> {
+    const stashes = await gitService.getStashes(true);
+    if (typeof target === 'number') {
+        return stashes.find(s => s.index === target);
+    }
+    if (target) {
+        // 视图和控制面板中的储藏可能已过期（期间新建或删除了储藏），按哈希重新定位序号，
+        // 找不到时不能退回原序号，否则会操作到另一个储藏
+        const hash = target instanceof StashTreeItem ? target.stash.hash : target.hash;
+        const stash = stashes.find(s => s.hash === hash);
+        if (!stash) {
+            vscode.window.showWarningMessage('储藏列表已变化，请刷新后重试');
+        }
+        return stash;
+    }
+
+    if (stashes.length === 0) {
+        vscode.window.showInformationMessage('当前仓库没有储藏');
+        return undefined;
+    }
+
+    const selected = await vscode.window.showQuickPick(
+        stashes.map(stash => ({
+            label: `$(archive) ${stash.message || stash.ref}`,
+            description: `${stash.ref}${stash.branch ? ` · ${stash.branch}` : ''}`,
+            detail: formatRelativeDate(stash.date),
+            stash
+        })),
+        { placeHolder }
+    );
+
+    return selected?.stash;
+}
+
+/**
+ * 处理应用/弹出储藏失败（冲突时引导到冲突解决流程）
+ */
+function handleStashApplyError(error: unknown, command: string, name: string): void {
+    const errorMessage = error instanceof Error ? error.message : String(error);
+    CommandHistory.addCommand(command, name, false, errorMessage);
+
+    if (errorMessage.includes('CONFLICT')) {
+        vscode.window.showWarningMessage(
+            `${name}时发生冲突，储藏已保留。请先解决冲突。`,
+            '解决冲突'
+        ).then(choice => {
+            if (choice === '解决冲突') {
+                vscode.commands.executeCommand('git-assistant.resolveConflicts');
+            }
+        });
+        return;
+    }
+
+    vscode.window.showErrorMessage(`${name}失败: ${errorMessage}`);
+}
+
+/**
+ * 生成用于命令历史记录的 git stash 命令文本
+ */
+function buildStashCommand(message: string, options: StashOptions): string {
+    const parts = ['git stash push'];
+    if (options.stagedOnly) {
+        parts.push('--staged');
+    }
+    if (options.includeUntracked) {
+        parts.push('-u');
+    }
+    if (message) {
+        parts.push(`-m "${message}"`);
+    }
+    if (options.paths && options.paths.length > 0) {
+        parts.push('--', ...options.paths);
+    }
+    return parts.join(' ');
+}
@@ -1,19 +1,25 @@
 import * as vscode from 'vscode';
-import { GitService } from '../services/git-service';
+import { RepositoryManager } from '../services/repository-manager';
 import { CommandHistory } from '../utils/command-history';
 import { Logger } from '../utils/logger';
 import { DashboardPanel } from '../webview/dashboard-panel';
+import { pickRepository } from '../utils/git-helpers';
 
 /**
  * 注册标签管理命令
  */
 export function registerTagManager(
     context: vscode.ExtensionContext,
-    gitService: GitService
+    repositoryManager: RepositoryManager
 ) {
     // 创建标签
     context.subscriptions.push(
         vscode.commands.registerCommand('git-assistant.createTag', async () => {
+            const gitService = await pickRepository(repositoryManager, '创建标签');
+            if (!gitService) {
+                return;
+            }
+
             let tagName: string | undefined;
             try {
                 tagName = await vscode.window.showInputBox({
@@ -125,6 +131,11 @@ export function registerTagManager(
     // 查看标签列表
     context.subscriptions.push(
         vscode.commands.registerCommand('git-assistant.listTags', async () => {
+            const gitService = await pickRepository(repositoryManager, '查看标签');
+            if (!gitService) {
+                return;
+            }
+
             try {
                 const tags = await gitService.getTags();
 
@@ -177,6 +188,11 @@ export function registerTagManager(
     // 删除标签
     context.subscriptions.push(
         vscode.commands.registerCommand('git-assistant.deleteTag', async () => {
+            const gitService = await pickRepository(repositoryManager, '删除标签');
+            if (!gitService) {
+                return;
+            }
+
             try {
                 const tags = await gitService.getTags();
 
@@ -265,6 +281,11 @@ export function registerTagManager(
     // 推送标签到远程
     context.subscriptions.push(
         vscode.commands.registerCommand('git-assistant.pushTag', async () => {
+            const gitService = await pickRepository(repositoryManager, '推送标签');
+            if (!gitService) {
+                return;
+            }
+
             try {
                 const tags = await gitService.getTags();
 
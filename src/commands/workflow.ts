@@ -0,0 +1,331 @@
+import * as vscode from 'vscode';
+import { GitService } from '../services/git-service';
+import { RepositoryManager } from '../services/repository-manager';
+import { BranchProvider } from '../providers/branch-provider';
+import { WorkflowBranchType } from '../types/git';
+import { DashboardPanel } from '../webview/dashboard-panel';
+import { CommandHistory } from '../utils/command-history';
+import { DeletedBranches } from '../utils/deleted-branches';
+import { getWorkflowDefinition, pickRepository, promptBranchName, promptOperationStopped } from '../utils/git-helpers';
+import {
+    planWorkflowFinish,
+    WORKFLOW_BRANCH_TYPE_LABELS,
+    WORKFLOW_BRANCH_TYPES,
+    WORKFLOW_MERGE_STRATEGY_LABELS,
+    WorkflowDefinition,
+    WorkflowFinishPlan
+} from '../utils/workflow';
+
+/**
+ * 控制面板调用开始命令时传入的参数（指定时跳过对应的选择步骤）
+ */
+export interface WorkflowStartArgs {
+    type?: WorkflowBranchType;
+}
+
+/**
+ * 未启用工作流时提示打开设置
+ */
+async function promptEnableWorkflow() {
+    const choice = await vscode.window.showWarningMessage(
+        '尚未启用分支工作流，请在设置中选择 Git Flow、GitHub Flow 或自定义工作流（git-assistant.workflow）',
+        '打开设置'
+    );
+    if (choice === '打开设置') {
+        await vscode.commands.executeCommand('workbench.action.openSettings', 'git-assistant.workflow');
+    }
+}
+
+/**
+ * 读取当前仓库的工作流定义，未启用时提示
+ */
+async function loadWorkflow(gitService: GitService): Promise<{ definition: WorkflowDefinition; localBranches: string[] } | null> {
+    const branches = await gitService.getBranches();
+    const localBranches = branches.all.filter(branch => !branch.startsWith('remotes/'));
+    const definition = getWorkflowDefinition(localBranches);
+    if (!definition) {
+        await promptEnableWorkflow();
+        return null;
+    }
+    return { definition, localBranches };
+}
+
+/**
+ * 确保基准分支存在：缺少开发分支时询问是否从主分支创建
+ */
+async function ensureBaseBranch(gitService: GitService, definition: WorkflowDefinition, base: string, localBranches: string[]): Promise<boolean> {
+    if (localBranches.includes(base)) {
+        return true;
+    }
+    if (base !== definition.developBranch || !localBranches.includes(definition.mainBranch)) {
+        vscode.window.showErrorMessage(`基准分支 "${base}" 不存在，请先创建该分支`);
+        return false;
+    }
+    const create = `从 ${definition.mainBranch} 创建`;
+    const choice = await vscode.window.showWarningMessage(
+        `${definition.name} 需要开发分支 "${base}"，但仓库中还没有该分支。`,
+        { modal: true },
+        create
+    );
+    if (choice !== create) {
+        return false;
+    }
+    await gitService.createBranch(base, false, definition.mainBranch);
+    CommandHistory.addCommand(`git branch ${base} ${definition.mainBranch}`, '创建开发分支', true);
+    return true;
+}
+
+/**
+ * 依次执行完成步骤：合并到各目标分支、在主分支上创建标签、删除工作流分支
+ *
+ * @returns 工作流分支是否已删除（未完全合并到目标分支时保留）
+ */
+async function runFinishPlan(gitService: GitService, plan: WorkflowFinishPlan, tagName: string | null): Promise<boolean> {
+    const label = WORKFLOW_BRANCH_TYPE_LABELS[plan.type];
+    const branchHash = await gitService.resolveRef(plan.branch);
+
+    for (const target of plan.targets) {
+        await gitService.checkout(target);
+        CommandHistory.addCommand(`git checkout ${target}`, `完成${label}`, true);
+
+        if (plan.strategy === 'squash') {
+            await gitService.squashMerge(plan.branch, `${label}：${plan.name}`);
+            CommandHistory.addCommand(`git merge --squash ${plan.branch}`, `完成${label}`, true);
+        } else {
+            await gitService.merge(plan.branch, plan.strategy);
+            CommandHistory.addCommand(
+                `git merge ${plan.strategy === 'fast-forward' ? '--ff-only' : '--no-ff'} ${plan.branch}`,
+                `完成${label}`,
+                true
+            );
+        }
+
+        // 重新运行时标签可能已创建
+        if (tagName && target === plan.tagOn && !await gitService.resolveRef(`refs/tags/${tagName}`)) {
+            await gitService.createTag(tagName, `${label} ${plan.name}`);
+            CommandHistory.addCommand(`git tag -a ${tagName} -m "${label} ${plan.name}"`, `完成${label}`, true);
+        }
+    }
+
+    // git branch -d 会对照分支的上游而不是刚合并的目标检查，有未推送的提交时会失败：
+    // 自行确认已合并到所有目标后强制删除。压缩合并后分支不会被识别为已合并，直接删除
+    if (plan.strategy !== 'squash') {
+        for (const target of plan.targets) {
+            if (!(await gitService.getMergedBranches(target)).includes(plan.branch)) {
+                return false;
+            }
+        }
+    }
+    // 删除前记录末端提交以便恢复
+    await gitService.deleteBranch(plan.branch, true);
+    if (branchHash) {
+        DeletedBranches.record(gitService.getWorkspaceRoot() || '', plan.branch, branchHash);
+    }
+    CommandHistory.addCommand(`git branch -D ${plan.branch}`, `完成${label}`, true);
+    return true;
+}
+
+/**
+ * 注册分支工作流命令（开始 / 完成功能、发布、热修复分支）
+ */
+export function registerWorkflow(
+    context: vscode.ExtensionContext,
+    repositoryManager: RepositoryManager,
+    branchProvider: BranchProvider
+) {
+    // 开始功能 / 发布 / 热修复分支
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.workflowStart', async (args?: WorkflowStartArgs) => {
+            const gitService = args
+                ? repositoryManager.getActive()
+                : await pickRepository(repositoryManager, '开始工作流分支');
+            if (!gitService) {
+                return;
+            }
+
+            try {
+                const workflow = await loadWorkflow(gitService);
+                if (!workflow) {
+                    return;
+                }
+                const { definition, localBranches } = workflow;
+
+                let type = args?.type && definition.branches[args.type] ? args.type : undefined;
+                if (!type) {
+                    const picked = await vscode.window.showQuickPick(
+                        WORKFLOW_BRANCH_TYPES.flatMap(item => {
+                            const rule = definition.branches[item];
+                            return rule ? [{
+                                label: `开始${WORKFLOW_BRANCH_TYPE_LABELS[item]}`,
+                                description: `${rule.prefix}*，基于 ${rule.base}`,
+                                detail: `完成时${WORKFLOW_MERGE_STRATEGY_LABELS[rule.mergeStrategy]}到 ${rule.mergeTargets.join('、')}${rule.tag ? '，并创建标签' : ''}`,
+                                type: item
+                            }] : [];
+                        }),
+                        { placeHolder: `${definition.name}：选择要开始的分支类型` }
+                    );
+                    type = picked?.type;
+                }
+                const rule = type ? definition.branches[type] : undefined;
+                if (!type || !rule) {
+                    return;
+                }
+
+                const label = WORKFLOW_BRANCH_TYPE_LABELS[type];
+                // 输入名称部分，完整分支名还需符合仓库的分支命名规范
+                const branchName = await promptBranchName(gitService, {
+                    prompt: `输入${label}名称（将基于 ${rule.base} 创建 ${rule.prefix}<名称>）`,
+                    placeHolder: type === 'feature' ? 'user-login' : '1.2.0',
+                    localBranches,
+                    prefix: rule.prefix
+                });
+                if (!branchName) {
+                    return;
+                }
+
+                if (!await ensureBaseBranch(gitService, definition, rule.base, localBranches)) {
+                    return;
+                }
+
+                await gitService.createBranch(branchName, true, rule.base);
+                CommandHistory.addCommand(`git checkout -b ${branchName} ${rule.base}`, `开始${label}`, true);
+                vscode.window.showInformationMessage(`✅ 已基于 ${rule.base} 创建并切换到 ${branchName}`);
+                branchProvider.refresh();
+                DashboardPanel.refresh();
+            } catch (error) {
+                const errorMessage = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`开始工作流分支失败: ${errorMessage}`);
+                CommandHistory.addCommand('git checkout -b', '开始工作流分支', false, errorMessage);
+            }
+        })
+    );
+
+    // 完成工作流分支：合并到目标分支、创建标签并删除分支
+    context.subscriptions.push(
+        vscode.commands.registerCommand('git-assistant.workflowFinish', async (branchName?: string) => {
+            const gitService = branchName
+                ? repositoryManager.getActive()
+                : await pickRepository(repositoryManager, '完成工作流分支');
+            if (!gitService) {
+                return;
+            }
+
+            const workflow = await loadWorkflow(gitService).catch(() => null);
+            if (!workflow) {
+                return;
+            }
+            const { definition, localBranches } = workflow;
+            const branch = branchName || (await gitService.getBranches()).current;
+            let plan = branch ? planWorkflowFinish(definition, branch) : null;
+            if (!plan && !branchName) {
+                // 当前分支不是工作流分支（例如合并冲突后停在目标分支上）：从进行中的工作流分支中选择
+                const plans = localBranches
+                    .map(item => planWorkflowFinish(definition, item))
+                    .filter((item): item is WorkflowFinishPlan => item !== null);
+                if (plans.length > 0) {
+                    const picked = await vscode.window.showQuickPick(
+                        plans.map(item => ({
+                            label: item.branch,
+                            description: `${WORKFLOW_BRANCH_TYPE_LABELS[item.type]} → ${item.targets.join('、')}`,
+                            plan: item
+                        })),
+                        { placeHolder: `选择要完成的${definition.name}分支` }
+                    );
+                    if (!picked) {
+                        return;
+                    }
+                    plan = picked.plan;
+                }
+            }
+            if (!plan) {
+                const prefixes = WORKFLOW_BRANCH_TYPES
+                    .map(type => definition.branches[type]?.prefix)
+                    .filter(Boolean)
+                    .join('、');
+                vscode.window.showWarningMessage(`"${branch || 'HEAD'}" 不是 ${definition.name} 的工作流分支（${prefixes}）`);
+                return;
+            }
+            const finishPlan = plan;
+            const label = WORKFLOW_BRANCH_TYPE_LABELS[plan.type];
+
+            try {
+                if (await gitService.getOperationState()) {
+                    vscode.window.showWarningMessage('有进行中的合并或变基操作，请先完成或中止后再继续');
+                    return;
+                }
+                const missing = plan.targets.filter(target => !localBranches.includes(target));
+                if (missing.length > 0) {
+                    vscode.window.showErrorMessage(`合并目标分支不存在：${missing.join('、')}`);
+                    return;
+                }
+                const status = await gitService.getStatus();
+                if (status.files.length > 0) {
+                    vscode.window.showWarningMessage(`完成${label}需要切换分支，请先提交或暂存 ${status.files.length} 个未提交的更改`);
+                    return;
+                }
+
+                let tagName = plan.tagName;
+                if (tagName) {
+                    const input = await vscode.window.showInputBox({
+                        prompt: `完成${label}后在 ${plan.tagOn} 上创建的标签（留空则不创建）`,
+                        value: tagName
+                    });
+                    if (input === undefined) {
+                        return;
+                    }
+                    tagName = input.trim() || null;
+                }
+
+                const steps = [
+                    ...plan.targets.map(target => `${WORKFLOW_MERGE_STRATEGY_LABELS[plan.strategy]}到 ${target}`),
+                    ...(tagName ? [`在 ${plan.tagOn} 上创建标签 ${tagName}`] : []),
+                    `删除分支 ${plan.branch}（可通过“恢复已删除的分支”恢复）`
+                ];
+                const finish = `完成${label}`;
+                const confirm = await vscode.window.showInformationMessage(
+                    `完成${label} "${plan.name}"？`,
+                    { modal: true, detail: steps.map((step, index) => `${index + 1}. ${step}`).join('\n') },
+                    finish
+                );
+                if (confirm !== finish) {
+                    return;
+                }
+
+                const deleted = await vscode.window.withProgress(
+                    { location: vscode.ProgressLocation.Notification, title: `正在完成${label} ${plan.name}...` },
+                    () => runFinishPlan(gitService, finishPlan, tagName)
+                );
+
+                const summary = `已完成${label} "${plan.name}"，已合并到 ${plan.targets.join('、')}${tagName ? `并创建标签 ${tagName}` : ''}`;
+                if (deleted) {
+                    vscode.window.showInformationMessage(`✅ ${summary}`);
+                } else {
+                    vscode.window.showWarningMessage(`${summary}。分支 ${plan.branch} 未完全合并到目标分支，已保留，请确认后手动删除`);
+                }
+                branchProvider.refresh();
+                DashboardPanel.refreshImmediate();
+            } catch (error) {
+                branchProvider.refresh();
+                DashboardPanel.refresh();
+                if (await gitService.getOperationState()) {
+                    // 合并因冲突暂停：解决冲突并完成合并后重新运行完成命令即可继续剩余步骤
+                    vscode.window.showWarningMessage(`完成${label}时合并冲突，解决冲突并完成合并后，重新运行“完成工作流分支”并选择 ${plan.branch} 继续剩余步骤`);
+                    promptOperationStopped(gitService);
+                } else {
+                    const errorMessage = error instanceof Error ? error.message : String(error);
+                    vscode.window.showErrorMessage(`完成${label}失败: ${errorMessage}`);
+                    CommandHistory.addCommand(`git merge ${plan.branch}`, `完成${label}`, false, errorMessage);
+                }
+            }
+        })
+    );
+
+    // 工作流配置变化时刷新控制面板中的工作流状态
+    context.subscriptions.push(
+        vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration('git-assistant.workflow') || event.affectsConfiguration('git-assistant.workflowDefinition')) {
+                DashboardPanel.refresh();
+            }
+        })
+    );
+}
@@ -1,13 +1,21 @@
 import * as vscode from 'vscode';
-import { GitService } from './services/git-service';
+import { RepositoryManager } from './services/repository-manager';
+import { AutoFetchScheduler } from './services/auto-fetch-scheduler';
 import { BranchProvider } from './providers/branch-provider';
 import { HistoryProvider } from './providers/history-provider';
 import { ConflictProvider } from './providers/conflict-provider';
+import { StashProvider } from './providers/stash-provider';
+import { ChangesProvider } from './providers/changes-provider';
+import { LfsProvider } from './providers/lfs-provider';
+import { HooksProvider } from './providers/hooks-provider';
 import { registerCommands } from './commands';
 import { DashboardPanel } from './webview/dashboard-panel';
 import { Logger } from './utils/logger';
 import { CommandHistory } from './utils/command-history';
 import { MergeHistory } from './utils/merge-history';
+import { DeletedBranches } from './utils/deleted-branches';
+import { ErrorHandler } from './utils/error-handler';
+import { pickRepository } from './utils/git-helpers';
 
 /**
  * 扩展激活函数
@@ -16,17 +24,23 @@ export function activate(context: vscode.ExtensionContext) {
     Logger.initialize();
     Logger.info('Git Assistant 扩展已激活');
 
-    // 初始化命令历史与合并历史
+    // 初始化命令历史、合并历史与已删除分支记录
     CommandHistory.initialize(context);
     MergeHistory.initialize(context);
+    DeletedBranches.initialize(context);
 
-    // 初始化Git服务（带 workspaceState，用于持久化缓存）
-    const gitService = new GitService(context);
+    // 初始化仓库管理器（每个仓库一个 GitService，带 workspaceState，用于持久化缓存）
+    const repositoryManager = new RepositoryManager(context);
+    context.subscriptions.push(repositoryManager);
 
     // 注册数据提供者
-    const branchProvider = new BranchProvider(gitService);
-    const historyProvider = new HistoryProvider(gitService);
-    const conflictProvider = new ConflictProvider(gitService);
+    const branchProvider = new BranchProvider(repositoryManager);
+    const historyProvider = new HistoryProvider(repositoryManager);
+    const conflictProvider = new ConflictProvider(repositoryManager);
+    const stashProvider = new StashProvider(repositoryManager);
+    const changesProvider = new ChangesProvider(repositoryManager);
+    const lfsProvider = new LfsProvider(repositoryManager);
+    const hooksProvider = new HooksProvider(repositoryManager);
 
     // 刷新所有提供者的函数
     const refreshAllProviders = () => {
@@ -34,22 +48,76 @@ export function activate(context: vscode.ExtensionContext) {
         branchProvider.refresh();
         historyProvider.refresh();
         conflictProvider.refresh();
+        stashProvider.refresh();
+        changesProvider.refresh();
+        lfsProvider.refresh();
+        hooksProvider.refresh();
     };
 
-    // 注册树视图
+    // 注册树视图（标题旁显示当前仓库名称）
+    const treeViews = [
+        vscode.window.createTreeView('git-assistant.branchView', { treeDataProvider: branchProvider }),
+        vscode.window.createTreeView('git-assistant.changesView', { treeDataProvider: changesProvider, canSelectMany: true }),
+        vscode.window.createTreeView('git-assistant.historyView', { treeDataProvider: historyProvider }),
+        vscode.window.createTreeView('git-assistant.conflictView', { treeDataProvider: conflictProvider }),
+        vscode.window.createTreeView('git-assistant.stashView', { treeDataProvider: stashProvider }),
+        vscode.window.createTreeView('git-assistant.lfsView', { treeDataProvider: lfsProvider }),
+        vscode.window.createTreeView('git-assistant.hooksView', { treeDataProvider: hooksProvider })
+    ];
+    context.subscriptions.push(...treeViews);
+
+    const updateTreeViewDescriptions = () => {
+        const repository = repositoryManager.getActiveRepository();
+        const description = repositoryManager.getRepositories().length > 1 ? repository?.name : undefined;
+        treeViews.forEach(view => {
+            view.description = description;
+        });
+    };
+
+    // 注册所有命令
+    registerCommands(context, repositoryManager, branchProvider, historyProvider, conflictProvider, stashProvider, changesProvider, lfsProvider, hooksProvider);
+
+    // 选择仓库（树视图标题栏与命令面板）
     context.subscriptions.push(
-        vscode.window.registerTreeDataProvider('git-assistant.branchView', branchProvider)
+        vscode.commands.registerCommand('git-assistant.selectRepository', async () => {
+            await repositoryManager.scan();
+            if (repositoryManager.getRepositories().length === 0) {
+                vscode.window.showInformationMessage('当前工作区中没有发现 Git 仓库');
+                return;
+            }
+            await pickRepository(repositoryManager, '查看');
+        })
     );
+
+    // 活动仓库或仓库列表变化时刷新所有视图
     context.subscriptions.push(
-        vscode.window.registerTreeDataProvider('git-assistant.historyView', historyProvider)
+        repositoryManager.onDidChangeActiveRepository(() => {
+            updateTreeViewDescriptions();
+            refreshAllProviders();
+            DashboardPanel.refresh();
+        }),
+        repositoryManager.onDidChangeRepositories(() => {
+            updateTreeViewDescriptions();
+            vscode.commands.executeCommand('setContext', 'git-assistant.multipleRepositories',
+                repositoryManager.getRepositories().length > 1);
+        })
     );
+
+    // 首次扫描仓库
+    repositoryManager.scan().catch(error => ErrorHandler.handleSilent(error, '扫描仓库'));
+
+    // 后台自动获取远程更新，完成后刷新领先/落后计数
+    const autoFetchScheduler = new AutoFetchScheduler(repositoryManager);
     context.subscriptions.push(
-        vscode.window.registerTreeDataProvider('git-assistant.conflictView', conflictProvider)
+        autoFetchScheduler,
+        autoFetchScheduler.onDidFetch(gitService => {
+            if (gitService === repositoryManager.getActive()) {
+                refreshAllProviders();
+                DashboardPanel.refresh();
+            }
+        })
     );
 
-    // 注册所有命令
-    registerCommands(context, gitService, branchProvider, historyProvider, conflictProvider);
-
     // 状态栏项
     const statusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 100);
     statusBarItem.text = '$(git-branch) Git Assistant';
@@ -62,9 +130,9 @@ export function activate(context: vscode.ExtensionContext) {
     context.subscriptions.push(
         vscode.workspace.onDidChangeWorkspaceFolders(async (event) => {
             Logger.info('工作区文件夹发生变化');
-            // 重新初始化Git服务以适应新的工作区
+            // 重新扫描仓库以适应新的工作区
             if (event.added.length > 0 || event.removed.length > 0) {
-                gitService.reinitialize();
+                await repositoryManager.scan();
                 refreshAllProviders();
             }
         })
@@ -84,25 +152,73 @@ export function activate(context: vscode.ExtensionContext) {
             }, 300); // 300ms防抖
         };
 
-        // 为每个工作区创建监听器
+        // 工作区文件与索引变化只影响更改视图，单独防抖刷新
+        let changesRefreshTimeout: NodeJS.Timeout | undefined;
+        const debouncedChangesRefresh = () => {
+            if (changesRefreshTimeout) {
+                clearTimeout(changesRefreshTimeout);
+            }
+            changesRefreshTimeout = setTimeout(() => {
+                changesProvider.refresh();
+            }, 500);
+        };
+
+        context.subscriptions.push(
+            vscode.workspace.onDidSaveTextDocument(debouncedChangesRefresh),
+            vscode.workspace.onDidCreateFiles(debouncedChangesRefresh),
+            vscode.workspace.onDidDeleteFiles(debouncedChangesRefresh),
+            vscode.workspace.onDidRenameFiles(debouncedChangesRefresh)
+        );
+
+        // 仓库被创建或删除时重新扫描
+        const rescanRepositories = () => {
+            repositoryManager.scan()
+                .then(debouncedRefresh)
+                .catch(error => ErrorHandler.handleSilent(error, '扫描仓库'));
+        };
+
+        // 为每个工作区创建监听器（包括嵌套仓库）
         workspaceFolders.forEach((folder) => {
             // 监听HEAD文件变化（分支切换、提交等）
             const headWatcher = vscode.workspace.createFileSystemWatcher(
-                new vscode.RelativePattern(folder, '.git/HEAD')
+                new vscode.RelativePattern(folder, '**/.git/HEAD')
             );
 
             // 监听分支引用变化（创建/删除分支）
             const refsWatcher = vscode.workspace.createFileSystemWatcher(
-                new vscode.RelativePattern(folder, '.git/refs/heads/**')
+                new vscode.RelativePattern(folder, '**/.git/refs/heads/**')
+            );
+
+            // 监听储藏引用变化（储藏、应用、删除储藏）
+            const stashWatcher = vscode.workspace.createFileSystemWatcher(
+                new vscode.RelativePattern(folder, '**/.git/refs/stash')
+            );
+
+            // 监听合并/变基/拣选/回滚的状态文件（操作开始、暂停或结束）
+            const operationWatcher = vscode.workspace.createFileSystemWatcher(
+                new vscode.RelativePattern(folder, '**/.git/{MERGE_HEAD,REBASE_HEAD,CHERRY_PICK_HEAD,REVERT_HEAD}')
+            );
+
+            // 监听索引变化（暂存、取消暂存，包括在终端中执行的 git 命令）
+            const indexWatcher = vscode.workspace.createFileSystemWatcher(
+                new vscode.RelativePattern(folder, '**/.git/index')
             );
 
             headWatcher.onDidChange(debouncedRefresh);
-            headWatcher.onDidCreate(debouncedRefresh);
+            headWatcher.onDidCreate(rescanRepositories);
+            headWatcher.onDidDelete(rescanRepositories);
             refsWatcher.onDidChange(debouncedRefresh);
             refsWatcher.onDidCreate(debouncedRefresh);
             refsWatcher.onDidDelete(debouncedRefresh);
-
-            context.subscriptions.push(headWatcher, refsWatcher);
+            stashWatcher.onDidChange(debouncedRefresh);
+            stashWatcher.onDidCreate(debouncedRefresh);
+            stashWatcher.onDidDelete(debouncedRefresh);
+            operationWatcher.onDidCreate(debouncedRefresh);
+            operationWatcher.onDidDelete(debouncedRefresh);
+            indexWatcher.onDidChange(debouncedChangesRefresh);
+            indexWatcher.onDidCreate(debouncedChangesRefresh);
+
+            context.subscriptions.push(headWatcher, refsWatcher, stashWatcher, operationWatcher, indexWatcher);
         });
     }
 
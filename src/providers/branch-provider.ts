@@ -1,5 +1,11 @@
 import * as vscode from 'vscode';
 import { GitService } from '../services/git-service';
+import { RepositoryManager } from '../services/repository-manager';
+import { OperationStateTreeItem } from './operation-state-item';
+import { BranchTracking, MergeConflictPrediction } from '../types/git';
+import { formatPredictedConflicts, summarizeMergePrediction } from '../utils/conflict-status';
+import { getProtectedBranchPattern } from '../utils/git-helpers';
+import { splitRemoteBranch } from '../utils/git-utils';
 
 /**
  * 分支树项
@@ -16,7 +22,10 @@ export class BranchTreeItem extends vscode.TreeItem {
         super(label, collapsibleState);
 
         this.tooltip = branchName;
-        this.contextValue = isRemote ? 'remoteBranch' : 'localBranch';
+        // “本地分支 / 远程分支”及各远程的分组节点不显示分支操作菜单
+        this.contextValue = collapsibleState !== vscode.TreeItemCollapsibleState.None
+            ? 'branchGroup'
+            : (isRemote ? 'remoteBranch' : 'localBranch');
 
         if (isCurrent) {
             this.iconPath = new vscode.ThemeIcon('check', new vscode.ThemeColor('gitDecoration.modifiedResourceForeground'));
@@ -27,24 +36,112 @@ export class BranchTreeItem extends vscode.TreeItem {
             this.iconPath = new vscode.ThemeIcon('git-branch');
         }
     }
+
+    /**
+     * 远程名称分组节点（例如 origin）
+     */
+    static remoteGroup(remote: string, count: number): BranchTreeItem {
+        const item = new BranchTreeItem(remote, `remotes/${remote}`, false, true, vscode.TreeItemCollapsibleState.Collapsed);
+        item.iconPath = new vscode.ThemeIcon('remote');
+        item.description = `${count}`;
+        return item;
+    }
+
+    // 上游跟踪信息与受保护标记，与冲突预测标记一起显示
+    private trackingSummary = '';
+    private trackingTooltip = '';
+    private protectedSummary = '';
+    private protectedTooltip = '';
+
+    /**
+     * 标记匹配受保护分支规则的分支
+     */
+    setProtected(pattern: string) {
+        this.protectedSummary = '🔒';
+        this.protectedTooltip = `受保护分支（匹配规则 ${pattern}）`;
+        this.description = [this.isCurrent ? '当前' : '', this.protectedSummary].filter(Boolean).join(' ');
+        this.tooltip = `${this.branchName}\n${this.protectedTooltip}`;
+    }
+
+    /**
+     * 显示相对上游分支的领先/落后提交数
+     */
+    setTracking(tracking: BranchTracking) {
+        if (tracking.gone) {
+            this.trackingSummary = '上游已删除';
+            this.trackingTooltip = `上游: ${tracking.upstream}（已在远程删除）`;
+        } else {
+            this.trackingSummary = [
+                tracking.ahead > 0 ? `↑${tracking.ahead}` : '',
+                tracking.behind > 0 ? `↓${tracking.behind}` : ''
+            ].filter(Boolean).join(' ');
+            this.trackingTooltip = `上游: ${tracking.upstream}（领先 ${tracking.ahead}，落后 ${tracking.behind}）`;
+        }
+        this.description = [this.isCurrent ? '当前' : '', this.protectedSummary, this.trackingSummary].filter(Boolean).join(' ') || undefined;
+        this.tooltip = [this.branchName, this.protectedTooltip, this.trackingTooltip].filter(Boolean).join('\n');
+        // 已设置上游的本地分支可以取消跟踪
+        this.contextValue = 'localBranch.tracking';
+    }
+
+    /**
+     * 在远程分支上显示跟踪它的本地分支及本地分支的领先/落后提交数
+     */
+    setTrackedBy(pairs: { branch: string; tracking: BranchTracking }[]) {
+        this.trackingSummary = pairs.map(({ branch, tracking }) => [
+            `⇄ ${branch}`,
+            tracking.ahead > 0 ? `↑${tracking.ahead}` : '',
+            tracking.behind > 0 ? `↓${tracking.behind}` : ''
+        ].filter(Boolean).join(' ')).join('，');
+        this.trackingTooltip = pairs
+            .map(({ branch, tracking }) => `被本地分支 ${branch} 跟踪（本地领先 ${tracking.ahead}，落后 ${tracking.behind}）`)
+            .join('\n');
+        this.description = [this.protectedSummary, this.trackingSummary].filter(Boolean).join(' ') || undefined;
+        this.tooltip = [this.branchName.replace(/^remotes\//, ''), this.protectedTooltip, this.trackingTooltip].filter(Boolean).join('\n');
+    }
+
+    /**
+     * 标记合并到当前分支时预计产生的冲突
+     */
+    setMergePrediction(prediction: MergeConflictPrediction) {
+        this.description = [this.protectedSummary, this.trackingSummary, `⚠ ${summarizeMergePrediction(prediction)}`].filter(Boolean).join(' ');
+        this.tooltip = [
+            this.branchName,
+            ...(this.protectedTooltip ? [this.protectedTooltip] : []),
+            ...(this.trackingTooltip ? [this.trackingTooltip] : []),
+            '',
+            `合并到当前分支时${summarizeMergePrediction(prediction)}：`,
+            ...formatPredictedConflicts(prediction, 10).map(line => `• ${line}`)
+        ].join('\n');
+        this.iconPath = new vscode.ThemeIcon('git-branch', new vscode.ThemeColor('editorWarning.foreground'));
+    }
 }
 
+// 有进行中的操作时在分支分组前显示状态项
+type BranchViewItem = BranchTreeItem | OperationStateTreeItem;
+
 /**
  * 分支数据提供者
  */
-export class BranchProvider implements vscode.TreeDataProvider<BranchTreeItem> {
-    private _onDidChangeTreeData: vscode.EventEmitter<BranchTreeItem | undefined | null | void> =
-        new vscode.EventEmitter<BranchTreeItem | undefined | null | void>();
-    readonly onDidChangeTreeData: vscode.Event<BranchTreeItem | undefined | null | void> =
+export class BranchProvider implements vscode.TreeDataProvider<BranchViewItem> {
+    private _onDidChangeTreeData: vscode.EventEmitter<BranchViewItem | undefined | null | void> =
+        new vscode.EventEmitter<BranchViewItem | undefined | null | void>();
+    readonly onDidChangeTreeData: vscode.Event<BranchViewItem | undefined | null | void> =
         this._onDidChangeTreeData.event;
 
     // 内存缓存：缓存分支数据和树项，避免重复获取和创建
     private _cachedBranches: { data: any; timestamp: number } | null = null;
     private _cachedLocalItems: BranchTreeItem[] | null = null;
-    private _cachedRemoteItems: BranchTreeItem[] | null = null;
+    private _cachedRemoteItems: Map<string, BranchTreeItem[]> | null = null;
     private readonly CACHE_TTL = 3000; // 缓存3秒
+    // 每次重建本地分支列表时递增，用于丢弃过期的冲突预测
+    private _predictionRun = 0;
 
-    constructor(private gitService: GitService) { }
+    constructor(private repositoryManager: RepositoryManager) { }
+
+    // 始终使用当前活动仓库
+    private get gitService(): GitService {
+        return this.repositoryManager.getActive();
+    }
 
     refresh(): void {
         // 清除缓存，确保下次获取最新数据
@@ -54,7 +151,7 @@ export class BranchProvider implements vscode.TreeDataProvider<BranchTreeItem> {
         this._onDidChangeTreeData.fire();
     }
 
-    getTreeItem(element: BranchTreeItem): vscode.TreeItem {
+    getTreeItem(element: BranchViewItem): vscode.TreeItem {
         return element;
     }
 
@@ -82,10 +179,12 @@ export class BranchProvider implements vscode.TreeDataProvider<BranchTreeItem> {
         return { branches, currentBranch };
     }
 
-    async getChildren(element?: BranchTreeItem): Promise<BranchTreeItem[]> {
+    async getChildren(element?: BranchViewItem): Promise<BranchViewItem[]> {
         if (!element) {
-            // 根节点：显示本地分支和远程分支分组
+            // 根节点：显示进行中的操作、本地分支和远程分支分组
+            const operationState = await this.gitService.getOperationState();
             return [
+                ...(operationState ? [new OperationStateTreeItem(operationState, this.gitService.getWorkspaceRoot())] : []),
                 new BranchTreeItem(
                     '本地分支',
                     'local',
@@ -103,6 +202,10 @@ export class BranchProvider implements vscode.TreeDataProvider<BranchTreeItem> {
             ];
         }
 
+        if (element instanceof OperationStateTreeItem) {
+            return [];
+        }
+
         try {
             // 使用缓存获取分支数据
             const { branches, currentBranch } = await this._getBranchesData();
@@ -113,12 +216,15 @@ export class BranchProvider implements vscode.TreeDataProvider<BranchTreeItem> {
                     return this._cachedLocalItems;
                 }
 
+                // 上游跟踪信息获取失败时不影响分支列表
+                const tracking = await this.gitService.getBranchTracking().catch(() => ({} as Record<string, BranchTracking>));
+
                 // 本地分支
                 const localItems = branches.all
                     .filter((b: string) => !b.startsWith('remotes/'))
                     .map((branch: string) => {
                         const isCurrent = branch === currentBranch;
-                        return new BranchTreeItem(
+                        const item = new BranchTreeItem(
                             branch,
                             branch,
                             isCurrent,
@@ -130,34 +236,27 @@ export class BranchProvider implements vscode.TreeDataProvider<BranchTreeItem> {
                                 arguments: [branch]
                             }
                         );
+                        const protectedPattern = getProtectedBranchPattern(branch);
+                        if (protectedPattern) {
+                            item.setProtected(protectedPattern);
+                        }
+                        if (tracking[branch]) {
+                            item.setTracking(tracking[branch]);
+                        }
+                        return item;
                     });
 
                 // 缓存本地分支项
                 this._cachedLocalItems = localItems;
+                this._predictMergeConflicts(localItems);
                 return localItems;
             } else if (element.branchName === 'remote') {
-                // 检查远程分支缓存
-                if (this._cachedRemoteItems) {
-                    return this._cachedRemoteItems;
-                }
-
-                // 远程分支
-                const remoteItems = branches.all
-                    .filter((b: string) => b.startsWith('remotes/'))
-                    .map((branch: string) => {
-                        const displayName = branch.replace('remotes/', '');
-                        return new BranchTreeItem(
-                            displayName,
-                            branch,
-                            false,
-                            true,
-                            vscode.TreeItemCollapsibleState.None
-                        );
-                    });
-
-                // 缓存远程分支项
-                this._cachedRemoteItems = remoteItems;
-                return remoteItems;
+                // 远程分支按远程名称分组
+                const remoteItems = await this._getRemoteItems(branches.all);
+                return Array.from(remoteItems.entries()).map(([remote, items]) => BranchTreeItem.remoteGroup(remote, items.length));
+            } else if (element.contextValue === 'branchGroup' && element.branchName.startsWith('remotes/')) {
+                const remoteItems = await this._getRemoteItems(branches.all);
+                return remoteItems.get(element.label) || [];
             }
 
             return [];
@@ -166,5 +265,80 @@ export class BranchProvider implements vscode.TreeDataProvider<BranchTreeItem> {
             return [];
         }
     }
-}
 
+    /**
+     * 获取按远程名称分组的远程分支项（带缓存），点击远程分支时检出为本地跟踪分支
+     */
+    private async _getRemoteItems(allBranches: string[]): Promise<Map<string, BranchTreeItem[]>> {
+        if (this._cachedRemoteItems) {
+            return this._cachedRemoteItems;
+        }
+
+        const remotes = await this.gitService.getRemotes().catch(() => []);
+        const tracking = await this.gitService.getBranchTracking().catch(() => ({} as Record<string, BranchTracking>));
+        const groups = new Map<string, BranchTreeItem[]>();
+
+        allBranches
+            .filter(branch => branch.startsWith('remotes/'))
+            .forEach(branch => {
+                const displayName = branch.replace('remotes/', '');
+                const { remote, branch: shortName } = splitRemoteBranch(branch, remotes.map(item => item.name));
+                const item = new BranchTreeItem(
+                    shortName,
+                    branch,
+                    false,
+                    true,
+                    vscode.TreeItemCollapsibleState.None,
+                    {
+                        command: 'git-assistant.checkoutTrackingBranch',
+                        title: '检出为本地跟踪分支',
+                        arguments: [displayName]
+                    }
+                );
+                item.tooltip = displayName;
+                const protectedPattern = getProtectedBranchPattern(displayName, true);
+                if (protectedPattern) {
+                    item.setProtected(protectedPattern);
+                }
+                const pairs = Object.entries(tracking)
+                    .filter(([, info]) => info.upstream === displayName)
+                    .map(([local, info]) => ({ branch: local, tracking: info }));
+                if (pairs.length > 0) {
+                    item.setTrackedBy(pairs);
+                }
+                groups.set(remote, [...(groups.get(remote) || []), item]);
+            });
+
+        this._cachedRemoteItems = groups;
+        return groups;
+    }
+
+    /**
+     * 在后台逐个预测本地分支合并到当前分支时的冲突，并标记会冲突的分支
+     */
+    private _predictMergeConflicts(items: BranchTreeItem[]) {
+        const config = vscode.workspace.getConfiguration('git-assistant');
+        if (!config.get('predictMergeConflicts', true)) {
+            return;
+        }
+
+        const run = ++this._predictionRun;
+        const gitService = this.gitService;
+        void (async () => {
+            // 逐个执行，避免分支较多时同时启动大量 git 进程
+            for (const item of items) {
+                if (run !== this._predictionRun) {
+                    return;
+                }
+                if (item.isCurrent) {
+                    continue;
+                }
+                const prediction = await gitService.predictMergeConflicts(item.branchName);
+                if (prediction && !prediction.clean && run === this._predictionRun) {
+                    item.setMergePrediction(prediction);
+                    this._onDidChangeTreeData.fire(item);
+                }
+            }
+        })();
+    }
+}
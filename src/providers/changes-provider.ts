@@ -0,0 +1,192 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { GitService } from '../services/git-service';
+import { RepositoryManager } from '../services/repository-manager';
+import { getFileStatusText } from '../utils/git-utils';
+import {
+    buildChangeTree,
+    CHANGE_GROUP_LABELS,
+    CHANGE_GROUP_ORDER,
+    ChangeEntry,
+    ChangeFolderNode,
+    ChangeGroup,
+    collectFolderEntries,
+    groupStatusFiles
+} from '../utils/change-groups';
+
+/**
+ * 更改视图的显示方式
+ */
+export type ChangesViewMode = 'tree' | 'list';
+
+const GROUP_ICONS: Record<ChangeGroup, string> = {
+    conflicted: 'warning',
+    staged: 'check',
+    unstaged: 'diff',
+    untracked: 'question'
+};
+
+/**
+ * 更改分组树项（合并冲突 / 已暂存 / 更改 / 未跟踪）
+ */
+export class ChangeGroupTreeItem extends vscode.TreeItem {
+    constructor(
+        public readonly group: ChangeGroup,
+        public readonly entries: ChangeEntry[]
+    ) {
+        super(CHANGE_GROUP_LABELS[group], vscode.TreeItemCollapsibleState.Expanded);
+        this.id = `changeGroup:${group}`;
+        this.description = `${entries.length}`;
+        this.contextValue = `changeGroup.${group}`;
+        this.iconPath = new vscode.ThemeIcon(GROUP_ICONS[group]);
+    }
+}
+
+/**
+ * 更改文件夹树项
+ */
+export class ChangeFolderTreeItem extends vscode.TreeItem {
+    constructor(
+        public readonly group: ChangeGroup,
+        public readonly node: ChangeFolderNode,
+        workspaceRoot: string
+    ) {
+        super(node.name, vscode.TreeItemCollapsibleState.Expanded);
+        this.id = `changeFolder:${group}:${node.path}`;
+        this.contextValue = `changeFolder.${group}`;
+        this.resourceUri = vscode.Uri.file(path.join(workspaceRoot, node.path));
+        this.iconPath = vscode.ThemeIcon.Folder;
+    }
+
+    get entries(): ChangeEntry[] {
+        return collectFolderEntries(this.node);
+    }
+}
+
+/**
+ * 更改文件树项
+ */
+export class ChangeFileTreeItem extends vscode.TreeItem {
+    public readonly fileUri: vscode.Uri;
+
+    constructor(
+        public readonly entry: ChangeEntry,
+        workspaceRoot: string,
+        showDirectory: boolean
+    ) {
+        super(path.posix.basename(entry.path), vscode.TreeItemCollapsibleState.None);
+        this.id = `changeFile:${entry.group}:${entry.path}`;
+        this.fileUri = vscode.Uri.file(path.join(workspaceRoot, entry.path));
+
+        const directory = path.posix.dirname(entry.path);
+        const statusText = entry.originalPath
+            ? `${getFileStatusText(entry.status)} ← ${entry.originalPath}`
+            : getFileStatusText(entry.status);
+        this.description = showDirectory && directory !== '.' ? `${directory} · ${statusText}` : statusText;
+        this.tooltip = `${entry.path}\n${CHANGE_GROUP_LABELS[entry.group]} · ${statusText}`;
+        this.contextValue = `changeFile.${entry.group}`;
+        this.resourceUri = this.fileUri;
+        this.iconPath = vscode.ThemeIcon.File;
+
+        // 点击查看差异（冲突文件直接打开）
+        this.command = {
+            command: 'git-assistant.openChangeDiff',
+            title: '查看更改',
+            arguments: [this]
+        };
+    }
+}
+
+export type ChangeViewItem = ChangeGroupTreeItem | ChangeFolderTreeItem | ChangeFileTreeItem | vscode.TreeItem;
+
+/**
+ * 收集树项（可多选）对应的更改条目，文件夹和分组展开为其中的全部文件
+ */
+export function collectChangeEntries(items: ChangeViewItem[]): ChangeEntry[] {
+    const entries = new Map<string, ChangeEntry>();
+    for (const item of items) {
+        const itemEntries = item instanceof ChangeFileTreeItem
+            ? [item.entry]
+            : item instanceof ChangeFolderTreeItem || item instanceof ChangeGroupTreeItem
+                ? item.entries
+                : [];
+        itemEntries.forEach(entry => entries.set(`${entry.group}:${entry.path}`, entry));
+    }
+    return Array.from(entries.values());
+}
+
+/**
+ * 工作区更改数据提供者
+ */
+export class ChangesProvider implements vscode.TreeDataProvider<ChangeViewItem> {
+    private _onDidChangeTreeData: vscode.EventEmitter<ChangeViewItem | undefined | null | void> =
+        new vscode.EventEmitter<ChangeViewItem | undefined | null | void>();
+    readonly onDidChangeTreeData: vscode.Event<ChangeViewItem | undefined | null | void> =
+        this._onDidChangeTreeData.event;
+
+    constructor(private repositoryManager: RepositoryManager) { }
+
+    // 始终使用当前活动仓库
+    private get gitService(): GitService {
+        return this.repositoryManager.getActive();
+    }
+
+    private get viewMode(): ChangesViewMode {
+        return vscode.workspace.getConfiguration('git-assistant').get<ChangesViewMode>('changesViewMode', 'tree');
+    }
+
+    refresh(): void {
+        this._onDidChangeTreeData.fire();
+    }
+
+    getTreeItem(element: ChangeViewItem): vscode.TreeItem {
+        return element;
+    }
+
+    async getChildren(element?: ChangeViewItem): Promise<ChangeViewItem[]> {
+        try {
+            const workspaceRoot = this.gitService.getWorkspaceRoot();
+            if (!workspaceRoot) {
+                return [];
+            }
+
+            if (!element) {
+                const status = await this.gitService.getStatus(true);
+                const groups = groupStatusFiles(status.files);
+                const items = CHANGE_GROUP_ORDER
+                    .filter(group => groups[group].length > 0)
+                    .map(group => new ChangeGroupTreeItem(group, groups[group]));
+                if (items.length === 0) {
+                    const item = new vscode.TreeItem('没有更改', vscode.TreeItemCollapsibleState.None);
+                    item.iconPath = new vscode.ThemeIcon('check', new vscode.ThemeColor('testing.iconPassed'));
+                    item.contextValue = 'noChanges';
+                    return [item];
+                }
+                return items;
+            }
+
+            if (element instanceof ChangeGroupTreeItem) {
+                if (this.viewMode === 'list') {
+                    return element.entries.map(entry => new ChangeFileTreeItem(entry, workspaceRoot, true));
+                }
+                return this.getFolderChildren(element.group, buildChangeTree(element.entries), workspaceRoot);
+            }
+
+            if (element instanceof ChangeFolderTreeItem) {
+                return this.getFolderChildren(element.group, element.node, workspaceRoot);
+            }
+
+            return [];
+        } catch (error) {
+            vscode.window.showErrorMessage(`获取更改列表失败: ${error}`);
+            return [];
+        }
+    }
+
+    private getFolderChildren(group: ChangeGroup, node: ChangeFolderNode, workspaceRoot: string): ChangeViewItem[] {
+        return [
+            ...node.folders.map(folder => new ChangeFolderTreeItem(group, folder, workspaceRoot)),
+            ...node.files.map(entry => new ChangeFileTreeItem(entry, workspaceRoot, false))
+        ];
+    }
+}
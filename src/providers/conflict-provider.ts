@@ -1,17 +1,25 @@
 import * as vscode from 'vscode';
 import * as path from 'path';
 import { GitService } from '../services/git-service';
+import { RepositoryManager } from '../services/repository-manager';
+import { OperationStateTreeItem } from './operation-state-item';
+import { ConflictEntry } from '../types/git';
+import { CONFLICT_TYPE_LABELS, describeConflict, getConflictResolutions, isTextConflict } from '../utils/conflict-status';
 
 /**
  * 冲突文件树项
  */
 export class ConflictTreeItem extends vscode.TreeItem {
+    public readonly filePath: string;
+
     constructor(
-        public readonly filePath: string,
+        public readonly entry: ConflictEntry,
         private readonly workspaceRoot: string | undefined,
         public readonly collapsibleState: vscode.TreeItemCollapsibleState
     ) {
-        super(filePath, collapsibleState);
+        super(entry.path, collapsibleState);
+        this.filePath = entry.path;
+        const filePath = entry.path;
 
         const fallbackRoot = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
         const rootForResolution = this.workspaceRoot || fallbackRoot;
@@ -21,32 +29,52 @@ export class ConflictTreeItem extends vscode.TreeItem {
                 ? path.join(rootForResolution, filePath)
                 : path.resolve(filePath);
 
-        this.tooltip = `冲突文件: ${filePath}`;
-        this.contextValue = 'conflictFile';
-        this.iconPath = new vscode.ThemeIcon('warning', new vscode.ThemeColor('editorWarning.foreground'));
-
-        // 点击打开文件
-        this.command = {
-            command: 'vscode.open',
-            title: '打开文件',
-            arguments: [vscode.Uri.file(absolutePath)]
-        };
+        const textual = isTextConflict(entry);
+        this.description = describeConflict(entry);
+        this.tooltip = `冲突文件: ${filePath}\n冲突类型: ${this.description}`;
+        // 形如 conflictFile.text.ours.theirs / conflictFile.whole.theirs.delete，用于控制菜单中的解决操作
+        this.contextValue = ['conflictFile', textual ? 'text' : 'whole', ...getConflictResolutions(entry)].join('.');
+        this.iconPath = new vscode.ThemeIcon(
+            entry.submodule ? 'file-submodule' : entry.binary ? 'file-binary' : entry.type.startsWith('deleted') ? 'diff-removed' : 'warning',
+            new vscode.ThemeColor('editorWarning.foreground')
+        );
+
+        // 文本冲突点击打开文件，其余冲突点击选择保留哪个版本
+        this.command = textual
+            ? {
+                command: 'vscode.open',
+                title: '打开文件',
+                arguments: [vscode.Uri.file(absolutePath)]
+            }
+            : {
+                command: 'git-assistant.resolveConflictFile',
+                title: `解决冲突（${CONFLICT_TYPE_LABELS[entry.type]}）`,
+                arguments: [this]
+            };
     }
 }
 
+// 冲突文件之外还会显示引起冲突的操作和“没有冲突”提示项
+type ConflictViewItem = ConflictTreeItem | OperationStateTreeItem | vscode.TreeItem;
+
 /**
  * 冲突检测数据提供者
  */
-export class ConflictProvider implements vscode.TreeDataProvider<ConflictTreeItem> {
-    private _onDidChangeTreeData: vscode.EventEmitter<ConflictTreeItem | undefined | null | void> =
-        new vscode.EventEmitter<ConflictTreeItem | undefined | null | void>();
-    readonly onDidChangeTreeData: vscode.Event<ConflictTreeItem | undefined | null | void> =
+export class ConflictProvider implements vscode.TreeDataProvider<ConflictViewItem> {
+    private _onDidChangeTreeData: vscode.EventEmitter<ConflictViewItem | undefined | null | void> =
+        new vscode.EventEmitter<ConflictViewItem | undefined | null | void>();
+    readonly onDidChangeTreeData: vscode.Event<ConflictViewItem | undefined | null | void> =
         this._onDidChangeTreeData.event;
 
     private conflictDecorationType: vscode.TextEditorDecorationType;
     private fileConflictState: Map<string, boolean> = new Map();
 
-    constructor(private gitService: GitService) {
+    // 始终使用当前活动仓库
+    private get gitService(): GitService {
+        return this.repositoryManager.getActive();
+    }
+
+    constructor(private repositoryManager: RepositoryManager) {
         // 创建冲突装饰类型
         this.conflictDecorationType = vscode.window.createTextEditorDecorationType({
             backgroundColor: 'rgba(255, 0, 0, 0.1)',
@@ -79,30 +107,38 @@ export class ConflictProvider implements vscode.TreeDataProvider<ConflictTreeIte
         this._onDidChangeTreeData.fire();
     }
 
-    getTreeItem(element: ConflictTreeItem): vscode.TreeItem {
+    getTreeItem(element: ConflictViewItem): vscode.TreeItem {
         return element;
     }
 
-    async getChildren(element?: ConflictTreeItem): Promise<ConflictTreeItem[]> {
+    async getChildren(element?: ConflictViewItem): Promise<ConflictViewItem[]> {
         if (element) {
             return [];
         }
 
         try {
-            const conflicts = await this.gitService.getConflicts();
+            const [conflicts, operationState] = await Promise.all([
+                this.gitService.getConflictEntries(),
+                this.gitService.getOperationState()
+            ]);
+            const workspaceRoot = this.gitService.getWorkspaceRoot();
+            // 顶部显示引起冲突的操作及涉及的引用
+            const operationItems = operationState ? [new OperationStateTreeItem(operationState, workspaceRoot)] : [];
 
             if (conflicts.length === 0) {
                 // 返回一个提示项
                 const item = new vscode.TreeItem('✅ 没有冲突', vscode.TreeItemCollapsibleState.None);
                 item.iconPath = new vscode.ThemeIcon('check', new vscode.ThemeColor('testing.iconPassed'));
                 item.contextValue = 'noConflict';
-                return [item as any];
+                return [...operationItems, item];
             }
 
-            const workspaceRoot = this.gitService.getWorkspaceRoot();
-            return conflicts.map(file =>
-                new ConflictTreeItem(file, workspaceRoot, vscode.TreeItemCollapsibleState.None)
-            );
+            return [
+                ...operationItems,
+                ...conflicts.map(entry =>
+                    new ConflictTreeItem(entry, workspaceRoot, vscode.TreeItemCollapsibleState.None)
+                )
+            ];
         } catch (error) {
             vscode.window.showErrorMessage(`检测冲突失败: ${error}`);
             return [];
@@ -1,5 +1,6 @@
 import * as vscode from 'vscode';
 import { GitService } from '../services/git-service';
+import { RepositoryManager } from '../services/repository-manager';
 import { DefaultLogFields } from 'simple-git';
 
 /**
@@ -66,7 +67,12 @@ export class HistoryProvider implements vscode.TreeDataProvider<CommitTreeItem>
     readonly onDidChangeTreeData: vscode.Event<CommitTreeItem | undefined | null | void> =
         this._onDidChangeTreeData.event;
 
-    constructor(private gitService: GitService) {
+    // 始终使用当前活动仓库
+    private get gitService(): GitService {
+        return this.repositoryManager.getActive();
+    }
+
+    constructor(private repositoryManager: RepositoryManager) {
         // 注册查看提交详情命令
         vscode.commands.registerCommand('git-assistant.showCommitDetails', (commit: DefaultLogFields) => {
             this.showCommitDetails(commit);
@@ -0,0 +1,103 @@
+import * as vscode from 'vscode';
+import { GitService } from '../services/git-service';
+import { RepositoryManager } from '../services/repository-manager';
+import { HookInfo } from '../types/git';
+
+/**
+ * 钩子目录树项（仅在配置了 core.hooksPath 时分组显示）
+ */
+export class HookDirectoryTreeItem extends vscode.TreeItem {
+    constructor(public readonly dir: string, public readonly active: boolean) {
+        super(active ? 'core.hooksPath' : '.git/hooks', vscode.TreeItemCollapsibleState.Expanded);
+        this.description = active ? '当前生效' : '已被 core.hooksPath 覆盖';
+        this.tooltip = dir;
+        this.contextValue = 'hookDirectory';
+        this.iconPath = new vscode.ThemeIcon(active ? 'folder-active' : 'folder');
+    }
+}
+
+/**
+ * 钩子树项
+ */
+export class HookTreeItem extends vscode.TreeItem {
+    constructor(public readonly hook: HookInfo, active: boolean) {
+        super(hook.name, vscode.TreeItemCollapsibleState.None);
+
+        const state = hook.enabled ? (hook.executable ? '已启用' : '已启用 · 不可执行') : '已禁用';
+        this.description = active ? state : `${state} · 未生效`;
+        this.tooltip = hook.path;
+        this.contextValue = hook.enabled ? 'hookEnabled' : 'hookDisabled';
+        this.iconPath = new vscode.ThemeIcon(
+            hook.enabled ? (hook.executable ? 'pass' : 'warning') : 'circle-slash'
+        );
+
+        // 点击打开钩子脚本编辑
+        this.command = {
+            command: 'git-assistant.openHook',
+            title: '编辑钩子',
+            arguments: [this]
+        };
+    }
+}
+
+type HookViewItem = HookDirectoryTreeItem | HookTreeItem | vscode.TreeItem;
+
+/**
+ * Git 钩子数据提供者
+ */
+export class HooksProvider implements vscode.TreeDataProvider<HookViewItem> {
+    private _onDidChangeTreeData: vscode.EventEmitter<HookViewItem | undefined | null | void> =
+        new vscode.EventEmitter<HookViewItem | undefined | null | void>();
+    readonly onDidChangeTreeData: vscode.Event<HookViewItem | undefined | null | void> =
+        this._onDidChangeTreeData.event;
+
+    constructor(private repositoryManager: RepositoryManager) { }
+
+    // 始终使用当前活动仓库
+    private get gitService(): GitService {
+        return this.repositoryManager.getActive();
+    }
+
+    refresh(): void {
+        this._onDidChangeTreeData.fire();
+    }
+
+    getTreeItem(element: HookViewItem): vscode.TreeItem {
+        return element;
+    }
+
+    async getChildren(element?: HookViewItem): Promise<HookViewItem[]> {
+        try {
+            if (!element) {
+                const { defaultDir, hooksPath } = await this.gitService.getHookDirectories();
+                if (hooksPath) {
+                    return [
+                        new HookDirectoryTreeItem(hooksPath, true),
+                        new HookDirectoryTreeItem(defaultDir, false)
+                    ];
+                }
+                return this.getHookItems(defaultDir, true);
+            }
+
+            if (element instanceof HookDirectoryTreeItem) {
+                return this.getHookItems(element.dir, element.active);
+            }
+
+            return [];
+        } catch (error) {
+            vscode.window.showErrorMessage(`获取钩子列表失败: ${error}`);
+            return [];
+        }
+    }
+
+    private async getHookItems(dir: string, active: boolean): Promise<HookViewItem[]> {
+        const hooks = await this.gitService.getHooks(dir);
+        if (hooks.length === 0) {
+            const item = new vscode.TreeItem('没有钩子', vscode.TreeItemCollapsibleState.None);
+            item.iconPath = new vscode.ThemeIcon('info');
+            item.contextValue = 'noHook';
+            return [item];
+        }
+        return hooks.map(hook => new HookTreeItem(hook, active));
+    }
+}
@@ -0,0 +1,122 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { GitService } from '../services/git-service';
+import { RepositoryManager } from '../services/repository-manager';
+import { LfsFileEntry, LfsTrackedPattern } from '../utils/large-files';
+
+/**
+ * LFS 分组树项（跟踪规则 / LFS 文件）
+ */
+export class LfsGroupTreeItem extends vscode.TreeItem {
+    constructor(public readonly group: 'patterns' | 'files', count: number) {
+        super(group === 'patterns' ? '跟踪规则' : 'LFS 文件', vscode.TreeItemCollapsibleState.Expanded);
+        this.description = `${count}`;
+        this.contextValue = group === 'patterns' ? 'lfsPatternGroup' : 'lfsFileGroup';
+        this.iconPath = new vscode.ThemeIcon(group === 'patterns' ? 'filter' : 'database');
+    }
+}
+
+/**
+ * LFS 跟踪规则树项
+ */
+export class LfsPatternTreeItem extends vscode.TreeItem {
+    public readonly pattern: string;
+
+    constructor(entry: LfsTrackedPattern) {
+        super(entry.pattern, vscode.TreeItemCollapsibleState.None);
+        this.pattern = entry.pattern;
+        this.description = entry.source;
+        this.tooltip = `${entry.pattern}（定义于 ${entry.source}）`;
+        this.contextValue = 'lfsPattern';
+        this.iconPath = new vscode.ThemeIcon('symbol-file');
+    }
+}
+
+/**
+ * LFS 文件树项：显示本地是否已下载文件内容
+ */
+export class LfsFileTreeItem extends vscode.TreeItem {
+    constructor(public readonly entry: LfsFileEntry, root: string) {
+        super(entry.path, vscode.TreeItemCollapsibleState.None);
+        this.description = entry.downloaded ? '已下载' : '仅指针';
+        this.tooltip = [
+            entry.path,
+            `OID: ${entry.oid}`,
+            entry.downloaded ? '本地已有文件内容' : '本地只有 LFS 指针，可使用 git lfs pull 下载'
+        ].join('\n');
+        this.contextValue = entry.downloaded ? 'lfsFile' : 'lfsPointer';
+        this.resourceUri = vscode.Uri.file(path.join(root, entry.path));
+        this.iconPath = entry.downloaded ? vscode.ThemeIcon.File : new vscode.ThemeIcon('cloud');
+        if (entry.downloaded) {
+            this.command = {
+                command: 'vscode.open',
+                title: '打开文件',
+                arguments: [this.resourceUri]
+            };
+        }
+    }
+}
+
+type LfsViewItem = LfsGroupTreeItem | LfsPatternTreeItem | LfsFileTreeItem | vscode.TreeItem;
+
+/**
+ * Git LFS 数据提供者
+ */
+export class LfsProvider implements vscode.TreeDataProvider<LfsViewItem> {
+    private _onDidChangeTreeData: vscode.EventEmitter<LfsViewItem | undefined | null | void> =
+        new vscode.EventEmitter<LfsViewItem | undefined | null | void>();
+    readonly onDidChangeTreeData: vscode.Event<LfsViewItem | undefined | null | void> =
+        this._onDidChangeTreeData.event;
+
+    constructor(private repositoryManager: RepositoryManager) { }
+
+    // 始终使用当前活动仓库
+    private get gitService(): GitService {
+        return this.repositoryManager.getActive();
+    }
+
+    refresh(): void {
+        this._onDidChangeTreeData.fire();
+    }
+
+    getTreeItem(element: LfsViewItem): vscode.TreeItem {
+        return element;
+    }
+
+    async getChildren(element?: LfsViewItem): Promise<LfsViewItem[]> {
+        try {
+            if (!element) {
+                if (!await this.gitService.isLfsInstalled()) {
+                    const item = new vscode.TreeItem('未安装 Git LFS', vscode.TreeItemCollapsibleState.None);
+                    item.description = '安装 git-lfs 后可管理大文件';
+                    item.iconPath = new vscode.ThemeIcon('info');
+                    item.contextValue = 'lfsNotInstalled';
+                    return [item];
+                }
+                const [patterns, files] = await Promise.all([
+                    this.gitService.getLfsTrackedPatterns(),
+                    this.gitService.getLfsFiles()
+                ]);
+                return [
+                    new LfsGroupTreeItem('patterns', patterns.length),
+                    new LfsGroupTreeItem('files', files.length)
+                ];
+            }
+
+            if (element instanceof LfsGroupTreeItem) {
+                if (element.group === 'patterns') {
+                    const patterns = await this.gitService.getLfsTrackedPatterns();
+                    return patterns.map(entry => new LfsPatternTreeItem(entry));
+                }
+                const root = this.gitService.getWorkspaceRoot() || '';
+                const files = await this.gitService.getLfsFiles();
+                return files.map(entry => new LfsFileTreeItem(entry, root));
+            }
+
+            return [];
+        } catch (error) {
+            vscode.window.showErrorMessage(`获取 Git LFS 信息失败: ${error}`);
+            return [];
+        }
+    }
+}
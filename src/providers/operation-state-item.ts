@@ -0,0 +1,30 @@
+import * as vscode from 'vscode';
+import { GitOperationState } from '../types/git';
+import { describeOperation, OPERATION_LABELS } from '../utils/operation-state';
+
+/**
+ * 进行中操作（合并/变基/拣选/回滚）的提示树项，显示在分支视图和冲突视图顶部
+ */
+export class OperationStateTreeItem extends vscode.TreeItem {
+    constructor(
+        public readonly state: GitOperationState,
+        public readonly repositoryRoot: string | undefined
+    ) {
+        super(`${OPERATION_LABELS[state.type]}进行中`, vscode.TreeItemCollapsibleState.None);
+
+        this.description = describeOperation(state);
+        const progress = state.step && state.totalSteps ? [`进度: ${state.step}/${state.totalSteps}`] : [];
+        this.tooltip = [
+            `操作: ${OPERATION_LABELS[state.type]}`,
+            `分支: ${state.branch || '(分离 HEAD)'}`,
+            `当前更改 (ours): ${state.current || '未知'}`,
+            `传入更改 (theirs): ${state.incoming || '未知'}${state.incomingMessage ? ` ${state.incomingMessage}` : ''}`,
+            ...progress,
+            ``,
+            `解决冲突后使用「继续」完成操作，或使用「中止」恢复到操作前的状态`
+        ].join('\n');
+        // 区分是否支持跳过，用于控制菜单中的「跳过」按钮
+        this.contextValue = state.canSkip ? 'operationState.skippable' : 'operationState';
+        this.iconPath = new vscode.ThemeIcon('debug-pause', new vscode.ThemeColor('editorWarning.foreground'));
+    }
+}
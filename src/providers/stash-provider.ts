@@ -0,0 +1,108 @@
+import * as vscode from 'vscode';
+import { GitService } from '../services/git-service';
+import { RepositoryManager } from '../services/repository-manager';
+import { CommitFileChange, StashEntry } from '../types/git';
+import { formatRelativeDate, getFileStatusIcon } from '../utils/git-utils';
+
+/**
+ * 储藏树项
+ */
+export class StashTreeItem extends vscode.TreeItem {
+    constructor(public readonly stash: StashEntry) {
+        super(stash.message || stash.ref, vscode.TreeItemCollapsibleState.Collapsed);
+
+        const branchText = stash.branch ? ` · ${stash.branch}` : '';
+        this.description = `${stash.ref}${branchText} · ${formatRelativeDate(stash.date)}`;
+        this.tooltip = [
+            `储藏: ${stash.ref}`,
+            `分支: ${stash.branch || '(分离 HEAD)'}`,
+            `日期: ${new Date(stash.date).toLocaleString('zh-CN')}`,
+            ``,
+            stash.message
+        ].join('\n');
+        this.contextValue = 'stash';
+        this.iconPath = new vscode.ThemeIcon('archive');
+    }
+}
+
+/**
+ * 储藏中的文件树项
+ */
+export class StashFileTreeItem extends vscode.TreeItem {
+    constructor(
+        public readonly stash: StashEntry,
+        public readonly file: CommitFileChange
+    ) {
+        super(file.path, vscode.TreeItemCollapsibleState.None);
+
+        const statusCode = file.type || file.status.charAt(0) || 'M';
+        const stats = typeof file.additions === 'number' && typeof file.deletions === 'number'
+            ? `+${file.additions} -${file.deletions}`
+            : '';
+        this.description = statusCode === 'U' ? '未跟踪' : `${getFileStatusIcon(statusCode)} ${stats}`.trim();
+        this.tooltip = file.oldPath && file.oldPath !== file.path ? `${file.oldPath} → ${file.path}` : file.path;
+        this.contextValue = 'stashFile';
+        this.resourceUri = vscode.Uri.file(file.path);
+        this.iconPath = vscode.ThemeIcon.File;
+
+        // 点击查看该文件在储藏中的差异
+        this.command = {
+            command: 'git-assistant.openStashFile',
+            title: '查看储藏差异',
+            arguments: [stash, file]
+        };
+    }
+}
+
+// 空列表时显示普通提示项
+type StashViewItem = StashTreeItem | StashFileTreeItem | vscode.TreeItem;
+
+/**
+ * 储藏数据提供者
+ */
+export class StashProvider implements vscode.TreeDataProvider<StashViewItem> {
+    private _onDidChangeTreeData: vscode.EventEmitter<StashViewItem | undefined | null | void> =
+        new vscode.EventEmitter<StashViewItem | undefined | null | void>();
+    readonly onDidChangeTreeData: vscode.Event<StashViewItem | undefined | null | void> =
+        this._onDidChangeTreeData.event;
+
+    constructor(private repositoryManager: RepositoryManager) { }
+
+    // 始终使用当前活动仓库
+    private get gitService(): GitService {
+        return this.repositoryManager.getActive();
+    }
+
+    refresh(): void {
+        this._onDidChangeTreeData.fire();
+    }
+
+    getTreeItem(element: StashViewItem): vscode.TreeItem {
+        return element;
+    }
+
+    async getChildren(element?: StashViewItem): Promise<StashViewItem[]> {
+        try {
+            if (!element) {
+                const stashes = await this.gitService.getStashes();
+                if (stashes.length === 0) {
+                    const item = new vscode.TreeItem('没有储藏', vscode.TreeItemCollapsibleState.None);
+                    item.iconPath = new vscode.ThemeIcon('info');
+                    item.contextValue = 'noStash';
+                    return [item];
+                }
+                return stashes.map(stash => new StashTreeItem(stash));
+            }
+
+            if (element instanceof StashTreeItem) {
+                const files = await this.gitService.getStashFiles(element.stash.index);
+                return files.map(file => new StashFileTreeItem(element.stash, file));
+            }
+
+            return [];
+        } catch (error) {
+            vscode.window.showErrorMessage(`获取储藏列表失败: ${error}`);
+            return [];
+        }
+    }
+}
@@ -0,0 +1,178 @@
+import * as vscode from 'vscode';
+import { GitService } from './git-service';
+import { RepositoryManager } from './repository-manager';
+import { Logger } from '../utils/logger';
+import { getConfiguredFetchOptions } from '../utils/git-helpers';
+import { getFetchBackoffDelay } from '../utils/fetch-schedule';
+
+/**
+ * 激活后首次自动获取前的等待时间，避免与启动时的其他 Git 操作争抢
+ */
+const INITIAL_FETCH_DELAY_MS = 10 * 1000;
+
+/**
+ * 后台自动获取调度器 - 实现 `git-assistant.autoFetch` 设置
+ *
+ * 按配置的间隔依次获取所有仓库的远程更新；获取失败时按指数退避延长间隔，
+ * 窗口失去焦点时暂停，重新获得焦点后补上错过的获取。上游分支有新提交时提示拉取。
+ */
+export class AutoFetchScheduler implements vscode.Disposable {
+    private timer: NodeJS.Timeout | undefined;
+    private failures = 0;
+    private running = false;
+    // 窗口失去焦点期间到期的获取，重新获得焦点后立即执行
+    private dueWhileUnfocused = false;
+    private disposables: vscode.Disposable[] = [];
+
+    private readonly _onDidFetch = new vscode.EventEmitter<GitService>();
+    readonly onDidFetch: vscode.Event<GitService> = this._onDidFetch.event;
+
+    constructor(private readonly repositoryManager: RepositoryManager) {
+        this.disposables.push(
+            vscode.workspace.onDidChangeConfiguration(event => {
+                if (event.affectsConfiguration('git-assistant.autoFetch') ||
+                    event.affectsConfiguration('git-assistant.autoFetchInterval')) {
+                    this.failures = 0;
+                    this.schedule(this.getInterval());
+                }
+            }),
+            vscode.window.onDidChangeWindowState(state => {
+                if (state.focused && this.dueWhileUnfocused) {
+                    this.dueWhileUnfocused = false;
+                    this.schedule(0);
+                }
+            })
+        );
+
+        this.schedule(INITIAL_FETCH_DELAY_MS);
+    }
+
+    private isEnabled(): boolean {
+        return vscode.workspace.getConfiguration('git-assistant').get<boolean>('autoFetch', true);
+    }
+
+    private getInterval(): number {
+        const seconds = vscode.workspace.getConfiguration('git-assistant').get<number>('autoFetchInterval', 180);
+        return Math.max(seconds, 30) * 1000;
+    }
+
+    private schedule(delay: number) {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = undefined;
+        }
+        if (!this.isEnabled()) {
+            return;
+        }
+        this.timer = setTimeout(() => this.tick(), delay);
+    }
+
+    private async tick() {
+        this.timer = undefined;
+        if (!vscode.window.state.focused) {
+            this.dueWhileUnfocused = true;
+            return;
+        }
+
+        const succeeded = await this.fetchAll();
+        this.failures = succeeded ? 0 : this.failures + 1;
+
+        const delay = getFetchBackoffDelay(this.getInterval(), this.failures);
+        if (this.failures > 0) {
+            Logger.warn(`自动获取失败（连续 ${this.failures} 次），${Math.round(delay / 1000)} 秒后重试`);
+        }
+        this.schedule(delay);
+    }
+
+    /**
+     * 获取所有仓库的远程更新，全部成功时返回 true
+     */
+    private async fetchAll(): Promise<boolean> {
+        if (this.running) {
+            return true;
+        }
+        this.running = true;
+
+        let succeeded = true;
+        try {
+            for (const repository of this.repositoryManager.getRepositories()) {
+                const gitService = this.repositoryManager.getServiceForPath(repository.path);
+                if (!gitService || !(await this.fetchRepository(gitService, repository.name))) {
+                    succeeded = false;
+                }
+            }
+        } finally {
+            this.running = false;
+        }
+        return succeeded;
+    }
+
+    private async fetchRepository(gitService: GitService, name: string): Promise<boolean> {
+        try {
+            const remotes = await gitService.getRemotes();
+            if (remotes.length === 0) {
+                return true;
+            }
+
+            const before = await gitService.getUpstream();
+            await gitService.fetch(await getConfiguredFetchOptions(gitService));
+            Logger.debug(`自动获取完成: ${name}`);
+            this._onDidFetch.fire(gitService);
+
+            const after = await gitService.getUpstream();
+            if (before && after && before.name === after.name && before.hash !== after.hash) {
+                await this.notifyNewCommits(gitService, name, before.hash, after);
+            }
+            return true;
+        } catch (error) {
+            Logger.warn(`自动获取失败: ${name}`, error);
+            return false;
+        }
+    }
+
+    /**
+     * 上游分支有新提交时提示拉取
+     */
+    private async notifyNewCommits(gitService: GitService, name: string, previousHash: string, upstream: { name: string; hash: string }) {
+        const config = vscode.workspace.getConfiguration('git-assistant');
+        if (!config.get<boolean>('autoFetchNotify', true)) {
+            return;
+        }
+
+        const newCommits = await gitService.countCommits(previousHash, upstream.hash).catch(() => 0);
+        if (newCommits === 0) {
+            return;
+        }
+
+        const status = await gitService.getStatus(true);
+        const repositoryLabel = this.repositoryManager.getRepositories().length > 1
+            ? `[${name}] `
+            : '';
+        // 不等待用户处理提示，否则忽略提示时不会安排下一次自动获取
+        void vscode.window.showInformationMessage(
+            `${repositoryLabel}${upstream.name} 有 ${newCommits} 个新提交，当前分支落后 ${status.behind} 个提交`,
+            '拉取',
+            '不再提醒'
+        ).then(async choice => {
+            if (choice === '拉取') {
+                const root = gitService.getWorkspaceRoot();
+                if (root) {
+                    this.repositoryManager.setActive(root);
+                }
+                await vscode.commands.executeCommand('git-assistant.quickPull');
+            } else if (choice === '不再提醒') {
+                await config.update('autoFetchNotify', false, vscode.ConfigurationTarget.Global);
+            }
+        });
+    }
+
+    dispose(): void {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = undefined;
+        }
+        this._onDidFetch.dispose();
+        this.disposables.forEach(d => d.dispose());
+        this.disposables = [];
+    }
+}
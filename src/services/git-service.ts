@@ -1,10 +1,28 @@
 import * as vscode from 'vscode';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { spawn } from 'child_process';
 import simpleGit, { SimpleGit, StatusResult, BranchSummary, LogResult } from 'simple-git';
 import { CommitInfo } from '../types/git';
 import { MergeHistory } from '../utils/merge-history';
 import { Logger } from '../utils/logger';
 import { ErrorHandler } from '../utils/error-handler';
-import { BranchGraphData, CommitFileChange, CommitNodeInfo, RemoteInfo, TagInfo } from '../types/git';
+import { BranchGraphData, BranchTracking, CommitAuthor, DiffLineSelection, FileDiff, PartialChangeAction, CommitFileChange, CommitNodeInfo, ConflictEntry, ConflictSideResolution, GitOperationState, MergeConflictPrediction, GitOperationType, HookInfo, HookRunResult, IndexEntrySnapshot, RebaseTodoItem, RemoteInfo, StashEntry, StashOptions, TagInfo } from '../types/git';
+import { buildRebaseTodo } from '../utils/rebase-todo';
+import { parseMergeMessage } from '../utils/operation-state';
+import { parseMergeTreeOutput, parseUnmergedEntries } from '../utils/conflict-status';
+import { parseConflictMarkers } from '../utils/git-utils';
+import { buildFetchArgs, FetchOptions, parseUpstreamTrack } from '../utils/fetch-schedule';
+import { buildPullArgs, PullOptions } from '../utils/pull-strategy';
+import { buildPushArgs, parsePushPorcelain, PushOptions, PushRefUpdate } from '../utils/push-options';
+import { buildPartialPatch, isSameFileDiff, parseFileDiff } from '../utils/diff-patch';
+import { buildCommitArgs, CommitOptions, parseAuthorList } from '../utils/commit-message';
+import { isBinaryContent, LargeFileInfo, LfsFileEntry, LfsTrackedPattern, parseLfsCheckAttr, parseLfsFiles, parseLfsTrackOutput } from '../utils/large-files';
+import { collectHookFiles, COMMIT_HOOK_NAMES, DISABLED_HOOK_SUFFIX, getDisabledHookFileName, isLikelyHookFailure, PUSH_HOOK_NAMES } from '../utils/git-hooks';
+import { HookOutput } from '../utils/hook-output';
+import { LOCAL_BRANCH_DETAIL_FORMAT, LocalBranchDetail, parseLocalBranchDetails } from '../utils/branch-cleanup';
+import { LEFT_RIGHT_LOG_FORMAT, LeftRightCommits, parseLeftRightLog } from '../utils/ref-compare';
 
 /**
  * 缓存项接口
@@ -44,7 +62,8 @@ export class GitService {
         branchGraph: 10000,    // 分支图缓存10秒（计算成本高，延长缓存时间）
         fileStats: 30000,      // 文件热力图统计缓存30秒
         contributorStats: 30000, // 贡献者统计缓存30秒
-        timeline: 30000        // 提交时间线缓存30秒
+        timeline: 30000,       // 提交时间线缓存30秒
+        stashes: 3000          // 储藏列表缓存3秒
     };
 
     // 缓存大小限制（防止内存泄漏）
@@ -54,9 +73,13 @@ export class GitService {
     // 800 左右在大多数仓库下可以覆盖最近的分支/合并关系，同时保证加载速度
     private static readonly BRANCH_GRAPH_MAX_COMMITS = 800;
 
-    constructor(context?: vscode.ExtensionContext) {
-        // 使用 workspaceState 进行持久化缓存（随工作区而变）
+    // 绑定的仓库根目录（多仓库模式下由 RepositoryManager 指定）
+    private readonly repositoryRoot: string | undefined;
+
+    constructor(context?: vscode.ExtensionContext, repositoryRoot?: string) {
+        // 使用 workspaceState 进行持久化缓存（随工作区而变，键中包含仓库路径）
         this.storage = context?.workspaceState ?? null;
+        this.repositoryRoot = repositoryRoot;
         this.initialize();
     }
 
@@ -515,6 +538,13 @@ export class GitService {
      * 初始化Git实例
      */
     private initialize() {
+        // 指定了仓库根目录时始终绑定到该仓库，否则回退到第一个工作区文件夹
+        if (this.repositoryRoot) {
+            this.workspaceRoot = this.repositoryRoot;
+            this.git = simpleGit(this.workspaceRoot);
+            return;
+        }
+
         const workspaceFolders = vscode.workspace.workspaceFolders;
         if (workspaceFolders && workspaceFolders.length > 0) {
             this.workspaceRoot = workspaceFolders[0].uri.fsPath;
@@ -563,22 +593,156 @@ export class GitService {
 
     /**
      * 推送到远程仓库
+     *
+     * 支持推送到不同名称的远程分支和安全强制推送（--force-with-lease）。
      */
-    async push(remote: string = 'origin', branch?: string): Promise<void> {
+    async push(remote: string = 'origin', branch?: string, options: PushOptions = {}): Promise<void> {
         const git = this.ensureGit();
         if (!branch) {
             const status = await git.status();
             branch = status.current || 'main';
         }
-        await git.push(remote, branch);
+        try {
+            await git.raw(buildPushArgs(remote, branch, { ...options, dryRun: false }));
+        } catch (error) {
+            throw await this.explainHookFailure(error, 'push');
+        } finally {
+            this.invalidateCache('status');
+            this.invalidateCache('branches');
+            this.invalidateCache('branchGraph');
+        }
+    }
+
+    /**
+     * 预演推送（--dry-run），返回将要更新的引用
+     *
+     * 被拒绝的引用同样会返回（flag 为 "!"），无法解析出任何引用时抛出原始错误。
+     */
+    async dryRunPush(remote: string, branch: string, options: PushOptions = {}): Promise<PushRefUpdate[]> {
+        const git = this.ensureGit();
+        try {
+            return parsePushPorcelain(await git.raw(buildPushArgs(remote, branch, { ...options, dryRun: true })));
+        } catch (error) {
+            const updates = parsePushPorcelain(error instanceof Error ? error.message : String(error));
+            if (updates.length === 0) {
+                throw error;
+            }
+            return updates;
+        }
     }
 
     /**
      * 从远程仓库拉取
+     *
+     * 变基方式因冲突暂停时会抛出错误，由调用方通过 getOperationState 判断。
+     */
+    async pull(remote: string = 'origin', branch?: string, options: PullOptions = {}): Promise<void> {
+        const git = this.ensureGit();
+        try {
+            await git.raw(buildPullArgs(remote, branch, options));
+        } finally {
+            this.invalidateCache('status');
+            this.invalidateCache('branches');
+            this.invalidateCache('log');
+            this.invalidateCache('branchGraph');
+        }
+    }
+
+    /**
+     * 获取 ref 中有而 HEAD 中没有的提交（拉取前预览传入的提交）
+     */
+    async getIncomingCommits(ref: string, maxCount: number = 50): Promise<LogResult> {
+        const git = this.ensureGit();
+        return (git.log as unknown as (options: any, customArgs?: string[]) => Promise<LogResult>)(
+            { maxCount },
+            [`HEAD..${ref}`]
+        );
+    }
+
+    /**
+     * 获取两个提交之间变更的文件列表（包含增删统计）
+     */
+    async getChangedFiles(from: string, to: string): Promise<CommitFileChange[]> {
+        const git = this.ensureGit();
+        const [statusOutput, statsOutput] = await Promise.all([
+            git.raw(['diff', '--name-status', from, to]),
+            git.raw(['diff', '--numstat', from, to])
+        ]);
+        return this.parseFileChanges(statusOutput, statsOutput);
+    }
+
+    /**
+     * 从远程仓库获取更新（不修改工作区）
+     */
+    async fetch(options: FetchOptions = {}): Promise<void> {
+        const git = this.ensureGit();
+        await git.raw(buildFetchArgs(options));
+        // 远程跟踪分支变化会影响领先/落后提交数、分支列表和分支图
+        this.invalidateCache('status');
+        this.invalidateCache('branches');
+        this.invalidateCache('branchGraph');
+    }
+
+    /**
+     * 获取当前分支的上游分支名称及其指向的提交，没有上游时返回 null
+     */
+    async getUpstream(): Promise<{ name: string; hash: string } | null> {
+        try {
+            const git = this.ensureGit();
+            const [hash, name] = (await git.raw(['rev-parse', '@{u}', '--abbrev-ref', '@{u}'])).trim().split('\n');
+            return hash && name ? { name, hash } : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * 解析引用指向的提交哈希，引用不存在时返回 null
+     */
+    async resolveRef(ref: string): Promise<string | null> {
+        try {
+            const git = this.ensureGit();
+            return (await git.revparse([ref])).trim() || null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * 统计 from..to 范围内的提交数量
+     */
+    async countCommits(from: string, to: string): Promise<number> {
+        const git = this.ensureGit();
+        const output = await git.raw(['rev-list', '--count', `${from}..${to}`]);
+        return parseInt(output.trim(), 10) || 0;
+    }
+
+    /**
+     * 获取本地分支的上游跟踪信息（领先/落后提交数，上游已删除时 gone 为 true）
      */
-    async pull(remote: string = 'origin', branch?: string): Promise<void> {
+    async getBranchTracking(): Promise<Record<string, BranchTracking>> {
         const git = this.ensureGit();
-        await git.pull(remote, branch);
+        const output = await git.raw([
+            'for-each-ref',
+            '--format=%(refname:short)%00%(upstream:short)%00%(upstream:track,nobracket)',
+            'refs/heads'
+        ]);
+
+        const tracking: Record<string, BranchTracking> = {};
+        output.split('\n').filter(line => line.trim()).forEach(line => {
+            const [branch, upstream, track = ''] = line.split('\0');
+            if (!upstream) {
+                return;
+            }
+            const counts = parseUpstreamTrack(track);
+            tracking[branch] = {
+                upstream,
+                ahead: counts?.ahead ?? 0,
+                behind: counts?.behind ?? 0,
+                gone: counts === null
+            };
+        });
+        return tracking;
     }
 
     /**
@@ -794,6 +958,43 @@ export class GitService {
         }
     }
 
+    /**
+     * 预测将分支合并到当前分支时的冲突（git merge-tree --write-tree，不修改工作区和索引）
+     *
+     * 需要 Git 2.38 及以上版本，无法预测（版本过低、无共同历史等）时返回 null
+     */
+    async predictMergeConflicts(branchName: string): Promise<MergeConflictPrediction | null> {
+        try {
+            const git = this.ensureGit();
+            // 以两侧提交作为缓存键，分支移动后自动失效
+            const [headHash, branchHash] = (await git.raw(['rev-parse', 'HEAD', branchName])).trim().split('\n');
+            const cacheKey = `mergePrediction:${headHash}:${branchHash}`;
+            const cached = this.getCached<MergeConflictPrediction>(cacheKey);
+            if (cached) {
+                return cached;
+            }
+
+            const output = await git.raw(['merge-tree', '--write-tree', '-z', '--no-messages', 'HEAD', branchName]);
+            const { tree, files } = parseMergeTreeOutput(output);
+
+            // 结果树中保留了带冲突标记的文件内容，据此统计冲突块数量
+            await Promise.all(files.map(async file => {
+                if (file.type !== 'both-modified' && file.type !== 'added-by-both') {
+                    return;
+                }
+                const content = await git.raw(['show', `${tree}:${file.path}`]).catch(() => '');
+                file.hunks = parseConflictMarkers(content).conflicts.length;
+            }));
+
+            const prediction: MergeConflictPrediction = { clean: files.length === 0, files };
+            this.setCache(cacheKey, prediction, 10 * 60 * 1000);
+            return prediction;
+        } catch (error) {
+            ErrorHandler.handleSilent(error, '预测合并冲突');
+            return null;
+        }
+    }
+
     /**
      * 合并分支
      * @param branchName 要合并的分支名称
@@ -838,6 +1039,27 @@ export class GitService {
         this.invalidateCache('branchGraph');
     }
 
+    /**
+     * 压缩合并：将分支的更改合并为当前分支上的一个提交（git merge --squash 后提交）
+     *
+     * 分支的更改已包含在当前分支中（没有可提交的内容）时不创建提交。
+     */
+    async squashMerge(branchName: string, message: string): Promise<void> {
+        const git = this.ensureGit();
+        try {
+            await git.merge(['--squash', branchName]);
+            const staged = (await git.raw(['diff', '--cached', '--name-only'])).trim();
+            if (staged) {
+                await this.commit(message);
+            }
+        } finally {
+            this.invalidateCache('branches');
+            this.invalidateCache('status');
+            this.invalidateCache('log');
+            this.invalidateCache('branchGraph');
+        }
+    }
+
     private async recordMergeHistory(fromBranch: string, toBranch: string | null, type: 'three-way' | 'fast-forward') {
         if (!toBranch) {
             return;
@@ -871,23 +1093,36 @@ export class GitService {
         this.invalidateCache('branches');
     }
 
+    /**
+     * 在指定提交上重新创建分支（不切换分支，用于恢复已删除的分支）
+     */
+    async restoreBranch(branchName: string, commit: string): Promise<void> {
+        const git = this.ensureGit();
+        await git.raw(['branch', branchName, commit]);
+        this.invalidateCache('branches');
+        this.invalidateCache('branchGraph');
+    }
+
+    /**
+     * 获取已合并到指定分支（默认当前分支）的本地分支列表
+     * 等价于 `git branch --merged [base]`
+     */
+    async getMergedBranches(base?: string): Promise<string[]> {
+        const git = this.ensureGit();
+        const output = await git.raw(['branch', '--merged', ...(base ? [base] : [])]);
+        return output
+            .split('\n')
+            .map(line => line.replace(/^[*+]/, '').trim())
+            .filter(Boolean);
+    }
+
     /**
      * 判断指定分支是否已经合并到当前分支（用于安全删除提示）
      * 等价于判断该分支是否出现在 `git branch --merged` 列表中
      */
     async isBranchMergedIntoCurrent(branchName: string): Promise<boolean> {
         try {
-            const git = this.ensureGit();
-            const output = await git.raw(['branch', '--merged']);
-            if (!output || !output.trim()) {
-                return false;
-            }
-
-            const mergedBranches = output
-                .split('\n')
-                .map(line => line.replace('*', '').trim())
-                .filter(Boolean);
-
+            const mergedBranches = await this.getMergedBranches();
             return mergedBranches.includes(branchName);
         } catch (error) {
             ErrorHandler.handleSilent(error, '检查分支是否已合并');
@@ -896,6 +1131,25 @@ export class GitService {
         }
     }
 
+    /**
+     * 获取本地分支的末端提交、最后提交时间、作者及上游状态
+     */
+    async getLocalBranchDetails(): Promise<LocalBranchDetail[]> {
+        const git = this.ensureGit();
+        const output = await git.raw(['for-each-ref', `--format=${LOCAL_BRANCH_DETAIL_FORMAT}`, 'refs/heads']);
+        return parseLocalBranchDetails(output);
+    }
+
+    /**
+     * 统计分支相对基准分支领先/落后的提交数
+     */
+    async getAheadBehind(base: string, branch: string): Promise<{ ahead: number; behind: number }> {
+        const git = this.ensureGit();
+        const output = await git.raw(['rev-list', '--left-right', '--count', `${base}...${branch}`]);
+        const [behind, ahead] = output.trim().split(/\s+/).map(value => parseInt(value, 10) || 0);
+        return { ahead: ahead ?? 0, behind: behind ?? 0 };
+    }
+
     /**
      * 重命名当前分支
      */
@@ -920,162 +1174,942 @@ export class GitService {
     }
 
     /**
-     * 暂存更改
-     */
-    async stash(message?: string): Promise<void> {
-        const git = this.ensureGit();
-        if (message) {
-            await git.stash(['push', '-m', message]);
-        } else {
-            await git.stash();
-        }
-    }
-
-    /**
-     * 恢复暂存
+     * 基于远程分支创建跟踪它的本地分支并切换过去
+     * @param localName 本地分支名称
+     * @param remoteBranch 远程分支（例如 origin/feature/login）
      */
-    async stashPop(): Promise<void> {
+    async checkoutTrackingBranch(localName: string, remoteBranch: string): Promise<void> {
         const git = this.ensureGit();
-        await git.stash(['pop']);
-    }
+        await git.raw(['checkout', '-b', localName, '--track', remoteBranch]);
 
-    /**
-     * 取消暂存指定文件（默认全部）
-     */
-    async unstage(files?: string | string[]): Promise<void> {
-        const git = this.ensureGit();
-        if (files) {
-            const targets = Array.isArray(files) ? files : [files];
-            await git.raw(['reset', 'HEAD', '--', ...targets]);
-        } else {
-            await git.raw(['reset', 'HEAD']);
-        }
+        // 清除相关缓存
+        this.invalidateCache('branches');
+        this.invalidateCache('status');
+        this.invalidateCache('log');
     }
 
     /**
-     * 放弃指定文件的更改（默认全部）
+     * 设置（或更改）本地分支的上游分支
+     * @param branch 本地分支名称
+     * @param upstream 上游分支（例如 origin/main）
      */
-    async discardChanges(files?: string | string[]): Promise<void> {
+    async setUpstream(branch: string, upstream: string): Promise<void> {
         const git = this.ensureGit();
-        if (files) {
-            const targets = Array.isArray(files) ? files : [files];
-            await git.checkout(['--', ...targets]);
-        } else {
-            await git.checkout(['--', '.']);
-        }
+        await git.raw(['branch', `--set-upstream-to=${upstream}`, branch]);
+        this.invalidateCache('branches');
+        this.invalidateCache('status');
     }
 
     /**
-     * 提交所有已暂存更改
+     * 取消本地分支的上游跟踪
      */
-    async commit(message: string): Promise<void> {
+    async unsetUpstream(branch: string): Promise<void> {
         const git = this.ensureGit();
-        await git.commit(message);
+        await git.raw(['branch', '--unset-upstream', branch]);
+        this.invalidateCache('branches');
+        this.invalidateCache('status');
     }
 
     /**
-     * 提交所有已跟踪的更改（等同 git commit -a）
+     * 暂存更改
      */
-    async commitTrackedChanges(message: string): Promise<void> {
+    async stash(message?: string, options: Omit<StashOptions, 'message'> = {}): Promise<void> {
         const git = this.ensureGit();
-        await git.raw(['commit', '-am', message]);
+        const args = ['push'];
+        if (options.stagedOnly) {
+            args.push('--staged');
+        }
+        if (options.includeUntracked) {
+            args.push('--include-untracked');
+        }
+        if (message) {
+            args.push('-m', message);
+        }
+        if (options.paths && options.paths.length > 0) {
+            args.push('--', ...options.paths);
+        }
+        await git.stash(args);
+        this.invalidateStashCache();
     }
 
     /**
-     * 软重置到指定提交
+     * 恢复暂存（默认最新的储藏）
      */
-    async resetSoft(ref: string): Promise<void> {
+    async stashPop(index?: number): Promise<void> {
         const git = this.ensureGit();
-        await git.reset(['--soft', ref]);
+        await git.stash(typeof index === 'number' ? ['pop', this.getStashRef(index)] : ['pop']);
+        this.invalidateStashCache();
     }
 
     /**
-     * 获取提交历史（带缓存）
-     * @param maxCount 最大提交数量
-     * @param commitHash 可选：指定提交哈希，只返回该提交
-     * @param forceRefresh 是否强制刷新
+     * 获取储藏列表（带缓存）
      */
-    async getLog(maxCount: number = 100, commitHash?: string, forceRefresh: boolean = false): Promise<LogResult> {
-        const cacheKey = `log:${maxCount}:${commitHash || 'all'}`;
+    async getStashes(forceRefresh: boolean = false): Promise<StashEntry[]> {
+        const cacheKey = 'stashes';
 
-        if (!forceRefresh && !commitHash) {
-            const cached = this.getCached<LogResult>(cacheKey);
+        if (!forceRefresh) {
+            const cached = this.getCached<StashEntry[]>(cacheKey);
             if (cached) {
                 return cached;
             }
         }
 
         const git = this.ensureGit();
+        const output = await git.raw(['stash', 'list', '--format=%gd%x00%H%x00%P%x00%ci%x00%gs']);
+        const stashes: StashEntry[] = output
+            .split('\n')
+            .filter(line => !!line.trim())
+            .map((line, position) => {
+                const [ref, hash, parents, date, subject] = line.split('\x00');
+                const indexMatch = /\{(\d+)\}/.exec(ref || '');
+                // 储藏主题形如 "WIP on main: abc1234 提交信息" 或 "On main: 自定义信息"
+                const subjectMatch = /^(?:WIP on|On) ([^:]+): ([\s\S]*)$/.exec(subject || '');
+                const branch = subjectMatch ? subjectMatch[1] : null;
+                return {
+                    index: indexMatch ? parseInt(indexMatch[1], 10) : position,
+                    ref: (ref || '').trim() || this.getStashRef(position),
+                    hash: (hash || '').trim(),
+                    baseHash: (parents || '').trim().split(' ')[0] || undefined,
+                    date: (date || '').trim(),
+                    branch: branch === '(no branch)' ? null : branch,
+                    message: subjectMatch ? subjectMatch[2] : (subject || '')
+                };
+            });
 
-        if (commitHash) {
-            // 查询特定提交（直接指定提交哈希，避免范围错误导致总是返回最近提交）
-            // 部分 simple-git 版本的类型未暴露 options + customArgs 的 Promise 重载，这里做一次显式转换
-            const result = await (git.log as unknown as (options: any, customArgs?: string[]) => Promise<LogResult>)(
-                { maxCount: 1 },
-                [commitHash]
-            );
-            return result;
-        } else {
-            const result = await git.log({ maxCount });
-            this.setCache(cacheKey, result, this.CACHE_TTL.log);
-            return result;
-        }
+        this.setCache(cacheKey, stashes, this.CACHE_TTL.stashes);
+        return stashes;
     }
 
     /**
-     * 获取指定分支的提交历史（带缓存）
-     * 仅用于 Git Graph 视图的按分支过滤场景
+     * 获取储藏中变更的文件（包括储藏的未跟踪文件）
      */
-    async getLogForBranch(maxCount: number = 100, branch: string, forceRefresh: boolean = false): Promise<LogResult> {
-        const normalizedBranch = branch || 'HEAD';
-        const cacheKey = `log-branch:${normalizedBranch}:${maxCount}`;
+    async getStashFiles(index: number): Promise<CommitFileChange[]> {
+        const git = this.ensureGit();
+        const ref = this.getStashRef(index);
 
-        if (!forceRefresh) {
-            const cached = this.getCached<LogResult>(cacheKey);
-            if (cached) {
-                return cached;
-            }
+        try {
+            const [statusOutput, statsOutput] = await Promise.all([
+                git.raw(['stash', 'show', '--name-status', ref]),
+                git.raw(['stash', 'show', '--numstat', ref])
+            ]);
+            const files = this.parseFileChanges(statusOutput, statsOutput);
+
+            // 未跟踪文件保存在储藏提交的第三个父提交中
+            const untrackedOutput = await git.raw(['ls-tree', '-r', '--name-only', `${ref}^3`]).catch(() => '');
+            untrackedOutput.split('\n').map(line => line.trim()).filter(Boolean).forEach(file => {
+                if (!files.some(f => f.path === file)) {
+                    files.push({ path: file, status: 'U', newPath: file, type: 'U' });
+                }
+            });
+
+            return files.sort((a, b) => a.path.localeCompare(b.path));
+        } catch (error) {
+            ErrorHandler.handleSilent(error, '获取储藏文件列表');
+            return [];
         }
+    }
 
+    /**
+     * 获取储藏的补丁内容
+     */
+    async getStashDiff(index: number, file?: string): Promise<string> {
         const git = this.ensureGit();
-        const result = await (git.log as unknown as (options: any, customArgs?: string[]) => Promise<LogResult>)({
-            maxCount
-        }, [normalizedBranch]);
+        const args = ['stash', 'show', '-p', this.getStashRef(index)];
+        if (file) {
+            args.push('--', file);
+        }
+        return git.raw(args);
+    }
 
-        this.setCache(cacheKey, result, this.CACHE_TTL.log);
-        return result;
+    /**
+     * 应用储藏（保留储藏记录）
+     */
+    async stashApply(index: number): Promise<void> {
+        const git = this.ensureGit();
+        await git.stash(['apply', this.getStashRef(index)]);
+        this.invalidateStashCache();
     }
 
     /**
-     * 添加文件到暂存区
+     * 删除储藏
      */
-    async add(files: string | string[]): Promise<void> {
+    async stashDrop(index: number): Promise<void> {
         const git = this.ensureGit();
-        await git.add(files);
+        await git.stash(['drop', this.getStashRef(index)]);
+        this.invalidateStashCache();
     }
 
     /**
-     * 获取冲突文件
+     * 基于储藏创建分支（在储藏时所在的提交上创建分支、应用并删除该储藏）
      */
-    async getConflicts(): Promise<string[]> {
+    async stashBranch(branchName: string, index: number): Promise<void> {
         const git = this.ensureGit();
-        const status = await git.status();
-        return status.conflicted;
+        await git.stash(['branch', branchName, this.getStashRef(index)]);
+        this.invalidateStashCache();
+        this.invalidateCache('branches');
+    }
+
+    private getStashRef(index: number): string {
+        return `stash@{${index}}`;
+    }
+
+    private invalidateStashCache(): void {
+        this.invalidateCache('stashes');
+        this.invalidateCache('status');
     }
 
     /**
-     * 获取文件差异
+     * 取消暂存指定文件（默认全部）
      */
-    async getDiff(file?: string): Promise<string> {
+    async unstage(files?: string | string[]): Promise<void> {
         const git = this.ensureGit();
-        if (file) {
-            return await git.diff([file]);
+        if (files) {
+            const targets = Array.isArray(files) ? files : [files];
+            await git.raw(['reset', 'HEAD', '--', ...targets]);
+        } else {
+            await git.raw(['reset', 'HEAD']);
         }
-        return await git.diff();
     }
 
     /**
-     * 获取一组提交的详细信息（用于前端按需补齐缺失的 message/author）
+     * 记录指定文件在暂存区中的版本（mode 与 blob），不在暂存区中的文件记为 null
+     */
+    async getIndexEntries(files: string[]): Promise<IndexEntrySnapshot[]> {
+        const git = this.ensureGit();
+        const output = await git.raw(['ls-files', '-s', '-z', '--', ...files]);
+        const entries = new Map<string, { mode: string; hash: string }>();
+        output.split('\0').filter(Boolean).forEach(line => {
+            const match = line.match(/^(\d+) ([0-9a-f]+) 0\t(.+)$/);
+            if (match) {
+                entries.set(match[3], { mode: match[1], hash: match[2] });
+            }
+        });
+        return files.map(file => ({ path: file, entry: entries.get(file) || null }));
+    }
+
+    /**
+     * 将文件在暂存区中的版本恢复为 getIndexEntries 记录的状态（保留部分暂存的内容）
+     */
+    async restoreIndexEntries(entries: IndexEntrySnapshot[]): Promise<void> {
+        if (entries.length === 0) {
+            return;
+        }
+        const git = this.ensureGit();
+        const args = ['update-index', '--add'];
+        entries.forEach(({ path: file, entry }) => {
+            args.push(...(entry ? ['--cacheinfo', `${entry.mode},${entry.hash},${file}`] : ['--force-remove', file]));
+        });
+        await git.raw(args);
+        this.invalidateCache('status');
+    }
+
+    /**
+     * 放弃指定文件的更改（默认全部）
+     */
+    async discardChanges(files?: string | string[]): Promise<void> {
+        const git = this.ensureGit();
+        if (files) {
+            const targets = Array.isArray(files) ? files : [files];
+            await git.checkout(['--', ...targets]);
+        } else {
+            await git.checkout(['--', '.']);
+        }
+    }
+
+    /**
+     * 删除未跟踪的文件
+     */
+    async cleanUntracked(files: string[]): Promise<void> {
+        const git = this.ensureGit();
+        await git.raw(['clean', '-f', '--', ...files]);
+        this.invalidateCache('status');
+    }
+
+    /**
+     * 获取单个文件的差异，staged 为 true 时比较 HEAD 与索引，否则比较索引与工作区
+     */
+    async getFileDiff(file: string, staged: boolean = false): Promise<FileDiff | null> {
+        const git = this.ensureGit();
+        const output = await git.raw(['diff', '--no-color', '--no-ext-diff', ...(staged ? ['--cached'] : []), '--', file]);
+        return parseFileDiff(output);
+    }
+
+    /**
+     * 按块/行暂存、取消暂存或放弃文件中的部分更改
+     *
+     * 根据选中的行生成部分补丁后通过 git apply 应用：暂存使用 --cached，
+     * 取消暂存使用 --cached -R，放弃使用 -R（直接作用于工作区）。
+     * 选中的块/行索引来自用户看到的差异 expected，重新读取的差异与之不同时拒绝执行，避免作用到其他行。
+     */
+    async applyPartialChange(file: string, action: PartialChangeAction, selections: DiffLineSelection[], expected: FileDiff): Promise<void> {
+        const diff = await this.getFileDiff(file, action === 'unstage');
+        if (!diff || diff.hunks.length === 0) {
+            throw new Error(diff?.binary ? '二进制文件不支持按块/行操作' : `${file} 没有可操作的更改`);
+        }
+        if (!isSameFileDiff(diff, expected)) {
+            throw new Error(`${file} 的更改已变化，请刷新差异后重新选择`);
+        }
+
+        const patch = buildPartialPatch(diff, selections, action !== 'stage');
+        if (!patch) {
+            throw new Error('没有选中任何更改');
+        }
+
+        const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'git-assistant-patch-'));
+        try {
+            const patchFile = path.join(tempDir, 'partial.patch');
+            await fs.promises.writeFile(patchFile, patch, 'utf8');
+
+            const git = this.ensureGit();
+            await git.raw([
+                'apply',
+                ...(action !== 'discard' ? ['--cached'] : []),
+                ...(action !== 'stage' ? ['-R'] : []),
+                '--whitespace=nowarn',
+                patchFile
+            ]);
+        } finally {
+            this.invalidateCache('status');
+            await fs.promises.rm(tempDir, { recursive: true, force: true }).catch(() => undefined);
+        }
+    }
+
+    /**
+     * 提交所有已暂存更改
+     */
+    async commit(message: string): Promise<void> {
+        const git = this.ensureGit();
+        try {
+            await git.commit(message);
+        } catch (error) {
+            throw await this.explainHookFailure(error, 'commit');
+        }
+    }
+
+    /**
+     * 使用完整的提交信息提交，支持修改上一次提交、添加签名和跳过钩子
+     */
+    async commitWithOptions(message: string, options: CommitOptions = {}): Promise<void> {
+        const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'git-assistant-commit-'));
+        try {
+            const messageFile = path.join(tempDir, 'COMMIT_EDITMSG');
+            await fs.promises.writeFile(messageFile, message, 'utf8');
+
+            const git = this.ensureGit();
+            await git.raw(buildCommitArgs(messageFile, options));
+        } catch (error) {
+            throw options.noVerify ? error : await this.explainHookFailure(error, 'commit');
+        } finally {
+            this.invalidateCache('status');
+            this.invalidateCache('log');
+            this.invalidateCache('branches');
+            this.invalidateCache('branchGraph');
+            await fs.promises.rm(tempDir, { recursive: true, force: true }).catch(() => undefined);
+        }
+    }
+
+    /**
+     * 读取 commit.template 配置的提交模板，未配置或无法读取时返回 null
+     */
+    async getCommitTemplate(): Promise<string | null> {
+        const git = this.ensureGit();
+        const templatePath = (await git.raw(['config', '--get', 'commit.template']).catch(() => '')).trim();
+        if (!templatePath) {
+            return null;
+        }
+
+        const resolved = this.resolveConfiguredPath(templatePath);
+        try {
+            return await fs.promises.readFile(resolved, 'utf8');
+        } catch (error) {
+            Logger.warn(`无法读取提交模板: ${resolved}`, error);
+            return null;
+        }
+    }
+
+    /**
+     * 解析配置项中的路径：展开 ~，相对路径相对于仓库根目录
+     */
+    private resolveConfiguredPath(value: string): string {
+        const expanded = value.startsWith('~')
+            ? path.join(os.homedir(), value.slice(1))
+            : value;
+        return path.isAbsolute(expanded)
+            ? expanded
+            : path.join(this.getWorkspaceRoot() || '', expanded);
+    }
+
+    /**
+     * 获取当前配置的提交者（user.name / user.email）
+     */
+    async getCurrentUser(): Promise<CommitAuthor | null> {
+        const git = this.ensureGit();
+        const [name, email] = await Promise.all([
+            git.raw(['config', '--get', 'user.name']).catch(() => ''),
+            git.raw(['config', '--get', 'user.email']).catch(() => '')
+        ]);
+        return name.trim() && email.trim() ? { name: name.trim(), email: email.trim() } : null;
+    }
+
+    /**
+     * 获取最近提交中出现过的作者，按提交次数排序（用于 Co-authored-by）
+     */
+    async getCommitAuthors(maxCount: number = 1000): Promise<CommitAuthor[]> {
+        const git = this.ensureGit();
+        try {
+            const output = await git.raw(['log', `--max-count=${maxCount}`, '--format=%aN%x09%aE']);
+            return parseAuthorList(output);
+        } catch {
+            // 空仓库没有提交
+            return [];
+        }
+    }
+
+    /**
+     * 获取 HEAD 提交的完整提交信息，没有提交时返回 null
+     */
+    async getHeadCommitMessage(): Promise<{ hash: string; message: string } | null> {
+        const git = this.ensureGit();
+        try {
+            const output = await git.raw(['log', '-1', '--format=%H%n%B', 'HEAD']);
+            const newline = output.indexOf('\n');
+            return {
+                hash: output.substring(0, newline).trim(),
+                message: output.substring(newline + 1)
+            };
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * 提交是否已包含在任一远程分支中
+     */
+    async isCommitPushed(hash: string): Promise<boolean> {
+        const git = this.ensureGit();
+        const output = await git.raw(['branch', '-r', '--contains', hash]).catch(() => '');
+        return output.trim().length > 0;
+    }
+
+    /**
+     * 提交所有已跟踪的更改（等同 git commit -a）
+     */
+    async commitTrackedChanges(message: string): Promise<void> {
+        const git = this.ensureGit();
+        try {
+            await git.raw(['commit', '-am', message]);
+        } catch (error) {
+            throw await this.explainHookFailure(error, 'commit');
+        }
+    }
+
+    /**
+     * 软重置到指定提交
+     */
+    async resetSoft(ref: string): Promise<void> {
+        const git = this.ensureGit();
+        await git.reset(['--soft', ref]);
+    }
+
+    /**
+     * 获取提交历史（带缓存）
+     * @param maxCount 最大提交数量
+     * @param commitHash 可选：指定提交哈希，只返回该提交
+     * @param forceRefresh 是否强制刷新
+     */
+    async getLog(maxCount: number = 100, commitHash?: string, forceRefresh: boolean = false): Promise<LogResult> {
+        const cacheKey = `log:${maxCount}:${commitHash || 'all'}`;
+
+        if (!forceRefresh && !commitHash) {
+            const cached = this.getCached<LogResult>(cacheKey);
+            if (cached) {
+                return cached;
+            }
+        }
+
+        const git = this.ensureGit();
+
+        if (commitHash) {
+            // 查询特定提交（直接指定提交哈希，避免范围错误导致总是返回最近提交）
+            // 部分 simple-git 版本的类型未暴露 options + customArgs 的 Promise 重载，这里做一次显式转换
+            const result = await (git.log as unknown as (options: any, customArgs?: string[]) => Promise<LogResult>)(
+                { maxCount: 1 },
+                [commitHash]
+            );
+            return result;
+        } else {
+            const result = await git.log({ maxCount });
+            this.setCache(cacheKey, result, this.CACHE_TTL.log);
+            return result;
+        }
+    }
+
+    /**
+     * 获取指定分支的提交历史（带缓存）
+     * 仅用于 Git Graph 视图的按分支过滤场景
+     */
+    async getLogForBranch(maxCount: number = 100, branch: string, forceRefresh: boolean = false): Promise<LogResult> {
+        const normalizedBranch = branch || 'HEAD';
+        const cacheKey = `log-branch:${normalizedBranch}:${maxCount}`;
+
+        if (!forceRefresh) {
+            const cached = this.getCached<LogResult>(cacheKey);
+            if (cached) {
+                return cached;
+            }
+        }
+
+        const git = this.ensureGit();
+        const result = await (git.log as unknown as (options: any, customArgs?: string[]) => Promise<LogResult>)({
+            maxCount
+        }, [normalizedBranch]);
+
+        this.setCache(cacheKey, result, this.CACHE_TTL.log);
+        return result;
+    }
+
+    /**
+     * 添加文件到暂存区
+     */
+    async add(files: string | string[]): Promise<void> {
+        const git = this.ensureGit();
+        await git.add(files);
+    }
+
+    /**
+     * 获取冲突文件
+     */
+    async getConflicts(): Promise<string[]> {
+        const entries = await this.getConflictEntries();
+        return entries.map(entry => entry.path);
+    }
+
+    /**
+     * 获取冲突文件详情（冲突类型、是否二进制/子模块以及索引中的三方版本）
+     */
+    async getConflictEntries(): Promise<ConflictEntry[]> {
+        const git = this.ensureGit();
+        const output = await git.raw(['status', '--porcelain=v2', '-z', '--untracked-files=no']);
+        const entries = parseUnmergedEntries(output);
+
+        // 仅在双方版本都存在时才需要区分二进制文件（其余情况只能整体取舍）
+        await Promise.all(entries.map(async entry => {
+            const { ours, theirs } = entry.stages;
+            if (entry.submodule || !ours || !theirs) {
+                return;
+            }
+            try {
+                const numstat = await git.raw(['diff', '--numstat', ours.hash, theirs.hash]);
+                entry.binary = numstat.startsWith('-\t-\t');
+            } catch (error) {
+                Logger.debug(`检测二进制冲突失败: ${entry.path}`, error);
+            }
+        }));
+
+        return entries;
+    }
+
+    /**
+     * 整体取舍冲突文件：使用当前版本、使用传入版本或删除文件，完成后文件即标记为已解决
+     */
+    async resolveConflictWith(file: string, resolution: ConflictSideResolution): Promise<void> {
+        const git = this.ensureGit();
+        const filePath = file.replace(/\\/g, '/');
+        const entry = (await this.getConflictEntries()).find(item => item.path === filePath);
+        if (!entry) {
+            throw new Error(`文件 ${file} 不处于冲突状态`);
+        }
+
+        if (resolution === 'delete') {
+            await git.raw(['rm', '--quiet', '--', entry.path]);
+        } else {
+            const stage = entry.stages[resolution];
+            if (!stage) {
+                throw new Error(`文件 ${file} 不存在${resolution === 'ours' ? '当前' : '传入'}版本`);
+            }
+            if (entry.submodule) {
+                // 子模块无法检出某一侧，直接将对应提交写入索引
+                await git.raw(['update-index', '--cacheinfo', `${stage.mode},${stage.hash},${entry.path}`]);
+            } else {
+                await git.raw(['checkout', `--${resolution}`, '--', entry.path]);
+                await git.add(entry.path);
+            }
+        }
+        this.invalidateCache('status');
+    }
+
+    /**
+     * 获取冲突文件在索引中的三方版本（1: 合并基准，2: 当前，3: 传入），不存在的版本为 null
+     */
+    async getConflictVersions(file: string): Promise<{ base: string | null; ours: string | null; theirs: string | null }> {
+        const git = this.ensureGit();
+        const filePath = file.replace(/\\/g, '/');
+        // 新增/删除类冲突缺少部分版本，读取失败时视为不存在
+        const readStage = (stage: number) => git.raw(['show', `:${stage}:${filePath}`]).catch(() => null);
+        const [base, ours, theirs] = await Promise.all([readStage(1), readStage(2), readStage(3)]);
+        return { base, ours, theirs };
+    }
+
+    /**
+     * 将冲突文件标记为已解决（git add）
+     */
+    async markResolved(file: string): Promise<void> {
+        await this.add(file);
+        this.invalidateCache('status');
+    }
+
+    /**
+     * 获取文件差异，staged 为 true 时获取暂存区与 HEAD 的差异
+     */
+    async getDiff(file?: string, staged: boolean = false): Promise<string> {
+        const git = this.ensureGit();
+        const args = staged ? ['--cached', '-M'] : [];
+        if (file) {
+            args.push('--', file);
+        }
+        return await git.diff(args);
+    }
+
+    /**
+     * 获取已跟踪文件相对 HEAD 的差异（即 git commit -a 将提交的内容），没有提交时返回暂存区差异
+     */
+    async getTrackedDiff(): Promise<string> {
+        const git = this.ensureGit();
+        try {
+            return await git.diff(['HEAD', '-M']);
+        } catch {
+            return await git.diff(['--cached', '-M']);
+        }
+    }
+
+    /**
+     * 获取两个引用的共同祖先，没有共同历史时返回 null
+     */
+    async getMergeBase(left: string, right: string): Promise<string | null> {
+        try {
+            const git = this.ensureGit();
+            return (await git.raw(['merge-base', left, right])).trim() || null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * 获取只在左侧或只在右侧引用中的提交（git log --left-right left...right）
+     *
+     * 两侧合计最多返回 maxCount 个提交，超出时 truncated 为 true
+     */
+    async getLeftRightCommits(left: string, right: string, maxCount: number = 500): Promise<LeftRightCommits & { truncated: boolean }> {
+        const git = this.ensureGit();
+        const output = await git.raw([
+            'log',
+            '--left-right',
+            `--max-count=${maxCount + 1}`,
+            `--format=${LEFT_RIGHT_LOG_FORMAT}`,
+            `${left}...${right}`,
+            '--'
+        ]);
+        // 多取的一个提交只用于判断是否截断
+        const lines = output.split('\n').filter(line => line.trim());
+        const truncated = lines.length > maxCount;
+        return { ...parseLeftRightLog(lines.slice(0, maxCount).join('\n')), truncated };
+    }
+
+    /**
+     * 获取暂存区中的文件变更（包含增删统计与重命名）
+     */
+    async getStagedChanges(): Promise<CommitFileChange[]> {
+        const git = this.ensureGit();
+        const [statusOutput, statsOutput] = await Promise.all([
+            git.raw(['diff', '--cached', '-M', '--name-status']),
+            git.raw(['diff', '--cached', '-M', '--numstat'])
+        ]);
+        return this.parseFileChanges(statusOutput, statsOutput);
+    }
+
+    /**
+     * 获取即将提交的新增或修改文件路径（不含删除），scope 含义同 getTrackedDiff
+     */
+    async getPendingCommitPaths(scope: 'staged' | 'tracked'): Promise<string[]> {
+        const git = this.ensureGit();
+        const args = ['diff', '--name-only', '--diff-filter=ACMRT', '-M', '-z'];
+        let output: string;
+        if (scope === 'tracked') {
+            try {
+                output = await git.raw([...args, 'HEAD']);
+            } catch {
+                output = await git.raw([...args, '--cached']);
+            }
+        } else {
+            output = await git.raw([...args, '--cached']);
+        }
+        return output.split('\0').filter(Boolean);
+    }
+
+    /**
+     * 获取 git add . 将添加的文件（已修改的已跟踪文件与未忽略的未跟踪文件）
+     */
+    async getAddablePaths(): Promise<string[]> {
+        const git = this.ensureGit();
+        const output = await git.raw(['ls-files', '-z', '--modified', '--others', '--exclude-standard']);
+        return Array.from(new Set(output.split('\0').filter(Boolean)));
+    }
+
+    /**
+     * 读取文件的大小并检测是否为二进制文件（跳过目录和不存在的文件）
+     *
+     * @param source - worktree 读取工作区文件；index 读取暂存区中的版本（即将提交的内容）
+     */
+    async getFileInfos(files: string[], source: 'worktree' | 'index' = 'worktree'): Promise<LargeFileInfo[]> {
+        const root = this.workspaceRoot;
+        if (!root) {
+            return [];
+        }
+        if (source === 'index') {
+            return this.getIndexFileInfos(files);
+        }
+        const infos = await Promise.all(files.map(async file => {
+            const fullPath = path.join(root, file);
+            try {
+                const stat = await fs.promises.stat(fullPath);
+                if (!stat.isFile()) {
+                    return null;
+                }
+                const handle = await fs.promises.open(fullPath, 'r');
+                try {
+                    const buffer = Buffer.alloc(Math.min(stat.size, 8000));
+                    const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+                    return { path: file, size: stat.size, binary: isBinaryContent(buffer.subarray(0, bytesRead)) };
+                } finally {
+                    await handle.close();
+                }
+            } catch {
+                return null;
+            }
+        }));
+        return infos.filter((info): info is LargeFileInfo => info !== null);
+    }
+
+    /**
+     * 读取暂存区中文件版本的大小（git cat-file -s :<path>），二进制文件由 diff --numstat 的 “-” 标记识别
+     */
+    private async getIndexFileInfos(files: string[]): Promise<LargeFileInfo[]> {
+        const git = this.ensureGit();
+        const numstat = await git.raw(['diff', '--cached', '--numstat', '--no-renames', '-z', '--', ...files]);
+        const binary = new Set(numstat.split('\0')
+            .filter(line => line.startsWith('-\t-\t'))
+            .map(line => line.slice('-\t-\t'.length)));
+
+        const infos = await Promise.all(files.map(async file => {
+            try {
+                const size = parseInt((await git.raw(['cat-file', '-s', `:${file}`])).trim(), 10);
+                return Number.isNaN(size) ? null : { path: file, size, binary: binary.has(file) };
+            } catch {
+                // 已从暂存区删除的文件
+                return null;
+            }
+        }));
+        return infos.filter((info): info is LargeFileInfo => info !== null);
+    }
+
+    /**
+     * 返回按 .gitattributes 使用 LFS 过滤器的文件
+     */
+    async getLfsTrackedPaths(files: string[]): Promise<Set<string>> {
+        const git = this.ensureGit();
+        const tracked = new Set<string>();
+        // 分批调用，避免命令行过长
+        for (let i = 0; i < files.length; i += 200) {
+            const output = await git.raw(['check-attr', '-z', 'filter', '--', ...files.slice(i, i + 200)]);
+            parseLfsCheckAttr(output).forEach(file => tracked.add(file));
+        }
+        return tracked;
+    }
+
+    /**
+     * 检查是否安装了 git-lfs
+     */
+    async isLfsInstalled(): Promise<boolean> {
+        try {
+            await this.ensureGit().raw(['lfs', 'version']);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * 获取 LFS 跟踪规则
+     */
+    async getLfsTrackedPatterns(): Promise<LfsTrackedPattern[]> {
+        const git = this.ensureGit();
+        return parseLfsTrackOutput(await git.raw(['lfs', 'track']));
+    }
+
+    /**
+     * 获取 LFS 管理的文件及其下载状态
+     */
+    async getLfsFiles(): Promise<LfsFileEntry[]> {
+        const git = this.ensureGit();
+        return parseLfsFiles(await git.raw(['lfs', 'ls-files', '--long']));
+    }
+
+    /**
+     * 使用 LFS 跟踪规则（更新 .gitattributes 并暂存），并将指定文件以 LFS 指针重新暂存
+     */
+    async lfsTrack(pattern: string, files: string[] = []): Promise<void> {
+        const git = this.ensureGit();
+        await git.raw(['lfs', 'track', '--', pattern]);
+        await git.raw(['add', '--', '.gitattributes', ...files]);
+        if (files.length > 0) {
+            // 已在索引中的文件需要重新经过 LFS 过滤器
+            await git.raw(['add', '--renormalize', '--', ...files]);
+        }
+        this.invalidateCache('status');
+    }
+
+    /**
+     * 取消 LFS 跟踪规则（更新 .gitattributes 并暂存）
+     */
+    async lfsUntrack(pattern: string): Promise<void> {
+        const git = this.ensureGit();
+        await git.raw(['lfs', 'untrack', '--', pattern]);
+        await git.raw(['add', '--', '.gitattributes']);
+        this.invalidateCache('status');
+    }
+
+    /**
+     * 从索引中移除文件（保留工作区文件），即 git rm --cached
+     */
+    async removeFromIndex(files: string[]): Promise<void> {
+        const git = this.ensureGit();
+        await git.raw(['rm', '--cached', '--quiet', '--ignore-unmatch', '--', ...files]);
+        this.invalidateCache('status');
+    }
+
+    /**
+     * 获取钩子目录：仓库默认的 hooks 目录，以及配置了 core.hooksPath 时实际生效的目录
+     */
+    async getHookDirectories(): Promise<{ defaultDir: string; hooksPath: string | null }> {
+        const git = this.ensureGit();
+        const [commonDir, hooksPath] = await Promise.all([
+            git.raw(['rev-parse', '--git-common-dir']),
+            git.raw(['config', '--get', 'core.hooksPath']).catch(() => '')
+        ]);
+        return {
+            defaultDir: path.join(this.resolveConfiguredPath(commonDir.trim()), 'hooks'),
+            hooksPath: hooksPath.trim() ? this.resolveConfiguredPath(hooksPath.trim()) : null
+        };
+    }
+
+    /**
+     * 列出钩子目录中的钩子，目录不存在时返回空列表
+     */
+    async getHooks(dir: string): Promise<HookInfo[]> {
+        let fileNames: string[];
+        try {
+            fileNames = await fs.promises.readdir(dir);
+        } catch {
+            return [];
+        }
+        return Promise.all(collectHookFiles(fileNames).map(async entry => {
+            const hookPath = path.join(dir, entry.enabled ? entry.name : getDisabledHookFileName(entry));
+            let executable = true;
+            if (entry.enabled && process.platform !== 'win32') {
+                executable = await fs.promises.access(hookPath, fs.constants.X_OK).then(() => true, () => false);
+            }
+            return { ...entry, dir, path: hookPath, executable };
+        }));
+    }
+
+    /**
+     * 获取当前生效的钩子（core.hooksPath 优先）
+     */
+    async getActiveHooks(): Promise<HookInfo[]> {
+        const { defaultDir, hooksPath } = await this.getHookDirectories();
+        return this.getHooks(hooksPath || defaultDir);
+    }
+
+    /**
+     * 启用或禁用钩子：禁用时重命名为 .disabled（保留 Git 自带的 .sample 示例文件），
+     * 启用时优先恢复 .disabled 文件，否则启用 .sample 示例
+     */
+    async setHookEnabled(hook: HookInfo, enabled: boolean): Promise<void> {
+        const hookPath = path.join(hook.dir, hook.name);
+        if (enabled) {
+            await fs.promises.rename(path.join(hook.dir, getDisabledHookFileName(hook)), hookPath);
+            if (process.platform !== 'win32') {
+                await fs.promises.chmod(hookPath, 0o755);
+            }
+        } else {
+            if (hook.hasDisabled) {
+                throw new Error(`已存在 ${hook.name}${DISABLED_HOOK_SUFFIX}，请先处理该文件后再禁用`);
+            }
+            await fs.promises.rename(hookPath, `${hookPath}${DISABLED_HOOK_SUFFIX}`);
+        }
+    }
+
+    /**
+     * 写入钩子脚本并设置为可执行，返回钩子文件路径
+     */
+    async installHook(dir: string, name: string, content: string): Promise<string> {
+        const hookPath = path.join(dir, name);
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(hookPath, content, { encoding: 'utf8', mode: 0o755 });
+        if (process.platform !== 'win32') {
+            await fs.promises.chmod(hookPath, 0o755);
+        }
+        return hookPath;
+    }
+
+    /**
+     * 在仓库根目录手动运行钩子，捕获 stdout 与 stderr
+     *
+     * @param input - 写入钩子标准输入的内容（如 pre-push 的引用列表）
+     * @param token - 取消时结束钩子进程
+     */
+    async runHook(hook: HookInfo, args: string[] = [], input: string = '', token?: vscode.CancellationToken): Promise<HookRunResult> {
+        const root = this.getWorkspaceRoot();
+        if (!root) {
+            throw new Error('无法确定仓库根目录');
+        }
+        return new Promise((resolve, reject) => {
+            // Windows 上钩子脚本由 Git 自带的 sh 执行
+            const child = process.platform === 'win32'
+                ? spawn('sh', [hook.path, ...args], { cwd: root })
+                : spawn(hook.path, args, { cwd: root });
+            let output = '';
+            child.stdout.on('data', chunk => { output += chunk.toString(); });
+            child.stderr.on('data', chunk => { output += chunk.toString(); });
+            child.on('error', reject);
+            child.on('close', code => resolve({ exitCode: code ?? 1, output }));
+            child.stdin.on('error', () => undefined);
+            child.stdin.end(input);
+            token?.onCancellationRequested(() => child.kill());
+        });
+    }
+
+    /**
+     * 提交或推送失败时，如果是由钩子导致，将钩子的完整输出写入钩子输出面板并返回简短的错误
+     */
+    private async explainHookFailure(error: unknown, stage: 'commit' | 'push'): Promise<unknown> {
+        const message = error instanceof Error ? error.message : String(error);
+        if (!isLikelyHookFailure(stage, message)) {
+            return error;
+        }
+        const hookNames = stage === 'commit' ? COMMIT_HOOK_NAMES : PUSH_HOOK_NAMES;
+        const failedHooks = (await this.getActiveHooks().catch(() => []))
+            .filter(hook => hook.enabled && hook.executable && hookNames.includes(hook.name))
+            .map(hook => hook.name);
+        if (failedHooks.length === 0) {
+            return error;
+        }
+        HookOutput.append(`${stage === 'commit' ? '提交' : '推送'}被钩子阻止（${failedHooks.join('、')}）`, message);
+        return new Error(`${failedHooks.join('、')} 钩子未通过，完整输出见“Git Assistant 钩子”输出面板`);
+    }
+
+    /**
+     * 获取一组提交的详细信息（用于前端按需补齐缺失的 message/author）
      */
     async getCommitDetails(hashes: string[]): Promise<Record<string, CommitInfo>> {
         const git = this.ensureGit();
@@ -1136,104 +2170,114 @@ export class GitService {
                 git.raw(['show', '--numstat', '--format=', commitHash])
             ]);
 
-            interface StatusInfo {
-                raw: string; // 原始状态字符串，例如 M / A / D / R100
-                type: string; // 简化类型：取 raw 的首字母
-                oldPath?: string; // 重命名前的路径
-                newPath: string;  // 重命名后的路径（或当前路径）
-            }
+            return this.parseFileChanges(statusOutput, statsOutput);
+        } catch (error) {
+            ErrorHandler.handleSilent(error, '获取提交文件列表');
+            return [];
+        }
+    }
 
-            const statusMap = new Map<string, StatusInfo>();
-            statusOutput.split('\n').forEach(line => {
-                const trimmed = line.trim();
-                if (!trimmed) {
-                    return;
-                }
-                const parts = trimmed.split('\t').filter(Boolean);
-                if (parts.length === 0) {
-                    return;
-                }
-                const rawStatus = parts[0];
-                const type = rawStatus.charAt(0) || 'M';
+    /**
+     * 解析 --name-status 与 --numstat 输出，合并为文件变更列表
+     */
+    private parseFileChanges(statusOutput: string, statsOutput: string): CommitFileChange[] {
+        interface StatusInfo {
+            raw: string; // 原始状态字符串，例如 M / A / D / R100
+            type: string; // 简化类型：取 raw 的首字母
+            oldPath?: string; // 重命名前的路径
+            newPath: string;  // 重命名后的路径（或当前路径）
+        }
 
-                let oldPath: string | undefined;
-                let newPath: string | undefined;
+        const statusMap = new Map<string, StatusInfo>();
+        statusOutput.split('\n').forEach(line => {
+            const trimmed = line.trim();
+            if (!trimmed) {
+                return;
+            }
+            const parts = trimmed.split('\t').filter(Boolean);
+            if (parts.length === 0) {
+                return;
+            }
+            const rawStatus = parts[0];
+            const type = rawStatus.charAt(0) || 'M';
 
-                if ((type === 'R' || type === 'C') && parts.length >= 3) {
-                    // 重命名 / 复制：<status> <old> <new>
-                    oldPath = parts[1];
-                    newPath = parts[2];
-                } else {
-                    // 普通增删改：<status> <path>
-                    newPath = parts[1];
-                }
+            let oldPath: string | undefined;
+            let newPath: string | undefined;
 
-                if (!newPath) {
-                    return;
-                }
+            if ((type === 'R' || type === 'C') && parts.length >= 3) {
+                // 重命名 / 复制：<status> <old> <new>
+                oldPath = parts[1];
+                newPath = parts[2];
+            } else {
+                // 普通增删改：<status> <path>
+                newPath = parts[1];
+            }
 
-                const normNew = newPath.replace(/\\/g, '/');
-                const normOld = oldPath ? oldPath.replace(/\\/g, '/') : undefined;
+            if (!newPath) {
+                return;
+            }
 
-                statusMap.set(normNew, {
-                    raw: rawStatus,
-                    type,
-                    oldPath: normOld,
-                    newPath: normNew
-                });
+            const normNew = newPath.replace(/\\/g, '/');
+            const normOld = oldPath ? oldPath.replace(/\\/g, '/') : undefined;
+
+            statusMap.set(normNew, {
+                raw: rawStatus,
+                type,
+                oldPath: normOld,
+                newPath: normNew
             });
+        });
 
-            const statsMap = new Map<string, { additions?: number; deletions?: number }>();
-            statsOutput.split('\n').forEach(line => {
-                const trimmed = line.trim();
-                if (!trimmed) {
-                    return;
-                }
-                const parts = trimmed.split('\t');
-                if (parts.length < 3) {
-                    return;
-                }
-                const add = parseInt(parts[0], 10);
-                const del = parseInt(parts[1], 10);
-                let path = parts.slice(2).join('\t').trim();
-                if (path.includes(' => ')) {
-                    // numstat 在重命名时使用 old => new 语法，这里只保留新路径以便与 statusMap 对齐
-                    path = path.split(' => ').pop() || path;
-                }
-                path = path.replace(/\"/g, '').replace(/\\/g, '/');
-                statsMap.set(path, {
-                    additions: isNaN(add) ? undefined : add,
-                    deletions: isNaN(del) ? undefined : del
-                });
+        const statsMap = new Map<string, { additions?: number; deletions?: number }>();
+        statsOutput.split('\n').forEach(line => {
+            const trimmed = line.trim();
+            if (!trimmed) {
+                return;
+            }
+            const parts = trimmed.split('\t');
+            if (parts.length < 3) {
+                return;
+            }
+            const add = parseInt(parts[0], 10);
+            const del = parseInt(parts[1], 10);
+            let path = parts.slice(2).join('\t').trim();
+            if (/\{[^{}]* => [^{}]*\}/.test(path)) {
+                // 只有部分路径变化时使用 dir/{old => new}/file 语法（空的一侧会留下多余的 /）
+                path = path.replace(/\{[^{}]* => ([^{}]*)\}/, '$1').replace(/\/{2,}/g, '/').replace(/^\//, '');
+            } else if (path.includes(' => ')) {
+                // numstat 在重命名时使用 old => new 语法，这里只保留新路径以便与 statusMap 对齐
+                path = path.split(' => ').pop() || path;
+            }
+            path = path.replace(/\"/g, '').replace(/\\/g, '/');
+            statsMap.set(path, {
+                additions: isNaN(add) ? undefined : add,
+                deletions: isNaN(del) ? undefined : del
             });
+        });
 
-            const allPaths = new Set<string>([...statusMap.keys(), ...statsMap.keys()]);
-            const files: CommitFileChange[] = [];
-            allPaths.forEach(p => {
-                if (!p) return;
-                const stats = statsMap.get(p);
-                const additions = stats?.additions;
-                const deletions = stats?.deletions;
-                const statusInfo = statusMap.get(p);
-                files.push({
-                    path: p,
-                    status: statusInfo?.raw || 'M',
-                    additions,
-                    deletions,
-                    changes: typeof additions === 'number' && typeof deletions === 'number'
-                        ? additions + deletions
-                        : undefined,
-                    oldPath: statusInfo?.oldPath,
-                    newPath: statusInfo?.newPath || p,
-                    type: statusInfo?.type
-                });
+        const allPaths = new Set<string>([...statusMap.keys(), ...statsMap.keys()]);
+        const files: CommitFileChange[] = [];
+        allPaths.forEach(p => {
+            if (!p) return;
+            const stats = statsMap.get(p);
+            const additions = stats?.additions;
+            const deletions = stats?.deletions;
+            const statusInfo = statusMap.get(p);
+            files.push({
+                path: p,
+                status: statusInfo?.raw || 'M',
+                additions,
+                deletions,
+                changes: typeof additions === 'number' && typeof deletions === 'number'
+                    ? additions + deletions
+                    : undefined,
+                oldPath: statusInfo?.oldPath,
+                newPath: statusInfo?.newPath || p,
+                type: statusInfo?.type
             });
+        });
 
-            return files.sort((a, b) => a.path.localeCompare(b.path));
-        } catch (error) {
-            ErrorHandler.handleSilent(error, '获取提交文件列表');
-            return [];
-        }
+        return files.sort((a, b) => a.path.localeCompare(b.path));
     }
 
     /**
@@ -1377,13 +2421,8 @@ export class GitService {
     /**
      * 推送到远程仓库（带上游设置）
      */
-    async pushSetUpstream(remote: string = 'origin', branch?: string): Promise<void> {
-        const git = this.ensureGit();
-        if (!branch) {
-            const status = await git.status();
-            branch = status.current || 'main';
-        }
-        await git.push(['-u', remote, branch]);
+    async pushSetUpstream(remote: string = 'origin', branch?: string, options: PushOptions = {}): Promise<void> {
+        await this.push(remote, branch, { ...options, setUpstream: true });
     }
 
     /**
@@ -1906,5 +2945,314 @@ export class GitService {
         this.invalidateCache('log');
         this.invalidateCache('status');
     }
+
+    /**
+     * 获取交互式变基涉及的提交（基准提交之后到 HEAD，按从旧到新排列）
+     */
+    async getRebaseCommits(baseHash: string): Promise<RebaseTodoItem[]> {
+        const git = this.ensureGit();
+        // 与 git rebase -i 的默认行为一致：跳过合并提交
+        const output = await git.raw([
+            'log',
+            '--reverse',
+            '--no-merges',
+            '--topo-order',
+            '--format=%H%x00%h%x00%an%x00%ci%x00%s',
+            `${baseHash}..HEAD`
+        ]);
+
+        return output
+            .split('\n')
+            .filter(line => !!line.trim())
+            .map(line => {
+                const [hash, shortHash, author, date, message] = line.split('\x00');
+                return {
+                    hash: hash.trim(),
+                    shortHash: (shortHash || '').trim(),
+                    author: author || '',
+                    date: date || '',
+                    message: message || '',
+                    action: 'pick' as const
+                };
+            });
+    }
+
+    /**
+     * 执行交互式变基
+     *
+     * 通过 sequence.editor 将预先生成的 todo 列表写入 Git（等同于 GIT_SEQUENCE_EDITOR），
+     * squash 合并信息时使用 core.editor=true 保留默认合并信息，不会弹出编辑器。
+     * 变基因冲突或 edit 暂停时由调用方通过 getOperationState 判断。
+     * 新提交信息文件保存在 Git 目录中，变基暂停后继续时 exec 步骤仍需读取，变基结束或中止后才删除。
+     */
+    async interactiveRebase(baseHash: string, items: RebaseTodoItem[]): Promise<void> {
+        const workspaceRoot = this.getWorkspaceRoot();
+        if (!workspaceRoot) {
+            throw new Error('无法初始化Git，请确保工作区包含Git仓库');
+        }
+
+        // 清理上次在外部完成的变基留下的文件
+        await this.cleanupRebaseMessageFiles();
+        const messageDir = await this.getRebaseMessageDir();
+        await fs.promises.mkdir(messageDir, { recursive: true });
+        try {
+            const messageFiles: Record<string, string> = {};
+            for (const [index, item] of items.entries()) {
+                if (item.action === 'reword' && item.newMessage) {
+                    const messageFile = path.join(messageDir, `message-${index}.txt`);
+                    await fs.promises.writeFile(messageFile, item.newMessage, 'utf8');
+                    messageFiles[item.hash] = messageFile;
+                }
+            }
+
+            const todoFile = path.join(messageDir, 'git-rebase-todo');
+            await fs.promises.writeFile(todoFile, buildRebaseTodo(items, messageFiles), 'utf8');
+
+            // 使用 VS Code 自带的 Node 运行时复制 todo 文件，避免依赖平台相关的 shell 命令
+            const nodePath = process.execPath.replace(/\\/g, '/');
+            const todoPath = todoFile.replace(/\\/g, '/');
+            const sequenceEditor = `ELECTRON_RUN_AS_NODE=1 "${nodePath}" -e "require('fs').copyFileSync(process.argv[1], process.argv[2])" "${todoPath}"`;
+
+            await this.createEditorGit(workspaceRoot).raw([
+                '-c', `sequence.editor=${sequenceEditor}`,
+                '-c', 'core.editor=true',
+                'rebase', '-i', baseHash
+            ]);
+        } finally {
+            this.invalidateOperationCache();
+            await this.cleanupRebaseMessageFiles();
+        }
+    }
+
+    /**
+     * 交互式变基的提交信息文件目录（位于 Git 目录中，兼容工作树）
+     */
+    private async getRebaseMessageDir(): Promise<string> {
+        const [messageDir] = await this.resolveGitPaths(['git-assistant-rebase']);
+        return messageDir;
+    }
+
+    /**
+     * 没有进行中的变基时删除提交信息文件；变基暂停时保留，继续后的 exec 步骤还需要读取
+     */
+    private async cleanupRebaseMessageFiles(): Promise<void> {
+        try {
+            const [messageDir, rebaseMerge, rebaseApply] = await this.resolveGitPaths(['git-assistant-rebase', 'rebase-merge', 'rebase-apply']);
+            if (!fs.existsSync(rebaseMerge) && !fs.existsSync(rebaseApply)) {
+                await fs.promises.rm(messageDir, { recursive: true, force: true });
+            }
+        } catch (error) {
+            ErrorHandler.handleSilent(error, '清理变基提交信息文件');
+        }
+    }
+
+    /**
+     * 获取仓库当前的操作状态（合并、变基、拣选、回滚），没有进行中的操作时返回 null
+     */
+    async getOperationState(): Promise<GitOperationState | null> {
+        const workspaceRoot = this.getWorkspaceRoot();
+        if (!workspaceRoot) {
+            return null;
+        }
+        try {
+            const [rebaseMerge, rebaseApply, rebaseHead, mergeHead, mergeMsg, squashMsg, cherryPickHead, revertHead] = await this.resolveGitPaths(
+                ['rebase-merge', 'rebase-apply', 'REBASE_HEAD', 'MERGE_HEAD', 'MERGE_MSG', 'SQUASH_MSG', 'CHERRY_PICK_HEAD', 'REVERT_HEAD']
+            );
+
+            const readGitFile = (file: string) => fs.promises.readFile(file, 'utf8').then(content => content.trim(), () => '');
+            const shortHash = (hash: string) => hash ? hash.substring(0, 8) : null;
+            const branch = await this.getCurrentBranch().catch(() => null);
+
+            const rebaseDir = fs.existsSync(rebaseMerge) ? rebaseMerge : fs.existsSync(rebaseApply) ? rebaseApply : null;
+            if (rebaseDir) {
+                const isMergeBackend = rebaseDir === rebaseMerge;
+                const [headName, onto, step, total, stopped] = await Promise.all([
+                    readGitFile(path.join(rebaseDir, 'head-name')),
+                    readGitFile(path.join(rebaseDir, 'onto')),
+                    readGitFile(path.join(rebaseDir, isMergeBackend ? 'msgnum' : 'next')),
+                    readGitFile(path.join(rebaseDir, isMergeBackend ? 'end' : 'last')),
+                    readGitFile(rebaseHead)
+                ]);
+                return {
+                    type: 'rebase',
+                    branch: headName && headName !== 'detached HEAD' ? headName.replace(/^refs\/heads\//, '') : null,
+                    current: shortHash(onto),
+                    incoming: shortHash(stopped),
+                    incomingMessage: stopped ? await this.getCommitSubject(stopped) : undefined,
+                    step: Number(step) || undefined,
+                    totalSteps: Number(total) || undefined,
+                    canSkip: true
+                };
+            }
+
+            if (fs.existsSync(mergeHead)) {
+                const [heads, message] = await Promise.all([readGitFile(mergeHead), readGitFile(mergeMsg)]);
+                const incomingHash = heads.split('\n')[0] || '';
+                return {
+                    type: 'merge',
+                    branch,
+                    current: branch || 'HEAD',
+                    incoming: parseMergeMessage(message) || shortHash(incomingHash),
+                    incomingMessage: incomingHash ? await this.getCommitSubject(incomingHash) : undefined,
+                    canSkip: false
+                };
+            }
+
+            for (const [type, headFile] of [['cherry-pick', cherryPickHead], ['revert', revertHead]] as const) {
+                if (fs.existsSync(headFile)) {
+                    const hash = await readGitFile(headFile);
+                    return {
+                        type,
+                        branch,
+                        current: branch || 'HEAD',
+                        incoming: shortHash(hash),
+                        incomingMessage: hash ? await this.getCommitSubject(hash) : undefined,
+                        canSkip: true
+                    };
+                }
+            }
+
+            // merge --squash 冲突时不写入 MERGE_HEAD，只留下 SQUASH_MSG 和未合并的索引条目；
+            // 冲突标记为已解决后未合并条目消失，但压缩合并仍未提交
+            if (fs.existsSync(squashMsg) && await this.hasUncommittedSquash()) {
+                const message = await readGitFile(squashMsg);
+                // SQUASH_MSG 按从新到旧列出被压缩的提交，第一个即被合并分支的末端
+                const incomingHash = message.match(/^commit ([0-9a-f]+)/m)?.[1] || '';
+                return {
+                    type: 'merge',
+                    branch,
+                    current: branch || 'HEAD',
+                    incoming: shortHash(incomingHash),
+                    incomingMessage: incomingHash ? await this.getCommitSubject(incomingHash) : undefined,
+                    canSkip: false,
+                    squash: true
+                };
+            }
+
+            return null;
+        } catch (error) {
+            ErrorHandler.handleSilent(error, '检测仓库操作状态');
+            return null;
+        }
+    }
+
+    /**
+     * 压缩合并是否还有未解决的冲突或已暂存但未提交的结果
+     */
+    private async hasUncommittedSquash(): Promise<boolean> {
+        const git = this.ensureGit();
+        const unmerged = (await git.raw(['diff', '--name-only', '--diff-filter=U'])).trim();
+        if (unmerged) {
+            return true;
+        }
+        const staged = (await git.raw(['diff', '--cached', '--name-only'])).trim();
+        return staged.length > 0;
+    }
+
+    /**
+     * 检查是否有正在进行的变基
+     */
+    async isRebaseInProgress(): Promise<boolean> {
+        const state = await this.getOperationState();
+        return state?.type === 'rebase';
+    }
+
+    /**
+     * 继续进行中的操作（不弹出提交信息编辑器）
+     */
+    async continueOperation(type: GitOperationType): Promise<void> {
+        const workspaceRoot = this.getWorkspaceRoot();
+        if (!workspaceRoot) {
+            throw new Error('无法初始化Git，请确保工作区包含Git仓库');
+        }
+        try {
+            // 压缩合并没有 MERGE_HEAD，git merge --continue 无法使用，直接按 SQUASH_MSG 提交
+            const args = type === 'merge' && (await this.getOperationState())?.squash ? ['commit'] : [type, '--continue'];
+            await this.createEditorGit(workspaceRoot).raw(['-c', 'core.editor=true', ...args]);
+        } finally {
+            this.invalidateOperationCache();
+            if (type === 'rebase') {
+                await this.cleanupRebaseMessageFiles();
+            }
+        }
+    }
+
+    /**
+     * 跳过当前提交并继续（合并操作不支持跳过）
+     */
+    async skipOperation(type: GitOperationType): Promise<void> {
+        if (type === 'merge') {
+            throw new Error('合并操作不支持跳过');
+        }
+        const git = this.ensureGit();
+        try {
+            await git.raw([type, '--skip']);
+        } finally {
+            this.invalidateOperationCache();
+            if (type === 'rebase') {
+                await this.cleanupRebaseMessageFiles();
+            }
+        }
+    }
+
+    /**
+     * 中止进行中的操作并恢复到操作前的状态
+     */
+    async abortOperation(type: GitOperationType): Promise<void> {
+        const git = this.ensureGit();
+        try {
+            // 压缩合并没有 MERGE_HEAD，git merge --abort 无法使用；reset --merge 同样会删除 SQUASH_MSG
+            const args = type === 'merge' && (await this.getOperationState())?.squash ? ['reset', '--merge'] : [type, '--abort'];
+            await git.raw(args);
+        } finally {
+            this.invalidateOperationCache();
+            if (type === 'rebase') {
+                await this.cleanupRebaseMessageFiles();
+            }
+        }
+    }
+
+    /**
+     * 获取提交标题
+     */
+    private async getCommitSubject(hash: string): Promise<string | undefined> {
+        try {
+            const git = this.ensureGit();
+            const subject = await git.raw(['log', '-1', '--format=%s', hash]);
+            return subject.trim() || undefined;
+        } catch {
+            return undefined;
+        }
+    }
+
+    /**
+     * 解析 Git 目录中文件的绝对路径（通过 --git-path，兼容工作树和子模块）
+     */
+    private async resolveGitPaths(names: string[]): Promise<string[]> {
+        const git = this.ensureGit();
+        const output = await git.raw(['rev-parse', ...names.flatMap(name => ['--git-path', name])]);
+        return output
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map(gitPath => path.resolve(this.getWorkspaceRoot() || '', gitPath));
+    }
+
+    /**
+     * 创建允许覆盖编辑器配置的 Git 实例（simple-git 默认拦截 core.editor / sequence.editor）
+     */
+    private createEditorGit(workspaceRoot: string): SimpleGit {
+        return simpleGit({ baseDir: workspaceRoot, unsafe: { allowUnsafeEditor: true } });
+    }
+
+    /**
+     * 合并、变基等操作会改变历史，清除所有与提交相关的缓存
+     */
+    private invalidateOperationCache(): void {
+        this.invalidateCache('log');
+        this.invalidateCache('status');
+        this.invalidateCache('branches');
+        this.invalidateCache('branchGraph');
+    }
 }
 
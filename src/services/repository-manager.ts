@@ -0,0 +1,271 @@
+import * as vscode from 'vscode';
+import * as fs from 'fs';
+import * as path from 'path';
+import simpleGit from 'simple-git';
+import { GitService } from './git-service';
+import { RepositoryInfo } from '../types/git';
+import { Logger } from '../utils/logger';
+import { ErrorHandler } from '../utils/error-handler';
+
+/**
+ * 扫描嵌套仓库时跳过的目录
+ */
+const IGNORED_DIRECTORIES = new Set(['node_modules', 'bower_components', 'out', 'dist', 'build']);
+
+/**
+ * 仓库管理器 - 发现工作区中的所有 Git 仓库，并为每个仓库维护独立的 GitService
+ *
+ * 每个 GitService 拥有自己的内存缓存和 workspaceState 键（以仓库路径区分），
+ * 当前活动仓库跟随活动编辑器切换，也可以通过仓库选择器手动切换。
+ */
+export class RepositoryManager implements vscode.Disposable {
+    private services: Map<string, GitService> = new Map();
+    private activeRoot: string | undefined;
+    // 工作区中没有任何仓库时使用的服务（用于初始化仓库、克隆等操作）
+    private fallbackService: GitService | null = null;
+    private scanPromise: Promise<void> | null = null;
+    private disposables: vscode.Disposable[] = [];
+
+    private readonly _onDidChangeActiveRepository = new vscode.EventEmitter<GitService>();
+    readonly onDidChangeActiveRepository: vscode.Event<GitService> = this._onDidChangeActiveRepository.event;
+
+    private readonly _onDidChangeRepositories = new vscode.EventEmitter<void>();
+    readonly onDidChangeRepositories: vscode.Event<void> = this._onDidChangeRepositories.event;
+
+    constructor(private readonly context: vscode.ExtensionContext) {
+        // 活动仓库跟随活动编辑器
+        this.disposables.push(
+            vscode.window.onDidChangeActiveTextEditor((editor) => {
+                if (editor) {
+                    this.followUri(editor.document.uri);
+                }
+            })
+        );
+    }
+
+    /**
+     * 扫描所有工作区文件夹中的仓库（包括嵌套仓库）
+     */
+    async scan(): Promise<void> {
+        // 合并并发扫描请求
+        if (this.scanPromise) {
+            return this.scanPromise;
+        }
+
+        this.scanPromise = this.doScan().finally(() => {
+            this.scanPromise = null;
+        });
+        return this.scanPromise;
+    }
+
+    private async doScan(): Promise<void> {
+        const folders = vscode.workspace.workspaceFolders || [];
+        const maxDepth = vscode.workspace
+            .getConfiguration('git-assistant')
+            .get<number>('repositoryScanDepth', 3);
+
+        const roots = new Set<string>();
+        for (const folder of folders) {
+            const folderPath = folder.uri.fsPath;
+            const found = await this.findRepositories(folderPath, maxDepth);
+            found.forEach(root => roots.add(root));
+
+            // 工作区文件夹本身位于某个仓库的子目录中
+            if (found.length === 0) {
+                const parentRoot = await this.resolveTopLevel(folderPath);
+                if (parentRoot) {
+                    roots.add(parentRoot);
+                }
+            }
+        }
+
+        let changed = false;
+
+        // 移除已不存在的仓库，保留仍然存在的仓库服务（保留其缓存）
+        for (const root of Array.from(this.services.keys())) {
+            if (!roots.has(root)) {
+                this.services.delete(root);
+                changed = true;
+            }
+        }
+
+        for (const root of roots) {
+            if (!this.services.has(root)) {
+                this.services.set(root, new GitService(this.context, root));
+                changed = true;
+            }
+        }
+
+        if (this.services.size > 0) {
+            this.fallbackService = null;
+        }
+
+        Logger.info(`发现 ${this.services.size} 个 Git 仓库`);
+
+        const previousRoot = this.activeRoot;
+        if (!this.activeRoot || !this.services.has(this.activeRoot)) {
+            const editor = vscode.window.activeTextEditor;
+            const editorRoot = editor ? this.findRootForPath(editor.document.uri.fsPath) : undefined;
+            this.activeRoot = editorRoot || this.services.keys().next().value;
+        }
+
+        if (changed) {
+            this._onDidChangeRepositories.fire();
+        }
+        if (this.activeRoot !== previousRoot) {
+            this._onDidChangeActiveRepository.fire(this.getActive());
+        }
+    }
+
+    /**
+     * 递归查找目录下的仓库（目录中存在 .git 目录或 .git 文件即视为仓库）
+     */
+    private async findRepositories(dir: string, depth: number): Promise<string[]> {
+        const results: string[] = [];
+        let entries: fs.Dirent[];
+        try {
+            entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        } catch {
+            return results;
+        }
+
+        if (entries.some(entry => entry.name === '.git')) {
+            results.push(dir);
+        }
+
+        if (depth <= 0) {
+            return results;
+        }
+
+        for (const entry of entries) {
+            if (!entry.isDirectory() || entry.name.startsWith('.') || IGNORED_DIRECTORIES.has(entry.name)) {
+                continue;
+            }
+            const nested = await this.findRepositories(path.join(dir, entry.name), depth - 1);
+            results.push(...nested);
+        }
+
+        return results;
+    }
+
+    /**
+     * 获取目录所属仓库的根目录
+     */
+    private async resolveTopLevel(dir: string): Promise<string | undefined> {
+        try {
+            const topLevel = (await simpleGit(dir).revparse(['--show-toplevel'])).trim();
+            return topLevel ? path.normalize(topLevel) : undefined;
+        } catch (error) {
+            ErrorHandler.handleSilent(error, '检测上级仓库');
+            return undefined;
+        }
+    }
+
+    /**
+     * 查找包含指定路径的最内层仓库根目录
+     */
+    private findRootForPath(fsPath: string): string | undefined {
+        let best: string | undefined;
+        for (const root of this.services.keys()) {
+            const relative = path.relative(root, fsPath);
+            const inside = relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+            if (inside && (!best || root.length > best.length)) {
+                best = root;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * 根据文件 URI 切换活动仓库
+     */
+    private followUri(uri: vscode.Uri): void {
+        if (uri.scheme !== 'file') {
+            return;
+        }
+        const root = this.findRootForPath(uri.fsPath);
+        if (root && root !== this.activeRoot) {
+            this.setActive(root);
+        }
+    }
+
+    /**
+     * 获取当前活动仓库的 GitService
+     */
+    getActive(): GitService {
+        if (this.activeRoot) {
+            const service = this.services.get(this.activeRoot);
+            if (service) {
+                return service;
+            }
+        }
+
+        const first = this.services.values().next().value;
+        if (first) {
+            return first;
+        }
+
+        if (!this.fallbackService) {
+            this.fallbackService = new GitService(this.context);
+        }
+        return this.fallbackService;
+    }
+
+    /**
+     * 切换活动仓库
+     */
+    setActive(root: string): boolean {
+        if (!this.services.has(root)) {
+            return false;
+        }
+        if (this.activeRoot === root) {
+            return true;
+        }
+        this.activeRoot = root;
+        Logger.info(`切换活动仓库: ${root}`);
+        this._onDidChangeActiveRepository.fire(this.getActive());
+        return true;
+    }
+
+    /**
+     * 获取包含指定文件的仓库服务
+     */
+    getServiceForPath(fsPath: string): GitService | undefined {
+        const root = this.findRootForPath(fsPath);
+        return root ? this.services.get(root) : undefined;
+    }
+
+    /**
+     * 获取绑定到指定文件夹的服务（文件夹本身是已发现的仓库时复用已有服务）
+     * 用于初始化仓库、克隆到文件夹等尚未成为仓库的场景
+     */
+    getServiceForFolder(folderPath: string): GitService {
+        return this.services.get(folderPath) || new GitService(this.context, folderPath);
+    }
+
+    /**
+     * 获取已发现的仓库列表
+     */
+    getRepositories(): RepositoryInfo[] {
+        return Array.from(this.services.keys()).map(root => ({
+            path: root,
+            name: path.basename(root)
+        }));
+    }
+
+    /**
+     * 获取当前活动仓库信息
+     */
+    getActiveRepository(): RepositoryInfo | null {
+        const root = this.getActive().getWorkspaceRoot();
+        return root ? { path: root, name: path.basename(root) } : null;
+    }
+
+    dispose(): void {
+        this._onDidChangeActiveRepository.dispose();
+        this._onDidChangeRepositories.dispose();
+        this.disposables.forEach(d => d.dispose());
+        this.disposables = [];
+        this.services.clear();
+    }
+}
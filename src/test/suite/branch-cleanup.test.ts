@@ -0,0 +1,79 @@
+import * as assert from 'assert';
+import {
+    findCleanupCandidates,
+    formatCleanupPreview,
+    isDefaultCleanupSelection,
+    LocalBranchDetail,
+    parseLocalBranchDetails
+} from '../../utils/branch-cleanup';
+
+suite('Branch Cleanup Tests', () => {
+    const now = Date.parse('2024-06-01T00:00:00Z');
+
+    const branch = (name: string, date: string, gone = false): LocalBranchDetail => ({
+        name,
+        hash: `${name.length}`.padEnd(40, 'a'),
+        date,
+        author: 'Alice',
+        upstream: gone ? `origin/${name}` : null,
+        gone
+    });
+
+    test('parseLocalBranchDetails - 解析上游状态', () => {
+        const output = [
+            ['main', 'a'.repeat(40), '2024-05-30T10:00:00+08:00', 'Alice', 'origin/main', ''].join('\0'),
+            ['feature/x', 'b'.repeat(40), '2024-01-02T10:00:00+08:00', 'Bob', 'origin/feature/x', 'gone'].join('\0'),
+            ['local', 'c'.repeat(40), '2024-03-01T10:00:00+08:00', 'Carol', '', ''].join('\0'),
+            ''
+        ].join('\n');
+
+        const branches = parseLocalBranchDetails(output);
+        assert.strictEqual(branches.length, 3);
+        assert.deepStrictEqual(branches.map(b => b.gone), [false, true, false]);
+        assert.strictEqual(branches[1].author, 'Bob');
+        assert.strictEqual(branches[2].upstream, null);
+    });
+
+    test('findCleanupCandidates - 合并、上游删除与长期无提交', () => {
+        const candidates = findCleanupCandidates([
+            branch('main', '2024-05-30T00:00:00Z'),
+            branch('merged', '2024-05-20T00:00:00Z'),
+            branch('gone-and-old', '2023-12-01T00:00:00Z', true),
+            branch('old', '2024-01-01T00:00:00Z'),
+            branch('active', '2024-05-31T00:00:00Z')
+        ], {
+            merged: ['main', 'merged'],
+            staleDays: 90,
+            exclude: ['main'],
+            now
+        });
+
+        assert.deepStrictEqual(candidates.map(c => c.name), ['gone-and-old', 'old', 'merged']);
+        assert.deepStrictEqual(candidates[0].reasons, ['gone', 'stale']);
+        assert.ok(isDefaultCleanupSelection(candidates[0]));
+        assert.ok(!isDefaultCleanupSelection(candidates[1]));
+    });
+
+    test('findCleanupCandidates - staleDays 为 0 时不检查提交时间', () => {
+        const candidates = findCleanupCandidates([branch('old', '2020-01-01T00:00:00Z')], {
+            merged: [],
+            staleDays: 0,
+            exclude: [],
+            now
+        });
+        assert.strictEqual(candidates.length, 0);
+    });
+
+    test('formatCleanupPreview - 列出删除命令与末端提交', () => {
+        const [candidate] = findCleanupCandidates([branch('merged', '2024-05-20T00:00:00Z')], {
+            merged: ['merged'],
+            staleDays: 90,
+            exclude: [],
+            now
+        });
+        const preview = formatCleanupPreview([candidate], 'main');
+        assert.ok(preview.includes('基准分支: main'));
+        assert.ok(preview.includes('git branch -D merged  # 已合并；2024-05-20 Alice'));
+        assert.ok(preview.includes(candidate.hash.substring(0, 8)));
+    });
+});
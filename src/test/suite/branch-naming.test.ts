@@ -0,0 +1,54 @@
+import * as assert from 'assert';
+import {
+    BranchNamingPolicy,
+    checkBranchName,
+    DEFAULT_ISSUE_KEY_PATTERN,
+    parseBranchNamingPolicy,
+    suggestBranchName
+} from '../../utils/branch-naming';
+
+suite('Branch Naming Tests', () => {
+    const parse = (content: string) => parseBranchNamingPolicy(content).policy as BranchNamingPolicy;
+
+    test('parseBranchNamingPolicy - 解析规范文件并填充默认值', () => {
+        const policy = parse('{ "prefixes": ["feature/", "bugfix/"], "lowercase": true, "issueKey": true, "maxLength": 40 }');
+        assert.deepStrictEqual(policy.prefixes, ['feature/', 'bugfix/']);
+        assert.strictEqual(policy.issueKey, DEFAULT_ISSUE_KEY_PATTERN);
+        assert.strictEqual(policy.maxLength, 40);
+        assert.strictEqual(policy.severity, 'error');
+        assert.deepStrictEqual(policy.exempt, ['main', 'master', 'develop']);
+
+        assert.ok(parseBranchNamingPolicy('{ invalid').error?.includes('JSON'));
+        assert.ok(parseBranchNamingPolicy('[]').error);
+        assert.ok(parseBranchNamingPolicy('{ "prefixes": "feature/" }').error?.includes('prefixes'));
+        assert.ok(parseBranchNamingPolicy('{ "pattern": "([a-z" }').error?.includes('pattern'));
+        assert.ok(parseBranchNamingPolicy('{ "severity": "info" }').error?.includes('severity'));
+    });
+
+    test('checkBranchName - 检查前缀、小写、任务编号、长度和正则', () => {
+        const policy = parse('{ "prefixes": ["feature/"], "lowercase": true, "issueKey": true, "maxLength": 30, "pattern": "^[a-zA-Z0-9/-]+$" }');
+        assert.deepStrictEqual(checkBranchName(policy, 'feature/PROJ-12-login'), []);
+        assert.deepStrictEqual(checkBranchName(policy, 'main'), []);
+
+        const rules = checkBranchName(policy, 'Login_Page').map(violation => violation.rule);
+        assert.deepStrictEqual(rules, ['prefix', 'lowercase', 'issueKey', 'pattern']);
+
+        assert.deepStrictEqual(
+            checkBranchName(policy, 'feature/PROJ-12-a-very-long-description').map(violation => violation.rule),
+            ['maxLength']
+        );
+        // 只有前缀没有名称不算符合
+        assert.deepStrictEqual(checkBranchName(policy, 'feature/').map(violation => violation.rule), ['prefix', 'issueKey']);
+    });
+
+    test('suggestBranchName - 修正字符、大小写、前缀和长度', () => {
+        const policy = parse('{ "prefixes": ["feature/", "bugfix/"], "lowercase": true, "issueKey": true, "maxLength": 30 }');
+        assert.strictEqual(suggestBranchName(policy, 'PROJ-12 Login Page'), 'feature/PROJ-12-login-page');
+        assert.strictEqual(suggestBranchName(policy, 'Bugfix-PROJ-7-crash'), 'bugfix/PROJ-7-crash');
+        assert.strictEqual(suggestBranchName(policy, 'feature/PROJ-12-a-very-long-description'), 'feature/PROJ-12-a-very-long');
+        assert.strictEqual(suggestBranchName(policy, 'feature/PROJ-12-login'), null);
+
+        const plain = parse('{}');
+        assert.strictEqual(suggestBranchName(plain, 'fix  the..bug'), 'fix-the.bug');
+    });
+});
@@ -0,0 +1,42 @@
+import * as assert from 'assert';
+import { buildChangeTree, collectFolderEntries, groupStatusFiles } from '../../utils/change-groups';
+
+suite('Change Groups Tests', () => {
+    test('groupStatusFiles - 按冲突、已暂存、未暂存、未跟踪分组', () => {
+        const groups = groupStatusFiles([
+            { path: 'src/b.ts', index: 'M', working_dir: 'M' },
+            { path: 'src/a.ts', index: ' ', working_dir: 'M' },
+            { path: 'new.ts', index: 'A', working_dir: ' ' },
+            { path: 'moved.ts', index: 'R', working_dir: ' ', from: 'old.ts' },
+            { path: 'conflict.ts', index: 'U', working_dir: 'U' },
+            { path: 'both-added.ts', index: 'A', working_dir: 'A' },
+            { path: 'tmp.log', index: '?', working_dir: '?' }
+        ]);
+
+        assert.deepStrictEqual(groups.conflicted.map(entry => entry.path), ['both-added.ts', 'conflict.ts']);
+        assert.deepStrictEqual(groups.staged, [
+            { path: 'moved.ts', status: 'R', group: 'staged', originalPath: 'old.ts' },
+            { path: 'new.ts', status: 'A', group: 'staged' },
+            { path: 'src/b.ts', status: 'M', group: 'staged' }
+        ]);
+        assert.deepStrictEqual(groups.unstaged.map(entry => entry.path), ['src/a.ts', 'src/b.ts']);
+        assert.deepStrictEqual(groups.untracked, [{ path: 'tmp.log', status: '?', group: 'untracked' }]);
+    });
+
+    test('buildChangeTree - 文件夹分组并合并单一子文件夹', () => {
+        const entries = ['README.md', 'src/utils/a.ts', 'src/utils/b.ts', 'src/app.ts', 'docs/guide/intro/index.md']
+            .map(path => ({ path, status: 'M', group: 'unstaged' as const }));
+        const tree = buildChangeTree(entries);
+
+        assert.deepStrictEqual(tree.files.map(entry => entry.path), ['README.md']);
+        assert.deepStrictEqual(tree.folders.map(folder => [folder.name, folder.path]), [
+            ['docs/guide/intro', 'docs/guide/intro'],
+            ['src', 'src']
+        ]);
+
+        const src = tree.folders[1];
+        assert.deepStrictEqual(src.files.map(entry => entry.path), ['src/app.ts']);
+        assert.deepStrictEqual(src.folders.map(folder => folder.name), ['utils']);
+        assert.deepStrictEqual(collectFolderEntries(src).map(entry => entry.path), ['src/app.ts', 'src/utils/a.ts', 'src/utils/b.ts']);
+    });
+});
@@ -0,0 +1,90 @@
+import * as assert from 'assert';
+import {
+    buildConventionalMessage,
+    CommitLintConfig,
+    DEFAULT_COMMIT_LINT_CONFIG,
+    fixCommitMessage,
+    lintCommitMessage,
+    parseConventionalHeader,
+    suggestScopes
+} from '../../utils/commit-lint';
+
+suite('Commit Lint Tests', () => {
+    const config: CommitLintConfig = { ...DEFAULT_COMMIT_LINT_CONFIG };
+
+    test('parseConventionalHeader - 解析类型、作用域与破坏性标记', () => {
+        assert.deepStrictEqual(parseConventionalHeader('feat(auth)!: 移除旧接口'), {
+            type: 'feat',
+            scope: 'auth',
+            breaking: true,
+            description: '移除旧接口'
+        });
+        assert.strictEqual(parseConventionalHeader('更新代码'), null);
+    });
+
+    test('lintCommitMessage - 约定式提交检查', () => {
+        assert.deepStrictEqual(lintCommitMessage('fix(ui): 修复按钮错位\n\n详细说明', config), []);
+
+        const messages = lintCommitMessage('Feature: 添加导出。\n紧跟正文', config).map(issue => issue.message);
+        assert.ok(messages.some(message => message.includes('空一行')));
+        assert.ok(messages.some(message => message.includes('"Feature"')));
+        assert.ok(messages.some(message => message.includes('句号')));
+
+        assert.ok(lintCommitMessage('feat: 导出', { ...config, requireScope: true })
+            .some(issue => issue.severity === 'error' && issue.message.includes('作用域')));
+        assert.ok(lintCommitMessage(`feat: ${'很'.repeat(80)}`, config)
+            .some(issue => issue.message.includes('超过 72')));
+        assert.deepStrictEqual(lintCommitMessage('随便写', { ...config, convention: 'off' }), []);
+    });
+
+    test('lintCommitMessage - 自定义正则规则', () => {
+        const custom: CommitLintConfig = {
+            ...config,
+            convention: 'custom',
+            rules: [
+                { pattern: '#\\d+', message: '需要关联工单', target: 'message', severity: 'warning' },
+                { pattern: '(', message: '无效规则' }
+            ]
+        };
+        assert.deepStrictEqual(lintCommitMessage('更新文档\n\nCloses #12', custom).map(issue => issue.message), [
+            '自定义规则的正则表达式无效: ('
+        ]);
+        assert.deepStrictEqual(lintCommitMessage('更新文档', custom)[0], { severity: 'warning', message: '需要关联工单' });
+    });
+
+    test('fixCommitMessage - 规范化格式', () => {
+        assert.strictEqual(
+            fixCommitMessage('Feature ( Auth ) ：支持短信登录。\n正文', config),
+            'feat(Auth): 支持短信登录\n\n正文'
+        );
+        assert.strictEqual(fixCommitMessage('FIX:typo', config), 'fix: typo');
+        assert.strictEqual(fixCommitMessage('update: 修改', config), null);
+        assert.strictEqual(fixCommitMessage('更新代码', config), null);
+    });
+
+    test('buildConventionalMessage - 破坏性变更与尾注', () => {
+        assert.strictEqual(
+            buildConventionalMessage({
+                type: 'feat',
+                scope: 'api',
+                breaking: true,
+                description: '调整返回格式',
+                body: '统一分页字段',
+                breakingDescription: 'list 接口不再返回 total',
+                footer: 'Closes #7'
+            }),
+            'feat(api)!: 调整返回格式\n\n统一分页字段\n\nBREAKING CHANGE: list 接口不再返回 total\nCloses #7'
+        );
+        assert.strictEqual(buildConventionalMessage({ type: 'docs', breaking: false, description: '补充说明' }), 'docs: 补充说明');
+    });
+
+    test('suggestScopes - 按暂存路径推荐作用域', () => {
+        assert.deepStrictEqual(suggestScopes([
+            'src/commands/index.ts',
+            'src/commands/git-operations.ts',
+            'packages/core/src/a.ts',
+            'README.md',
+            'src/extension.ts'
+        ]), ['commands', 'core', 'extension', 'readme']);
+    });
+});
@@ -0,0 +1,56 @@
+import * as assert from 'assert';
+import {
+    buildCommitArgs,
+    composeCommitMessage,
+    extractCoAuthors,
+    parseAuthorList,
+    parseCommitTemplate,
+    splitCommitMessage
+} from '../../utils/commit-message';
+
+suite('Commit Message Tests', () => {
+    test('splitCommitMessage - 拆分标题和正文', () => {
+        assert.deepStrictEqual(splitCommitMessage('feat: 登录\n\n支持短信验证码\n第二行\n'), {
+            subject: 'feat: 登录',
+            body: '支持短信验证码\n第二行'
+        });
+        assert.deepStrictEqual(splitCommitMessage('fix: typo'), { subject: 'fix: typo', body: '' });
+    });
+
+    test('parseCommitTemplate - 去掉注释行', () => {
+        const template = '# 标题不超过 50 个字符\n[模块] \n\n# 说明修改原因\n原因：\n';
+        assert.deepStrictEqual(parseCommitTemplate(template), { subject: '[模块]', body: '原因：' });
+    });
+
+    test('extractCoAuthors / composeCommitMessage - Co-authored-by 尾注', () => {
+        const body = '正文\n\nCo-authored-by: Alice <alice@example.com>\nco-authored-by: Bob <bob@example.com>\n';
+        const extracted = extractCoAuthors(body);
+        assert.strictEqual(extracted.body, '正文');
+        assert.deepStrictEqual(extracted.coAuthors, [
+            { name: 'Alice', email: 'alice@example.com' },
+            { name: 'Bob', email: 'bob@example.com' }
+        ]);
+
+        assert.strictEqual(
+            composeCommitMessage('feat: 导出', extracted.body, [...extracted.coAuthors, { name: 'Alice', email: 'ALICE@example.com' }]),
+            'feat: 导出\n\n正文\n\nCo-authored-by: Alice <alice@example.com>\nCo-authored-by: Bob <bob@example.com>\n'
+        );
+        assert.strictEqual(composeCommitMessage('fix: typo ', '  \n'), 'fix: typo\n');
+    });
+
+    test('buildCommitArgs - 修改提交、签名与跳过钩子', () => {
+        assert.deepStrictEqual(buildCommitArgs('/tmp/msg'), ['commit', '-F', '/tmp/msg']);
+        assert.deepStrictEqual(
+            buildCommitArgs('/tmp/msg', { amend: true, signoff: true, noVerify: true }),
+            ['commit', '-F', '/tmp/msg', '--amend', '--signoff', '--no-verify']
+        );
+    });
+
+    test('parseAuthorList - 按邮箱去重并按提交次数排序', () => {
+        const output = 'Bob\tbob@example.com\nAlice\talice@example.com\nBob Smith\tBOB@example.com\n\n';
+        assert.deepStrictEqual(parseAuthorList(output), [
+            { name: 'Bob', email: 'bob@example.com' },
+            { name: 'Alice', email: 'alice@example.com' }
+        ]);
+    });
+});
@@ -0,0 +1,79 @@
+import * as assert from 'assert';
+import { CommitFileChange } from '../../types/git';
+import {
+    classifyChangedFile,
+    detectVersionBump,
+    extractChangedSymbols,
+    suggestCommitMessage
+} from '../../utils/commit-suggest';
+
+const change = (path: string, type: string = 'M', oldPath?: string): CommitFileChange => ({ path, status: type, type, oldPath });
+
+suite('Commit Suggest Tests', () => {
+    test('classifyChangedFile - 按路径和文件类型分类', () => {
+        assert.strictEqual(classifyChangedFile('src/test/suite/a.test.ts'), 'test');
+        assert.strictEqual(classifyChangedFile('pkg/server_test.go'), 'test');
+        assert.strictEqual(classifyChangedFile('README.md'), 'docs');
+        assert.strictEqual(classifyChangedFile('docs/guide/intro.html'), 'docs');
+        assert.strictEqual(classifyChangedFile('.github/workflows/ci.yml'), 'ci');
+        assert.strictEqual(classifyChangedFile('tsconfig.web.json'), 'build');
+        assert.strictEqual(classifyChangedFile('src/extension.ts'), 'source');
+    });
+
+    test('extractChangedSymbols - 提取新增和删除的声明', () => {
+        const diff = [
+            '--- a/src/a.ts',
+            '+++ b/src/a.ts',
+            '+export function parseTodo(text: string) {',
+            '+    private async loadItems(id: number) {',
+            '-export class OldParser {',
+            '-export const render = () => {',
+            '+export const render = (items: string[]) => {',
+            '+def helper(value):',
+            ' function unchanged() {'
+        ].join('\n');
+        assert.deepStrictEqual(extractChangedSymbols(diff), {
+            added: ['parseTodo', 'loadItems', 'helper'],
+            removed: ['OldParser']
+        });
+    });
+
+    test('detectVersionBump - 只修改 package.json 版本号', () => {
+        const diff = '--- a/package.json\n+++ b/package.json\n@@ -3 +3 @@\n-  "version": "1.0.0",\n+  "version": "1.1.0",\n';
+        assert.strictEqual(detectVersionBump([change('package.json')], diff), '1.1.0');
+        assert.strictEqual(detectVersionBump([change('package.json')], diff + '+  "lodash": "^4.0.0",\n'), null);
+        assert.strictEqual(detectVersionBump([change('package.json'), change('src/a.ts')], diff), null);
+    });
+
+    test('suggestCommitMessage - 推断类型、作用域与摘要', () => {
+        const versionDiff = '-  "version": "1.0.0",\n+  "version": "1.1.0",\n';
+        assert.strictEqual(suggestCommitMessage([change('package.json')], versionDiff)?.header, 'chore(release): 发布 1.1.0');
+
+        assert.strictEqual(
+            suggestCommitMessage([change('src/test/suite/a.test.ts'), change('src/test/suite/b.test.ts', 'A')], '')?.type,
+            'test'
+        );
+        assert.strictEqual(suggestCommitMessage([change('README.md')], '')?.header, 'docs(readme): 更新 README.md');
+
+        assert.strictEqual(
+            suggestCommitMessage([change('src/commands/tag.ts')], '+export function pushTag() {\n')?.header,
+            'feat(commands): 添加 pushTag'
+        );
+        assert.strictEqual(
+            suggestCommitMessage([change('src/utils/new.ts', 'R', 'src/utils/old.ts')], '')?.header,
+            'refactor(utils): 将 old.ts 重命名为 new.ts'
+        );
+        assert.strictEqual(
+            suggestCommitMessage([change('src/a/x.ts'), change('web/y.ts')], '-  return 1;\n+  return 2;\n')?.header,
+            'fix: 更新 2 个文件'
+        );
+        assert.strictEqual(suggestCommitMessage([], ''), null);
+    });
+
+    test('suggestCommitMessage - 类型不在允许列表中时改用 chore', () => {
+        assert.strictEqual(
+            suggestCommitMessage([change('README.md')], '', { types: ['feat', 'fix', 'chore'] })?.type,
+            'chore'
+        );
+    });
+});
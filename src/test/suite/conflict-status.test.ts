@@ -0,0 +1,129 @@
+import * as assert from 'assert';
+import {
+    describeConflict,
+    formatPredictedConflicts,
+    getConflictResolutions,
+    isTextConflict,
+    parseMergeTreeOutput,
+    parseUnmergedEntries,
+    summarizeMergePrediction
+} from '../../utils/conflict-status';
+
+const ZERO = '0000000000000000000000000000000000000000';
+const HASH_A = 'd5d0b8b4c4c9e936890870f6799cfbb5ba984470';
+const HASH_B = '5d3eb9822d4ae5cc4bbc0ae41e95a68c1fb4862c';
+const HASH_C = '4a270318359d8c2a960136495bceeae9eee22424';
+
+suite('Conflict Status Tests', () => {
+    test('parseUnmergedEntries - 解析各类未合并条目', () => {
+        const output = [
+            `u UU N... 100644 100644 100644 100644 ${HASH_A} ${HASH_B} ${HASH_C} src/app.ts`,
+            `u UD N... 100644 100644 000000 100644 ${HASH_A} ${HASH_B} ${ZERO} docs/old file.md`,
+            `u DU N... 100644 000000 100644 100644 ${HASH_A} ${ZERO} ${HASH_C} removed.ts`,
+            `u AA S.M. 000000 160000 160000 160000 ${ZERO} ${HASH_B} ${HASH_C} vendor/lib`,
+            `u DD N... 100644 000000 000000 000000 ${HASH_A} ${ZERO} ${ZERO} renamed.ts`,
+            ''
+        ].join('\0');
+
+        const entries = parseUnmergedEntries(output);
+        assert.deepStrictEqual(entries.map(entry => entry.type), [
+            'both-modified', 'deleted-by-them', 'deleted-by-us', 'added-by-both', 'deleted-by-both'
+        ]);
+        assert.strictEqual(entries[1].path, 'docs/old file.md');
+        assert.deepStrictEqual(entries[1].stages.ours, { mode: '100644', hash: HASH_B });
+        assert.strictEqual(entries[1].stages.theirs, null);
+        assert.strictEqual(entries[3].submodule, true);
+        assert.strictEqual(entries[3].stages.base, null);
+    });
+
+    test('parseUnmergedEntries - 忽略普通条目和重命名原路径', () => {
+        const output = [
+            `1 .M N... 100644 100644 100644 ${HASH_A} ${HASH_A} changed.ts`,
+            `2 R. N... 100644 100644 100644 ${HASH_A} ${HASH_A} R100 new.ts`,
+            'u UU N... old.ts',
+            `u AU N... 000000 100644 000000 100644 ${ZERO} ${HASH_B} ${ZERO} moved.ts`,
+            ''
+        ].join('\0');
+
+        const entries = parseUnmergedEntries(output);
+        assert.strictEqual(entries.length, 1);
+        assert.strictEqual(entries[0].path, 'moved.ts');
+        assert.strictEqual(entries[0].type, 'added-by-us');
+    });
+
+    test('getConflictResolutions - 按版本是否存在提供取舍方式', () => {
+        const [modified, deletedByThem, deletedByUs, , deletedByBoth] = parseUnmergedEntries([
+            `u UU N... 100644 100644 100644 100644 ${HASH_A} ${HASH_B} ${HASH_C} a`,
+            `u UD N... 100644 100644 000000 100644 ${HASH_A} ${HASH_B} ${ZERO} b`,
+            `u DU N... 100644 000000 100644 100644 ${HASH_A} ${ZERO} ${HASH_C} c`,
+            `u AA N... 000000 100644 100644 100644 ${ZERO} ${HASH_B} ${HASH_C} d`,
+            `u DD N... 100644 000000 000000 000000 ${HASH_A} ${ZERO} ${ZERO} e`
+        ].join('\0'));
+
+        assert.deepStrictEqual(getConflictResolutions(modified), ['ours', 'theirs']);
+        assert.deepStrictEqual(getConflictResolutions(deletedByThem), ['ours', 'delete']);
+        assert.deepStrictEqual(getConflictResolutions(deletedByUs), ['theirs', 'delete']);
+        assert.deepStrictEqual(getConflictResolutions(deletedByBoth), ['delete']);
+    });
+
+    test('isTextConflict / describeConflict - 区分文本、二进制和子模块', () => {
+        const [entry] = parseUnmergedEntries(`u UU N... 100644 100644 100644 100644 ${HASH_A} ${HASH_B} ${HASH_C} image.png`);
+        assert.strictEqual(isTextConflict(entry), true);
+        assert.strictEqual(describeConflict(entry), '双方修改');
+
+        const binary = { ...entry, binary: true };
+        assert.strictEqual(isTextConflict(binary), false);
+        assert.strictEqual(describeConflict(binary), '二进制文件 · 双方修改');
+
+        const submodule = { ...entry, submodule: true };
+        assert.strictEqual(isTextConflict(submodule), false);
+        assert.strictEqual(describeConflict(submodule), '子模块 · 双方修改');
+    });
+
+    test('parseMergeTreeOutput - 根据版本推断冲突类型', () => {
+        const output = [
+            'c6c5d54076e05c5a46538999522c384d86aed9b1',
+            `100644 ${HASH_A} 1\td.txt`,
+            `100644 ${HASH_B} 2\td.txt`,
+            `100644 ${HASH_A} 1\tsrc/t.txt`,
+            `100644 ${HASH_B} 2\tsrc/t.txt`,
+            `100644 ${HASH_C} 3\tsrc/t.txt`,
+            `100644 ${HASH_B} 2\tnew file.txt`,
+            `100644 ${HASH_C} 3\tnew file.txt`,
+            ''
+        ].join('\0');
+
+        const result = parseMergeTreeOutput(output);
+        assert.strictEqual(result.tree, 'c6c5d54076e05c5a46538999522c384d86aed9b1');
+        assert.deepStrictEqual(result.files, [
+            { path: 'd.txt', type: 'deleted-by-them', hunks: 0 },
+            { path: 'src/t.txt', type: 'both-modified', hunks: 0 },
+            { path: 'new file.txt', type: 'added-by-both', hunks: 0 }
+        ]);
+    });
+
+    test('parseMergeTreeOutput - 无冲突时只有结果树', () => {
+        const result = parseMergeTreeOutput('f4ba57e7ebfc194d3e38a18e212b7f6844c1ba1c\0');
+        assert.strictEqual(result.tree, 'f4ba57e7ebfc194d3e38a18e212b7f6844c1ba1c');
+        assert.deepStrictEqual(result.files, []);
+    });
+
+    test('summarizeMergePrediction / formatPredictedConflicts - 生成预测说明', () => {
+        assert.strictEqual(summarizeMergePrediction({ clean: true, files: [] }), '预计不会产生冲突');
+
+        const prediction = {
+            clean: false,
+            files: [
+                { path: 'a.ts', type: 'both-modified' as const, hunks: 2 },
+                { path: 'b.ts', type: 'deleted-by-us' as const, hunks: 0 },
+                { path: 'c.ts', type: 'both-modified' as const, hunks: 1 }
+            ]
+        };
+        assert.strictEqual(summarizeMergePrediction(prediction), '预计 3 个文件冲突（共 3 处）');
+        assert.deepStrictEqual(formatPredictedConflicts(prediction, 2), [
+            'a.ts（2 处冲突）',
+            'b.ts（当前分支已删除）',
+            '等 3 个文件'
+        ]);
+    });
+});
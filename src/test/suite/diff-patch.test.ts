@@ -0,0 +1,108 @@
+import * as assert from 'assert';
+import { buildPartialPatch, countHunkChanges, isSameFileDiff, parseFileDiff, selectLinesInRange } from '../../utils/diff-patch';
+
+const DIFF = [
+    'diff --git a/src/app.ts b/src/app.ts',
+    'index 1111111..2222222 100644',
+    '--- a/src/app.ts',
+    '+++ b/src/app.ts',
+    '@@ -1,4 +1,5 @@',
+    ' one',
+    '-two',
+    '+TWO',
+    '+extra',
+    ' three',
+    ' four',
+    '@@ -10,2 +11,2 @@ function tail() {',
+    ' ten',
+    '-eleven',
+    '+ELEVEN',
+    '\\ No newline at end of file',
+    ''
+].join('\n');
+
+suite('Diff Patch Tests', () => {
+    test('parseFileDiff - 解析文件头、差异块和行号', () => {
+        const diff = parseFileDiff(DIFF);
+        assert.ok(diff);
+        assert.strictEqual(diff.path, 'src/app.ts');
+        assert.strictEqual(diff.headers.length, 4);
+        assert.strictEqual(diff.hunks.length, 2);
+        assert.deepStrictEqual(diff.hunks[0].lines[2], { type: 'add', content: 'TWO', newLine: 2 });
+        assert.deepStrictEqual(diff.hunks[1].lines[1], { type: 'delete', content: 'eleven', oldLine: 11 });
+        assert.strictEqual(diff.hunks[1].lines[2].noNewline, true);
+        assert.deepStrictEqual(countHunkChanges(diff.hunks[0]), { added: 2, deleted: 1 });
+        assert.strictEqual(parseFileDiff(''), null);
+    });
+
+    test('buildPartialPatch - 暂存部分行时丢弃未选新增行、保留未选删除行', () => {
+        const diff = parseFileDiff(DIFF)!;
+        const patch = buildPartialPatch(diff, [{ hunk: 0, lines: [3] }]);
+        assert.strictEqual(patch, [
+            ...diff.headers,
+            '@@ -1,4 +1,5 @@',
+            ' one',
+            ' two',
+            '+extra',
+            ' three',
+            ' four',
+            ''
+        ].join('\n'));
+    });
+
+    test('buildPartialPatch - 反向应用时保留未选新增行并推算旧版本行号', () => {
+        const diff = parseFileDiff(DIFF)!;
+        const patch = buildPartialPatch(diff, [{ hunk: 0, lines: [1] }, { hunk: 1 }], true);
+        assert.strictEqual(patch, [
+            ...diff.headers,
+            '@@ -1,6 +1,5 @@',
+            ' one',
+            '-two',
+            ' TWO',
+            ' extra',
+            ' three',
+            ' four',
+            // 前一个块恢复了一行，旧版本起始行号相应后移
+            '@@ -12,2 +11,2 @@',
+            ' ten',
+            '-eleven',
+            '+ELEVEN',
+            '\\ No newline at end of file',
+            ''
+        ].join('\n'));
+        assert.strictEqual(buildPartialPatch(diff, []), null);
+    });
+
+    test('buildPartialPatch - 部分暂存新文件时改写为修改补丁', () => {
+        const diff = parseFileDiff([
+            'diff --git a/new.txt b/new.txt',
+            'new file mode 100644',
+            'index 0000000..de98044',
+            '--- /dev/null',
+            '+++ b/new.txt',
+            '@@ -0,0 +1,3 @@',
+            '+a',
+            '+b',
+            '+c',
+            ''
+        ].join('\n'))!;
+        assert.ok(buildPartialPatch(diff, [{ hunk: 0 }])!.includes('new file mode'));
+        const partial = buildPartialPatch(diff, [{ hunk: 0, lines: [1] }], true)!;
+        assert.ok(!partial.includes('new file mode'));
+        assert.ok(partial.includes('--- a/new.txt'));
+    });
+
+    test('selectLinesInRange - 按新版本行号选择更改', () => {
+        const diff = parseFileDiff(DIFF)!;
+        assert.deepStrictEqual(selectLinesInRange(diff, 2, 2), [{ hunk: 0, lines: [1, 2] }]);
+        assert.deepStrictEqual(selectLinesInRange(diff, 3, 12), [{ hunk: 0, lines: [3] }, { hunk: 1, lines: [1, 2] }]);
+        assert.deepStrictEqual(selectLinesInRange(diff, 4, 5), []);
+    });
+
+    test('isSameFileDiff - 差异内容变化后不再视为相同', () => {
+        const diff = parseFileDiff(DIFF)!;
+        assert.strictEqual(isSameFileDiff(diff, JSON.parse(JSON.stringify(diff))), true);
+        assert.strictEqual(isSameFileDiff(diff, parseFileDiff(DIFF.replace('+TWO', '+Two'))!), false);
+        assert.strictEqual(isSameFileDiff(diff, parseFileDiff(DIFF.replace('@@ -10,2 +11,2 @@', '@@ -12,2 +13,2 @@'))!), false);
+    });
+});
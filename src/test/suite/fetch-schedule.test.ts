@@ -0,0 +1,31 @@
+import * as assert from 'assert';
+import { buildFetchArgs, getFetchBackoffDelay, parseUpstreamTrack } from '../../utils/fetch-schedule';
+
+suite('Fetch Schedule Tests', () => {
+    test('buildFetchArgs - 远程仓库与清理选项', () => {
+        assert.deepStrictEqual(buildFetchArgs(), ['fetch']);
+        assert.deepStrictEqual(buildFetchArgs({ remote: 'origin' }), ['fetch', 'origin']);
+        assert.deepStrictEqual(buildFetchArgs({ all: true, remote: 'origin', prune: true }), ['fetch', '--all', '--prune']);
+        assert.deepStrictEqual(
+            buildFetchArgs({ remote: 'upstream', pruneTags: true }),
+            ['fetch', 'upstream', '--prune', '--prune-tags']
+        );
+    });
+
+    test('getFetchBackoffDelay - 失败后指数退避并限制上限', () => {
+        const minute = 60 * 1000;
+        assert.strictEqual(getFetchBackoffDelay(3 * minute, 0), 3 * minute);
+        assert.strictEqual(getFetchBackoffDelay(3 * minute, 1), 6 * minute);
+        assert.strictEqual(getFetchBackoffDelay(3 * minute, 3), 24 * minute);
+        assert.strictEqual(getFetchBackoffDelay(3 * minute, 10), 60 * minute);
+        // 间隔本身超过上限时不缩短
+        assert.strictEqual(getFetchBackoffDelay(120 * minute, 2), 120 * minute);
+    });
+
+    test('parseUpstreamTrack - 解析领先/落后提交数', () => {
+        assert.deepStrictEqual(parseUpstreamTrack('ahead 1, behind 2'), { ahead: 1, behind: 2 });
+        assert.deepStrictEqual(parseUpstreamTrack('behind 5'), { ahead: 0, behind: 5 });
+        assert.deepStrictEqual(parseUpstreamTrack(''), { ahead: 0, behind: 0 });
+        assert.strictEqual(parseUpstreamTrack('gone'), null);
+    });
+});
@@ -0,0 +1,39 @@
+import * as assert from 'assert';
+import { buildHookScript, collectHookFiles, HOOK_TEMPLATES, isLikelyHookFailure } from '../../utils/git-hooks';
+
+suite('Git Hooks Tests', () => {
+    test('collectHookFiles - 合并启用文件与 .sample 文件并忽略未知文件', () => {
+        const hooks = collectHookFiles(['pre-push.sample', 'pre-commit', 'pre-commit.sample', 'commit-msg', 'README', 'pre-commit.d', 'post-merge.disabled']);
+        assert.deepStrictEqual(hooks, [
+            { name: 'commit-msg', enabled: true, hasSample: false, hasDisabled: false },
+            { name: 'post-merge', enabled: false, hasSample: false, hasDisabled: true },
+            { name: 'pre-commit', enabled: true, hasSample: true, hasDisabled: false },
+            { name: 'pre-push', enabled: false, hasSample: true, hasDisabled: false }
+        ]);
+    });
+
+    test('buildHookScript - 所有模板均可生成脚本', () => {
+        for (const template of HOOK_TEMPLATES) {
+            const script = buildHookScript(template.id);
+            assert.ok(script.startsWith('#!/bin/sh\n'), template.id);
+        }
+        assert.throws(() => buildHookScript('unknown'));
+    });
+
+    test('buildHookScript - 提交类型与受保护分支', () => {
+        const commitMsg = buildHookScript('commit-message', { types: ['feat', 'fix'] });
+        assert.ok(commitMsg.includes(`grep -Eq '^(feat|fix)(\\([^()]+\\))?!?: .+'`));
+
+        const prePush = buildHookScript('protect-branches', { protectedBranches: ['main', 'release/*', "it's/**"] });
+        assert.ok(prePush.includes(`        main|release/*|it\\'s/*)`));
+    });
+
+    test('isLikelyHookFailure - 区分钩子失败与普通错误', () => {
+        assert.ok(isLikelyHookFailure('commit', 'src/a.ts\n  3:1  error  Unexpected var  no-var\n✖ 1 problem'));
+        assert.ok(!isLikelyHookFailure('commit', 'On branch main\nnothing to commit, working tree clean'));
+        assert.ok(!isLikelyHookFailure('commit', 'fatal: unable to auto-detect email address'));
+        assert.ok(isLikelyHookFailure('push', '禁止直接推送到受保护分支 main\nerror: failed to push some refs to \'origin\''));
+        assert.ok(!isLikelyHookFailure('push', ' ! [rejected]        main -> main (fetch first)\nerror: failed to push some refs to \'origin\''));
+        assert.ok(!isLikelyHookFailure('push', 'fatal: Could not read from remote repository.'));
+    });
+});
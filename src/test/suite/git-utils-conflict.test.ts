@@ -1,5 +1,5 @@
 import * as assert from 'assert';
-import { parseConflictMarkers, resolveConflict } from '../../utils/git-utils';
+import { applyConflictResolutions, parseConflictMarkers, resolveConflict, resolveConflictBlock } from '../../utils/git-utils';
 
 suite('Git Utils Conflict Tests', () => {
     test('parseConflictMarkers - 解析冲突标记', () => {
@@ -84,5 +84,100 @@ suite('Git Utils Conflict Tests', () => {
         assert.ok(result.includes('传入更改'));
         assert.ok(!result.includes('<<<<<<<'));
     });
-});
 
+    test('parseConflictMarkers - 解析 diff3 基准部分', () => {
+        const content = `<<<<<<< HEAD
+当前更改
+||||||| merged common ancestors
+基准内容
+=======
+传入更改
+>>>>>>> feature
+`;
+
+        const result = parseConflictMarkers(content);
+        assert.strictEqual(result.conflicts.length, 1);
+        const block = result.conflicts[0];
+        assert.strictEqual(block.current, '当前更改');
+        assert.strictEqual(block.base, '基准内容');
+        assert.strictEqual(block.incoming, '传入更改');
+        assert.strictEqual(block.currentLabel, 'HEAD');
+        assert.strictEqual(block.baseLabel, 'merged common ancestors');
+        assert.strictEqual(block.incomingLabel, 'feature');
+        assert.strictEqual(block.baseMarker, 2);
+    });
+
+    test('parseConflictMarkers - 兼容 CRLF 换行', () => {
+        const content = '<<<<<<< HEAD\r\n当前\r\n||||||| base\r\n基准\r\n=======\r\n传入\r\n>>>>>>> feature\r\n';
+        const block = parseConflictMarkers(content).conflicts[0];
+        assert.strictEqual(block.current, '当前');
+        assert.strictEqual(block.base, '基准');
+        assert.strictEqual(block.incoming, '传入');
+    });
+
+    test('resolveConflict - diff3 冲突不保留基准内容', () => {
+        const content = `前
+<<<<<<< HEAD
+当前更改
+||||||| base
+基准内容
+=======
+传入更改
+>>>>>>> feature
+后`;
+
+        assert.strictEqual(resolveConflict(content, 'current'), '前\n当前更改\n后');
+        assert.strictEqual(resolveConflict(content, 'both'), '前\n当前更改\n传入更改\n后');
+        assert.strictEqual(resolveConflict(content, 'incomingThenCurrent'), '前\n传入更改\n当前更改\n后');
+    });
+
+    test('resolveConflictBlock - 只有一侧相对基准有修改时自动解决', () => {
+        const onlyIncomingChanged = parseConflictMarkers(`<<<<<<< HEAD
+原始
+||||||| base
+原始
+=======
+传入修改
+>>>>>>> feature`).conflicts[0];
+        assert.deepStrictEqual(resolveConflictBlock(onlyIncomingChanged, 'auto'), ['传入修改']);
+
+        const onlyCurrentDeleted = parseConflictMarkers(`<<<<<<< HEAD
+||||||| base
+原始
+=======
+原始
+>>>>>>> feature`).conflicts[0];
+        assert.deepStrictEqual(resolveConflictBlock(onlyCurrentDeleted, 'auto'), []);
+
+        const bothChanged = parseConflictMarkers(`<<<<<<< HEAD
+当前修改
+||||||| base
+原始
+=======
+传入修改
+>>>>>>> feature`).conflicts[0];
+        assert.strictEqual(resolveConflictBlock(bothChanged, 'auto'), null);
+    });
+
+    test('resolveConflictBlock - 没有基准时仅在两侧相同时自动解决', () => {
+        const same = parseConflictMarkers('<<<<<<< HEAD\n相同\n=======\n相同\n>>>>>>> feature').conflicts[0];
+        const different = parseConflictMarkers('<<<<<<< HEAD\n当前\n=======\n传入\n>>>>>>> feature').conflicts[0];
+        assert.deepStrictEqual(resolveConflictBlock(same, 'auto'), ['相同']);
+        assert.strictEqual(resolveConflictBlock(different, 'auto'), null);
+    });
+
+    test('applyConflictResolutions - 保留无法解决的冲突块和 CRLF', () => {
+        const content = [
+            '<<<<<<< HEAD', 'a', '||||||| base', 'a', '=======', 'b', '>>>>>>> feature',
+            '中间',
+            '<<<<<<< HEAD', 'x', '||||||| base', 'o', '=======', 'y', '>>>>>>> feature',
+            ''
+        ].join('\r\n');
+
+        const result = applyConflictResolutions(content, block => resolveConflictBlock(block, 'auto'));
+        assert.strictEqual(result.resolved, 1);
+        assert.strictEqual(result.remaining, 1);
+        assert.ok(result.content.startsWith('b\r\n中间\r\n<<<<<<< HEAD\r\nx\r\n'));
+        assert.ok(result.content.endsWith('>>>>>>> feature\r\n'));
+    });
+});
@@ -3,6 +3,7 @@ import {
     formatBranchName,
     isRemoteBranch,
     getBranchShortName,
+    splitRemoteBranch,
     formatCommitHash,
     formatRelativeDate,
     formatFileSize,
@@ -37,6 +38,15 @@ suite('Git Utils Tests', () => {
         assert.strictEqual(getBranchShortName('main'), 'main');
     });
 
+    test('splitRemoteBranch - 拆分远程名称和分支名称', () => {
+        assert.deepStrictEqual(splitRemoteBranch('remotes/origin/feature/test'), { remote: 'origin', branch: 'feature/test' });
+        assert.deepStrictEqual(splitRemoteBranch('upstream/main'), { remote: 'upstream', branch: 'main' });
+        assert.deepStrictEqual(
+            splitRemoteBranch('remotes/team/a/main', ['origin', 'team', 'team/a']),
+            { remote: 'team/a', branch: 'main' }
+        );
+    });
+
     test('formatCommitHash - 格式化提交哈希', () => {
         const hash = 'a1b2c3d4e5f6g7h8i9j0k1l2m3n4o5p6q7r8s9t0';
         assert.strictEqual(formatCommitHash(hash, 8), 'a1b2c3d4');
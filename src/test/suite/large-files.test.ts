@@ -0,0 +1,62 @@
+import * as assert from 'assert';
+import {
+    appendGitignoreEntry,
+    findLargeFileIssues,
+    isBinaryContent,
+    parseLfsCheckAttr,
+    parseLfsFiles,
+    parseLfsTrackOutput,
+    suggestLfsPattern,
+    toGitignoreEntry
+} from '../../utils/large-files';
+
+suite('Large Files Tests', () => {
+    test('findLargeFileIssues - 大小限制、二进制与 LFS 跟踪', () => {
+        const files = [
+            { path: 'assets/logo.png', size: 2048, binary: true },
+            { path: 'data/dump.sql', size: 20 * 1024 * 1024, binary: false },
+            { path: 'design/cover.psd', size: 30 * 1024 * 1024, binary: true },
+            { path: 'src/index.ts', size: 1024, binary: false }
+        ];
+        const issues = findLargeFileIssues(files, new Set(['design/cover.psd']), { maxSizeBytes: 10 * 1024 * 1024, checkBinary: true });
+        assert.deepStrictEqual(issues.map(issue => [issue.path, issue.reasons]), [
+            ['data/dump.sql', ['size']],
+            ['assets/logo.png', ['binary']]
+        ]);
+        assert.strictEqual(findLargeFileIssues(files, new Set(), { maxSizeBytes: 0, checkBinary: false }).length, 0);
+    });
+
+    test('isBinaryContent - 检测 NUL 字节', () => {
+        assert.ok(isBinaryContent(new Uint8Array([0x89, 0x50, 0x00, 0x47])));
+        assert.ok(!isBinaryContent(Buffer.from('普通文本\n', 'utf8')));
+    });
+
+    test('suggestLfsPattern / toGitignoreEntry / appendGitignoreEntry', () => {
+        assert.strictEqual(suggestLfsPattern('design/cover.PSD'), '*.PSD');
+        assert.strictEqual(suggestLfsPattern('bin/tool'), 'bin/tool');
+        assert.strictEqual(suggestLfsPattern('.env'), '.env');
+        assert.strictEqual(toGitignoreEntry('data/#1 [raw].bin'), '/data/\\#1 \\[raw\\].bin');
+        assert.strictEqual(appendGitignoreEntry('node_modules', '/out.bin'), 'node_modules\n/out.bin\n');
+        assert.strictEqual(appendGitignoreEntry('/out.bin\n', '/out.bin'), null);
+        assert.strictEqual(appendGitignoreEntry('', '/out.bin'), '/out.bin\n');
+    });
+
+    test('LFS 输出解析', () => {
+        assert.deepStrictEqual(
+            [...parseLfsCheckAttr('a.psd\0filter\0lfs\0b.txt\0filter\0unspecified\0目录/c d.bin\0filter\0lfs\0')],
+            ['a.psd', '目录/c d.bin']
+        );
+        assert.deepStrictEqual(
+            parseLfsTrackOutput('Listing tracked patterns\n    *.psd (.gitattributes)\n    assets/** (assets/.gitattributes)\nListing excluded patterns\n    *.txt (.gitattributes)\n'),
+            [
+                { pattern: '*.psd', source: '.gitattributes' },
+                { pattern: 'assets/**', source: 'assets/.gitattributes' }
+            ]
+        );
+        const oid = 'a'.repeat(64);
+        assert.deepStrictEqual(parseLfsFiles(`${oid} * design/cover.psd\n${oid} - video/intro final.mp4\n`), [
+            { oid, downloaded: true, path: 'design/cover.psd' },
+            { oid, downloaded: false, path: 'video/intro final.mp4' }
+        ]);
+    });
+});
@@ -0,0 +1,37 @@
+import * as assert from 'assert';
+import { describeOperation, parseMergeMessage } from '../../utils/operation-state';
+
+suite('Operation State Tests', () => {
+    test('parseMergeMessage - 本地分支', () => {
+        assert.strictEqual(parseMergeMessage("Merge branch 'feature/login' into main\n\n# Conflicts:\n#\ta.txt\n"), 'feature/login');
+    });
+
+    test('parseMergeMessage - 远程跟踪分支和标签', () => {
+        assert.strictEqual(parseMergeMessage("Merge remote-tracking branch 'origin/dev'"), 'origin/dev');
+        assert.strictEqual(parseMergeMessage("Merge tag 'v1.0.0'"), 'v1.0.0');
+    });
+
+    test('parseMergeMessage - 无法识别时返回 null', () => {
+        assert.strictEqual(parseMergeMessage('自定义合并信息'), null);
+        assert.strictEqual(parseMergeMessage(''), null);
+    });
+
+    test('describeOperation - 各类操作', () => {
+        assert.strictEqual(
+            describeOperation({ type: 'merge', branch: 'main', current: 'main', incoming: 'feature', canSkip: false }),
+            '将 feature 合并到 main'
+        );
+        assert.strictEqual(
+            describeOperation({ type: 'rebase', branch: 'feature', current: 'abc1234', incoming: 'def5678', step: 2, totalSteps: 5, canSkip: true }),
+            '将 feature 变基到 abc1234（2/5）'
+        );
+        assert.strictEqual(
+            describeOperation({ type: 'cherry-pick', branch: null, current: 'HEAD', incoming: 'def5678', canSkip: true }),
+            '拣选 def5678 到 HEAD'
+        );
+        assert.strictEqual(
+            describeOperation({ type: 'revert', branch: 'main', current: 'main', incoming: 'def5678', canSkip: true }),
+            '在 main 上回滚 def5678'
+        );
+    });
+});
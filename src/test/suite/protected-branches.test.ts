@@ -0,0 +1,26 @@
+import * as assert from 'assert';
+import { branchPatternToRegExp, findProtectedPattern, findProtectedPatternForRemote } from '../../utils/protected-branches';
+
+suite('Protected Branches Tests', () => {
+    test('branchPatternToRegExp - 通配符', () => {
+        assert.ok(branchPatternToRegExp('release/*').test('release/1.0'));
+        assert.ok(!branchPatternToRegExp('release/*').test('release/1.0/hotfix'));
+        assert.ok(branchPatternToRegExp('release/**').test('release/1.0/hotfix'));
+        assert.ok(branchPatternToRegExp('v?.x').test('v2.x'));
+        assert.ok(!branchPatternToRegExp('v1.0').test('v1x0'));
+    });
+
+    test('findProtectedPattern - 返回第一条匹配的规则', () => {
+        const patterns = ['main', ' release/* ', ''];
+        assert.strictEqual(findProtectedPattern('main', patterns), 'main');
+        assert.strictEqual(findProtectedPattern('refs/heads/release/2.1', patterns), 'release/*');
+        assert.strictEqual(findProtectedPattern('feature/main', patterns), null);
+        assert.strictEqual(findProtectedPattern('', patterns), null);
+    });
+
+    test('findProtectedPatternForRemote - 去掉远程名匹配', () => {
+        assert.strictEqual(findProtectedPatternForRemote('origin/release/3.0', ['release/*']), 'release/*');
+        assert.strictEqual(findProtectedPatternForRemote('origin/HEAD', ['main']), null);
+        assert.strictEqual(findProtectedPatternForRemote('main', ['main']), null);
+    });
+});
@@ -0,0 +1,30 @@
+import * as assert from 'assert';
+import { buildPullArgs, isDivergentBranchesError, resolvePullBranch } from '../../utils/pull-strategy';
+
+suite('Pull Strategy Tests', () => {
+    test('buildPullArgs - 显式指定拉取方式', () => {
+        assert.deepStrictEqual(buildPullArgs('origin'), ['pull', '--no-rebase', 'origin']);
+        assert.deepStrictEqual(
+            buildPullArgs('origin', 'main', { strategy: 'rebase', autostash: true }),
+            ['pull', '--rebase', '--autostash', 'origin', 'main']
+        );
+        assert.deepStrictEqual(
+            buildPullArgs('upstream', 'dev', { strategy: 'ff-only' }),
+            ['pull', '--ff-only', 'upstream', 'dev']
+        );
+    });
+
+    test('isDivergentBranchesError - 识别分叉错误', () => {
+        assert.strictEqual(isDivergentBranchesError('fatal: Not possible to fast-forward, aborting.'), true);
+        assert.strictEqual(isDivergentBranchesError(
+            'hint: You have divergent branches and need to specify how to reconcile them.'
+        ), true);
+        assert.strictEqual(isDivergentBranchesError("fatal: couldn't find remote ref main"), false);
+    });
+
+    test('resolvePullBranch - 优先使用上游分支名', () => {
+        assert.strictEqual(resolvePullBranch('origin', 'feature', 'origin/feature-v2'), 'feature-v2');
+        assert.strictEqual(resolvePullBranch('origin', 'feature', 'upstream/feature'), 'feature');
+        assert.strictEqual(resolvePullBranch('origin', 'main', null), 'main');
+    });
+});
@@ -0,0 +1,61 @@
+import * as assert from 'assert';
+import {
+    buildPushArgs,
+    describePushRefUpdate,
+    isPushRejectedError,
+    isStaleLeaseError,
+    parsePushPorcelain
+} from '../../utils/push-options';
+
+suite('Push Options Tests', () => {
+    test('buildPushArgs - 普通推送与设置上游', () => {
+        assert.deepStrictEqual(buildPushArgs('origin', 'main'), ['push', 'origin', 'main']);
+        assert.deepStrictEqual(
+            buildPushArgs('origin', 'feature', { setUpstream: true, remoteBranch: 'feature-v2' }),
+            ['push', '-u', 'origin', 'feature:refs/heads/feature-v2']
+        );
+    });
+
+    test('buildPushArgs - 安全强制推送与预演', () => {
+        assert.deepStrictEqual(
+            buildPushArgs('origin', 'main', { forceWithLease: true, expectedRef: 'abc1234' }),
+            ['push', '--force-with-lease=main:abc1234', 'origin', 'main']
+        );
+        assert.deepStrictEqual(
+            buildPushArgs('origin', 'main', { forceWithLease: true }),
+            ['push', '--force-with-lease', 'origin', 'main']
+        );
+        assert.deepStrictEqual(
+            buildPushArgs('origin', 'main', { dryRun: true }),
+            ['push', '--dry-run', '--porcelain', 'origin', 'main']
+        );
+    });
+
+    test('parsePushPorcelain - 解析引用更新', () => {
+        const output = [
+            'To github.com:user/repo.git',
+            ' \trefs/heads/main:refs/heads/main\t1a2b3c4..5d6e7f8',
+            '*\trefs/heads/feature:refs/heads/feature-v2\t[new branch]',
+            '!\trefs/heads/dev:refs/heads/dev\t[rejected] (fetch first)',
+            'Done',
+            "error: failed to push some refs to 'github.com:user/repo.git'"
+        ].join('\n');
+
+        const updates = parsePushPorcelain(output);
+        assert.strictEqual(updates.length, 3);
+        assert.deepStrictEqual(updates[0], { flag: ' ', from: 'main', to: 'main', summary: '1a2b3c4..5d6e7f8', reason: undefined });
+        assert.strictEqual(updates[2].reason, 'fetch first');
+        assert.strictEqual(describePushRefUpdate(updates[0]), 'main → main：快进 1a2b3c4..5d6e7f8');
+        assert.strictEqual(describePushRefUpdate(updates[1]), 'feature → feature-v2：新建');
+        assert.strictEqual(describePushRefUpdate(updates[2]), 'dev → dev：拒绝（fetch first）');
+    });
+
+    test('isPushRejectedError / isStaleLeaseError - 区分拒绝原因', () => {
+        const rejected = ' ! [rejected]        main -> main (fetch first)\nhint: Updates were rejected because the remote contains work';
+        const stale = ' ! [rejected]        main -> main (stale info)';
+        assert.strictEqual(isPushRejectedError(rejected), true);
+        assert.strictEqual(isPushRejectedError(stale), false);
+        assert.strictEqual(isStaleLeaseError(stale), true);
+        assert.strictEqual(isPushRejectedError('fatal: Authentication failed'), false);
+    });
+});
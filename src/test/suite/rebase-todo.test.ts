@@ -0,0 +1,69 @@
+import * as assert from 'assert';
+import { buildRebaseTodo, validateRebaseTodo } from '../../utils/rebase-todo';
+import { RebaseAction, RebaseTodoItem } from '../../types/git';
+
+function item(hash: string, action: RebaseAction, message: string = `提交 ${hash}`, newMessage?: string): RebaseTodoItem {
+    return { hash, shortHash: hash.substring(0, 7), message, action, newMessage };
+}
+
+suite('Rebase Todo Tests', () => {
+    test('buildRebaseTodo - 按顺序生成各动作', () => {
+        const todo = buildRebaseTodo([
+            item('aaa1111', 'pick'),
+            item('bbb2222', 'squash'),
+            item('ccc3333', 'fixup'),
+            item('ddd4444', 'edit'),
+            item('eee5555', 'drop')
+        ]);
+
+        assert.strictEqual(todo, [
+            'pick aaa1111 提交 aaa1111',
+            'squash bbb2222 提交 bbb2222',
+            'fixup ccc3333 提交 ccc3333',
+            'edit ddd4444 提交 ddd4444',
+            'drop eee5555 提交 eee5555',
+            ''
+        ].join('\n'));
+    });
+
+    test('buildRebaseTodo - reword 使用 exec 修改提交信息', () => {
+        const todo = buildRebaseTodo(
+            [item('aaa1111', 'reword', '旧信息', '新信息')],
+            { aaa1111: 'C:\\temp\\message-0.txt' }
+        );
+
+        assert.strictEqual(todo, [
+            'pick aaa1111 旧信息',
+            'exec git commit --amend --only --allow-empty --no-verify -F "C:/temp/message-0.txt"',
+            ''
+        ].join('\n'));
+    });
+
+    test('buildRebaseTodo - 只使用提交信息的第一行', () => {
+        const todo = buildRebaseTodo([item('aaa1111', 'pick', '标题\n\n正文')]);
+        assert.strictEqual(todo, 'pick aaa1111 标题\n');
+    });
+
+    test('validateRebaseTodo - 合法计划', () => {
+        assert.strictEqual(validateRebaseTodo([
+            item('aaa1111', 'drop'),
+            item('bbb2222', 'pick'),
+            item('ccc3333', 'squash')
+        ]), null);
+    });
+
+    test('validateRebaseTodo - 第一个保留的提交不能 squash/fixup', () => {
+        assert.ok(validateRebaseTodo([item('aaa1111', 'drop'), item('bbb2222', 'fixup')]));
+        assert.ok(validateRebaseTodo([item('aaa1111', 'squash')]));
+    });
+
+    test('validateRebaseTodo - 不能丢弃所有提交', () => {
+        assert.ok(validateRebaseTodo([item('aaa1111', 'drop'), item('bbb2222', 'drop')]));
+        assert.ok(validateRebaseTodo([]));
+    });
+
+    test('validateRebaseTodo - reword 需要新提交信息', () => {
+        assert.ok(validateRebaseTodo([item('aaa1111', 'reword', '旧信息', '  ')]));
+        assert.strictEqual(validateRebaseTodo([item('aaa1111', 'reword', '旧信息', '新信息')]), null);
+    });
+});
@@ -0,0 +1,25 @@
+import * as assert from 'assert';
+import { parseLeftRightLog } from '../../utils/ref-compare';
+
+suite('Ref Compare Tests', () => {
+    test('parseLeftRightLog - 按 < / > 分到左右两侧', () => {
+        const output = [
+            ['>', 'b'.repeat(40), '2024-05-02T10:00:00+08:00', 'Bob', 'bob@example.com', 'feat: 新功能'].join('\0'),
+            ['<', 'a'.repeat(40), '2024-05-01T10:00:00+08:00', 'Alice', 'alice@example.com', 'fix: 修复'].join('\0'),
+            ['>', 'c'.repeat(40), '2024-04-30T10:00:00+08:00', 'Bob', 'bob@example.com', 'chore: 调整'].join('\0'),
+            ''
+        ].join('\n');
+
+        const { left, right } = parseLeftRightLog(output);
+        assert.deepStrictEqual(left.map(commit => commit.message), ['fix: 修复']);
+        assert.deepStrictEqual(right.map(commit => commit.hash), ['b'.repeat(40), 'c'.repeat(40)]);
+        assert.strictEqual(right[0].author_name, 'Bob');
+        assert.strictEqual(right[0].author_email, 'bob@example.com');
+    });
+
+    test('parseLeftRightLog - 忽略无法识别的行', () => {
+        const { left, right } = parseLeftRightLog('\n-\u0000abc\n');
+        assert.strictEqual(left.length, 0);
+        assert.strictEqual(right.length, 0);
+    });
+});
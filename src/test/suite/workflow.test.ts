@@ -0,0 +1,82 @@
+import * as assert from 'assert';
+import {
+    getWorkflowStage,
+    matchWorkflowBranch,
+    planWorkflowFinish,
+    resolveWorkflowDefinition,
+    validateWorkflowBranchName,
+    WorkflowDefinition
+} from '../../utils/workflow';
+
+suite('Workflow Tests', () => {
+    test('resolveWorkflowDefinition - 未启用时返回 null，模板使用传入的主分支', () => {
+        assert.strictEqual(resolveWorkflowDefinition('none'), null);
+
+        const gitflow = resolveWorkflowDefinition('gitflow', null, 'master');
+        assert.strictEqual(gitflow?.mainBranch, 'master');
+        assert.deepStrictEqual(gitflow?.branches.hotfix?.mergeTargets, ['master', 'develop']);
+
+        const githubflow = resolveWorkflowDefinition('githubflow');
+        assert.strictEqual(githubflow?.developBranch, null);
+        assert.deepStrictEqual(Object.keys(githubflow?.branches || {}), ['feature']);
+    });
+
+    test('resolveWorkflowDefinition - 自定义工作流覆盖模板并替换开发分支', () => {
+        const definition = resolveWorkflowDefinition('custom', {
+            developBranch: 'dev',
+            tagPrefix: 'release-',
+            branches: {
+                feature: { prefix: 'feat/', mergeStrategy: 'squash' },
+                hotfix: null
+            }
+        });
+        assert.ok(definition);
+        assert.strictEqual(definition.branches.feature?.prefix, 'feat/');
+        assert.strictEqual(definition.branches.feature?.base, 'dev');
+        assert.strictEqual(definition.branches.feature?.mergeStrategy, 'squash');
+        assert.deepStrictEqual(definition.branches.release?.mergeTargets, ['main', 'dev']);
+        assert.strictEqual(definition.branches.hotfix, undefined);
+
+        // 不使用开发分支时，原本合并到 develop 的分支改为合并到主分支
+        const noDevelop = resolveWorkflowDefinition('custom', { developBranch: null });
+        assert.deepStrictEqual(noDevelop?.branches.release?.mergeTargets, ['main']);
+        assert.strictEqual(noDevelop?.branches.feature?.base, 'main');
+    });
+
+    test('matchWorkflowBranch / getWorkflowStage - 识别分支类型和阶段', () => {
+        const definition = resolveWorkflowDefinition('gitflow') as WorkflowDefinition;
+        assert.deepStrictEqual(matchWorkflowBranch(definition, 'feature/login'), { type: 'feature', name: 'login' });
+        assert.strictEqual(matchWorkflowBranch(definition, 'feature/'), null);
+        assert.strictEqual(getWorkflowStage(definition, 'main'), 'main');
+        assert.strictEqual(getWorkflowStage(definition, 'develop'), 'develop');
+        assert.strictEqual(getWorkflowStage(definition, 'release/1.2.0'), 'release');
+        assert.strictEqual(getWorkflowStage(definition, 'wip'), 'other');
+        assert.strictEqual(getWorkflowStage(definition, null), 'other');
+    });
+
+    test('validateWorkflowBranchName - 要求使用工作流前缀', () => {
+        const definition = resolveWorkflowDefinition('gitflow') as WorkflowDefinition;
+        assert.strictEqual(validateWorkflowBranchName(definition, 'hotfix/crash'), null);
+        assert.strictEqual(validateWorkflowBranchName(definition, 'develop'), null);
+        assert.ok(validateWorkflowBranchName(definition, 'login')?.includes('feature/'));
+        assert.ok(validateWorkflowBranchName(definition, 'release/')?.includes('填写名称'));
+    });
+
+    test('planWorkflowFinish - 合并目标与标签', () => {
+        const definition = resolveWorkflowDefinition('gitflow') as WorkflowDefinition;
+        const release = planWorkflowFinish(definition, 'release/1.2.0');
+        assert.deepStrictEqual(release?.targets, ['main', 'develop']);
+        assert.strictEqual(release?.tagName, 'v1.2.0');
+        assert.strictEqual(release?.tagOn, 'main');
+
+        // 名称已带标签前缀时不重复添加
+        assert.strictEqual(planWorkflowFinish(definition, 'hotfix/v1.2.1')?.tagName, 'v1.2.1');
+
+        const feature = planWorkflowFinish(definition, 'feature/login');
+        assert.deepStrictEqual(feature?.targets, ['develop']);
+        assert.strictEqual(feature?.tagName, null);
+        assert.strictEqual(feature?.tagOn, null);
+
+        assert.strictEqual(planWorkflowFinish(definition, 'develop'), null);
+    });
+});
@@ -38,6 +38,24 @@ export interface BranchDetail {
     label: string;
 }
 
+/**
+ * 本地分支的上游跟踪信息
+ */
+export interface BranchTracking {
+    upstream: string;
+    ahead: number;
+    behind: number;
+    gone: boolean;      // 上游分支已在远程删除
+}
+
+/**
+ * 文件在暂存区中的版本，不在暂存区中时 entry 为 null
+ */
+export interface IndexEntrySnapshot {
+    path: string;
+    entry: { mode: string; hash: string } | null;
+}
+
 export interface CommitFileChange {
     path: string;
     status: string;
@@ -104,6 +122,347 @@ export interface StashEntry {
     index: number;
     message: string;
     date: string;
+    ref: string;            // stash@{n}
+    hash: string;           // 储藏提交哈希
+    baseHash?: string;      // 储藏时所在的提交（第一个父提交）
+    branch?: string | null; // 储藏时所在的分支
+}
+
+/**
+ * 钩子目录中的钩子
+ */
+export interface HookInfo {
+    name: string;
+    dir: string;
+    /** 启用时为钩子文件，禁用时为 .disabled 文件（没有时为 .sample 文件） */
+    path: string;
+    enabled: boolean;
+    hasSample: boolean;
+    hasDisabled: boolean;
+    /** 钩子文件是否可执行（Windows 上始终为 true） */
+    executable: boolean;
+}
+
+/**
+ * 手动运行钩子的结果（stdout 与 stderr 按输出顺序合并）
+ */
+export interface HookRunResult {
+    exitCode: number;
+    output: string;
+}
+
+/**
+ * 创建储藏时的选项
+ */
+export interface StashOptions {
+    message?: string;
+    stagedOnly?: boolean;        // 仅储藏已暂存的更改（git stash --staged）
+    includeUntracked?: boolean;  // 同时储藏未跟踪文件（-u）
+    paths?: string[];            // 仅储藏指定路径
+}
+
+/**
+ * 交互式变基动作
+ */
+export type RebaseAction = 'pick' | 'reword' | 'edit' | 'squash' | 'fixup' | 'drop';
+
+/**
+ * 交互式变基待办项（对应 todo 列表中的一行）
+ */
+export interface RebaseTodoItem {
+    hash: string;
+    shortHash: string;
+    message: string;
+    author?: string;
+    date?: string;
+    action: RebaseAction;
+    newMessage?: string;     // reword 时使用的新提交信息
+}
+
+/**
+ * 交互式变基会话（控制面板中正在编辑的变基计划）
+ */
+export interface InteractiveRebaseSession {
+    id: number;
+    baseHash: string;
+    baseShortHash: string;
+    baseMessage: string;
+    branch: string | null;
+    commits: RebaseTodoItem[];
+}
+
+/**
+ * 冲突类型（对应 git status --porcelain=v2 中未合并条目的 XY 状态）
+ */
+export type ConflictType =
+    | 'both-modified'       // UU
+    | 'added-by-both'       // AA
+    | 'deleted-by-us'       // DU
+    | 'deleted-by-them'     // UD
+    | 'added-by-us'         // AU（通常由重命名冲突产生）
+    | 'added-by-them'       // UA（通常由重命名冲突产生）
+    | 'deleted-by-both';    // DD（通常由重命名冲突产生）
+
+/**
+ * 冲突文件在索引中的某个版本
+ */
+export interface ConflictStage {
+    mode: string;
+    hash: string;
+}
+
+/**
+ * 整体取舍冲突文件的方式：使用当前版本、使用传入版本或删除文件
+ */
+export type ConflictSideResolution = 'ours' | 'theirs' | 'delete';
+
+/**
+ * 冲突文件详情
+ */
+export interface ConflictEntry {
+    path: string;
+    type: ConflictType;
+    binary: boolean;
+    submodule: boolean;
+    stages: {
+        base: ConflictStage | null;     // :1: 合并基准
+        ours: ConflictStage | null;     // :2: 当前版本
+        theirs: ConflictStage | null;   // :3: 传入版本
+    };
+}
+
+/**
+ * 预测的合并冲突文件
+ */
+export interface PredictedConflict {
+    path: string;
+    type: ConflictType;
+    hunks: number;      // 冲突块数量（非文本冲突为 0）
+}
+
+/**
+ * 合并冲突预测结果（基于 git merge-tree --write-tree，不修改工作区）
+ */
+export interface MergeConflictPrediction {
+    clean: boolean;
+    files: PredictedConflict[];
+}
+
+/**
+ * 差异中的一行（上下文、新增或删除）
+ */
+export interface DiffLine {
+    type: 'context' | 'add' | 'delete';
+    content: string;
+    oldLine?: number;
+    newLine?: number;
+    noNewline?: boolean;    // 该行后跟 "\ No newline at end of file"
+}
+
+/**
+ * 差异块
+ */
+export interface DiffHunk {
+    header: string;         // 完整的 @@ 行
+    oldStart: number;
+    oldLines: number;
+    newStart: number;
+    newLines: number;
+    lines: DiffLine[];
+}
+
+/**
+ * 单个文件的差异（git diff 输出解析结果）
+ */
+export interface FileDiff {
+    path: string;
+    headers: string[];      // 第一个差异块之前的文件头（diff --git、index、---、+++ 等）
+    hunks: DiffHunk[];
+    binary: boolean;
+}
+
+/**
+ * 部分暂存时选中的差异块/行（lines 为块内行索引，未指定时表示整个块）
+ */
+export interface DiffLineSelection {
+    hunk: number;
+    lines?: number[];
+}
+
+/**
+ * 部分更改操作：暂存、取消暂存、放弃
+ */
+export type PartialChangeAction = 'stage' | 'unstage' | 'discard';
+
+/**
+ * 按块/行暂存编辑器数据（控制面板中打开的文件差异）
+ */
+export interface HunkStagingData {
+    id: number;
+    file: string;
+    staged: boolean;        // true 显示已暂存的更改（HEAD ↔ 索引），false 显示未暂存的更改（索引 ↔ 工作区）
+    diff: FileDiff | null;
+}
+
+/**
+ * 提交作者（用于 Co-authored-by 尾注）
+ */
+export interface CommitAuthor {
+    name: string;
+    email: string;
+}
+
+/**
+ * 提交编辑器数据（控制面板中的提交编辑器）
+ */
+export interface CommitComposerData {
+    id: number;
+    subject: string;                // 初始标题（来自 commit.template）
+    body: string;                   // 初始正文（来自 commit.template）
+    hasTemplate: boolean;
+    lastCommit: {
+        hash: string;
+        subject: string;
+        body: string;               // 不含 Co-authored-by 尾注
+        coAuthors: CommitAuthor[];
+        pushed: boolean;            // 已推送到上游，修改后需要强制推送
+    } | null;
+    contributors: CommitAuthor[];   // 仓库中出现过的作者，不含当前用户
+    currentUser: CommitAuthor | null;
+    suggestion: string | null;      // 根据暂存的更改生成的标题建议
+}
+
+/**
+ * 分支清理的候选原因：已合并到基准分支、上游已删除、长期无提交
+ */
+export type BranchCleanupReason = 'merged' | 'gone' | 'stale';
+
+/**
+ * 分支清理候选项
+ */
+export interface BranchCleanupCandidate {
+    name: string;
+    hash: string;                   // 分支末端提交，删除后用于恢复
+    date: string;                   // 最后提交时间（ISO 8601）
+    author: string;
+    upstream: string | null;
+    ahead: number;                  // 相对基准分支领先的提交数
+    behind: number;                 // 相对基准分支落后的提交数
+    reasons: BranchCleanupReason[];
+}
+
+/**
+ * 已删除分支的记录（用于恢复）
+ */
+export interface DeletedBranchRecord {
+    id: string;
+    repository: string;
+    name: string;
+    hash: string;
+    timestamp: number;
+}
+
+/**
+ * 分支清理扫描结果（控制面板中的分支清理）
+ */
+export interface BranchCleanupReport {
+    base: string;
+    staleDays: number;
+    candidates: BranchCleanupCandidate[];
+    deleted: DeletedBranchRecord[];  // 最近删除、可恢复的分支
+    scannedAt: number;
+}
+
+/**
+ * 工作流中的短期分支类型：功能、发布、热修复
+ */
+export type WorkflowBranchType = 'feature' | 'release' | 'hotfix';
+
+/**
+ * 当前分支在工作流中所处的阶段（main / develop 长期分支、短期分支或不属于工作流的分支）
+ */
+export type WorkflowStage = 'main' | 'develop' | WorkflowBranchType | 'other';
+
+/**
+ * 进行中的工作流分支
+ */
+export interface WorkflowBranchSummary {
+    type: WorkflowBranchType;
+    name: string;       // 去掉前缀后的名称
+    branch: string;     // 完整分支名
+}
+
+/**
+ * 工作流状态（控制面板中的工作流标签页）
+ */
+export interface WorkflowStatus {
+    name: string;                   // 工作流名称（Git Flow / GitHub Flow / 自定义工作流）
+    mainBranch: string;
+    developBranch: string | null;
+    currentBranch: string | null;
+    stage: WorkflowStage;
+    base: string | null;            // 当前工作流分支的基准分支
+    mergeTargets: string[];         // 完成时依次合并到的分支
+    tagName: string | null;         // 完成时创建的标签
+    ahead: number;                  // 相对基准分支领先的提交数
+    behind: number;                 // 相对基准分支落后的提交数
+    prefixes: Partial<Record<WorkflowBranchType, string>>;  // 已启用的分支类型及其前缀
+    activeBranches: WorkflowBranchSummary[];
+    missingBranches: string[];      // 工作流需要、但仓库中不存在的长期分支
+}
+
+/**
+ * 比较方式：mergeBase 比较共同祖先到右侧的更改（A...B），direct 直接比较两端（A..B）
+ */
+export type RefCompareMode = 'mergeBase' | 'direct';
+
+/**
+ * 分支 / 标签 / 提交比较结果（控制面板中的比较视图）
+ */
+export interface RefComparisonData {
+    id: number;
+    left: string;
+    right: string;
+    leftHash: string;
+    rightHash: string;
+    mergeBase: string | null;
+    mode: RefCompareMode;
+    leftCommits: CommitInfo[];      // 只在左侧引用中的提交
+    rightCommits: CommitInfo[];     // 只在右侧引用中的提交
+    truncated: boolean;             // 提交过多时只列出最近的部分
+    files: CommitFileChange[];      // 按比较方式汇总的文件更改
+}
+
+/**
+ * 合并编辑器数据（冲突文件的三方版本和工作区中的合并结果）
+ */
+export interface MergeEditorData {
+    id: number;
+    file: string;
+    ours: string | null;        // :2: 当前版本
+    base: string | null;        // :1: 合并基准
+    theirs: string | null;      // :3: 传入版本
+    result: string;             // 工作区文件内容（含冲突标记）
+}
+
+/**
+ * 进行中的 Git 操作类型
+ */
+export type GitOperationType = 'merge' | 'rebase' | 'cherry-pick' | 'revert';
+
+/**
+ * 仓库当前的操作状态（合并、变基、拣选或回滚被冲突等原因中断）
+ */
+export interface GitOperationState {
+    type: GitOperationType;
+    branch: string | null;          // 操作所在的分支
+    current: string | null;         // 当前更改（ours）一侧的引用
+    incoming: string | null;        // 传入更改（theirs）一侧的引用或提交
+    incomingMessage?: string;       // 传入提交的标题
+    step?: number;                  // 变基进度：当前步骤
+    totalSteps?: number;            // 变基进度：总步骤
+    canSkip: boolean;
+    squash?: boolean;               // 压缩合并（merge --squash）：没有 MERGE_HEAD，继续时直接提交
 }
 
 export interface TagInfo {
@@ -221,9 +580,21 @@ export interface GitData {
     log?: LogResult;
     remotes?: RemoteInfo[];
     conflicts?: string[];
+    conflictDetails?: ConflictEntry[];
     tags?: TagInfo[];
     remoteTags?: Array<{ name: string; commit: string }>;
     repositoryInfo?: RepositoryInfo;
+    repositories?: RepositoryInfo[];
+    stashes?: StashEntry[];
+    stashFiles?: Record<string, CommitFileChange[]>;
+    interactiveRebase?: InteractiveRebaseSession | null;
+    operationState?: GitOperationState | null;
+    mergeEditor?: MergeEditorData | null;
+    hunkStaging?: HunkStagingData | null;
+    commitComposer?: CommitComposerData | null;
+    branchCleanup?: BranchCleanupReport | null;
+    refComparison?: RefComparisonData | null;
+    workflowStatus?: WorkflowStatus | null;
     branchGraph?: BranchGraphData;
     fileStats?: Array<{ path: string; count: number }>;
     contributorStats?: Array<{ email: string; commits: number; files: number }>;
@@ -0,0 +1,126 @@
+/**
+ * 分支清理：解析本地分支信息并找出已合并、上游已删除或长期无提交的分支
+ */
+
+import { BranchCleanupCandidate, BranchCleanupReason } from '../types/git';
+import { parseUpstreamTrack } from './fetch-schedule';
+
+/**
+ * 本地分支信息（来自 git for-each-ref）
+ */
+export interface LocalBranchDetail {
+    name: string;
+    hash: string;
+    date: string;
+    author: string;
+    upstream: string | null;
+    gone: boolean;
+}
+
+export interface BranchCleanupOptions {
+    merged: string[];           // 已合并到基准分支的分支（git branch --merged <base>）
+    staleDays: number;          // 超过该天数没有提交视为长期无提交，0 表示不检查
+    exclude: string[];          // 不参与清理的分支（当前分支、基准分支等）
+    now?: number;
+}
+
+export const DEFAULT_STALE_BRANCH_DAYS = 90;
+
+export const BRANCH_CLEANUP_REASON_LABELS: Record<BranchCleanupReason, string> = {
+    merged: '已合并',
+    gone: '上游已删除',
+    stale: '长期无提交'
+};
+
+/**
+ * `git for-each-ref` 的格式，字段以 NUL 分隔，与 parseLocalBranchDetails 对应
+ */
+export const LOCAL_BRANCH_DETAIL_FORMAT =
+    '%(refname:short)%00%(objectname)%00%(committerdate:iso-strict)%00%(authorname)%00%(upstream:short)%00%(upstream:track,nobracket)';
+
+/**
+ * 解析 `git for-each-ref --format=<LOCAL_BRANCH_DETAIL_FORMAT> refs/heads` 的输出
+ */
+export function parseLocalBranchDetails(output: string): LocalBranchDetail[] {
+    return output.split('\n').filter(line => line.trim()).map(line => {
+        const [name, hash, date, author, upstream = '', track = ''] = line.split('\0');
+        return {
+            name,
+            hash,
+            date,
+            author,
+            upstream: upstream || null,
+            gone: Boolean(upstream) && parseUpstreamTrack(track) === null
+        };
+    });
+}
+
+/**
+ * 找出可以清理的分支，按原因数量和最后提交时间（旧的在前）排序
+ *
+ * 领先/落后提交数需要调用方另行计算，这里初始化为 0。
+ */
+export function findCleanupCandidates(branches: LocalBranchDetail[], options: BranchCleanupOptions): BranchCleanupCandidate[] {
+    const merged = new Set(options.merged);
+    const exclude = new Set(options.exclude);
+    const now = options.now ?? Date.now();
+    const staleBefore = now - options.staleDays * 24 * 60 * 60 * 1000;
+
+    const candidates: BranchCleanupCandidate[] = [];
+    for (const branch of branches) {
+        if (exclude.has(branch.name)) {
+            continue;
+        }
+        const reasons: BranchCleanupReason[] = [];
+        if (merged.has(branch.name)) {
+            reasons.push('merged');
+        }
+        if (branch.gone) {
+            reasons.push('gone');
+        }
+        const time = Date.parse(branch.date);
+        if (options.staleDays > 0 && !Number.isNaN(time) && time < staleBefore) {
+            reasons.push('stale');
+        }
+        if (reasons.length > 0) {
+            candidates.push({
+                name: branch.name,
+                hash: branch.hash,
+                date: branch.date,
+                author: branch.author,
+                upstream: branch.upstream,
+                ahead: 0,
+                behind: 0,
+                reasons
+            });
+        }
+    }
+
+    return candidates.sort((a, b) =>
+        b.reasons.length - a.reasons.length || Date.parse(a.date) - Date.parse(b.date)
+    );
+}
+
+/**
+ * 已合并或上游已删除的分支默认选中；仅长期无提交的分支可能仍有未合并的工作，需要手动选择
+ */
+export function isDefaultCleanupSelection(candidate: BranchCleanupCandidate): boolean {
+    return candidate.reasons.includes('merged') || candidate.reasons.includes('gone');
+}
+
+/**
+ * 生成清理预览（dry run）：列出将要执行的删除命令及分支末端提交，不做任何修改
+ */
+export function formatCleanupPreview(candidates: BranchCleanupCandidate[], base: string): string {
+    const lines = [
+        `# 分支清理预览（基准分支: ${base}，共 ${candidates.length} 个分支）`,
+        '# 删除后可通过“恢复已删除的分支”或 git branch <分支> <提交> 恢复',
+        ''
+    ];
+    for (const candidate of candidates) {
+        const reasons = candidate.reasons.map(reason => BRANCH_CLEANUP_REASON_LABELS[reason]).join('、');
+        const date = candidate.date.substring(0, 10);
+        lines.push(`git branch -D ${candidate.name}  # ${reasons}；${date} ${candidate.author}；↑${candidate.ahead} ↓${candidate.behind}；${candidate.hash.substring(0, 8)}`);
+    }
+    return lines.join('\n') + '\n';
+}
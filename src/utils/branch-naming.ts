@@ -0,0 +1,185 @@
+/**
+ * 分支命名规范：解析仓库中的命名规范文件，检查分支名称并给出建议名称
+ */
+
+/**
+ * 不符合规范时的处理方式：error 必须修改名称，warning 仍允许使用原名称
+ */
+export type BranchNamingSeverity = 'error' | 'warning';
+
+export type BranchNamingRule = 'prefix' | 'pattern' | 'lowercase' | 'issueKey' | 'maxLength';
+
+export interface BranchNamingPolicy {
+    prefixes: string[];             // 允许的前缀，为空表示不要求前缀
+    pattern: string | null;         // 分支名称必须匹配的正则表达式
+    patternMessage: string | null;  // 不匹配 pattern 时显示的说明
+    lowercase: boolean;             // 只允许小写（任务编号除外）
+    issueKey: string | null;        // 分支名称必须包含的任务编号正则，例如 [A-Z]+-\d+
+    maxLength: number | null;
+    exempt: string[];               // 不受规范约束的分支
+    severity: BranchNamingSeverity;
+}
+
+export interface BranchNamingViolation {
+    rule: BranchNamingRule;
+    message: string;
+}
+
+export const DEFAULT_ISSUE_KEY_PATTERN = '[A-Z][A-Z0-9]+-\\d+';
+
+export const DEFAULT_BRANCH_NAMING_EXEMPT = ['main', 'master', 'develop'];
+
+/**
+ * 解析命名规范文件（JSON）
+ *
+ * 示例：
+ * {
+ *   "prefixes": ["feature/", "bugfix/", "hotfix/", "release/"],
+ *   "lowercase": true,
+ *   "issueKey": true,
+ *   "maxLength": 60,
+ *   "severity": "error"
+ * }
+ *
+ * issueKey 为 true 时使用默认的任务编号格式（PROJ-123）。
+ */
+export function parseBranchNamingPolicy(content: string): { policy: BranchNamingPolicy | null; error: string | null } {
+    let raw: unknown;
+    try {
+        raw = JSON.parse(content);
+    } catch (error) {
+        return { policy: null, error: `不是有效的 JSON：${error instanceof Error ? error.message : String(error)}` };
+    }
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { policy: null, error: '内容必须是 JSON 对象' };
+    }
+
+    const data = raw as Record<string, unknown>;
+    const isStringArray = (value: unknown): value is string[] =>
+        Array.isArray(value) && value.every(item => typeof item === 'string');
+
+    if (data.prefixes !== undefined && !isStringArray(data.prefixes)) {
+        return { policy: null, error: 'prefixes 必须是字符串数组' };
+    }
+    if (data.exempt !== undefined && !isStringArray(data.exempt)) {
+        return { policy: null, error: 'exempt 必须是字符串数组' };
+    }
+    if (data.maxLength !== undefined && (typeof data.maxLength !== 'number' || data.maxLength <= 0)) {
+        return { policy: null, error: 'maxLength 必须是正数' };
+    }
+    if (data.severity !== undefined && data.severity !== 'error' && data.severity !== 'warning') {
+        return { policy: null, error: 'severity 只能是 "error" 或 "warning"' };
+    }
+
+    const pattern = typeof data.pattern === 'string' && data.pattern ? data.pattern : null;
+    const issueKey = data.issueKey === true
+        ? DEFAULT_ISSUE_KEY_PATTERN
+        : typeof data.issueKey === 'string' && data.issueKey ? data.issueKey : null;
+    for (const [key, source] of [['pattern', pattern], ['issueKey', issueKey]] as const) {
+        if (source === null) {
+            continue;
+        }
+        try {
+            new RegExp(source);
+        } catch {
+            return { policy: null, error: `${key} 不是有效的正则表达式：${source}` };
+        }
+    }
+
+    return {
+        policy: {
+            prefixes: (data.prefixes as string[] | undefined)?.filter(prefix => prefix) || [],
+            pattern,
+            patternMessage: typeof data.patternMessage === 'string' ? data.patternMessage : null,
+            lowercase: data.lowercase === true,
+            issueKey,
+            maxLength: typeof data.maxLength === 'number' ? Math.floor(data.maxLength) : null,
+            exempt: (data.exempt as string[] | undefined) || DEFAULT_BRANCH_NAMING_EXEMPT,
+            severity: data.severity === 'warning' ? 'warning' : 'error'
+        },
+        error: null
+    };
+}
+
+/**
+ * 检查分支名称是否符合命名规范
+ *
+ * @returns 不符合的规则，符合或分支不受约束时返回空数组
+ */
+export function checkBranchName(policy: BranchNamingPolicy, name: string): BranchNamingViolation[] {
+    if (!name || policy.exempt.includes(name)) {
+        return [];
+    }
+
+    const violations: BranchNamingViolation[] = [];
+    if (policy.prefixes.length > 0 && !policy.prefixes.some(prefix => name.startsWith(prefix) && name.length > prefix.length)) {
+        violations.push({ rule: 'prefix', message: `分支名称必须以 ${policy.prefixes.join('、')} 之一开头` });
+    }
+    if (policy.lowercase && stripIssueKeys(policy, name) !== stripIssueKeys(policy, name).toLowerCase()) {
+        violations.push({ rule: 'lowercase', message: '分支名称只能使用小写字母' });
+    }
+    if (policy.issueKey && !new RegExp(policy.issueKey).test(name)) {
+        violations.push({ rule: 'issueKey', message: `分支名称必须包含任务编号（${policy.issueKey}），例如 feature/PROJ-123-description` });
+    }
+    if (policy.maxLength && name.length > policy.maxLength) {
+        violations.push({ rule: 'maxLength', message: `分支名称不能超过 ${policy.maxLength} 个字符（当前 ${name.length} 个）` });
+    }
+    if (policy.pattern && !new RegExp(policy.pattern).test(name)) {
+        violations.push({ rule: 'pattern', message: policy.patternMessage || `分支名称必须匹配 ${policy.pattern}` });
+    }
+    return violations;
+}
+
+/**
+ * 根据命名规范修正分支名称：非法字符和空白替换为 -，转为小写（保留任务编号），
+ * 缺少前缀时补上第一个前缀，超长时截断
+ *
+ * 正则和任务编号无法自动补全，修正后仍可能不符合规范。
+ *
+ * @returns 建议名称，无法修正或与原名称相同时返回 null
+ */
+export function suggestBranchName(policy: BranchNamingPolicy, name: string): string | null {
+    let suggestion = name.trim()
+        .replace(/[^A-Za-z0-9/._-]+/g, '-')
+        .replace(/-{2,}/g, '-')
+        .replace(/\/{2,}/g, '/')
+        .replace(/\.{2,}/g, '.')
+        .replace(/(^|\/)[-.]+/g, '$1')
+        .replace(/[-./]+$/, '');
+
+    if (policy.lowercase) {
+        const keys = policy.issueKey ? new RegExp(policy.issueKey, 'g') : null;
+        suggestion = suggestion.toLowerCase();
+        // 恢复任务编号原本的大小写
+        for (const match of keys ? name.matchAll(keys) : []) {
+            suggestion = suggestion.replace(match[0].toLowerCase(), match[0]);
+        }
+    }
+
+    if (policy.prefixes.length > 0 && !policy.prefixes.some(prefix => suggestion.startsWith(prefix))) {
+        // 前缀大小写或分隔符不同时（例如 Feature-login）替换为规范前缀
+        const loose = policy.prefixes.find(prefix => {
+            const bare = prefix.replace(/[/_-]+$/, '').toLowerCase();
+            return bare && new RegExp(`^${bare.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}[/_-]`, 'i').test(suggestion);
+        });
+        suggestion = loose
+            ? loose + suggestion.slice(loose.replace(/[/_-]+$/, '').length + 1)
+            : policy.prefixes[0] + suggestion;
+    }
+
+    if (policy.maxLength && suggestion.length > policy.maxLength) {
+        // 尽量在单词边界截断，避免留下半个单词
+        const cut = suggestion.slice(0, policy.maxLength);
+        const boundary = suggestion[policy.maxLength] === '-' ? cut.length : cut.lastIndexOf('-');
+        suggestion = (boundary > policy.maxLength / 2 ? cut.slice(0, boundary) : cut).replace(/[-./]+$/, '');
+    }
+
+    return suggestion && suggestion !== name && !policy.prefixes.includes(suggestion) ? suggestion : null;
+}
+
+/**
+ * 去掉名称中的任务编号（任务编号允许大写，不参与小写检查）
+ */
+function stripIssueKeys(policy: BranchNamingPolicy, name: string): string {
+    return policy.issueKey ? name.replace(new RegExp(policy.issueKey, 'g'), '') : name;
+}
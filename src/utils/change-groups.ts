@@ -0,0 +1,137 @@
+/**
+ * 更改视图相关工具函数：将 git status 结果分组并构建文件夹树
+ */
+
+/**
+ * 更改分组
+ */
+export type ChangeGroup = 'conflicted' | 'staged' | 'unstaged' | 'untracked';
+
+/**
+ * 更改视图中的文件条目（同一文件可能同时出现在已暂存和未暂存分组中）
+ */
+export interface ChangeEntry {
+    path: string;
+    /** 重命名前的路径 */
+    originalPath?: string;
+    /** 该分组对应的状态字符（M/A/D/R/C/U/?） */
+    status: string;
+    group: ChangeGroup;
+}
+
+/**
+ * 文件夹节点，name 可能是合并后的多级路径（如 src/utils）
+ */
+export interface ChangeFolderNode {
+    name: string;
+    path: string;
+    folders: ChangeFolderNode[];
+    files: ChangeEntry[];
+}
+
+/**
+ * 分组显示顺序
+ */
+export const CHANGE_GROUP_ORDER: ChangeGroup[] = ['conflicted', 'staged', 'unstaged', 'untracked'];
+
+/**
+ * 分组的中文名称
+ */
+export const CHANGE_GROUP_LABELS: Record<ChangeGroup, string> = {
+    conflicted: '合并冲突',
+    staged: '已暂存的更改',
+    unstaged: '更改',
+    untracked: '未跟踪的文件'
+};
+
+// 与 conflict-status 中的未合并状态一致
+const CONFLICT_CODES = new Set(['UU', 'AA', 'DU', 'UD', 'AU', 'UA', 'DD']);
+
+/**
+ * 将 simple-git StatusResult.files 按冲突、已暂存、未暂存、未跟踪分组
+ */
+export function groupStatusFiles(
+    files: Array<{ path: string; index: string; working_dir: string; from?: string }>
+): Record<ChangeGroup, ChangeEntry[]> {
+    const groups: Record<ChangeGroup, ChangeEntry[]> = {
+        conflicted: [],
+        staged: [],
+        unstaged: [],
+        untracked: []
+    };
+
+    for (const file of files) {
+        const index = file.index || ' ';
+        const workingDir = file.working_dir || ' ';
+        if (CONFLICT_CODES.has(index + workingDir)) {
+            groups.conflicted.push({ path: file.path, status: 'U', group: 'conflicted' });
+            continue;
+        }
+        if (index === '?') {
+            groups.untracked.push({ path: file.path, status: '?', group: 'untracked' });
+            continue;
+        }
+        if (index === '!') {
+            continue;
+        }
+        if (index !== ' ') {
+            const originalPath = file.from && file.from !== file.path ? file.from : undefined;
+            groups.staged.push({ path: file.path, status: index, group: 'staged', ...(originalPath ? { originalPath } : {}) });
+        }
+        if (workingDir !== ' ') {
+            groups.unstaged.push({ path: file.path, status: workingDir, group: 'unstaged' });
+        }
+    }
+
+    for (const group of CHANGE_GROUP_ORDER) {
+        groups[group].sort((a, b) => a.path.localeCompare(b.path));
+    }
+    return groups;
+}
+
+/**
+ * 按文件夹组织更改条目，只有一个子文件夹且没有文件的文件夹会与子文件夹合并显示
+ */
+export function buildChangeTree(entries: ChangeEntry[]): ChangeFolderNode {
+    const root: ChangeFolderNode = { name: '', path: '', folders: [], files: [] };
+
+    for (const entry of entries) {
+        const segments = entry.path.split('/');
+        let node = root;
+        for (const segment of segments.slice(0, -1)) {
+            const folderPath = node.path ? `${node.path}/${segment}` : segment;
+            let child = node.folders.find(folder => folder.path === folderPath);
+            if (!child) {
+                child = { name: segment, path: folderPath, folders: [], files: [] };
+                node.folders.push(child);
+            }
+            node = child;
+        }
+        node.files.push(entry);
+    }
+
+    const compact = (node: ChangeFolderNode): ChangeFolderNode => {
+        let current = node;
+        while (current.files.length === 0 && current.folders.length === 1) {
+            const child = current.folders[0];
+            current = { ...child, name: `${current.name}/${child.name}` };
+        }
+        return {
+            ...current,
+            folders: current.folders.map(compact).sort((a, b) => a.name.localeCompare(b.name)),
+            files: [...current.files].sort((a, b) => a.path.localeCompare(b.path))
+        };
+    };
+
+    return {
+        ...root,
+        folders: root.folders.map(compact).sort((a, b) => a.name.localeCompare(b.name))
+    };
+}
+
+/**
+ * 收集文件夹节点下的所有条目
+ */
+export function collectFolderEntries(node: ChangeFolderNode): ChangeEntry[] {
+    return [...node.files, ...node.folders.flatMap(collectFolderEntries)];
+}
@@ -99,15 +99,22 @@ export class CommandHistory {
             // 📝 更改操作 - 需要仓库
             { id: 'git-assistant.addFiles', name: '暂存更改', description: '将文件添加到暂存区 (git add)', icon: '➕', category: 'changes', requires: 'repository' },
             { id: 'git-assistant.unstageFiles', name: '取消暂存', description: '从暂存区移除文件 (git reset HEAD)', icon: '↩️', category: 'changes', requires: 'repository' },
+            { id: 'git-assistant.openHunkStaging', name: '按块暂存', description: '按代码块或按行暂存、取消暂存、放弃更改 (git apply --cached)', icon: '✏️', category: 'changes', requires: 'repository' },
             { id: 'git-assistant.discardChanges', name: '放弃更改', description: '放弃工作区中的更改 (git checkout)', icon: '🗑️', category: 'changes', requires: 'repository' },
 
             // 💾 提交操作 - 需要仓库
             { id: 'git-assistant.commitChanges', name: '提交更改', description: '提交已暂存的更改 (git commit)', icon: '💾', category: 'commit', requires: 'repository' },
+            { id: 'git-assistant.openCommitComposer', name: '提交编辑器', description: '编辑标题和正文，支持修改上次提交、签名与共同作者 (git commit --amend --signoff)', icon: '📝', category: 'commit', requires: 'repository' },
+            { id: 'git-assistant.guidedCommit', name: '引导式提交', description: '按约定式提交规范选择类型、作用域，填写描述与尾注后提交', icon: '🧭', category: 'commit', requires: 'repository' },
+            { id: 'git-assistant.scanStagedSecrets', name: '扫描密钥', description: '扫描暂存区中的疑似密钥、私钥和敏感文件', icon: '🔑', category: 'commit', requires: 'repository' },
+            { id: 'git-assistant.lfsTrackPattern', name: 'LFS 跟踪', description: '使用 Git LFS 跟踪大文件并更新 .gitattributes (git lfs track)', icon: '🗄️', category: 'commit', requires: 'repository' },
+            { id: 'git-assistant.installHookTemplate', name: '安装钩子', description: '从模板安装 pre-commit、commit-msg、pre-push 钩子', icon: '🪝', category: 'commit', requires: 'repository' },
             { id: 'git-assistant.commitAllChanges', name: '提交所有更改', description: '提交所有已跟踪更改 (git commit -a)', icon: '📦', category: 'commit', requires: 'repository' },
             { id: 'git-assistant.undoLastCommit', name: '撤销上次提交', description: '保留更改撤销最近提交 (git reset HEAD~1 --soft)', icon: '↩️', category: 'commit', requires: 'commits' },
 
             // 🔄 同步操作 - 需要提交
             { id: 'git-assistant.quickPush', name: '快速推送', description: '推送当前分支到远程仓库 (git push)', icon: '📤', category: 'sync', requires: 'commits' },
+            { id: 'git-assistant.pushAdvanced', name: '高级推送', description: '安全强制推送、推送到其他远程分支或预演推送 (git push --force-with-lease / --dry-run)', icon: '🛡️', category: 'sync', requires: 'commits' },
             { id: 'git-assistant.quickPull', name: '快速拉取', description: '从远程仓库拉取最新更改 (git pull)', icon: '📥', category: 'sync', requires: 'commits' },
 
             // 🌿 分支管理 - 需要提交
@@ -116,6 +123,12 @@ export class CommandHistory {
             { id: 'git-assistant.mergeBranch', name: '合并分支', description: '合并指定分支到当前分支 (git merge)', icon: '🔗', category: 'branch', requires: 'commits' },
             { id: 'git-assistant.renameBranch', name: '重命名分支', description: '重命名本地分支 (git branch -m)', icon: '✏️', category: 'branch', requires: 'commits' },
             { id: 'git-assistant.deleteBranch', name: '删除分支', description: '删除本地分支 (git branch -d)', icon: '🗑️', category: 'branch', requires: 'commits' },
+            { id: 'git-assistant.cleanupBranches', name: '清理分支', description: '批量删除已合并、上游已删除或长期无提交的分支，可预览和恢复', icon: '🧹', category: 'branch', requires: 'commits' },
+            { id: 'git-assistant.compareRefs', name: '比较分支', description: '比较两个分支、标签或提交的独有提交和文件差异 (git log A...B)', icon: '🔀', category: 'branch', requires: 'commits' },
+            { id: 'git-assistant.checkoutTrackingBranch', name: '检出远程分支', description: '将远程分支检出为新的本地跟踪分支 (git checkout -b <name> --track)', icon: '☁️', category: 'branch', requires: 'commits' },
+            { id: 'git-assistant.setUpstream', name: '设置上游分支', description: '设置、更改或取消本地分支的上游分支 (git branch --set-upstream-to)', icon: '🔗', category: 'branch', requires: 'commits' },
+            { id: 'git-assistant.workflowStart', name: '开始工作流分支', description: '按 Git Flow / GitHub Flow 基于对应的基准分支创建功能、发布或热修复分支', icon: '🧭', category: 'branch', requires: 'commits' },
+            { id: 'git-assistant.workflowFinish', name: '完成工作流分支', description: '合并到工作流的目标分支、创建标签并删除分支', icon: '✅', category: 'branch', requires: 'commits' },
 
             // 🏷️ 标签管理 - 需要提交
             { id: 'git-assistant.createTag', name: '创建标签', description: '创建新的Git标签（版本标记） (git tag)', icon: '🏷️', category: 'tag', requires: 'commits' },
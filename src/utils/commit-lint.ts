@@ -0,0 +1,283 @@
+/**
+ * 提交信息规范检查（默认约定式提交 Conventional Commits）与引导式提交信息生成
+ */
+
+import * as vscode from 'vscode';
+
+/**
+ * 提交规范：conventional 约定式提交、custom 只检查长度和自定义规则、off 关闭检查
+ */
+export type CommitConvention = 'conventional' | 'custom' | 'off';
+
+/**
+ * 自定义规则：提交信息必须匹配正则表达式
+ */
+export interface CommitLintRule {
+    pattern: string;
+    /** 不匹配时显示的提示 */
+    message: string;
+    severity?: 'error' | 'warning';
+    /** 检查的范围：标题（默认）或完整提交信息 */
+    target?: 'header' | 'message';
+}
+
+export interface CommitLintConfig {
+    convention: CommitConvention;
+    types: string[];
+    requireScope: boolean;
+    maxHeaderLength: number;
+    rules: CommitLintRule[];
+}
+
+export interface CommitLintIssue {
+    severity: 'error' | 'warning';
+    message: string;
+}
+
+/**
+ * 约定式提交标题的组成部分
+ */
+export interface ConventionalHeader {
+    type: string;
+    scope?: string;
+    breaking: boolean;
+    description: string;
+}
+
+/**
+ * 引导式生成提交信息的输入
+ */
+export interface ConventionalCommitParts extends ConventionalHeader {
+    body?: string;
+    /** BREAKING CHANGE 尾注中的说明 */
+    breakingDescription?: string;
+    /** 其他尾注，例如 "Closes #12" */
+    footer?: string;
+}
+
+export const DEFAULT_COMMIT_TYPES: Record<string, string> = {
+    feat: '新功能',
+    fix: '修复缺陷',
+    docs: '文档',
+    style: '代码格式（不影响逻辑）',
+    refactor: '重构（既不是新功能也不是修复）',
+    perf: '性能优化',
+    test: '测试',
+    build: '构建系统或依赖',
+    ci: '持续集成配置',
+    chore: '其他杂项',
+    revert: '回滚提交'
+};
+
+export const DEFAULT_COMMIT_LINT_CONFIG: CommitLintConfig = {
+    convention: 'conventional',
+    types: Object.keys(DEFAULT_COMMIT_TYPES),
+    requireScope: false,
+    maxHeaderLength: 72,
+    rules: []
+};
+
+/**
+ * 读取提交信息规范配置（`git-assistant.commitLint*`）
+ */
+export function getCommitLintConfig(): CommitLintConfig {
+    const config = vscode.workspace.getConfiguration('git-assistant');
+    const types = config.get<string[]>('commitLintTypes', DEFAULT_COMMIT_LINT_CONFIG.types);
+    return {
+        convention: config.get<CommitConvention>('commitLint', DEFAULT_COMMIT_LINT_CONFIG.convention),
+        types: types.length > 0 ? types : DEFAULT_COMMIT_LINT_CONFIG.types,
+        requireScope: config.get<boolean>('commitLintRequireScope', DEFAULT_COMMIT_LINT_CONFIG.requireScope),
+        maxHeaderLength: config.get<number>('commitLintMaxHeaderLength', DEFAULT_COMMIT_LINT_CONFIG.maxHeaderLength),
+        rules: config.get<CommitLintRule[]>('commitLintRules', [])
+    };
+}
+
+const HEADER_PATTERN = /^([^\s():!]+)(?:\(([^)]*)\))?(!)?: (.*)$/;
+// 自动修复时使用的宽松格式：允许大小写、多余空格和全角冒号
+const LOOSE_HEADER_PATTERN = /^\s*([A-Za-z]+)\s*(?:\(\s*([^)]*?)\s*\))?\s*(!)?\s*[:：]\s*(.*)$/;
+
+const TYPE_ALIASES: Record<string, string> = {
+    feature: 'feat',
+    features: 'feat',
+    bug: 'fix',
+    bugfix: 'fix',
+    hotfix: 'fix',
+    doc: 'docs',
+    tests: 'test',
+    refactoring: 'refactor',
+    performance: 'perf'
+};
+
+// 生成作用域建议时跳过的通用目录
+const GENERIC_DIRECTORIES = new Set(['src', 'lib', 'libs', 'app', 'apps', 'packages', 'source', 'main']);
+
+/**
+ * 解析约定式提交标题，不符合格式时返回 null
+ */
+export function parseConventionalHeader(header: string): ConventionalHeader | null {
+    const match = header.match(HEADER_PATTERN);
+    if (!match) {
+        return null;
+    }
+    return {
+        type: match[1],
+        scope: match[2] !== undefined ? match[2] : undefined,
+        breaking: match[3] === '!',
+        description: match[4]
+    };
+}
+
+/**
+ * 生成约定式提交标题
+ */
+export function formatConventionalHeader(header: ConventionalHeader): string {
+    const scope = header.scope?.trim() ? `(${header.scope.trim()})` : '';
+    return `${header.type}${scope}${header.breaking ? '!' : ''}: ${header.description.trim()}`;
+}
+
+/**
+ * 按配置检查提交信息，返回发现的问题（没有问题时返回空数组）
+ */
+export function lintCommitMessage(message: string, config: CommitLintConfig): CommitLintIssue[] {
+    if (config.convention === 'off') {
+        return [];
+    }
+
+    const issues: CommitLintIssue[] = [];
+    const lines = message.replace(/\r\n/g, '\n').split('\n');
+    const header = lines[0].trim();
+
+    if (!header) {
+        return [{ severity: 'error', message: '提交标题不能为空' }];
+    }
+    if (config.maxHeaderLength > 0 && header.length > config.maxHeaderLength) {
+        issues.push({ severity: 'error', message: `标题长度为 ${header.length}，超过 ${config.maxHeaderLength} 个字符` });
+    }
+    if (lines.length > 1 && lines[1].trim() !== '') {
+        issues.push({ severity: 'warning', message: '标题与正文之间应空一行' });
+    }
+
+    if (config.convention === 'conventional') {
+        issues.push(...lintConventionalHeader(header, config));
+    }
+
+    for (const rule of config.rules) {
+        let pattern: RegExp;
+        try {
+            pattern = new RegExp(rule.pattern, 'm');
+        } catch {
+            issues.push({ severity: 'warning', message: `自定义规则的正则表达式无效: ${rule.pattern}` });
+            continue;
+        }
+        if (!pattern.test(rule.target === 'message' ? message : header)) {
+            issues.push({ severity: rule.severity || 'error', message: rule.message || `提交信息不匹配 ${rule.pattern}` });
+        }
+    }
+
+    return issues;
+}
+
+function lintConventionalHeader(header: string, config: CommitLintConfig): CommitLintIssue[] {
+    const parsed = parseConventionalHeader(header);
+    if (!parsed) {
+        return [{ severity: 'error', message: '标题不符合约定式提交格式: <类型>(<作用域>): <描述>' }];
+    }
+
+    const issues: CommitLintIssue[] = [];
+    if (config.types.length > 0 && !config.types.includes(parsed.type)) {
+        issues.push({ severity: 'error', message: `类型 "${parsed.type}" 不在允许的类型中: ${config.types.join(', ')}` });
+    }
+    if (parsed.scope !== undefined && !parsed.scope.trim()) {
+        issues.push({ severity: 'error', message: '作用域不能为空括号' });
+    } else if (config.requireScope && !parsed.scope) {
+        issues.push({ severity: 'error', message: '必须填写作用域，例如 feat(auth): 描述' });
+    }
+    if (!parsed.description.trim()) {
+        issues.push({ severity: 'error', message: '冒号后缺少描述' });
+    } else if (/[.。]$/.test(parsed.description)) {
+        issues.push({ severity: 'warning', message: '描述末尾不需要句号' });
+    }
+    return issues;
+}
+
+/**
+ * 尝试自动修复提交信息格式：规范类型大小写与别名、冒号后空格、去掉描述末尾句号、
+ * 在标题与正文之间补空行。无法识别类型时返回 null
+ */
+export function fixCommitMessage(message: string, config: CommitLintConfig): string | null {
+    const lines = message.replace(/\r\n/g, '\n').split('\n');
+    let header = lines[0].trim();
+
+    if (config.convention === 'conventional') {
+        const match = header.match(LOOSE_HEADER_PATTERN);
+        if (!match) {
+            return null;
+        }
+        const lowerType = match[1].toLowerCase();
+        const type = TYPE_ALIASES[lowerType] && config.types.includes(TYPE_ALIASES[lowerType])
+            ? TYPE_ALIASES[lowerType]
+            : lowerType;
+        if (config.types.length > 0 && !config.types.includes(type)) {
+            return null;
+        }
+        header = formatConventionalHeader({
+            type,
+            scope: match[2] || undefined,
+            breaking: match[3] === '!',
+            description: match[4].trim().replace(/[.。]+$/, '')
+        });
+    }
+
+    const rest = lines.slice(1);
+    while (rest.length > 0 && rest[0].trim() === '') {
+        rest.shift();
+    }
+    const body = rest.join('\n').trimEnd();
+    return body ? `${header}\n\n${body}` : header;
+}
+
+/**
+ * 由引导式输入生成完整的约定式提交信息
+ */
+export function buildConventionalMessage(parts: ConventionalCommitParts): string {
+    const sections = [formatConventionalHeader(parts)];
+    if (parts.body?.trim()) {
+        sections.push(parts.body.trim());
+    }
+
+    const footers: string[] = [];
+    if (parts.breaking && parts.breakingDescription?.trim()) {
+        footers.push(`BREAKING CHANGE: ${parts.breakingDescription.trim()}`);
+    }
+    if (parts.footer?.trim()) {
+        footers.push(parts.footer.trim());
+    }
+    if (footers.length > 0) {
+        sections.push(footers.join('\n'));
+    }
+    return sections.join('\n\n');
+}
+
+/**
+ * 根据暂存文件路径推荐作用域：取第一个非通用目录名（根目录及通用目录下的文件取文件名），
+ * 按涉及的文件数从多到少排序
+ */
+export function suggestScopes(paths: string[], maxCount: number = 8): string[] {
+    const counts = new Map<string, number>();
+    for (const filePath of paths) {
+        const segments = filePath.split('/').filter(Boolean);
+        const fileName = segments.pop();
+        if (!fileName) {
+            continue;
+        }
+        const directory = segments.find(segment => !GENERIC_DIRECTORIES.has(segment.toLowerCase()));
+        const scope = (directory || fileName.replace(/^\.+/, '').replace(/\..*$/, '')).toLowerCase();
+        if (scope) {
+            counts.set(scope, (counts.get(scope) || 0) + 1);
+        }
+    }
+    return Array.from(counts.entries())
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, maxCount)
+        .map(([scope]) => scope);
+}
@@ -0,0 +1,140 @@
+/**
+ * 提交信息编辑相关工具函数：提交模板、Co-authored-by 尾注以及 git commit 参数
+ */
+
+import { CommitAuthor } from '../types/git';
+
+/**
+ * 提交选项
+ */
+export interface CommitOptions {
+    /** 修改上一次提交（--amend） */
+    amend?: boolean;
+    /** 添加 Signed-off-by 尾注（--signoff） */
+    signoff?: boolean;
+    /** 跳过 pre-commit 和 commit-msg 钩子（--no-verify） */
+    noVerify?: boolean;
+}
+
+/**
+ * 提交编辑器发起的提交请求
+ */
+export interface CommitRequest extends CommitOptions {
+    subject: string;
+    body: string;
+    coAuthors?: CommitAuthor[];
+    /** 提交前取消暂存的文件 */
+    unstage?: string[];
+}
+
+const CO_AUTHOR_TRAILER = /^co-authored-by:\s*(.+?)\s*<([^>]+)>\s*$/i;
+
+/**
+ * 将提交信息拆分为标题和正文
+ */
+export function splitCommitMessage(message: string): { subject: string; body: string } {
+    const lines = message.replace(/\r\n/g, '\n').split('\n');
+    const subject = (lines.shift() || '').trim();
+    // 标题与正文之间的空行不属于正文
+    while (lines.length > 0 && lines[0].trim() === '') {
+        lines.shift();
+    }
+    return { subject, body: lines.join('\n').trimEnd() };
+}
+
+/**
+ * 解析提交模板：去掉以 # 开头的注释行（与 git 默认的 cleanup 一致）
+ */
+export function parseCommitTemplate(content: string): { subject: string; body: string } {
+    const lines = content
+        .replace(/\r\n/g, '\n')
+        .split('\n')
+        .filter(line => !line.startsWith('#'));
+    return splitCommitMessage(lines.join('\n').replace(/^\n+/, ''));
+}
+
+/**
+ * 从正文末尾提取 Co-authored-by 尾注，返回去掉尾注后的正文
+ */
+export function extractCoAuthors(body: string): { body: string; coAuthors: CommitAuthor[] } {
+    const lines = body.split('\n');
+    const coAuthors: CommitAuthor[] = [];
+    while (lines.length > 0) {
+        const last = lines[lines.length - 1];
+        const match = last.match(CO_AUTHOR_TRAILER);
+        if (match) {
+            coAuthors.unshift({ name: match[1], email: match[2] });
+        } else if (last.trim() !== '') {
+            break;
+        }
+        lines.pop();
+    }
+    return { body: lines.join('\n').trimEnd(), coAuthors };
+}
+
+/**
+ * 组合标题、正文与 Co-authored-by 尾注，生成完整的提交信息
+ */
+export function composeCommitMessage(subject: string, body: string, coAuthors: CommitAuthor[] = []): string {
+    const parts = [subject.trim()];
+    const trimmedBody = body.trimEnd();
+    if (trimmedBody.trim()) {
+        parts.push(trimmedBody);
+    }
+
+    const seen = new Set<string>();
+    const trailers = coAuthors
+        .filter(author => {
+            const key = author.email.toLowerCase();
+            if (seen.has(key)) {
+                return false;
+            }
+            seen.add(key);
+            return true;
+        })
+        .map(author => `Co-authored-by: ${author.name} <${author.email}>`);
+    if (trailers.length > 0) {
+        parts.push(trailers.join('\n'));
+    }
+    return parts.join('\n\n') + '\n';
+}
+
+/**
+ * 构建 git commit 参数，提交信息从文件读取（-F）以保留多行正文
+ */
+export function buildCommitArgs(messageFile: string, options: CommitOptions = {}): string[] {
+    const args = ['commit', '-F', messageFile];
+    if (options.amend) {
+        args.push('--amend');
+    }
+    if (options.signoff) {
+        args.push('--signoff');
+    }
+    if (options.noVerify) {
+        args.push('--no-verify');
+    }
+    return args;
+}
+
+/**
+ * 解析 `git log --format=%aN%x09%aE` 输出，按提交次数从多到少返回作者（按邮箱去重）
+ */
+export function parseAuthorList(output: string): CommitAuthor[] {
+    const authors = new Map<string, CommitAuthor & { commits: number }>();
+    for (const line of output.split('\n')) {
+        const [name, email] = line.split('\t');
+        if (!name || !email) {
+            continue;
+        }
+        const key = email.trim().toLowerCase();
+        const existing = authors.get(key);
+        if (existing) {
+            existing.commits++;
+        } else {
+            authors.set(key, { name: name.trim(), email: email.trim(), commits: 1 });
+        }
+    }
+    return Array.from(authors.values())
+        .sort((a, b) => b.commits - a.commits)
+        .map(({ name, email }) => ({ name, email }));
+}
@@ -0,0 +1,241 @@
+/**
+ * 根据暂存区差异生成提交信息建议（本地规则，不依赖网络）
+ */
+
+import { CommitFileChange } from '../types/git';
+import { formatConventionalHeader, suggestScopes } from './commit-lint';
+
+/**
+ * 文件类别，用于推断提交类型
+ */
+export type ChangedFileKind = 'test' | 'docs' | 'ci' | 'build' | 'source';
+
+export interface CommitSuggestion {
+    type: string;
+    scope?: string;
+    summary: string;
+    /** 完整的标题，例如 "feat(auth): 添加 login" */
+    header: string;
+}
+
+export interface CommitSuggestOptions {
+    /** 允许的提交类型，建议的类型不在其中时改用 chore 或第一个允许的类型 */
+    types?: string[];
+    maxHeaderLength?: number;
+}
+
+/**
+ * 从差异中提取的符号变化
+ */
+export interface ChangedSymbols {
+    added: string[];
+    removed: string[];
+}
+
+const TEST_PATTERN = /(^|\/)(__tests__|__mocks__|tests?|specs?)\/|\.(test|spec)\.[^/]+$|_test\.(go|py)$|(^|\/)test_[^/]+\.py$/i;
+const DOCS_PATTERN = /(^|\/)docs?\/|\.(md|mdx|markdown|rst|adoc|txt)$|(^|\/)(LICENSE|CHANGELOG|AUTHORS|CONTRIBUTING)[^/]*$/i;
+const CI_PATTERN = /(^|\/)\.github\/workflows\/|(^|\/)\.circleci\/|(^|\/)\.gitlab-ci\.ya?ml$|(^|\/)Jenkinsfile$|(^|\/)\.travis\.ya?ml$|(^|\/)azure-pipelines\.ya?ml$/i;
+const BUILD_PATTERN = /(^|\/)(package\.json|package-lock\.json|yarn\.lock|pnpm-lock\.yaml|tsconfig[^/]*\.json|webpack[^/]*\.js|rollup[^/]*\.js|vite\.config\.[^/]+|esbuild[^/]*\.js|Makefile|Dockerfile|\.dockerignore|pom\.xml|build\.gradle(\.kts)?|Cargo\.(toml|lock)|go\.(mod|sum)|requirements[^/]*\.txt|pyproject\.toml|setup\.py)$/i;
+
+// 声明语句：TS/JS、Python、Go、Rust、以及带访问修饰符的类方法
+const SYMBOL_PATTERNS = [
+    /^\s*(?:export\s+)?(?:default\s+)?(?:declare\s+)?(?:abstract\s+)?(?:async\s+)?(?:function\*?|class|interface|type|enum|namespace)\s+([A-Za-z_$][\w$]*)/,
+    /^\s*export\s+(?:const|let|var)\s+([A-Za-z_$][\w$]*)/,
+    /^\s*(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*(?::[^=]+)?=>|[A-Za-z_$][\w$]*\s*=>)/,
+    /^\s*(?:(?:public|private|protected)\s+)(?:static\s+)?(?:readonly\s+)?(?:async\s+)?([A-Za-z_$][\w$]*)\s*(?:<[^>]*>)?\(/,
+    /^\s*(?:async\s+)?def\s+([A-Za-z_]\w*)/,
+    /^\s*class\s+([A-Za-z_]\w*)/,
+    /^\s*func\s+(?:\([^)]*\)\s*)?([A-Za-z_]\w*)/,
+    /^\s*(?:pub(?:\([^)]*\))?\s+)?(?:fn|struct|enum|trait)\s+([A-Za-z_]\w*)/
+];
+
+const MAX_NAMES_IN_SUMMARY = 3;
+
+/**
+ * 判断文件类别
+ */
+export function classifyChangedFile(filePath: string): ChangedFileKind {
+    if (TEST_PATTERN.test(filePath)) {
+        return 'test';
+    }
+    if (CI_PATTERN.test(filePath)) {
+        return 'ci';
+    }
+    if (DOCS_PATTERN.test(filePath)) {
+        return 'docs';
+    }
+    if (BUILD_PATTERN.test(filePath)) {
+        return 'build';
+    }
+    return 'source';
+}
+
+/**
+ * 从统一差异中提取新增和删除的声明（同时出现在两侧的视为修改，不计入）
+ */
+export function extractChangedSymbols(diff: string): ChangedSymbols {
+    const added = new Set<string>();
+    const removed = new Set<string>();
+
+    for (const line of diff.split('\n')) {
+        if (line.startsWith('+++') || line.startsWith('---')) {
+            continue;
+        }
+        const sign = line.charAt(0);
+        if (sign !== '+' && sign !== '-') {
+            continue;
+        }
+        const content = line.substring(1);
+        for (const pattern of SYMBOL_PATTERNS) {
+            const match = content.match(pattern);
+            if (match) {
+                (sign === '+' ? added : removed).add(match[1]);
+                break;
+            }
+        }
+    }
+
+    return {
+        added: Array.from(added).filter(name => !removed.has(name)),
+        removed: Array.from(removed).filter(name => !added.has(name))
+    };
+}
+
+/**
+ * 判断是否只修改了 package.json 的 version 字段，返回新版本号
+ */
+export function detectVersionBump(files: CommitFileChange[], diff: string): string | null {
+    const manifests = new Set(['package.json', 'package-lock.json']);
+    if (files.length === 0 || !files.every(file => manifests.has(basename(file.path)))) {
+        return null;
+    }
+
+    let version: string | null = null;
+    for (const line of diff.split('\n')) {
+        if (line.startsWith('+++') || line.startsWith('---') || !/^[+-]/.test(line)) {
+            continue;
+        }
+        const match = line.match(/^([+-])\s*"version"\s*:\s*"([^"]+)"/);
+        if (!match) {
+            return null;
+        }
+        if (match[1] === '+') {
+            version = match[2];
+        }
+    }
+    return version;
+}
+
+function basename(filePath: string): string {
+    return filePath.split('/').pop() || filePath;
+}
+
+function changeType(file: CommitFileChange): string {
+    return file.type || file.status.charAt(0);
+}
+
+function joinNames(names: string[]): string {
+    const shown = names.slice(0, MAX_NAMES_IN_SUMMARY).join('、');
+    return names.length > MAX_NAMES_IN_SUMMARY ? `${shown} 等 ${names.length} 项` : shown;
+}
+
+function describeFiles(files: CommitFileChange[]): string {
+    const kinds = new Set(files.map(changeType));
+    if (files.length === 1) {
+        const file = files[0];
+        const name = basename(file.path);
+        switch (changeType(file)) {
+            case 'A':
+                return `添加 ${name}`;
+            case 'D':
+                return `删除 ${name}`;
+            case 'R':
+                return `将 ${basename(file.oldPath || file.path)} 重命名为 ${name}`;
+            default:
+                return `更新 ${name}`;
+        }
+    }
+    if (kinds.size === 1) {
+        const verb = { A: '添加', D: '删除', R: '重命名' }[Array.from(kinds)[0]] || '更新';
+        return `${verb} ${files.length} 个文件`;
+    }
+    return `更新 ${files.length} 个文件`;
+}
+
+/**
+ * 推断提交类型
+ */
+function inferType(files: CommitFileChange[], symbols: ChangedSymbols): string {
+    const kinds = new Set(files.map(file => classifyChangedFile(file.path)));
+    if (kinds.size === 1) {
+        const kind = Array.from(kinds)[0];
+        if (kind !== 'source') {
+            // test / docs / ci / build 与约定式提交的类型同名
+            return kind;
+        }
+    }
+
+    const sourceFiles = files.filter(file => classifyChangedFile(file.path) === 'source');
+    if (sourceFiles.length > 0 && sourceFiles.every(file => changeType(file) === 'R')) {
+        return 'refactor';
+    }
+    if (symbols.added.length > 0 || sourceFiles.some(file => changeType(file) === 'A')) {
+        return 'feat';
+    }
+    if (symbols.removed.length > 0 || sourceFiles.every(file => changeType(file) === 'D')) {
+        return 'refactor';
+    }
+    return 'fix';
+}
+
+/**
+ * 根据暂存文件（含增删行数）和暂存差异生成提交信息建议，没有暂存文件时返回 null
+ */
+export function suggestCommitMessage(
+    files: CommitFileChange[],
+    diff: string,
+    options: CommitSuggestOptions = {}
+): CommitSuggestion | null {
+    if (files.length === 0) {
+        return null;
+    }
+
+    const allowedTypes = options.types && options.types.length > 0 ? options.types : null;
+    const pickType = (type: string) => {
+        if (!allowedTypes || allowedTypes.includes(type)) {
+            return type;
+        }
+        return allowedTypes.includes('chore') ? 'chore' : allowedTypes[0];
+    };
+
+    const version = detectVersionBump(files, diff);
+    if (version) {
+        const summary = `发布 ${version}`;
+        const type = pickType('chore');
+        return { type, scope: 'release', summary, header: formatConventionalHeader({ type, scope: 'release', breaking: false, description: summary }) };
+    }
+
+    const symbols = extractChangedSymbols(diff);
+    const type = pickType(inferType(files, symbols));
+
+    // 所有文件属于同一作用域时才填写作用域
+    const scopes = suggestScopes(files.map(file => file.path), Number.MAX_SAFE_INTEGER);
+    const scope = scopes.length === 1 ? scopes[0] : undefined;
+
+    const parts: string[] = [];
+    if (symbols.added.length > 0) {
+        parts.push(`添加 ${joinNames(symbols.added)}`);
+    }
+    if (symbols.removed.length > 0) {
+        parts.push(`删除 ${joinNames(symbols.removed)}`);
+    }
+    let summary = parts.length > 0 ? parts.join('，') : describeFiles(files);
+
+    const build = (description: string) => formatConventionalHeader({ type, scope, breaking: false, description });
+    if (options.maxHeaderLength && build(summary).length > options.maxHeaderLength) {
+        // 符号名过长时退回按文件描述
+        summary = describeFiles(files);
+    }
+
+    return { type, scope, summary, header: build(summary) };
+}
@@ -0,0 +1,178 @@
+/**
+ * 冲突文件分类与合并冲突预测相关工具函数
+ */
+
+import { ConflictEntry, ConflictSideResolution, ConflictStage, ConflictType, MergeConflictPrediction, PredictedConflict } from '../types/git';
+
+/**
+ * 冲突类型的中文名称
+ */
+export const CONFLICT_TYPE_LABELS: Record<ConflictType, string> = {
+    'both-modified': '双方修改',
+    'added-by-both': '双方新增',
+    'deleted-by-us': '当前分支已删除',
+    'deleted-by-them': '传入分支已删除',
+    'added-by-us': '仅当前分支存在',
+    'added-by-them': '仅传入分支存在',
+    'deleted-by-both': '双方均已删除'
+};
+
+/**
+ * 整体取舍方式的中文名称
+ */
+export const CONFLICT_RESOLUTION_LABELS: Record<ConflictSideResolution, string> = {
+    ours: '使用当前版本 (ours)',
+    theirs: '使用传入版本 (theirs)',
+    delete: '删除文件'
+};
+
+const STATUS_TYPES: Record<string, ConflictType> = {
+    UU: 'both-modified',
+    AA: 'added-by-both',
+    DU: 'deleted-by-us',
+    UD: 'deleted-by-them',
+    AU: 'added-by-us',
+    UA: 'added-by-them',
+    DD: 'deleted-by-both'
+};
+
+/**
+ * 解析 `git status --porcelain=v2 -z` 输出中的未合并条目
+ *
+ * 未合并条目格式：`u <XY> <sub> <m1> <m2> <m3> <mW> <h1> <h2> <h3> <path>`，
+ * 版本不存在时模式为 000000。二进制判断需要读取对象内容，这里统一返回 false。
+ */
+export function parseUnmergedEntries(output: string): ConflictEntry[] {
+    const records = output.split('\0');
+    const entries: ConflictEntry[] = [];
+
+    for (let i = 0; i < records.length; i++) {
+        const record = records[i];
+        if (record.startsWith('2 ')) {
+            // 重命名条目后紧跟原路径，需要一并跳过
+            i++;
+            continue;
+        }
+        if (!record.startsWith('u ')) {
+            continue;
+        }
+
+        const fields = record.split(' ');
+        const type = STATUS_TYPES[fields[1]];
+        if (!type || fields.length < 11) {
+            continue;
+        }
+
+        const stage = (mode: string, hash: string): ConflictStage | null =>
+            /^0+$/.test(mode) ? null : { mode, hash };
+
+        entries.push({
+            path: fields.slice(10).join(' '),
+            type,
+            binary: false,
+            submodule: fields[2].startsWith('S'),
+            stages: {
+                base: stage(fields[3], fields[7]),
+                ours: stage(fields[4], fields[8]),
+                theirs: stage(fields[5], fields[9])
+            }
+        });
+    }
+
+    return entries;
+}
+
+/**
+ * 是否可以按文本合并（双方都有版本的普通文本文件）
+ */
+export function isTextConflict(entry: ConflictEntry): boolean {
+    return !entry.binary && !entry.submodule && entry.stages.ours !== null && entry.stages.theirs !== null;
+}
+
+/**
+ * 获取冲突文件可用的整体取舍方式
+ */
+export function getConflictResolutions(entry: ConflictEntry): ConflictSideResolution[] {
+    const resolutions: ConflictSideResolution[] = [];
+    if (entry.stages.ours) {
+        resolutions.push('ours');
+    }
+    if (entry.stages.theirs) {
+        resolutions.push('theirs');
+    }
+    // 任一侧缺失（删除或重命名）时才提供删除
+    if (!entry.stages.ours || !entry.stages.theirs) {
+        resolutions.push('delete');
+    }
+    return resolutions;
+}
+
+/**
+ * 生成冲突的简要说明，例如 "二进制文件 · 双方修改"
+ */
+export function describeConflict(entry: ConflictEntry): string {
+    const kind = entry.submodule ? '子模块' : entry.binary ? '二进制文件' : '';
+    return kind ? `${kind} · ${CONFLICT_TYPE_LABELS[entry.type]}` : CONFLICT_TYPE_LABELS[entry.type];
+}
+
+/**
+ * 解析 `git merge-tree --write-tree -z --no-messages` 的输出
+ *
+ * 输出依次为结果树 ID 和冲突文件的索引条目（`<mode> <oid> <stage>\t<path>`），
+ * 根据每个文件存在的版本推断冲突类型。冲突块数量需要读取结果树中的文件，这里统一返回 0。
+ */
+export function parseMergeTreeOutput(output: string): { tree: string; files: PredictedConflict[] } {
+    const records = output.split('\0');
+    const tree = records[0].trim();
+    const stagesByPath = new Map<string, Set<number>>();
+
+    for (const record of records.slice(1)) {
+        const match = record.match(/^\d{6} [0-9a-f]+ ([123])\t(.+)$/);
+        if (!match) {
+            continue;
+        }
+        const stages = stagesByPath.get(match[2]) || new Set<number>();
+        stages.add(Number(match[1]));
+        stagesByPath.set(match[2], stages);
+    }
+
+    const files = Array.from(stagesByPath.entries()).map(([filePath, stages]) => {
+        const ours = stages.has(2);
+        const theirs = stages.has(3);
+        let type: ConflictType;
+        if (ours && theirs) {
+            type = stages.has(1) ? 'both-modified' : 'added-by-both';
+        } else if (stages.has(1)) {
+            type = ours ? 'deleted-by-them' : 'deleted-by-us';
+        } else {
+            type = ours ? 'added-by-us' : 'added-by-them';
+        }
+        return { path: filePath, type, hunks: 0 };
+    });
+
+    return { tree, files };
+}
+
+/**
+ * 生成合并冲突预测的简要说明
+ */
+export function summarizeMergePrediction(prediction: MergeConflictPrediction): string {
+    if (prediction.clean) {
+        return '预计不会产生冲突';
+    }
+    const hunks = prediction.files.reduce((sum, file) => sum + file.hunks, 0);
+    return `预计 ${prediction.files.length} 个文件冲突${hunks > 0 ? `（共 ${hunks} 处）` : ''}`;
+}
+
+/**
+ * 逐个列出预测的冲突文件，超出数量限制时折叠为 "等 N 个文件"
+ */
+export function formatPredictedConflicts(prediction: MergeConflictPrediction, limit = 5): string[] {
+    const lines = prediction.files.slice(0, limit).map(file =>
+        file.hunks > 0 ? `${file.path}（${file.hunks} 处冲突）` : `${file.path}（${CONFLICT_TYPE_LABELS[file.type]}）`
+    );
+    if (prediction.files.length > limit) {
+        lines.push(`等 ${prediction.files.length} 个文件`);
+    }
+    return lines;
+}
@@ -0,0 +1,52 @@
+import * as vscode from 'vscode';
+import { DeletedBranchRecord } from '../types/git';
+
+/**
+ * 已删除分支记录：保存被删除分支的末端提交，便于之后恢复
+ */
+export class DeletedBranches {
+    private static readonly STORAGE_KEY = 'git-assistant.deletedBranches';
+    private static readonly MAX_HISTORY = 200;
+    private static context: vscode.ExtensionContext | null = null;
+    private static records: DeletedBranchRecord[] = [];
+
+    static initialize(context: vscode.ExtensionContext) {
+        this.context = context;
+        const stored = context.globalState.get<DeletedBranchRecord[]>(this.STORAGE_KEY);
+        if (stored) {
+            this.records = stored;
+        }
+    }
+
+    static record(repository: string, name: string, hash: string) {
+        this.records.unshift({
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            repository,
+            name,
+            hash,
+            timestamp: Date.now()
+        });
+        if (this.records.length > this.MAX_HISTORY) {
+            this.records = this.records.slice(0, this.MAX_HISTORY);
+        }
+        this.save();
+    }
+
+    /**
+     * 获取指定仓库的删除记录（最近删除的在前）
+     */
+    static getRecords(repository: string): DeletedBranchRecord[] {
+        return this.records.filter(record => record.repository === repository);
+    }
+
+    static remove(id: string) {
+        this.records = this.records.filter(record => record.id !== id);
+        this.save();
+    }
+
+    private static async save() {
+        if (this.context) {
+            await this.context.globalState.update(this.STORAGE_KEY, this.records);
+        }
+    }
+}
@@ -0,0 +1,265 @@
+/**
+ * 按块/行暂存相关工具函数：解析 git diff 输出，根据选中的行生成部分补丁
+ */
+
+import { DiffHunk, DiffLine, DiffLineSelection, FileDiff, PartialChangeAction } from '../types/git';
+
+/**
+ * 部分更改操作的显示名称
+ */
+export const PARTIAL_CHANGE_LABELS: Record<PartialChangeAction, string> = {
+    stage: '暂存',
+    unstage: '取消暂存',
+    discard: '放弃'
+};
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+/**
+ * 解析单个文件的 `git diff` 输出（需使用 --no-color）
+ *
+ * 没有差异时返回 null；二进制文件返回 binary 为 true 且没有差异块的结果。
+ */
+export function parseFileDiff(output: string): FileDiff | null {
+    if (!output.trim()) {
+        return null;
+    }
+
+    const lines = output.split('\n');
+    if (lines[lines.length - 1] === '') {
+        lines.pop();
+    }
+
+    const headers: string[] = [];
+    const hunks: DiffHunk[] = [];
+    let binary = false;
+    let current: DiffHunk | null = null;
+    let oldLine = 0;
+    let newLine = 0;
+
+    for (const line of lines) {
+        const match = line.match(HUNK_HEADER);
+        if (match) {
+            current = {
+                header: line,
+                oldStart: parseInt(match[1], 10),
+                oldLines: match[2] !== undefined ? parseInt(match[2], 10) : 1,
+                newStart: parseInt(match[3], 10),
+                newLines: match[4] !== undefined ? parseInt(match[4], 10) : 1,
+                lines: []
+            };
+            hunks.push(current);
+            oldLine = current.oldStart;
+            newLine = current.newStart;
+            continue;
+        }
+
+        if (!current) {
+            headers.push(line);
+            if (line.startsWith('Binary files ') || line === 'GIT binary patch') {
+                binary = true;
+            }
+            continue;
+        }
+
+        const prefix = line.charAt(0);
+        const content = line.substring(1);
+        if (prefix === '\\') {
+            const previous = current.lines[current.lines.length - 1];
+            if (previous) {
+                previous.noNewline = true;
+            }
+        } else if (prefix === '+') {
+            current.lines.push({ type: 'add', content, newLine: newLine++ });
+        } else if (prefix === '-') {
+            current.lines.push({ type: 'delete', content, oldLine: oldLine++ });
+        } else {
+            current.lines.push({ type: 'context', content, oldLine: oldLine++, newLine: newLine++ });
+        }
+    }
+
+    const plusHeader = headers.find(line => line.startsWith('+++ '));
+    const minusHeader = headers.find(line => line.startsWith('--- '));
+    const gitHeader = headers.find(line => line.startsWith('diff --git '));
+    const stripPrefix = (value: string) => value.replace(/^[ab]\//, '');
+    let path = '';
+    if (plusHeader && plusHeader !== '+++ /dev/null') {
+        path = stripPrefix(plusHeader.substring(4));
+    } else if (minusHeader && minusHeader !== '--- /dev/null') {
+        path = stripPrefix(minusHeader.substring(4));
+    } else if (gitHeader) {
+        path = stripPrefix(gitHeader.split(' ').pop() || '');
+    }
+
+    return { path, headers, hunks, binary };
+}
+
+/**
+ * 根据选中的块/行生成可供 `git apply` 使用的部分补丁
+ *
+ * 正向应用（暂存）时，未选中的新增行被丢弃，未选中的删除行保留为上下文；
+ * 反向应用（取消暂存、放弃，配合 `git apply -R`）时，补丁描述的“新版本”是当前内容，
+ * 因此未选中的新增行保留为上下文，未选中的删除行被丢弃。没有选中任何更改时返回 null。
+ */
+export function buildPartialPatch(diff: FileDiff, selections: DiffLineSelection[], reverse = false): string | null {
+    // 只选中部分更改时，新增/删除文件的补丁需要改写为修改补丁，否则 git apply 会拒绝
+    const output: string[] = isFullSelection(diff, selections)
+        ? [...diff.headers]
+        : toModificationHeaders(diff.headers, diff.path);
+    // 已输出的块使新旧版本行号产生的偏移（新增行数 - 删除行数）
+    let delta = 0;
+    let hasChanges = false;
+
+    diff.hunks.forEach((hunk, hunkIndex) => {
+        const selection = selections.find(item => item.hunk === hunkIndex);
+        if (!selection) {
+            return;
+        }
+        const isSelected = (index: number) => !selection.lines || selection.lines.includes(index);
+
+        const body: string[] = [];
+        let oldCount = 0;
+        let newCount = 0;
+        let changed = false;
+
+        hunk.lines.forEach((line, index) => {
+            let prefix: string | null;
+            if (line.type === 'context') {
+                prefix = ' ';
+            } else if (isSelected(index)) {
+                prefix = line.type === 'add' ? '+' : '-';
+                changed = true;
+            } else if (line.type === 'add') {
+                prefix = reverse ? ' ' : null;
+            } else {
+                prefix = reverse ? null : ' ';
+            }
+
+            if (prefix === null) {
+                return;
+            }
+            if (prefix !== '+') {
+                oldCount++;
+            }
+            if (prefix !== '-') {
+                newCount++;
+            }
+            body.push(prefix + line.content);
+            if (line.noNewline) {
+                body.push('\\ No newline at end of file');
+            }
+        });
+
+        if (!changed) {
+            return;
+        }
+
+        // 保留一侧的起始行号不变，另一侧按已输出块的偏移推算；行数为 0 时起始行号指向前一行
+        let oldStart: number;
+        let newStart: number;
+        if (reverse) {
+            newStart = hunk.newStart;
+            oldStart = (hunk.newLines === 0 ? newStart + 1 : newStart) - delta;
+            if (oldCount === 0) {
+                oldStart--;
+            }
+        } else {
+            oldStart = hunk.oldStart;
+            newStart = (hunk.oldLines === 0 ? oldStart + 1 : oldStart) + delta;
+            if (newCount === 0) {
+                newStart--;
+            }
+        }
+        delta += newCount - oldCount;
+        hasChanges = true;
+
+        output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`, ...body);
+    });
+
+    return hasChanges ? output.join('\n') + '\n' : null;
+}
+
+/**
+ * 是否选中了文件中的全部更改
+ */
+function isFullSelection(diff: FileDiff, selections: DiffLineSelection[]): boolean {
+    return diff.hunks.every((hunk, hunkIndex) => {
+        const selection = selections.find(item => item.hunk === hunkIndex);
+        if (!selection) {
+            return false;
+        }
+        const lines = selection.lines;
+        return !lines || hunk.lines.every((line, index) => line.type === 'context' || lines.includes(index));
+    });
+}
+
+/**
+ * 将新增/删除文件的文件头改写为修改文件的文件头
+ */
+function toModificationHeaders(headers: string[], filePath: string): string[] {
+    return headers
+        .filter(line => !/^(new|deleted) file mode /.test(line) && !/^index 0+\.\.|^index [0-9a-f]+\.\.0+$/.test(line))
+        .map(line => {
+            if (line === '--- /dev/null') {
+                return `--- a/${filePath}`;
+            }
+            if (line === '+++ /dev/null') {
+                return `+++ b/${filePath}`;
+            }
+            return line;
+        });
+}
+
+/**
+ * 选出新版本中第 startLine 到 endLine 行（从 1 开始）范围内的更改行，用于编辑器中按选区暂存/放弃
+ *
+ * 删除行按其在新版本中的位置（下一行的行号）判断，紧邻选中新增行之前的删除行也会被选中。
+ */
+export function selectLinesInRange(diff: FileDiff, startLine: number, endLine: number): DiffLineSelection[] {
+    const selections: DiffLineSelection[] = [];
+
+    diff.hunks.forEach((hunk, hunkIndex) => {
+        const lines: number[] = [];
+        let position = hunk.newLines === 0 ? hunk.newStart + 1 : hunk.newStart;
+
+        hunk.lines.forEach((line: DiffLine, index) => {
+            if (line.type === 'delete') {
+                if (position >= startLine && position <= endLine) {
+                    lines.push(index);
+                }
+                return;
+            }
+            if (line.type === 'add' && position >= startLine && position <= endLine) {
+                lines.push(index);
+            }
+            position++;
+        });
+
+        if (lines.length > 0) {
+            selections.push({ hunk: hunkIndex, lines });
+        }
+    });
+
+    return selections;
+}
+
+/**
+ * 判断两次读取的差异是否相同（选中的块/行索引只对显示时的差异有效）
+ */
+export function isSameFileDiff(a: FileDiff, b: FileDiff): boolean {
+    const key = (diff: FileDiff) => JSON.stringify([
+        diff.headers,
+        diff.hunks.map(hunk => [hunk.header, hunk.lines.map(line => [line.type, line.content, !!line.noNewline])])
+    ]);
+    return key(a) === key(b);
+}
+
+/**
+ * 统计差异块中的新增和删除行数
+ */
+export function countHunkChanges(hunk: DiffHunk): { added: number; deleted: number } {
+    return {
+        added: hunk.lines.filter(line => line.type === 'add').length,
+        deleted: hunk.lines.filter(line => line.type === 'delete').length
+    };
+}
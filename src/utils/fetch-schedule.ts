@@ -0,0 +1,69 @@
+/**
+ * 远程获取（fetch）及后台自动获取相关工具函数
+ */
+
+/**
+ * fetch 选项
+ */
+export interface FetchOptions {
+    /** 获取所有远程仓库（忽略 remote） */
+    all?: boolean;
+    remote?: string;
+    /** 删除远程已不存在的远程跟踪分支 */
+    prune?: boolean;
+    /** 删除远程已不存在的本地标签 */
+    pruneTags?: boolean;
+}
+
+/**
+ * 后台获取失败后的最长等待时间（1 小时）
+ */
+export const MAX_FETCH_BACKOFF_MS = 60 * 60 * 1000;
+
+/**
+ * 构建 git fetch 参数
+ */
+export function buildFetchArgs(options: FetchOptions = {}): string[] {
+    const args = ['fetch'];
+    if (options.all) {
+        args.push('--all');
+    } else if (options.remote) {
+        args.push(options.remote);
+    }
+    if (options.prune || options.pruneTags) {
+        // --prune-tags 需要与 --prune 一起使用才会生效
+        args.push('--prune');
+    }
+    if (options.pruneTags) {
+        args.push('--prune-tags');
+    }
+    return args;
+}
+
+/**
+ * 计算下一次后台获取的等待时间：连续失败时按 2 的幂次退避，最长不超过 maxMs
+ */
+export function getFetchBackoffDelay(intervalMs: number, failures: number, maxMs: number = MAX_FETCH_BACKOFF_MS): number {
+    if (failures <= 0) {
+        return intervalMs;
+    }
+    return Math.min(intervalMs * Math.pow(2, failures), Math.max(intervalMs, maxMs));
+}
+
+/**
+ * 解析 `%(upstream:track,nobracket)` 的输出，例如 "ahead 1, behind 2"
+ *
+ * 上游分支已被删除时输出 "gone"，返回 null
+ */
+export function parseUpstreamTrack(track: string): { ahead: number; behind: number } | null {
+    const value = track.trim();
+    if (value === 'gone') {
+        return null;
+    }
+    const ahead = value.match(/ahead (\d+)/);
+    const behind = value.match(/behind (\d+)/);
+    return {
+        ahead: ahead ? parseInt(ahead[1], 10) : 0,
+        behind: behind ? parseInt(behind[1], 10) : 0
+    };
+}
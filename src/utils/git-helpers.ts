@@ -1,6 +1,30 @@
 import * as vscode from 'vscode';
+import * as path from 'path';
 import { GitService } from '../services/git-service';
-import { RemoteInfo } from '../types/git';
+import { RepositoryManager } from '../services/repository-manager';
+import { BranchCleanupReport, DiffLineSelection, FileDiff, PartialChangeAction, RemoteInfo, WorkflowBranchSummary, WorkflowBranchType, WorkflowStatus } from '../types/git';
+import { describeOperation, OPERATION_LABELS } from './operation-state';
+import { FetchOptions } from './fetch-schedule';
+import { PARTIAL_CHANGE_LABELS } from './diff-patch';
+import { CommandHistory } from './command-history';
+import { getCommitLintConfig } from './commit-lint';
+import { CommitSuggestion, suggestCommitMessage } from './commit-suggest';
+import { DEFAULT_STALE_BRANCH_DAYS, findCleanupCandidates } from './branch-cleanup';
+import { DeletedBranches } from './deleted-branches';
+import {
+    getWorkflowStage,
+    matchWorkflowBranch,
+    planWorkflowFinish,
+    resolveWorkflowDefinition,
+    validateWorkflowBranchName,
+    WORKFLOW_BRANCH_TYPES,
+    WorkflowDefinition,
+    WorkflowDefinitionOverrides,
+    WorkflowMode
+} from './workflow';
+import { BranchNamingPolicy, checkBranchName, parseBranchNamingPolicy, suggestBranchName } from './branch-naming';
+import { validateBranchName } from './git-utils';
+import { DEFAULT_PROTECTED_BRANCHES, findProtectedPattern, findProtectedPatternForRemote, PROTECTED_BRANCH_ACTION_LABELS, ProtectedBranchAction, ProtectedBranchPolicy } from './protected-branches';
 
 /**
  * Git 操作辅助函数集合
@@ -102,6 +126,399 @@ export async function getDefaultRemote(gitService: GitService): Promise<string>
     }
 }
 
+/**
+ * 根据配置生成 fetch 选项
+ *
+ * `git-assistant.autoFetchRemotes` 为 all 时获取所有远程仓库，否则只获取默认远程仓库；
+ * 同时应用 `autoFetchPrune` / `autoFetchPruneTags` 清理选项。
+ *
+ * @param gitService - Git服务实例，用于确定默认远程仓库
+ * @returns fetch 选项
+ */
+export async function getConfiguredFetchOptions(gitService: GitService): Promise<FetchOptions> {
+    const config = vscode.workspace.getConfiguration('git-assistant');
+    const all = config.get<string>('autoFetchRemotes', 'default') === 'all';
+    return {
+        all,
+        remote: all ? undefined : await getDefaultRemote(gitService),
+        prune: config.get<boolean>('autoFetchPrune', false),
+        pruneTags: config.get<boolean>('autoFetchPruneTags', false)
+    };
+}
+
+/**
+ * 根据暂存区的变更生成提交信息建议
+ *
+ * 读取暂存文件列表（`--cached --numstat`）和暂存差异，按文件类别与增删的声明推断类型、作用域和摘要，
+ * 建议的类型遵循 `git-assistant.commitLintTypes` 配置。
+ *
+ * @param gitService - Git服务实例
+ * @returns 提交信息建议，暂存区为空或读取失败时返回 null
+ */
+export async function getStagedCommitSuggestion(gitService: GitService): Promise<CommitSuggestion | null> {
+    try {
+        const [files, diff] = await Promise.all([
+            gitService.getStagedChanges(),
+            gitService.getDiff(undefined, true)
+        ]);
+        const config = getCommitLintConfig();
+        return suggestCommitMessage(files, diff, {
+            types: config.convention === 'conventional' ? config.types : undefined,
+            maxHeaderLength: config.maxHeaderLength
+        });
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * 读取受保护分支规则（`git-assistant.protectedBranches`）并返回分支匹配的规则
+ *
+ * @param branch - 本地分支名，或设置 isRemote 时的远程分支名（如 `origin/main`）
+ * @returns 匹配的规则，分支未受保护时返回 null
+ */
+export function getProtectedBranchPattern(branch: string | null | undefined, isRemote: boolean = false): string | null {
+    if (!branch) {
+        return null;
+    }
+    const patterns = vscode.workspace.getConfiguration('git-assistant').get<string[]>('protectedBranches', DEFAULT_PROTECTED_BRANCHES);
+    return isRemote ? findProtectedPatternForRemote(branch, patterns) : findProtectedPattern(branch, patterns);
+}
+
+/**
+ * 对受保护分支执行的操作是否被直接阻止（`git-assistant.protectedBranchPolicy` 为 block，普通推送除外）
+ *
+ * 被阻止时显示提示。
+ *
+ * @returns 被阻止时返回 true
+ */
+export function isProtectedBranchActionBlocked(action: ProtectedBranchAction, branch: string | null | undefined): boolean {
+    const pattern = getProtectedBranchPattern(branch);
+    if (!pattern || action === 'push') {
+        return false;
+    }
+    const policy = vscode.workspace.getConfiguration('git-assistant').get<ProtectedBranchPolicy>('protectedBranchPolicy', 'confirm');
+    if (policy !== 'block') {
+        return false;
+    }
+    vscode.window.showWarningMessage(`🔒 "${branch}" 是受保护分支（匹配规则 ${pattern}），不允许${PROTECTED_BRANCH_ACTION_LABELS[action]}该分支`);
+    return true;
+}
+
+/**
+ * 对受保护分支执行操作前确认
+ *
+ * 未受保护的分支直接放行；普通推送需要在对话框中确认；提交、强制推送、删除和重命名
+ * 按 `git-assistant.protectedBranchPolicy` 直接阻止，或要求输入分支名确认。
+ *
+ * @param action - 要执行的操作
+ * @param branch - 目标分支（推送时为远程分支名）
+ * @param detail - 推送确认对话框中的补充说明
+ * @returns 可以继续执行时返回 true
+ *
+ * @example
+ * ```typescript
+ * if (!await confirmProtectedBranchAction('delete', branchName)) {
+ *     return;
+ * }
+ * ```
+ */
+export async function confirmProtectedBranchAction(
+    action: ProtectedBranchAction,
+    branch: string | null | undefined,
+    detail?: string
+): Promise<boolean> {
+    const pattern = getProtectedBranchPattern(branch);
+    if (!pattern || !branch) {
+        return true;
+    }
+
+    if (action === 'push') {
+        const choice = await vscode.window.showWarningMessage(
+            `🔒 "${branch}" 是受保护分支（匹配规则 ${pattern}），确定直接推送？`,
+            { modal: true, detail },
+            '推送'
+        );
+        return choice === '推送';
+    }
+
+    if (isProtectedBranchActionBlocked(action, branch)) {
+        return false;
+    }
+
+    const input = await vscode.window.showInputBox({
+        title: `🔒 ${PROTECTED_BRANCH_ACTION_LABELS[action]}受保护分支`,
+        prompt: `"${branch}" 是受保护分支（匹配规则 ${pattern}），输入分支名以确认${PROTECTED_BRANCH_ACTION_LABELS[action]}该分支`,
+        placeHolder: branch,
+        ignoreFocusOut: true,
+        validateInput: value => value === branch ? null : `请输入 ${branch}`
+    });
+    return input === branch;
+}
+
+/**
+ * 选择分支清理的默认基准分支：优先 main / master，其次当前分支
+ */
+export async function getDefaultCleanupBase(gitService: GitService): Promise<string | null> {
+    const branches = await gitService.getBranches();
+    return ['main', 'master'].find(name => branches.all.includes(name)) || branches.current || null;
+}
+
+/**
+ * 扫描可以清理的本地分支（已合并到基准分支、上游已删除、超过 `git-assistant.staleBranchDays` 天无提交）
+ *
+ * 当前分支、基准分支和受保护分支不参与清理；候选分支附带相对基准分支的领先/落后提交数，
+ * 结果中同时包含当前仓库可恢复的已删除分支。
+ *
+ * @param gitService - Git服务实例
+ * @param base - 基准分支
+ * @param staleDays - 长期无提交的天数，默认读取配置
+ * @returns 扫描结果
+ */
+export async function scanBranchCleanup(gitService: GitService, base: string, staleDays?: number): Promise<BranchCleanupReport> {
+    const days = staleDays ?? vscode.workspace.getConfiguration('git-assistant').get<number>('staleBranchDays', DEFAULT_STALE_BRANCH_DAYS);
+    const [branches, merged, summary] = await Promise.all([
+        gitService.getLocalBranchDetails(),
+        gitService.getMergedBranches(base),
+        gitService.getBranches(true)
+    ]);
+
+    const exclude = branches
+        .map(branch => branch.name)
+        .filter(name => name === base || name === summary.current || getProtectedBranchPattern(name));
+    const candidates = findCleanupCandidates(branches, { merged, staleDays: days, exclude });
+    for (const candidate of candidates) {
+        const counts = await gitService.getAheadBehind(base, candidate.name).catch(() => ({ ahead: 0, behind: 0 }));
+        candidate.ahead = counts.ahead;
+        candidate.behind = counts.behind;
+    }
+
+    return {
+        base,
+        staleDays: days,
+        candidates,
+        deleted: DeletedBranches.getRecords(gitService.getWorkspaceRoot() || ''),
+        scannedAt: Date.now()
+    };
+}
+
+/**
+ * 读取工作流配置（`git-assistant.workflow`、`git-assistant.workflowDefinition`）
+ *
+ * 内置模板的主分支默认为 main；传入仓库的本地分支列表且仓库中只有 master 时使用 master。
+ *
+ * @param localBranches - 仓库的本地分支列表
+ * @returns 工作流定义，未启用工作流时返回 null
+ */
+export function getWorkflowDefinition(localBranches?: string[]): WorkflowDefinition | null {
+    const config = vscode.workspace.getConfiguration('git-assistant');
+    const mainBranch = localBranches && !localBranches.includes('main') && localBranches.includes('master') ? 'master' : 'main';
+    return resolveWorkflowDefinition(
+        config.get<WorkflowMode>('workflow', 'none'),
+        config.get<WorkflowDefinitionOverrides | null>('workflowDefinition', null),
+        mainBranch
+    );
+}
+
+/**
+ * 检查新分支名称是否符合工作流，供分支名称输入框使用（不符合时显示警告，仍允许创建）
+ *
+ * @param branch - 输入的分支名称
+ * @param localBranches - 仓库的本地分支列表
+ * @returns 警告信息，未启用工作流或名称符合时返回 null
+ */
+export function getWorkflowBranchNameWarning(branch: string, localBranches?: string[]): vscode.InputBoxValidationMessage | null {
+    const definition = getWorkflowDefinition(localBranches);
+    const warning = definition && branch ? validateWorkflowBranchName(definition, branch) : null;
+    return warning ? { message: warning, severity: vscode.InputBoxValidationSeverity.Warning } : null;
+}
+
+/**
+ * 读取仓库中的分支命名规范文件（`git-assistant.branchNamingFile`，默认 .branch-naming.json）
+ *
+ * 规范文件提交到仓库后整个团队共享；文件不存在时返回 null，文件无效时提示并忽略。
+ *
+ * @param gitService - Git服务实例
+ * @returns 命名规范，仓库未配置时返回 null
+ */
+export async function getBranchNamingPolicy(gitService: GitService): Promise<BranchNamingPolicy | null> {
+    const root = gitService.getWorkspaceRoot();
+    if (!root) {
+        return null;
+    }
+    const file = vscode.workspace.getConfiguration('git-assistant').get<string>('branchNamingFile', '.branch-naming.json') || '.branch-naming.json';
+
+    let content: string;
+    try {
+        content = Buffer.from(await vscode.workspace.fs.readFile(vscode.Uri.joinPath(vscode.Uri.file(root), file))).toString('utf8');
+    } catch {
+        // 仓库没有命名规范文件
+        return null;
+    }
+
+    const { policy, error } = parseBranchNamingPolicy(content);
+    if (error) {
+        vscode.window.showWarningMessage(`分支命名规范文件 ${file} 无效，已忽略: ${error}`);
+    }
+    return policy;
+}
+
+export interface BranchNamePromptOptions {
+    prompt: string;
+    placeHolder?: string;
+    value?: string;
+    localBranches: string[];
+    original?: string;      // 重命名时的原分支名
+    prefix?: string;        // 输入框只输入名称部分时自动添加的前缀（例如工作流分支前缀）
+}
+
+/**
+ * 输入分支名称，依次检查 Git 命名规则、仓库的分支命名规范和工作流前缀
+ *
+ * 不符合命名规范时输入框中显示警告和建议名称；确认后弹窗提示，可以使用建议名称、修改名称，
+ * 规范的 severity 为 warning 时还可以仍然使用原名称。
+ *
+ * @param gitService - Git服务实例
+ * @param options - 输入框选项
+ * @returns 完整的分支名称（含前缀），取消时返回 undefined
+ */
+export async function promptBranchName(gitService: GitService, options: BranchNamePromptOptions): Promise<string | undefined> {
+    const policy = await getBranchNamingPolicy(gitService);
+    const prefix = options.prefix || '';
+    const isAvailable = (branch: string) =>
+        branch !== options.original && !options.localBranches.includes(branch) && !validateBranchName(branch).error;
+    let value = options.value;
+
+    for (;;) {
+        const input = await vscode.window.showInputBox({
+            prompt: options.prompt,
+            placeHolder: options.placeHolder,
+            value,
+            validateInput: text => {
+                if (!text.trim()) {
+                    return '分支名称不能为空';
+                }
+                const branch = prefix + text.trim();
+                if (branch === options.original) {
+                    return '新名称不能与原名称相同';
+                }
+                if (options.localBranches.includes(branch)) {
+                    return `分支 "${branch}" 已存在`;
+                }
+                const syntaxError = validateBranchName(branch).error;
+                if (syntaxError) {
+                    return syntaxError;
+                }
+                const violations = policy ? checkBranchName(policy, branch) : [];
+                if (policy && violations.length > 0) {
+                    // 这里只显示警告，确认后再提供建议名称
+                    const suggestion = suggestBranchName(policy, branch);
+                    return {
+                        message: `${violations.map(violation => violation.message).join('；')}${suggestion ? `（建议：${suggestion}）` : ''}`,
+                        severity: vscode.InputBoxValidationSeverity.Warning
+                    };
+                }
+                return getWorkflowBranchNameWarning(branch, options.localBranches);
+            }
+        });
+        if (!input) {
+            return undefined;
+        }
+
+        const branch = prefix + input.trim();
+        const violations = policy ? checkBranchName(policy, branch) : [];
+        if (!policy || violations.length === 0) {
+            return branch;
+        }
+
+        const suggestion = suggestBranchName(policy, branch);
+        // 建议名称仍不符合规范（例如缺少任务编号）时只作为修改的起点
+        const suggestionReady = suggestion !== null && isAvailable(suggestion) && checkBranchName(policy, suggestion).length === 0;
+        const useAction = '使用建议名称';
+        const editAction = '修改名称';
+        const ignoreAction = '仍然使用';
+        const actions = [
+            ...(suggestionReady ? [useAction] : []),
+            editAction,
+            ...(policy.severity === 'warning' ? [ignoreAction] : [])
+        ];
+        const choice = await vscode.window.showWarningMessage(
+            `分支名称 "${branch}" 不符合团队命名规范`,
+            {
+                modal: true,
+                detail: `${violations.map(violation => `• ${violation.message}`).join('\n')}${suggestion ? `\n\n建议名称：${suggestion}${suggestionReady ? '' : '（仍需修改）'}` : ''}`
+            },
+            ...actions
+        );
+
+        if (choice === useAction && suggestion) {
+            return suggestion;
+        } else if (choice === ignoreAction) {
+            return branch;
+        } else if (choice === editAction) {
+            value = suggestion && suggestion.startsWith(prefix) ? suggestion.slice(prefix.length) : input.trim();
+        } else {
+            return undefined;
+        }
+    }
+}
+
+/**
+ * 获取当前仓库的工作流状态
+ *
+ * 包括当前分支所处的阶段、工作流分支的基准分支与完成时的合并目标、相对基准分支的领先/落后提交数，
+ * 以及进行中的工作流分支和缺少的长期分支（例如尚未创建 develop）。
+ *
+ * @param gitService - Git服务实例
+ * @returns 工作流状态，未启用工作流时返回 null
+ */
+export async function getWorkflowStatus(gitService: GitService): Promise<WorkflowStatus | null> {
+    const branches = await gitService.getBranches();
+    const localBranches = branches.all.filter(branch => !branch.startsWith('remotes/'));
+    const definition = getWorkflowDefinition(localBranches);
+    if (!definition) {
+        return null;
+    }
+
+    const currentBranch = branches.current || null;
+    const plan = currentBranch ? planWorkflowFinish(definition, currentBranch) : null;
+    const base = plan ? definition.branches[plan.type]?.base || null : null;
+    const { ahead, behind } = base && currentBranch && localBranches.includes(base)
+        ? await gitService.getAheadBehind(base, currentBranch)
+        : { ahead: 0, behind: 0 };
+
+    const prefixes: Partial<Record<WorkflowBranchType, string>> = {};
+    WORKFLOW_BRANCH_TYPES.forEach(type => {
+        const rule = definition.branches[type];
+        if (rule) {
+            prefixes[type] = rule.prefix;
+        }
+    });
+    const activeBranches = localBranches
+        .map(branch => {
+            const match = matchWorkflowBranch(definition, branch);
+            return match ? { ...match, branch } : null;
+        })
+        .filter((item): item is WorkflowBranchSummary => item !== null);
+    const longLived = definition.developBranch ? [definition.mainBranch, definition.developBranch] : [definition.mainBranch];
+
+    return {
+        name: definition.name,
+        mainBranch: definition.mainBranch,
+        developBranch: definition.developBranch,
+        currentBranch,
+        stage: getWorkflowStage(definition, currentBranch),
+        base,
+        mergeTargets: plan?.targets || [],
+        tagName: plan?.tagName || null,
+        ahead,
+        behind,
+        prefixes,
+        activeBranches,
+        missingBranches: longLived.filter(branch => !localBranches.includes(branch))
+    };
+}
+
 /**
  * 验证并获取当前分支
  * 
@@ -127,3 +544,175 @@ export async function getCurrentBranch(gitService: GitService): Promise<string |
     }
 }
 
+
+/**
+ * 选择要操作的仓库
+ * 
+ * 工作区中只有一个仓库（或没有仓库）时直接返回当前活动仓库的服务；
+ * 存在多个仓库时显示仓库选择器，当前活动仓库排在首位，选择后会切换活动仓库。
+ * 
+ * @param repositoryManager - 仓库管理器
+ * @param actionLabel - 操作标签（用于提示信息，如"推送"、"拉取"等）
+ * @returns 选中仓库的 Git 服务，如果用户取消则返回 undefined
+ * 
+ * @example
+ * ```typescript
+ * const gitService = await pickRepository(repositoryManager, '推送');
+ * if (gitService) {
+ *     await gitService.push();
+ * }
+ * ```
+ */
+export async function pickRepository(
+    repositoryManager: RepositoryManager,
+    actionLabel: string = '操作'
+): Promise<GitService | undefined> {
+    const repositories = repositoryManager.getRepositories();
+    const active = repositoryManager.getActive();
+    if (repositories.length <= 1) {
+        return active;
+    }
+
+    const activeRoot = active.getWorkspaceRoot();
+    const ordered = [
+        ...repositories.filter(repo => repo.path === activeRoot),
+        ...repositories.filter(repo => repo.path !== activeRoot)
+    ];
+
+    const selected = await vscode.window.showQuickPick(
+        ordered.map(repo => ({
+            label: `$(repo) ${repo.name}`,
+            description: repo.path === activeRoot ? '当前仓库' : '',
+            detail: vscode.workspace.asRelativePath(repo.path, true) || path.basename(repo.path),
+            root: repo.path
+        })),
+        {
+            placeHolder: `选择要${actionLabel}的仓库`
+        }
+    );
+
+    if (!selected) {
+        return undefined;
+    }
+
+    repositoryManager.setActive(selected.root);
+    return repositoryManager.getActive();
+}
+
+/**
+ * 提示被中断操作的后续处理
+ * 
+ * 合并、变基、拣选或回滚因冲突（或变基的 edit 动作）暂停时调用：
+ * 存在冲突时引导用户解决冲突，否则提供继续/中止选项。没有进行中的操作时不做任何提示。
+ * 
+ * @param gitService - 发生操作的仓库的 Git 服务
+ * 
+ * @example
+ * ```typescript
+ * try {
+ *     await gitService.cherryPick(hash);
+ * } catch (error) {
+ *     if (await gitService.getOperationState()) {
+ *         await promptOperationStopped(gitService);
+ *     }
+ * }
+ * ```
+ */
+export async function promptOperationStopped(gitService: GitService): Promise<void> {
+    const state = await gitService.getOperationState();
+    if (!state) {
+        return;
+    }
+
+    const label = OPERATION_LABELS[state.type];
+    const repositoryRoot = gitService.getWorkspaceRoot();
+    const abortLabel = `中止${label}`;
+    const continueLabel = `继续${label}`;
+    const conflicts = await gitService.getConflicts();
+
+    let choice: string | undefined;
+    if (conflicts.length > 0) {
+        choice = await vscode.window.showWarningMessage(
+            `${describeOperation(state)}时有 ${conflicts.length} 个文件冲突，操作已暂停。解决冲突后请${continueLabel}。`,
+            '解决冲突',
+            abortLabel
+        );
+    } else if (state.type === 'rebase') {
+        // edit 动作：停在指定提交上，用户修改后继续
+        choice = await vscode.window.showInformationMessage(
+            '变基已在 edit 提交处暂停，可修改并提交（git commit --amend）后继续变基。',
+            continueLabel,
+            abortLabel
+        );
+    } else {
+        choice = await vscode.window.showInformationMessage(
+            `${describeOperation(state)}已暂停，冲突均已解决，可以${continueLabel}。`,
+            continueLabel,
+            abortLabel
+        );
+    }
+
+    if (choice === '解决冲突') {
+        await vscode.commands.executeCommand('git-assistant.resolveConflicts');
+    } else if (choice === continueLabel) {
+        await vscode.commands.executeCommand('git-assistant.continueOperation', repositoryRoot);
+    } else if (choice === abortLabel) {
+        await vscode.commands.executeCommand('git-assistant.abortOperation', repositoryRoot);
+    }
+}
+
+/**
+ * 构造 Git 虚拟文件系统 URI（与内置 Git 扩展一致），用于在差异视图中打开指定版本的文件
+ */
+export function toGitUri(fileUri: vscode.Uri, ref: string): vscode.Uri {
+    const absPath = fileUri.fsPath.replace(/\\/g, '/');
+    const query = JSON.stringify({ path: absPath, ref });
+    return fileUri.with({ scheme: 'git', query });
+}
+
+/**
+ * 部分更改对应的 git apply 命令（用于命令历史）
+ */
+const PARTIAL_CHANGE_COMMANDS: Record<PartialChangeAction, string> = {
+    stage: 'git apply --cached',
+    unstage: 'git apply --cached -R',
+    discard: 'git apply -R'
+};
+
+/**
+ * 应用按块/行选择的更改并记录命令历史，成功时返回 true
+ *
+ * 放弃更改无法恢复，执行前需要确认。
+ */
+export async function applyPartialChange(
+    gitService: GitService,
+    file: string,
+    action: PartialChangeAction,
+    selections: DiffLineSelection[],
+    expected: FileDiff
+): Promise<boolean> {
+    const label = PARTIAL_CHANGE_LABELS[action];
+    const command = `${PARTIAL_CHANGE_COMMANDS[action]} (${file})`;
+
+    if (action === 'discard') {
+        const confirm = await vscode.window.showWarningMessage(
+            `将放弃 ${file} 中选中的更改，且无法恢复。确定继续？`,
+            { modal: true },
+            '放弃'
+        );
+        if (confirm !== '放弃') {
+            return false;
+        }
+    }
+
+    try {
+        await gitService.applyPartialChange(file, action, selections, expected);
+        CommandHistory.addCommand(command, `按块${label}`, true);
+        return true;
+    } catch (error) {
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        vscode.window.showErrorMessage(`${label}选中的更改失败: ${errorMessage}`);
+        CommandHistory.addCommand(command, `按块${label}`, false, errorMessage);
+        return false;
+    }
+}
@@ -0,0 +1,225 @@
+/**
+ * Git 钩子相关工具函数：识别钩子文件、内置钩子模板与钩子失败检测
+ */
+
+/**
+ * 客户端钩子名称（git help hooks）
+ */
+export const CLIENT_HOOK_NAMES = [
+    'applypatch-msg',
+    'pre-applypatch',
+    'post-applypatch',
+    'pre-commit',
+    'pre-merge-commit',
+    'prepare-commit-msg',
+    'commit-msg',
+    'post-commit',
+    'pre-rebase',
+    'post-checkout',
+    'post-merge',
+    'pre-push',
+    'pre-receive',
+    'update',
+    'proc-receive',
+    'post-receive',
+    'post-update',
+    'reference-transaction',
+    'push-to-checkout',
+    'pre-auto-gc',
+    'post-rewrite',
+    'sendemail-validate',
+    'fsmonitor-watchman',
+    'p4-changelist',
+    'p4-prepare-changelist',
+    'p4-post-changelist',
+    'p4-pre-submit',
+    'post-index-change'
+];
+
+/**
+ * 提交与推送过程中会运行的钩子
+ */
+export const COMMIT_HOOK_NAMES = ['pre-commit', 'prepare-commit-msg', 'commit-msg'];
+export const PUSH_HOOK_NAMES = ['pre-push'];
+
+/**
+ * 钩子目录中的一个钩子（同名的启用文件、.disabled 文件与 .sample 文件合并为一项）
+ */
+export interface HookFileEntry {
+    name: string;
+    /** 存在不带后缀的钩子文件 */
+    enabled: boolean;
+    /** 存在 .sample 文件 */
+    hasSample: boolean;
+    /** 存在禁用时保存的 .disabled 文件 */
+    hasDisabled: boolean;
+}
+
+/**
+ * 禁用钩子时使用的后缀（不使用 .sample，避免覆盖 Git 自带的示例文件）
+ */
+export const DISABLED_HOOK_SUFFIX = '.disabled';
+
+/**
+ * 已禁用钩子对应的文件名：优先使用禁用时保存的 .disabled 文件，否则为 .sample 示例文件
+ */
+export function getDisabledHookFileName(entry: HookFileEntry): string {
+    return entry.hasDisabled ? `${entry.name}${DISABLED_HOOK_SUFFIX}` : `${entry.name}.sample`;
+}
+
+/**
+ * 钩子模板
+ */
+export interface HookTemplate {
+    id: string;
+    hook: string;
+    name: string;
+    description: string;
+}
+
+export const HOOK_TEMPLATES: HookTemplate[] = [
+    {
+        id: 'lint-staged',
+        hook: 'pre-commit',
+        name: '检查暂存的文件',
+        description: '提交前使用 lint-staged（已安装时）或 ESLint 检查暂存的 JS/TS 文件'
+    },
+    {
+        id: 'commit-message',
+        hook: 'commit-msg',
+        name: '检查提交信息格式',
+        description: '要求提交标题符合约定式提交规范 <类型>(<作用域>): <描述>'
+    },
+    {
+        id: 'protect-branches',
+        hook: 'pre-push',
+        name: '禁止推送到受保护分支',
+        description: '阻止直接推送到 git-assistant.protectedBranches 中的受保护分支（支持通配符）'
+    }
+];
+
+export interface HookTemplateOptions {
+    /** commit-message 模板允许的提交类型 */
+    types?: string[];
+    /** protect-branches 模板中的受保护分支 */
+    protectedBranches?: string[];
+}
+
+const HOOK_HEADER = '#!/bin/sh\n# 由 Git Assistant 生成';
+
+// 在单引号字符串中使用
+const shellQuote = (value: string) => `'${value.replace(/'/g, `'\\''`)}'`;
+// 将受保护分支通配符转换为 case 模式：转义 * 和 ? 以外的字符，** 与 * 相同（case 中的 * 可以匹配 /）
+const shellCasePattern = (value: string) => value.replace(/\*\*/g, '*').replace(/[^A-Za-z0-9*?/._-]/g, '\\$&');
+const escapeRegExp = (value: string) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * 解析钩子目录中的文件名，只保留已知的钩子，并按名称排序
+ */
+export function collectHookFiles(fileNames: string[]): HookFileEntry[] {
+    const hooks = new Map<string, HookFileEntry>();
+    for (const fileName of fileNames) {
+        const sample = fileName.endsWith('.sample');
+        const disabled = fileName.endsWith(DISABLED_HOOK_SUFFIX);
+        const name = sample
+            ? fileName.slice(0, -'.sample'.length)
+            : disabled ? fileName.slice(0, -DISABLED_HOOK_SUFFIX.length) : fileName;
+        if (!CLIENT_HOOK_NAMES.includes(name)) {
+            continue;
+        }
+        const entry = hooks.get(name) || { name, enabled: false, hasSample: false, hasDisabled: false };
+        if (sample) {
+            entry.hasSample = true;
+        } else if (disabled) {
+            entry.hasDisabled = true;
+        } else {
+            entry.enabled = true;
+        }
+        hooks.set(name, entry);
+    }
+    return Array.from(hooks.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * 生成钩子模板脚本（POSIX sh，Windows 上由 Git 自带的 sh 执行）
+ */
+export function buildHookScript(templateId: string, options: HookTemplateOptions = {}): string {
+    switch (templateId) {
+        case 'lint-staged':
+            return `${HOOK_HEADER}：提交前检查暂存的文件
+
+if [ -x node_modules/.bin/lint-staged ]; then
+    exec node_modules/.bin/lint-staged
+fi
+
+if git diff --cached --quiet --diff-filter=ACMR -- '*.js' '*.jsx' '*.ts' '*.tsx'; then
+    exit 0
+fi
+
+if ! git diff --cached -z --name-only --diff-filter=ACMR -- '*.js' '*.jsx' '*.ts' '*.tsx' | xargs -0 npx --no-install eslint; then
+    echo "ESLint 检查未通过，请修复后再提交（或使用 --no-verify 跳过）"
+    exit 1
+fi
+`;
+        case 'commit-message': {
+            const types = (options.types && options.types.length > 0 ? options.types : ['feat', 'fix', 'docs', 'style', 'refactor', 'perf', 'test', 'build', 'ci', 'chore', 'revert'])
+                .map(escapeRegExp)
+                .join('|');
+            return `${HOOK_HEADER}：检查提交信息是否符合约定式提交规范
+
+header=$(grep -v '^#' "$1" | head -n 1)
+
+case "$header" in
+    Merge\\ *|Revert\\ *|fixup!\\ *|squash!\\ *|amend!\\ *)
+        exit 0
+        ;;
+esac
+
+if ! printf '%s\\n' "$header" | grep -Eq ${shellQuote(`^(${types})(\\([^()]+\\))?!?: .+`)}; then
+    echo "提交信息不符合约定式提交规范：$header"
+    echo "格式：<类型>(<作用域>): <描述>，类型可选 ${types.replace(/\|/g, ', ')}"
+    exit 1
+fi
+`;
+        }
+        case 'protect-branches': {
+            const patterns = (options.protectedBranches && options.protectedBranches.length > 0 ? options.protectedBranches : ['main', 'master'])
+                .map(shellCasePattern)
+                .join('|');
+            return `${HOOK_HEADER}：禁止直接推送到受保护分支（与 git-assistant.protectedBranches 规则一致）
+
+zero=0000000000000000000000000000000000000000
+
+while read -r local_ref local_sha remote_ref remote_sha; do
+    branch=\${remote_ref#refs/heads/}
+    case "$branch" in
+        ${patterns})
+            if [ "$local_sha" != "$zero" ]; then
+                echo "禁止直接推送到受保护分支 $branch，请通过合并请求合入（或使用 --no-verify 跳过）"
+                exit 1
+            fi
+            ;;
+    esac
+done
+
+exit 0
+`;
+        }
+        default:
+            throw new Error(`未知的钩子模板: ${templateId}`);
+    }
+}
+
+/**
+ * 判断提交或推送失败是否由钩子导致（git 将钩子的输出写入 stderr，失败时不附带固定的提示）
+ */
+export function isLikelyHookFailure(stage: 'commit' | 'push', message: string): boolean {
+    if (/^fatal:/m.test(message)) {
+        return false;
+    }
+    if (stage === 'commit') {
+        return !/nothing (added )?to commit|no changes added to commit|Author identity unknown|^error: (pathspec|there was a problem with the editor)/mi.test(message);
+    }
+    // 推送被远程拒绝时会列出 [rejected] 引用，钩子失败时只有 failed to push
+    return /failed to push some refs/i.test(message) && !/\[(remote )?rejected\]|non-fast-forward|stale info/i.test(message);
+}
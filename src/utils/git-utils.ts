@@ -23,6 +23,19 @@ export function getBranchShortName(branch: string): string {
     return branch.replace('remotes/origin/', '').replace('origin/', '');
 }
 
+/**
+ * 将远程分支拆分为远程名称和分支名称（remotes/origin/feature/x → origin + feature/x）
+ *
+ * 传入远程列表时按最长的远程名称匹配（远程名称本身可能包含斜线），否则取第一段
+ */
+export function splitRemoteBranch(branch: string, remotes: string[] = []): { remote: string; branch: string } {
+    const name = branch.replace(/^(refs\/)?remotes\//, '');
+    const remote = [...remotes]
+        .sort((a, b) => b.length - a.length)
+        .find(item => name.startsWith(`${item}/`)) || name.split('/')[0];
+    return { remote, branch: name.slice(remote.length + 1) };
+}
+
 /**
  * 格式化提交哈希（短格式）
  */
@@ -76,44 +89,75 @@ export function formatFileSize(bytes: number): string {
 }
 
 /**
- * 解析冲突标记
+ * 冲突块（行号从 0 开始）
+ */
+export interface ConflictBlock {
+    start: number;           // <<<<<<< 所在行
+    baseMarker?: number;     // ||||||| 所在行（diff3 / zdiff3 风格）
+    middle: number;          // ======= 所在行
+    end: number;             // >>>>>>> 所在行
+    current: string;
+    base?: string;           // 合并基准中的内容（仅 diff3 / zdiff3 风格）
+    incoming: string;
+    currentLabel: string;    // 标记后的引用名称，如 HEAD
+    baseLabel?: string;
+    incomingLabel: string;
+}
+
+/**
+ * 冲突解决方式
+ * - both：先当前后传入；incomingThenCurrent：先传入后当前
+ * - auto：只有一侧相对合并基准有修改（或两侧修改相同）时自动采用该侧
+ */
+export type ConflictResolution = 'current' | 'incoming' | 'both' | 'incomingThenCurrent' | 'auto';
+
+/**
+ * 解析冲突标记（支持 merge / diff3 / zdiff3 三种 conflictStyle）
  */
 export function parseConflictMarkers(content: string): {
     hasConflict: boolean;
-    conflicts: Array<{
-        start: number;
-        middle: number;
-        end: number;
-        current: string;
-        incoming: string;
-    }>;
+    conflicts: ConflictBlock[];
 } {
-    const lines = content.split('\n');
-    const conflicts: any[] = [];
-    let inConflict = false;
+    const lines = content.split(/\r?\n/);
+    const conflicts: ConflictBlock[] = [];
     let conflictStart = -1;
+    let conflictBase = -1;
     let conflictMiddle = -1;
 
     for (let i = 0; i < lines.length; i++) {
         const line = lines[i];
 
         if (line.startsWith('<<<<<<<')) {
-            inConflict = true;
             conflictStart = i;
-        } else if (line.startsWith('=======') && inConflict) {
+            conflictBase = -1;
+            conflictMiddle = -1;
+        } else if (conflictStart === -1) {
+            continue;
+        } else if (line.startsWith('|||||||') && conflictBase === -1 && conflictMiddle === -1) {
+            conflictBase = i;
+        } else if (line.startsWith('=======') && conflictMiddle === -1) {
             conflictMiddle = i;
-        } else if (line.startsWith('>>>>>>>') && inConflict) {
-            if (conflictStart !== -1 && conflictMiddle !== -1) {
-                conflicts.push({
+        } else if (line.startsWith('>>>>>>>')) {
+            if (conflictMiddle !== -1) {
+                const currentEnd = conflictBase !== -1 ? conflictBase : conflictMiddle;
+                const block: ConflictBlock = {
                     start: conflictStart,
                     middle: conflictMiddle,
                     end: i,
-                    current: lines.slice(conflictStart + 1, conflictMiddle).join('\n'),
-                    incoming: lines.slice(conflictMiddle + 1, i).join('\n')
-                });
+                    current: lines.slice(conflictStart + 1, currentEnd).join('\n'),
+                    incoming: lines.slice(conflictMiddle + 1, i).join('\n'),
+                    currentLabel: lines[conflictStart].substring(7).trim(),
+                    incomingLabel: line.substring(7).trim()
+                };
+                if (conflictBase !== -1) {
+                    block.baseMarker = conflictBase;
+                    block.base = lines.slice(conflictBase + 1, conflictMiddle).join('\n');
+                    block.baseLabel = lines[conflictBase].substring(7).trim();
+                }
+                conflicts.push(block);
             }
-            inConflict = false;
             conflictStart = -1;
+            conflictBase = -1;
             conflictMiddle = -1;
         }
     }
@@ -125,60 +169,86 @@ export function parseConflictMarkers(content: string): {
 }
 
 /**
- * 解决冲突（自动选择）
+ * 计算单个冲突块的解决结果（按行返回），无法自动解决时返回 null
  */
-export function resolveConflict(
-    content: string,
-    action: 'current' | 'incoming' | 'both'
-): string {
-    const lines = content.split('\n');
-    const result: string[] = [];
-    let inConflict = false;
-    let conflictStart = -1;
-    let conflictMiddle = -1;
-    let currentLines: string[] = [];
-    let incomingLines: string[] = [];
+export function resolveConflictBlock(block: ConflictBlock, action: ConflictResolution): string[] | null {
+    // 通过标记行号区分"没有内容"和"一个空行"
+    const toLines = (text: string, count: number) => count > 0 ? text.split('\n') : [];
+    const currentEnd = block.baseMarker ?? block.middle;
+    const current = toLines(block.current, currentEnd - block.start - 1);
+    const incoming = toLines(block.incoming, block.end - block.middle - 1);
 
-    for (let i = 0; i < lines.length; i++) {
-        const line = lines[i];
-
-        if (line.startsWith('<<<<<<<')) {
-            inConflict = true;
-            conflictStart = i;
-            currentLines = [];
-            incomingLines = [];
-        } else if (line.startsWith('=======') && inConflict) {
-            conflictMiddle = i;
-        } else if (line.startsWith('>>>>>>>') && inConflict) {
-            // 根据选择添加内容
-            switch (action) {
-                case 'current':
-                    result.push(...currentLines);
-                    break;
-                case 'incoming':
-                    result.push(...incomingLines);
-                    break;
-                case 'both':
-                    result.push(...currentLines);
-                    result.push(...incomingLines);
-                    break;
+    switch (action) {
+        case 'current':
+            return current;
+        case 'incoming':
+            return incoming;
+        case 'both':
+            return [...current, ...incoming];
+        case 'incomingThenCurrent':
+            return [...incoming, ...current];
+        case 'auto': {
+            const same = (a: string[], b: string[]) => a.length === b.length && a.every((line, i) => line === b[i]);
+            if (same(current, incoming)) {
+                return current;
             }
-
-            inConflict = false;
-            conflictStart = -1;
-            conflictMiddle = -1;
-        } else if (inConflict) {
-            if (conflictMiddle === -1) {
-                currentLines.push(line);
-            } else {
-                incomingLines.push(line);
+            if (block.baseMarker === undefined || block.base === undefined) {
+                return null;
             }
-        } else {
-            result.push(line);
+            const base = toLines(block.base, block.middle - block.baseMarker - 1);
+            if (same(current, base)) {
+                return incoming;
+            }
+            if (same(incoming, base)) {
+                return current;
+            }
+            return null;
         }
     }
+}
 
-    return result.join('\n');
+/**
+ * 按冲突块逐个替换内容，resolver 返回 null 的冲突块保持原样
+ */
+export function applyConflictResolutions(
+    content: string,
+    resolver: (block: ConflictBlock, index: number) => string[] | null
+): { content: string; resolved: number; remaining: number } {
+    const eol = content.includes('\r\n') ? '\r\n' : '\n';
+    const lines = content.split(/\r?\n/);
+    const { conflicts } = parseConflictMarkers(content);
+    const result: string[] = [];
+    let cursor = 0;
+    let resolved = 0;
+
+    conflicts.forEach((block, index) => {
+        const resolvedLines = resolver(block, index);
+        result.push(...lines.slice(cursor, block.start));
+        if (resolvedLines) {
+            result.push(...resolvedLines);
+            resolved++;
+        } else {
+            result.push(...lines.slice(block.start, block.end + 1));
+        }
+        cursor = block.end + 1;
+    });
+    result.push(...lines.slice(cursor));
+
+    return {
+        content: result.join(eol),
+        resolved,
+        remaining: conflicts.length - resolved
+    };
+}
+
+/**
+ * 解决冲突（自动选择）
+ */
+export function resolveConflict(
+    content: string,
+    action: ConflictResolution
+): string {
+    return applyConflictResolutions(content, block => resolveConflictBlock(block, action)).content;
 }
 
 /**
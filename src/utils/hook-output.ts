@@ -0,0 +1,37 @@
+import * as vscode from 'vscode';
+
+/**
+ * Git 钩子输出面板：显示手动运行钩子以及提交、推送时钩子失败的完整输出
+ */
+export class HookOutput {
+    private static outputChannel: vscode.OutputChannel;
+
+    private static get channel(): vscode.OutputChannel {
+        if (!this.outputChannel) {
+            this.outputChannel = vscode.window.createOutputChannel('Git Assistant 钩子');
+        }
+        return this.outputChannel;
+    }
+
+    /**
+     * 追加一段钩子输出
+     *
+     * @param show - 是否显示输出面板（不抢占焦点）
+     */
+    static append(title: string, output: string, show: boolean = true) {
+        const timestamp = new Date().toLocaleString('zh-CN');
+        this.channel.appendLine(`[${timestamp}] ${title}`);
+        this.channel.appendLine(output.trimEnd() || '（无输出）');
+        this.channel.appendLine('');
+        if (show) {
+            this.channel.show(true);
+        }
+    }
+
+    /**
+     * 显示输出面板
+     */
+    static show() {
+        this.channel.show();
+    }
+}
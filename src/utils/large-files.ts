@@ -0,0 +1,162 @@
+/**
+ * 大文件、二进制文件检查与 Git LFS 相关工具函数
+ */
+
+/**
+ * 文件大小与类型信息
+ */
+export interface LargeFileInfo {
+    path: string;
+    size: number;
+    binary: boolean;
+}
+
+/**
+ * 需要提醒的文件（超过大小限制或为未使用 LFS 的二进制文件）
+ */
+export interface LargeFileIssue extends LargeFileInfo {
+    reasons: Array<'size' | 'binary'>;
+}
+
+export interface LargeFileGuardOptions {
+    /** 大小限制（字节），0 表示不检查大小 */
+    maxSizeBytes: number;
+    /** 是否提醒未使用 LFS 的二进制文件 */
+    checkBinary: boolean;
+}
+
+/**
+ * `git lfs track` 输出中的跟踪规则
+ */
+export interface LfsTrackedPattern {
+    pattern: string;
+    /** 规则所在的 .gitattributes 文件 */
+    source: string;
+}
+
+/**
+ * `git lfs ls-files --long` 输出中的文件
+ */
+export interface LfsFileEntry {
+    oid: string;
+    path: string;
+    /** 本地已有文件内容（* ）；否则只有指针（-） */
+    downloaded: boolean;
+}
+
+/**
+ * 找出需要提醒的文件：已由 LFS 跟踪的文件不提醒
+ */
+export function findLargeFileIssues(
+    files: LargeFileInfo[],
+    lfsTracked: Set<string>,
+    options: LargeFileGuardOptions
+): LargeFileIssue[] {
+    const issues: LargeFileIssue[] = [];
+    for (const file of files) {
+        if (lfsTracked.has(file.path)) {
+            continue;
+        }
+        const reasons: Array<'size' | 'binary'> = [];
+        if (options.maxSizeBytes > 0 && file.size > options.maxSizeBytes) {
+            reasons.push('size');
+        }
+        if (options.checkBinary && file.binary) {
+            reasons.push('binary');
+        }
+        if (reasons.length > 0) {
+            issues.push({ ...file, reasons });
+        }
+    }
+    return issues.sort((a, b) => b.size - a.size);
+}
+
+/**
+ * 判断内容是否为二进制（与 git 相同的规则：前 8000 字节中包含 NUL）
+ */
+export function isBinaryContent(buffer: Uint8Array): boolean {
+    const length = Math.min(buffer.length, 8000);
+    for (let i = 0; i < length; i++) {
+        if (buffer[i] === 0) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * 推荐的 LFS 跟踪规则：有扩展名时按扩展名跟踪，否则只跟踪该文件
+ */
+export function suggestLfsPattern(filePath: string): string {
+    const name = filePath.split('/').pop() || filePath;
+    const dot = name.lastIndexOf('.');
+    return dot > 0 ? `*${name.substring(dot)}` : filePath;
+}
+
+/**
+ * 生成只匹配该文件的 .gitignore 规则（以 / 开头锚定到仓库根目录，并转义特殊字符）
+ */
+export function toGitignoreEntry(filePath: string): string {
+    const escaped = filePath
+        .replace(/([*?[\]\\!#])/g, '\\$1')
+        .replace(/ $/, '\\ ');
+    return `/${escaped}`;
+}
+
+/**
+ * 向 .gitignore 内容追加规则，已存在时返回 null
+ */
+export function appendGitignoreEntry(content: string, entry: string): string | null {
+    const lines = content.split(/\r?\n/).map(line => line.trim());
+    if (lines.includes(entry)) {
+        return null;
+    }
+    const prefix = content && !content.endsWith('\n') ? `${content}\n` : content;
+    return `${prefix}${entry}\n`;
+}
+
+/**
+ * 解析 `git check-attr -z filter -- <paths>` 输出（<路径>\0<属性>\0<值>\0），返回使用 LFS 过滤器的文件
+ */
+export function parseLfsCheckAttr(output: string): Set<string> {
+    const tracked = new Set<string>();
+    const fields = output.split('\0');
+    for (let i = 0; i + 2 < fields.length; i += 3) {
+        if (fields[i + 1] === 'filter' && fields[i + 2] === 'lfs') {
+            tracked.add(fields[i]);
+        }
+    }
+    return tracked;
+}
+
+/**
+ * 解析 `git lfs track`（不带参数）输出的跟踪规则列表
+ */
+export function parseLfsTrackOutput(output: string): LfsTrackedPattern[] {
+    const patterns: LfsTrackedPattern[] = [];
+    for (const line of output.split('\n')) {
+        // 例如 "    *.psd (.gitattributes)"，排除规则位于 "Listing excluded patterns" 之后
+        if (/^Listing excluded patterns/i.test(line)) {
+            break;
+        }
+        const match = line.match(/^\s+(.+?)\s+\(([^)]+)\)\s*$/);
+        if (match) {
+            patterns.push({ pattern: match[1], source: match[2] });
+        }
+    }
+    return patterns;
+}
+
+/**
+ * 解析 `git lfs ls-files --long` 输出
+ */
+export function parseLfsFiles(output: string): LfsFileEntry[] {
+    const files: LfsFileEntry[] = [];
+    for (const line of output.split('\n')) {
+        const match = line.match(/^([0-9a-f]{64}) ([*-]) (.+)$/);
+        if (match) {
+            files.push({ oid: match[1], downloaded: match[2] === '*', path: match[3] });
+        }
+    }
+    return files;
+}
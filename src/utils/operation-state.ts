@@ -0,0 +1,47 @@
+/**
+ * 进行中的 Git 操作（合并/变基/拣选/回滚）相关工具函数
+ */
+
+import { GitOperationState, GitOperationType } from '../types/git';
+
+/**
+ * 操作类型的中文名称
+ */
+export const OPERATION_LABELS: Record<GitOperationType, string> = {
+    'merge': '合并',
+    'rebase': '变基',
+    'cherry-pick': '拣选',
+    'revert': '回滚'
+};
+
+/**
+ * 从 MERGE_MSG 中解析被合并的引用名称
+ *
+ * 例如 "Merge branch 'feature' into main" 返回 "feature"，
+ * "Merge remote-tracking branch 'origin/dev'" 返回 "origin/dev"。无法识别时返回 null。
+ */
+export function parseMergeMessage(message: string): string | null {
+    const subject = message.split('\n')[0].trim();
+    const match = subject.match(/^Merge (?:remote-tracking )?(?:branch|tag|commit) '([^']+)'/);
+    return match ? match[1] : null;
+}
+
+/**
+ * 生成操作状态的简要说明，例如 "将 feature 合并到 main"
+ */
+export function describeOperation(state: GitOperationState): string {
+    const branch = state.branch || 'HEAD';
+    const incoming = state.incoming || '未知提交';
+    const progress = state.step && state.totalSteps ? `（${state.step}/${state.totalSteps}）` : '';
+
+    switch (state.type) {
+        case 'merge':
+            return `将 ${incoming} 合并到 ${branch}`;
+        case 'rebase':
+            return `将 ${branch} 变基到 ${state.current || '未知提交'}${progress}`;
+        case 'cherry-pick':
+            return `拣选 ${incoming} 到 ${branch}`;
+        case 'revert':
+            return `在 ${branch} 上回滚 ${incoming}`;
+    }
+}
@@ -0,0 +1,76 @@
+/**
+ * 受保护分支规则：分支名通配符匹配与受限操作
+ */
+
+/**
+ * 受保护分支上受限的操作
+ */
+export type ProtectedBranchAction = 'commit' | 'push' | 'forcePush' | 'delete' | 'rename';
+
+/**
+ * 对受保护分支执行受限操作时的处理方式：要求输入分支名确认或直接阻止
+ */
+export type ProtectedBranchPolicy = 'confirm' | 'block';
+
+export const DEFAULT_PROTECTED_BRANCHES = ['main', 'master'];
+
+export const PROTECTED_BRANCH_ACTION_LABELS: Record<ProtectedBranchAction, string> = {
+    commit: '直接提交到',
+    push: '推送到',
+    forcePush: '强制推送到',
+    delete: '删除',
+    rename: '重命名'
+};
+
+/**
+ * 将分支通配符转换为正则表达式：* 匹配除 / 以外的任意字符，** 可跨越 /，? 匹配单个字符
+ */
+export function branchPatternToRegExp(pattern: string): RegExp {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*' && pattern[i + 1] === '*') {
+            source += '.*';
+            i++;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * 去掉 refs/heads/ 前缀，返回用于匹配的分支名
+ */
+export function normalizeBranchName(branch: string): string {
+    return branch.replace(/^refs\/heads\//, '');
+}
+
+/**
+ * 返回分支匹配的第一条受保护规则，未受保护时返回 null
+ */
+export function findProtectedPattern(branch: string, patterns: string[]): string | null {
+    const name = normalizeBranchName(branch.trim());
+    if (!name) {
+        return null;
+    }
+    for (const pattern of patterns) {
+        const trimmed = pattern.trim();
+        if (trimmed && branchPatternToRegExp(trimmed).test(name)) {
+            return trimmed;
+        }
+    }
+    return null;
+}
+
+/**
+ * 远程分支（origin/release/1.0）去掉远程名后按本地分支名匹配
+ */
+export function findProtectedPatternForRemote(remoteBranch: string, patterns: string[]): string | null {
+    const slash = remoteBranch.indexOf('/');
+    return slash > 0 ? findProtectedPattern(remoteBranch.substring(slash + 1), patterns) : null;
+}
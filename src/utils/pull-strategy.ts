@@ -0,0 +1,72 @@
+/**
+ * 拉取（pull）方式相关工具函数
+ */
+
+/**
+ * 拉取方式：合并、变基或仅快进
+ */
+export type PullStrategy = 'merge' | 'rebase' | 'ff-only';
+
+/**
+ * pull 选项
+ */
+export interface PullOptions {
+    strategy?: PullStrategy;
+    /** 拉取前自动储藏本地更改，完成后恢复 */
+    autostash?: boolean;
+}
+
+/**
+ * 拉取方式的中文名称
+ */
+export const PULL_STRATEGY_LABELS: Record<PullStrategy, string> = {
+    'merge': '合并 (merge)',
+    'rebase': '变基 (rebase)',
+    'ff-only': '仅快进 (ff-only)'
+};
+
+/**
+ * 构建 git pull 参数
+ *
+ * 始终显式指定拉取方式，避免受 pull.rebase / pull.ff 配置影响，
+ * 也避免较新版本的 Git 在分叉时要求指定拉取方式而直接报错。
+ */
+export function buildPullArgs(remote: string, branch?: string, options: PullOptions = {}): string[] {
+    const args = ['pull'];
+    switch (options.strategy || 'merge') {
+        case 'merge':
+            args.push('--no-rebase');
+            break;
+        case 'rebase':
+            args.push('--rebase');
+            break;
+        case 'ff-only':
+            args.push('--ff-only');
+            break;
+    }
+    if (options.autostash) {
+        args.push('--autostash');
+    }
+    args.push(remote);
+    if (branch) {
+        args.push(branch);
+    }
+    return args;
+}
+
+/**
+ * 是否为本地与远程分支已分叉导致的拉取失败（无法快进或需要指定拉取方式）
+ */
+export function isDivergentBranchesError(message: string): boolean {
+    return /divergent branches|Not possible to fast-forward|how to reconcile/i.test(message);
+}
+
+/**
+ * 确定要拉取的远程分支：当前分支跟踪的是该远程仓库时使用上游分支名，否则使用同名分支
+ *
+ * @param tracking - 上游分支，例如 "origin/main"
+ */
+export function resolvePullBranch(remote: string, currentBranch: string, tracking?: string | null): string {
+    const prefix = `${remote}/`;
+    return tracking && tracking.startsWith(prefix) ? tracking.substring(prefix.length) : currentBranch;
+}
@@ -0,0 +1,118 @@
+/**
+ * 推送（push）选项与结果解析相关工具函数
+ */
+
+/**
+ * push 选项
+ */
+export interface PushOptions {
+    /** 推送到的远程分支名称（默认与本地分支同名） */
+    remoteBranch?: string;
+    /** 设置上游分支 (-u) */
+    setUpstream?: boolean;
+    /** 安全强制推送 (--force-with-lease) */
+    forceWithLease?: boolean;
+    /** 强制推送时期望远程分支所在的提交；为空字符串时要求远程分支不存在，未指定时使用远程跟踪分支 */
+    expectedRef?: string;
+    /** 只预演，不实际推送 (--dry-run) */
+    dryRun?: boolean;
+}
+
+/**
+ * quickPush 命令参数（控制面板 push 消息与高级推送使用）
+ */
+export interface PushRequest extends PushOptions {
+    remote?: string;
+}
+
+/**
+ * `git push --porcelain` 输出中的一条引用更新
+ */
+export interface PushRefUpdate {
+    /** 状态标记：空格 快进、+ 强制更新、- 删除、* 新建、! 拒绝、= 无变化 */
+    flag: string;
+    from: string;
+    to: string;
+    /** 例如 "abc1234..def5678"、"[new branch]"、"[rejected]" */
+    summary: string;
+    /** 括号中的原因，例如 "non-fast-forward"、"stale info" */
+    reason?: string;
+}
+
+const PUSH_FLAG_LABELS: Record<string, string> = {
+    ' ': '快进',
+    '+': '强制更新',
+    '-': '删除',
+    '*': '新建',
+    '!': '拒绝',
+    '=': '无变化'
+};
+
+/**
+ * 构建 git push 参数
+ */
+export function buildPushArgs(remote: string, localBranch: string, options: PushOptions = {}): string[] {
+    const args = ['push'];
+    const remoteBranch = options.remoteBranch || localBranch;
+
+    if (options.dryRun) {
+        args.push('--dry-run', '--porcelain');
+    }
+    if (options.setUpstream) {
+        args.push('-u');
+    }
+    if (options.forceWithLease) {
+        args.push(options.expectedRef !== undefined
+            ? `--force-with-lease=${remoteBranch}:${options.expectedRef}`
+            : '--force-with-lease');
+    }
+
+    args.push(remote, remoteBranch === localBranch ? localBranch : `${localBranch}:refs/heads/${remoteBranch}`);
+    return args;
+}
+
+/**
+ * 解析 `git push --porcelain` 的输出（推送失败时错误信息中同样包含这些行）
+ */
+export function parsePushPorcelain(output: string): PushRefUpdate[] {
+    const updates: PushRefUpdate[] = [];
+    for (const line of output.split('\n')) {
+        const match = line.match(/^([ +\-*!=])\t([^\t:]*):([^\t]*)\t(.*)$/);
+        if (!match) {
+            continue;
+        }
+        const summaryMatch = match[4].match(/^(.*?)(?: \((.+)\))?$/);
+        updates.push({
+            flag: match[1],
+            from: match[2].replace(/^refs\/heads\//, ''),
+            to: match[3].replace(/^refs\/heads\//, ''),
+            summary: summaryMatch ? summaryMatch[1] : match[4],
+            reason: summaryMatch && summaryMatch[2] ? summaryMatch[2] : undefined
+        });
+    }
+    return updates;
+}
+
+/**
+ * 生成引用更新的简要说明，例如 "main → main：快进 abc1234..def5678"
+ */
+export function describePushRefUpdate(update: PushRefUpdate): string {
+    const label = PUSH_FLAG_LABELS[update.flag] || update.flag;
+    const detail = update.flag === ' ' || update.flag === '+' ? ` ${update.summary}` : '';
+    const reason = update.reason ? `（${update.reason}）` : '';
+    return `${update.from || '(删除)'} → ${update.to}：${label}${detail}${reason}`;
+}
+
+/**
+ * 是否为远程分支包含本地没有的提交导致的推送拒绝（非快进）
+ */
+export function isPushRejectedError(message: string): boolean {
+    return /non-fast-forward|fetch first|Updates were rejected because/i.test(message) && !isStaleLeaseError(message);
+}
+
+/**
+ * 是否为 --force-with-lease 检查失败（远程分支已不在期望的提交上）
+ */
+export function isStaleLeaseError(message: string): boolean {
+    return /stale info/i.test(message);
+}
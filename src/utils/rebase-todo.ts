@@ -0,0 +1,62 @@
+/**
+ * 交互式变基 todo 列表工具函数
+ */
+
+import { RebaseTodoItem } from '../types/git';
+
+/**
+ * 校验变基计划，返回错误信息（合法时返回 null）
+ */
+export function validateRebaseTodo(items: RebaseTodoItem[]): string | null {
+    if (items.length === 0) {
+        return '没有可变基的提交';
+    }
+
+    const kept = items.filter(item => item.action !== 'drop');
+    if (kept.length === 0) {
+        return '至少需要保留一个提交';
+    }
+
+    if (kept[0].action === 'squash' || kept[0].action === 'fixup') {
+        return '第一个保留的提交不能使用 squash 或 fixup（没有可合并的前一个提交）';
+    }
+
+    const emptyReword = items.find(item => item.action === 'reword' && !(item.newMessage || '').trim());
+    if (emptyReword) {
+        return `提交 ${emptyReword.shortHash} 的新提交信息不能为空`;
+    }
+
+    return null;
+}
+
+/**
+ * 生成 git rebase -i 使用的 todo 列表
+ *
+ * reword 不依赖编辑器：先 pick，再通过 exec 使用预先写好的消息文件修改提交信息。
+ * messageFiles 为提交哈希到消息文件路径的映射。
+ */
+export function buildRebaseTodo(items: RebaseTodoItem[], messageFiles: Record<string, string> = {}): string {
+    const lines: string[] = [];
+
+    for (const item of items) {
+        const subject = item.message.split('\n')[0];
+        if (item.action === 'reword') {
+            lines.push(`pick ${item.hash} ${subject}`);
+            const messageFile = messageFiles[item.hash];
+            if (messageFile) {
+                lines.push(`exec git commit --amend --only --allow-empty --no-verify -F "${toShellPath(messageFile)}"`);
+            }
+            continue;
+        }
+        lines.push(`${item.action} ${item.hash} ${subject}`);
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Git 通过 sh 执行 exec 行，Windows 路径需要转换为正斜杠
+ */
+function toShellPath(filePath: string): string {
+    return filePath.replace(/\\/g, '/').replace(/"/g, '\\"');
+}
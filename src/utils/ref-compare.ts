@@ -0,0 +1,38 @@
+/**
+ * 分支 / 标签 / 提交比较：解析 `git log --left-right A...B` 的输出
+ */
+
+import { CommitInfo } from '../types/git';
+
+/**
+ * `git log --left-right` 的格式：%m 为 < 或 >，表示提交只在左侧或右侧引用中
+ */
+export const LEFT_RIGHT_LOG_FORMAT = '%m%x00%H%x00%aI%x00%an%x00%ae%x00%s';
+
+export interface LeftRightCommits {
+    left: CommitInfo[];     // 只在左侧引用中的提交
+    right: CommitInfo[];    // 只在右侧引用中的提交
+}
+
+/**
+ * 解析 `git log --left-right --format=<LEFT_RIGHT_LOG_FORMAT> A...B` 的输出
+ */
+export function parseLeftRightLog(output: string): LeftRightCommits {
+    const result: LeftRightCommits = { left: [], right: [] };
+    output.split('\n').filter(line => line.trim()).forEach(line => {
+        const [mark, hash, date, authorName, authorEmail, ...subject] = line.split('\0');
+        if (!hash || (mark !== '<' && mark !== '>')) {
+            return;
+        }
+        const commit: CommitInfo = {
+            hash,
+            date,
+            message: subject.join('\0'),
+            author_name: authorName,
+            author_email: authorEmail,
+            body: ''
+        };
+        (mark === '<' ? result.left : result.right).push(commit);
+    });
+    return result;
+}
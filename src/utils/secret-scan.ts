@@ -0,0 +1,232 @@
+/**
+ * 提交前扫描差异中的疑似密钥：云服务密钥、私钥、.env 等敏感文件、高熵字符串以及自定义规则
+ */
+
+import { createHash } from 'crypto';
+
+/**
+ * 密钥扫描规则（pattern 为正则表达式字符串，匹配新增的行）
+ */
+export interface SecretRule {
+    id: string;
+    name: string;
+    pattern: string;
+}
+
+/**
+ * 扫描发现的疑似密钥
+ */
+export interface SecretFinding {
+    ruleId: string;
+    ruleName: string;
+    file: string;
+    /** 新文件中的行号，敏感文件本身为 0 */
+    line: number;
+    /** 脱敏后的匹配内容 */
+    preview: string;
+    /** 用于允许列表的指纹：<规则>:<文件>:<匹配内容的哈希> */
+    fingerprint: string;
+}
+
+/**
+ * 差异中新增的一行
+ */
+export interface AddedLine {
+    file: string;
+    line: number;
+    text: string;
+}
+
+export const BUILTIN_SECRET_RULES: SecretRule[] = [
+    { id: 'aws-access-key-id', name: 'AWS Access Key ID', pattern: '\\b(?:AKIA|ASIA|ABIA|ACCA|A3T[A-Z0-9])[A-Z0-9]{16}\\b' },
+    { id: 'aws-secret-access-key', name: 'AWS Secret Access Key', pattern: '(?:aws|AWS)[\\w.-]{0,20}(?:secret|SECRET)[\\w.-]{0,20}["\']?\\s*[:=]\\s*["\']?([A-Za-z0-9/+]{40})\\b' },
+    { id: 'gcp-api-key', name: 'Google API Key', pattern: '\\bAIza[0-9A-Za-z_-]{35}\\b' },
+    { id: 'gcp-service-account', name: 'GCP 服务账号私钥', pattern: '"private_key_id"\\s*:\\s*"[0-9a-f]{40}"' },
+    { id: 'private-key', name: '私钥', pattern: '-----BEGIN (?:RSA |EC |DSA |OPENSSH |PGP |ENCRYPTED )?PRIVATE KEY(?: BLOCK)?-----' },
+    { id: 'github-token', name: 'GitHub Token', pattern: '\\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\\b' },
+    { id: 'slack-token', name: 'Slack Token', pattern: '\\bxox[abposr]-[A-Za-z0-9-]{10,}\\b' },
+    { id: 'stripe-key', name: 'Stripe 密钥', pattern: '\\b[sr]k_live_[0-9A-Za-z]{20,}\\b' }
+];
+
+export const HIGH_ENTROPY_RULE_ID = 'high-entropy';
+export const SENSITIVE_FILE_RULE_ID = 'sensitive-file';
+
+// .env 示例文件通常不含真实密钥
+const SENSITIVE_FILE_PATTERN = /(^|\/)(\.env(\.(?!example$|sample$|template$|dist$)[^/]+)?|id_(rsa|dsa|ecdsa|ed25519)|[^/]+\.(pem|key|p12|pfx|keystore|jks))$/i;
+// 赋值给名称中含 key/token/secret/password 的变量的字符串
+const SECRET_ASSIGNMENT_PATTERN = /(?:key|token|secret|passw(?:or)?d|pwd|credential|auth)[\w.-]*["']?\s*[:=]\s*["']([^"'\s]{16,})["']/i;
+const TOKEN_PATTERN = /[A-Za-z0-9+/_=-]{20,}/g;
+// 锁文件、压缩文件等包含大量哈希或编码内容，不做高熵检查
+const HIGH_ENTROPY_IGNORED_FILES = /(^|\/)(package-lock\.json|npm-shrinkwrap\.json|yarn\.lock|pnpm-lock\.yaml|[^/]+\.lock|go\.sum)$|\.(min\.js|min\.css|map|svg)$/i;
+
+/**
+ * 计算字符串的香农熵（每字符比特数）
+ */
+export function shannonEntropy(value: string): number {
+    if (!value) {
+        return 0;
+    }
+    const counts = new Map<string, number>();
+    for (const char of value) {
+        counts.set(char, (counts.get(char) || 0) + 1);
+    }
+    let entropy = 0;
+    for (const count of counts.values()) {
+        const p = count / value.length;
+        entropy -= p * Math.log2(p);
+    }
+    return entropy;
+}
+
+/**
+ * 判断字符串是否像随机生成的令牌：同时包含字母和数字，且熵足够高
+ *
+ * @param allowHex - 是否检查十六进制串（阈值较低）；提交哈希、校验和也是十六进制，只在赋值给敏感变量时检查
+ */
+export function isHighEntropyToken(token: string, allowHex: boolean = false): boolean {
+    if (token.length < 20 || !/[0-9]/.test(token) || !/[A-Za-z]/.test(token)) {
+        return false;
+    }
+    if (/^[0-9a-f]+$/i.test(token)) {
+        return allowHex && token.length >= 32 && shannonEntropy(token) >= 3.5;
+    }
+    return shannonEntropy(token) >= 4.5;
+}
+
+/**
+ * 解析统一差异，返回新增的行（含新文件中的行号）以及新增或修改的文件（不含已删除的文件）
+ */
+export function parseAddedLines(diff: string): { files: string[]; lines: AddedLine[] } {
+    const files: string[] = [];
+    const lines: AddedLine[] = [];
+    let currentFile: string | null = null;
+    let lineNumber = 0;
+    let inHunk = false;
+
+    for (const raw of diff.split('\n')) {
+        if (raw.startsWith('diff --git ')) {
+            const match = raw.match(/ "?b\/(.+?)"?$/);
+            currentFile = match ? match[1] : null;
+            inHunk = false;
+            if (currentFile) {
+                files.push(currentFile);
+            }
+            continue;
+        }
+        if (!inHunk) {
+            if (raw.startsWith('deleted file mode') && currentFile) {
+                files.pop();
+                currentFile = null;
+            } else if (raw.startsWith('+++ ')) {
+                const target = raw.substring(4).replace(/^"|"$/g, '');
+                if (target.startsWith('b/') && currentFile !== null) {
+                    currentFile = target.substring(2);
+                    files[files.length - 1] = currentFile;
+                }
+            }
+        }
+        const hunk = raw.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+        if (hunk) {
+            lineNumber = parseInt(hunk[1], 10);
+            inHunk = true;
+            continue;
+        }
+        if (!inHunk || currentFile === null) {
+            continue;
+        }
+        if (raw.startsWith('+')) {
+            lines.push({ file: currentFile, line: lineNumber, text: raw.substring(1) });
+            lineNumber++;
+        } else if (raw.startsWith(' ')) {
+            lineNumber++;
+        }
+    }
+
+    return { files, lines };
+}
+
+/**
+ * 生成脱敏预览：只保留开头和结尾的少量字符
+ */
+export function redactSecret(value: string): string {
+    if (value.length <= 8) {
+        return '*'.repeat(value.length);
+    }
+    return `${value.substring(0, 4)}${'*'.repeat(Math.min(value.length - 6, 12))}${value.substring(value.length - 2)}`;
+}
+
+function fingerprintOf(ruleId: string, file: string, secret: string): string {
+    const hash = createHash('sha256').update(secret).digest('hex').substring(0, 16);
+    return `${ruleId}:${file}:${hash}`;
+}
+
+/**
+ * 解析允许列表文件：每行一个指纹，# 开头为注释
+ */
+export function parseSecretAllowlist(content: string): Set<string> {
+    return new Set(
+        content.split('\n')
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'))
+    );
+}
+
+/**
+ * 扫描差异中的疑似密钥
+ *
+ * @param diff - 统一差异（git diff 输出）
+ * @param customRules - 自定义规则，与内置规则一起使用
+ * @param allowlist - 允许列表中的指纹
+ */
+export function scanDiffForSecrets(diff: string, customRules: SecretRule[] = [], allowlist: Set<string> = new Set()): SecretFinding[] {
+    const { files, lines } = parseAddedLines(diff);
+    const findings: SecretFinding[] = [];
+    const add = (ruleId: string, ruleName: string, file: string, line: number, secret: string) => {
+        const fingerprint = fingerprintOf(ruleId, file, secret);
+        if (allowlist.has(fingerprint) || findings.some(finding => finding.fingerprint === fingerprint && finding.line === line)) {
+            return;
+        }
+        findings.push({ ruleId, ruleName, file, line, preview: ruleId === SENSITIVE_FILE_RULE_ID ? secret : redactSecret(secret), fingerprint });
+    };
+
+    for (const file of files) {
+        if (SENSITIVE_FILE_PATTERN.test(file)) {
+            add(SENSITIVE_FILE_RULE_ID, '敏感文件', file, 0, file);
+        }
+    }
+
+    const rules = [...BUILTIN_SECRET_RULES, ...customRules]
+        .map(rule => {
+            try {
+                return { rule, regex: new RegExp(rule.pattern) };
+            } catch {
+                return null;
+            }
+        })
+        .filter((item): item is { rule: SecretRule; regex: RegExp } => item !== null);
+
+    for (const added of lines) {
+        let matched = false;
+        for (const { rule, regex } of rules) {
+            const match = added.text.match(regex);
+            if (match) {
+                add(rule.id, rule.name, added.file, added.line, match[1] || match[0]);
+                matched = true;
+            }
+        }
+        if (matched || HIGH_ENTROPY_IGNORED_FILES.test(added.file)) {
+            continue;
+        }
+
+        // 高熵字符串：优先检查赋值给敏感变量名的值，其次检查行中的长令牌
+        const assignment = added.text.match(SECRET_ASSIGNMENT_PATTERN);
+        const token = assignment
+            ? (isHighEntropyToken(assignment[1], true) ? assignment[1] : undefined)
+            : (added.text.match(TOKEN_PATTERN) || []).find(candidate => isHighEntropyToken(candidate));
+        if (token) {
+            add(HIGH_ENTROPY_RULE_ID, '高熵字符串', added.file, added.line, token);
+        }
+    }
+
+    return findings;
+}
@@ -0,0 +1,259 @@
+/**
+ * 分支工作流（Git Flow / GitHub Flow / 自定义）：分支类型识别、命名校验与完成步骤
+ */
+
+import { WorkflowBranchType, WorkflowStage } from '../types/git';
+
+/**
+ * 工作流模式：none 未启用、gitflow、githubflow 内置模板、custom 使用 `git-assistant.workflowDefinition`
+ */
+export type WorkflowMode = 'none' | 'gitflow' | 'githubflow' | 'custom';
+
+/**
+ * 完成分支时的合并方式：three-way 创建合并提交、fast-forward 仅快进、squash 压缩为一个提交
+ */
+export type WorkflowMergeStrategy = 'three-way' | 'fast-forward' | 'squash';
+
+/**
+ * 一类短期分支的规则
+ */
+export interface WorkflowBranchRule {
+    /** 分支名前缀，例如 feature/ */
+    prefix: string;
+    /** 开始时基于的分支 */
+    base: string;
+    /** 完成时依次合并到的分支 */
+    mergeTargets: string[];
+    mergeStrategy: WorkflowMergeStrategy;
+    /** 完成时是否创建标签（标签名为 tagPrefix + 去掉前缀的分支名） */
+    tag: boolean;
+}
+
+export interface WorkflowDefinition {
+    name: string;
+    mainBranch: string;
+    developBranch: string | null;
+    tagPrefix: string;
+    branches: Partial<Record<WorkflowBranchType, WorkflowBranchRule>>;
+}
+
+/**
+ * `git-assistant.workflowDefinition` 配置：未填写的字段沿用 Git Flow 模板，分支类型设为 null 表示不使用
+ */
+export interface WorkflowDefinitionOverrides {
+    name?: string;
+    mainBranch?: string;
+    developBranch?: string | null;
+    tagPrefix?: string;
+    branches?: Partial<Record<WorkflowBranchType, Partial<WorkflowBranchRule> | null>>;
+}
+
+/**
+ * 完成工作流分支的步骤
+ */
+export interface WorkflowFinishPlan {
+    type: WorkflowBranchType;
+    name: string;
+    branch: string;
+    targets: string[];
+    strategy: WorkflowMergeStrategy;
+    /** 要创建的标签，不需要时为 null */
+    tagName: string | null;
+    /** 合并到该分支后在其上创建标签 */
+    tagOn: string | null;
+}
+
+export const WORKFLOW_BRANCH_TYPES: WorkflowBranchType[] = ['feature', 'release', 'hotfix'];
+
+export const WORKFLOW_BRANCH_TYPE_LABELS: Record<WorkflowBranchType, string> = {
+    feature: '功能',
+    release: '发布',
+    hotfix: '热修复'
+};
+
+export const WORKFLOW_STAGE_LABELS: Record<WorkflowStage, string> = {
+    main: '生产（主分支）',
+    develop: '开发集成',
+    feature: '功能开发',
+    release: '发布准备',
+    hotfix: '紧急修复',
+    other: '不属于工作流的分支'
+};
+
+export const WORKFLOW_MERGE_STRATEGY_LABELS: Record<WorkflowMergeStrategy, string> = {
+    'three-way': '三路合并',
+    'fast-forward': '快速合并',
+    squash: '压缩合并'
+};
+
+/**
+ * 内置工作流模板，mainBranch 为主分支名称（main 或 master）
+ */
+export function getWorkflowTemplate(mode: 'gitflow' | 'githubflow', mainBranch: string = 'main'): WorkflowDefinition {
+    if (mode === 'githubflow') {
+        return {
+            name: 'GitHub Flow',
+            mainBranch,
+            developBranch: null,
+            tagPrefix: 'v',
+            branches: {
+                feature: { prefix: 'feature/', base: mainBranch, mergeTargets: [mainBranch], mergeStrategy: 'three-way', tag: false }
+            }
+        };
+    }
+    return {
+        name: 'Git Flow',
+        mainBranch,
+        developBranch: 'develop',
+        tagPrefix: 'v',
+        branches: {
+            feature: { prefix: 'feature/', base: 'develop', mergeTargets: ['develop'], mergeStrategy: 'three-way', tag: false },
+            release: { prefix: 'release/', base: 'develop', mergeTargets: [mainBranch, 'develop'], mergeStrategy: 'three-way', tag: true },
+            hotfix: { prefix: 'hotfix/', base: mainBranch, mergeTargets: [mainBranch, 'develop'], mergeStrategy: 'three-way', tag: true }
+        }
+    };
+}
+
+/**
+ * 根据配置得到工作流定义，未启用时返回 null
+ *
+ * @param mode - `git-assistant.workflow`
+ * @param overrides - `git-assistant.workflowDefinition`（仅 custom 模式使用）
+ * @param mainBranch - 内置模板使用的主分支名称
+ */
+export function resolveWorkflowDefinition(
+    mode: WorkflowMode,
+    overrides?: WorkflowDefinitionOverrides | null,
+    mainBranch: string = 'main'
+): WorkflowDefinition | null {
+    if (mode === 'gitflow' || mode === 'githubflow') {
+        return getWorkflowTemplate(mode, mainBranch);
+    }
+    if (mode !== 'custom') {
+        return null;
+    }
+
+    const custom = overrides || {};
+    const main = custom.mainBranch || mainBranch;
+    const template = getWorkflowTemplate('gitflow', main);
+    const develop = custom.developBranch === undefined ? template.developBranch : (custom.developBranch || null);
+    // 模板中的 develop 替换为自定义的开发分支，不使用开发分支时改为主分支
+    const replaceDevelop = (branch: string) => (branch === 'develop' ? develop || main : branch);
+    const branches: Partial<Record<WorkflowBranchType, WorkflowBranchRule>> = {};
+    for (const type of WORKFLOW_BRANCH_TYPES) {
+        const override = custom.branches?.[type];
+        const base = template.branches[type];
+        if (override === null || !base) {
+            continue;
+        }
+        const rule: WorkflowBranchRule = {
+            ...base,
+            base: replaceDevelop(base.base),
+            mergeTargets: Array.from(new Set(base.mergeTargets.map(replaceDevelop))),
+            ...override
+        };
+        if (rule.prefix && rule.base && rule.mergeTargets.length > 0) {
+            branches[type] = rule;
+        }
+    }
+
+    return {
+        name: custom.name || '自定义工作流',
+        mainBranch: main,
+        developBranch: develop,
+        tagPrefix: custom.tagPrefix ?? template.tagPrefix,
+        branches
+    };
+}
+
+/**
+ * 识别工作流分支的类型和去掉前缀后的名称
+ */
+export function matchWorkflowBranch(
+    definition: WorkflowDefinition,
+    branch: string
+): { type: WorkflowBranchType; name: string } | null {
+    // 前缀较长的规则优先，避免一个前缀是另一个前缀的开头时误判
+    const rules = WORKFLOW_BRANCH_TYPES
+        .filter(type => definition.branches[type])
+        .sort((a, b) => (definition.branches[b]?.prefix.length || 0) - (definition.branches[a]?.prefix.length || 0));
+    for (const type of rules) {
+        const prefix = definition.branches[type]?.prefix || '';
+        if (branch.startsWith(prefix) && branch.length > prefix.length) {
+            return { type, name: branch.slice(prefix.length) };
+        }
+    }
+    return null;
+}
+
+/**
+ * 分支在工作流中所处的阶段
+ */
+export function getWorkflowStage(definition: WorkflowDefinition, branch: string | null): WorkflowStage {
+    if (!branch) {
+        return 'other';
+    }
+    if (branch === definition.mainBranch) {
+        return 'main';
+    }
+    if (definition.developBranch && branch === definition.developBranch) {
+        return 'develop';
+    }
+    return matchWorkflowBranch(definition, branch)?.type || 'other';
+}
+
+/**
+ * 检查分支名称是否符合工作流：长期分支或带有某个短期分支前缀
+ *
+ * @returns 不符合时返回提示，符合时返回 null
+ */
+export function validateWorkflowBranchName(definition: WorkflowDefinition, branch: string): string | null {
+    if (getWorkflowStage(definition, branch) !== 'other') {
+        return null;
+    }
+    const prefixes = WORKFLOW_BRANCH_TYPES
+        .map(type => definition.branches[type]?.prefix)
+        .filter((prefix): prefix is string => !!prefix);
+    if (prefixes.length === 0) {
+        return null;
+    }
+    if (prefixes.includes(branch)) {
+        return `请在前缀 ${branch} 后填写名称`;
+    }
+    return `分支名称不符合 ${definition.name}：应以 ${prefixes.join('、')} 开头`;
+}
+
+/**
+ * 完成工作流分支时创建的标签名称
+ */
+export function getWorkflowTagName(definition: WorkflowDefinition, type: WorkflowBranchType, name: string): string | null {
+    if (!definition.branches[type]?.tag) {
+        return null;
+    }
+    return name.startsWith(definition.tagPrefix) ? name : `${definition.tagPrefix}${name}`;
+}
+
+/**
+ * 计算完成工作流分支的步骤：依次合并到各目标分支，在主分支（不在目标中时为第一个目标）上创建标签
+ *
+ * @returns 分支不属于工作流时返回 null
+ */
+export function planWorkflowFinish(definition: WorkflowDefinition, branch: string): WorkflowFinishPlan | null {
+    const match = matchWorkflowBranch(definition, branch);
+    const rule = match ? definition.branches[match.type] : undefined;
+    if (!match || !rule) {
+        return null;
+    }
+    const tagName = getWorkflowTagName(definition, match.type, match.name);
+    return {
+        type: match.type,
+        name: match.name,
+        branch,
+        targets: rule.mergeTargets.filter(target => target !== branch),
+        strategy: rule.mergeStrategy,
+        tagName,
+        tagOn: tagName
+            ? (rule.mergeTargets.includes(definition.mainBranch) ? definition.mainBranch : rule.mergeTargets[0] || null)
+            : null
+    };
+}
@@ -1,10 +1,18 @@
 import * as vscode from 'vscode';
 import * as path from 'path';
 import { GitService } from '../services/git-service';
+import { RepositoryManager } from '../services/repository-manager';
+import { applyPartialChange, getDefaultCleanupBase, getProtectedBranchPattern, getStagedCommitSuggestion, getWorkflowStatus, pickRepository, promptBranchName, promptOperationStopped, scanBranchCleanup } from '../utils/git-helpers';
+import { PushRequest } from '../utils/push-options';
+import { CommitRequest, extractCoAuthors, parseCommitTemplate, splitCommitMessage } from '../utils/commit-message';
+import { formatPredictedConflicts, summarizeMergePrediction } from '../utils/conflict-status';
 import { CommandHistory } from '../utils/command-history';
 import { Logger } from '../utils/logger';
 import { ErrorHandler } from '../utils/error-handler';
-import { GitData, RemoteInfo, RepositoryInfo, BranchGraphData, BranchGraphNode, GitStatus, BranchInfo, CommitInfo } from '../types/git';
+import { DeletedBranches } from '../utils/deleted-branches';
+import { WorkflowMode } from '../utils/workflow';
+import { applyConflictResolutions, ConflictResolution, parseConflictMarkers, resolveConflictBlock } from '../utils/git-utils';
+import { GitData, RemoteInfo, RepositoryInfo, BranchGraphData, BranchGraphNode, GitStatus, BranchInfo, CommitInfo, StashEntry, InteractiveRebaseSession, RebaseTodoItem, GitOperationState, MergeEditorData, ConflictEntry, ConflictSideResolution, HunkStagingData, DiffLineSelection, FileDiff, PartialChangeAction, CommitComposerData, BranchCleanupReport, RefComparisonData, RefCompareMode, WorkflowBranchType, WorkflowStatus } from '../types/git';
 
 /**
  * Webview 消息类型
@@ -19,7 +27,8 @@ interface WebviewMessage {
     remoteName?: string;
     remote?: string;
     file?: string;
-    action?: 'current' | 'incoming' | 'both';
+    action?: ConflictResolution;
+    side?: ConflictSideResolution;
     text?: string;
     url?: string;
     commitHash?: string;
@@ -30,6 +39,28 @@ interface WebviewMessage {
     y?: number;
     branchFilter?: string | null;
     showRemoteBranches?: boolean;
+    repositoryPath?: string;
+    stashIndex?: number;
+    stashHash?: string;
+    remoteBranch?: string;
+    forceWithLease?: boolean;
+    expectedRef?: string;
+    dryRun?: boolean;
+    staged?: boolean;
+    partialAction?: PartialChangeAction;
+    selections?: DiffLineSelection[];
+    diff?: FileDiff;
+    commit?: CommitRequest;
+    base?: string;
+    staleDays?: number;
+    prune?: boolean;
+    branches?: string[];
+    recordId?: string;
+    left?: string;
+    right?: string;
+    compareMode?: RefCompareMode;
+    branchType?: WorkflowBranchType;
+    workflow?: WorkflowMode;
     [key: string]: unknown;
 }
 
@@ -58,7 +89,33 @@ export class DashboardPanel {
     private _gitGraphBranchFilter: string | null = null;
     private _gitGraphShowRemoteBranches: boolean = true;
 
-    public static createOrShow(extensionUri: vscode.Uri, gitService: GitService) {
+    // 正在编辑的交互式变基计划（刷新数据时一并发送给 Webview）
+    private _interactiveRebase: InteractiveRebaseSession | null = null;
+    private _interactiveRebaseRoot: string | undefined;
+
+    // 合并编辑器中打开的冲突文件
+    private _mergeEditor: MergeEditorData | null = null;
+    private _mergeEditorRoot: string | undefined;
+
+    // 按块/行暂存编辑器中打开的文件差异
+    private _hunkStaging: HunkStagingData | null = null;
+    private _hunkStagingRoot: string | undefined;
+
+    // 提交编辑器（模板、上一次提交和可选的共同作者）
+    private _commitComposer: CommitComposerData | null = null;
+    private _commitComposerRoot: string | undefined;
+    // 生成提交建议时暂存区的状态，暂存区变化后重新生成
+    private _commitSuggestionKey = '';
+
+    // 分支清理扫描结果
+    private _branchCleanup: BranchCleanupReport | null = null;
+    private _branchCleanupRoot: string | undefined;
+
+    // 分支 / 标签 / 提交比较结果
+    private _refComparison: RefComparisonData | null = null;
+    private _refComparisonRoot: string | undefined;
+
+    public static createOrShow(extensionUri: vscode.Uri, repositoryManager: RepositoryManager) {
         const column = vscode.window.activeTextEditor
             ? vscode.window.activeTextEditor.viewColumn
             : undefined;
@@ -83,10 +140,15 @@ export class DashboardPanel {
             }
         );
 
-        DashboardPanel.currentPanel = new DashboardPanel(panel, extensionUri, gitService);
+        DashboardPanel.currentPanel = new DashboardPanel(panel, extensionUri, repositoryManager);
     }
 
-    private constructor(panel: vscode.WebviewPanel, extensionUri: vscode.Uri, private gitService: GitService) {
+    // 面板始终展示当前活动仓库的数据
+    private get gitService(): GitService {
+        return this.repositoryManager.getActive();
+    }
+
+    private constructor(panel: vscode.WebviewPanel, extensionUri: vscode.Uri, private repositoryManager: RepositoryManager) {
         this._panel = panel;
         this._extensionUri = extensionUri;
 
@@ -121,6 +183,9 @@ export class DashboardPanel {
                             // 刷新数据而不重置整个 HTML，提升刷新速度
                             await this._sendGitData();
                             break;
+                        case 'selectRepository':
+                            await this._handleSelectRepository(message.repositoryPath as string | undefined);
+                            break;
                         case 'executeCommand':
                             if (message.commandId) {
                                 await this._executeCommand(message.commandId);
@@ -130,9 +195,22 @@ export class DashboardPanel {
                             CommandHistory.clear();
                             await this._sendGitData();
                             break;
-                        case 'push':
-                            await this._executeCommand('git-assistant.quickPush');
+                        case 'push': {
+                            // 可选的推送选项：远程分支名、安全强制推送（期望提交）、预演
+                            const hasPushOptions = ['remote', 'remoteBranch', 'forceWithLease', 'expectedRef', 'dryRun']
+                                .some(key => message[key] !== undefined);
+                            const pushRequest: PushRequest | undefined = hasPushOptions
+                                ? {
+                                    remote: message.remote,
+                                    remoteBranch: message.remoteBranch,
+                                    forceWithLease: message.forceWithLease,
+                                    expectedRef: message.expectedRef,
+                                    dryRun: message.dryRun
+                                }
+                                : undefined;
+                            await this._executeCommand('git-assistant.quickPush', pushRequest);
                             break;
+                        }
                         case 'pull':
                             await this._executeCommand('git-assistant.quickPull');
                             break;
@@ -248,6 +326,11 @@ export class DashboardPanel {
                                 await this._handleDeleteRemote(message.remote);
                             }
                             break;
+                        case 'resolveConflictSide':
+                            if (message.file && message.side) {
+                                await this._resolveConflictSide(message.file, message.side);
+                            }
+                            break;
                         case 'resolveConflict':
                             if (message.file && message.action) {
                                 await this._resolveConflict(message.file, message.action);
@@ -275,6 +358,157 @@ export class DashboardPanel {
                                 );
                             }
                             break;
+                        case 'stashChanges':
+                            await vscode.commands.executeCommand('git-assistant.stashChanges');
+                            break;
+                        case 'stashApply':
+                        case 'stashPop':
+                        case 'stashDrop':
+                        case 'stashBranch':
+                        case 'showStash':
+                            if (typeof message.stashIndex === 'number') {
+                                const stash = typeof message.stashHash === 'string'
+                                    ? { index: message.stashIndex, hash: message.stashHash }
+                                    : message.stashIndex;
+                                await vscode.commands.executeCommand(`git-assistant.${message.command}`, stash);
+                            }
+                            break;
+                        case 'loadStashFiles':
+                            if (typeof message.stashIndex === 'number') {
+                                await this._loadStashFiles(message.stashIndex);
+                            }
+                            break;
+                        case 'openStashFile':
+                            if (typeof message.stashIndex === 'number' && message.filePath) {
+                                await this._openStashFile(message.stashIndex, message.filePath as string);
+                            }
+                            break;
+                        case 'compareRefs':
+                            if (message.left && message.right) {
+                                await this._compareRefs(message.left, message.right, message.compareMode);
+                            }
+                            break;
+                        case 'compareWithCurrent':
+                            if (message.branch) {
+                                await this._compareWithCurrent(message.branch);
+                            }
+                            break;
+                        case 'checkoutTrackingBranch':
+                            if (message.branch) {
+                                await vscode.commands.executeCommand('git-assistant.checkoutTrackingBranch', message.branch);
+                            }
+                            break;
+                        case 'openCompareFileDiff':
+                            if (message.filePath) {
+                                await this._openCompareFileDiff(
+                                    message.filePath,
+                                    typeof message.oldPath === 'string' ? message.oldPath : undefined,
+                                    typeof message.changeType === 'string' ? message.changeType : undefined
+                                );
+                            }
+                            break;
+                        case 'closeRefComparison':
+                            this._refComparison = null;
+                            this._refComparisonRoot = undefined;
+                            this._panel.webview.postMessage({ type: 'gitDataUpdate', data: { refComparison: null } });
+                            break;
+                        case 'startInteractiveRebase':
+                            if (message.commitHash) {
+                                await vscode.commands.executeCommand('git-assistant.interactiveRebase', message.commitHash);
+                            }
+                            break;
+                        case 'runInteractiveRebase':
+                            if (this._interactiveRebase && Array.isArray(message.todo)) {
+                                await vscode.commands.executeCommand(
+                                    'git-assistant.runInteractiveRebase',
+                                    this._interactiveRebase.baseHash,
+                                    message.todo as RebaseTodoItem[]
+                                );
+                            }
+                            break;
+                        case 'openMergeEditor':
+                            if (message.file) {
+                                await this._openMergeEditor(message.file);
+                            }
+                            break;
+                        case 'closeMergeEditor':
+                            this._setMergeEditor(null);
+                            break;
+                        case 'saveMergeResult':
+                            if (message.file && typeof message.content === 'string') {
+                                await this._saveMergeResult(message.file, message.content, message.markResolved === true);
+                            }
+                            break;
+                        case 'openHunkStaging':
+                            if (message.file) {
+                                await this._openHunkStaging(message.file, message.staged === true);
+                            }
+                            break;
+                        case 'closeHunkStaging':
+                            this._setHunkStaging(null);
+                            break;
+                        case 'applyHunkSelection':
+                            if (message.partialAction && Array.isArray(message.selections) && message.diff) {
+                                await this._applyHunkSelection(message.partialAction, message.selections, message.diff);
+                            }
+                            break;
+                        case 'openCommitComposer':
+                            await this._openCommitComposer();
+                            break;
+                        case 'scanBranchCleanup':
+                            await this._scanBranchCleanup(message.base, message.staleDays, message.prune);
+                            break;
+                        case 'cleanupBranches':
+                            if (message.base && message.branches?.length) {
+                                await vscode.commands.executeCommand('git-assistant.cleanupBranches', {
+                                    base: message.base,
+                                    branches: message.branches,
+                                    dryRun: message.dryRun
+                                });
+                                if (!message.dryRun) {
+                                    await this._scanBranchCleanup(message.base, this._branchCleanup?.staleDays);
+                                }
+                            }
+                            break;
+                        case 'restoreDeletedBranch':
+                            await vscode.commands.executeCommand('git-assistant.restoreDeletedBranch', message.recordId);
+                            if (this._branchCleanup) {
+                                await this._scanBranchCleanup(this._branchCleanup.base, this._branchCleanup.staleDays);
+                            }
+                            break;
+                        case 'workflowStart':
+                            await vscode.commands.executeCommand('git-assistant.workflowStart', { type: message.branchType });
+                            break;
+                        case 'workflowFinish':
+                            await vscode.commands.executeCommand('git-assistant.workflowFinish', message.branch);
+                            break;
+                        case 'setWorkflow':
+                            if (message.workflow) {
+                                // 保存到工作区设置，团队成员可通过 .vscode/settings.json 共享
+                                await vscode.workspace.getConfiguration('git-assistant')
+                                    .update('workflow', message.workflow, vscode.ConfigurationTarget.Workspace);
+                            }
+                            break;
+                        case 'openWorkflowSettings':
+                            await vscode.commands.executeCommand('workbench.action.openSettings', 'git-assistant.workflow');
+                            break;
+                        case 'commitFromComposer':
+                            if (message.commit) {
+                                await this._commitFromComposer(message.commit);
+                            }
+                            break;
+                        case 'cancelInteractiveRebase':
+                            this._setInteractiveRebase(null);
+                            break;
+                        case 'continueOperation':
+                        case 'skipOperation':
+                        case 'abortOperation':
+                            // 作用于面板当前显示的仓库
+                            await vscode.commands.executeCommand(
+                                `git-assistant.${message.command}`,
+                                this.gitService.getWorkspaceRoot()
+                            );
+                            break;
                         case 'loadCommitFiles':
                             if (message.commitHash) {
                                 await this._loadCommitFiles(message.commitHash as string);
@@ -356,11 +590,25 @@ export class DashboardPanel {
         );
     }
 
-    private async _executeCommand(commandId: string) {
+    /**
+     * 切换面板展示的仓库（未指定路径时弹出仓库选择器）
+     */
+    private async _handleSelectRepository(repositoryPath?: string) {
+        if (repositoryPath) {
+            this.repositoryManager.setActive(repositoryPath);
+        } else {
+            await pickRepository(this.repositoryManager, '查看');
+        }
+        // 仓库状态（是否已初始化）不同时需要切换页面
+        await this._update();
+        await this._sendGitData();
+    }
+
+    private async _executeCommand(commandId: string, ...args: unknown[]) {
         const commandName = CommandHistory.getAvailableCommands().find(c => c.id === commandId)?.name || commandId;
 
         try {
-            await vscode.commands.executeCommand(commandId);
+            await vscode.commands.executeCommand(commandId, ...args);
 
             // 只有在命令实际执行成功后，才记录为成功
             CommandHistory.addCommand(commandId, commandName, true);
@@ -516,6 +764,8 @@ export class DashboardPanel {
             const branches = await this.gitService.getBranches();
             const currentBranch = branches.current;
             const isCurrent = branchName === currentBranch;
+            const protectedPattern = getProtectedBranchPattern(branchName);
+            const protectedNote = protectedPattern ? `🔒 受保护分支（${protectedPattern}）` : undefined;
 
             const actions = [
                 {
@@ -526,11 +776,13 @@ export class DashboardPanel {
                 {
                     label: '重命名分支...',
                     action: 'rename',
+                    description: protectedNote,
                     visible: true
                 },
                 {
                     label: '删除分支...',
                     action: 'delete',
+                    description: protectedNote,
                     visible: !isCurrent
                 },
                 {
@@ -538,6 +790,11 @@ export class DashboardPanel {
                     action: 'merge',
                     visible: !isCurrent && currentBranch !== null
                 },
+                {
+                    label: '与当前分支比较',
+                    action: 'compare',
+                    visible: !isCurrent && currentBranch !== null
+                },
                 {
                     label: '复制分支名称',
                     action: 'copyName',
@@ -548,6 +805,7 @@ export class DashboardPanel {
             const picked = await vscode.window.showQuickPick(
                 actions.map(item => ({
                     label: item.label,
+                    description: item.description,
                     action: item.action
                 })),
                 {
@@ -573,6 +831,9 @@ export class DashboardPanel {
                 case 'merge':
                     await this._handleMergeBranch(branchName);
                     break;
+                case 'compare':
+                    await this._compareWithCurrent(branchName);
+                    break;
                 case 'copyName':
                     await vscode.env.clipboard.writeText(branchName);
                     vscode.window.showInformationMessage(`✅ 已复制分支名称 "${branchName}"`);
@@ -646,14 +907,18 @@ export class DashboardPanel {
             }
 
             // ========== 合并策略智能建议 ==========
-            const mergeInfo = await vscode.window.withProgress(
+            const [mergeInfo, prediction] = await vscode.window.withProgress(
                 {
                     location: vscode.ProgressLocation.Notification,
                     title: '正在分析分支关系...',
                     cancellable: false
                 },
                 async () => {
-                    return await this.gitService.getBranchMergeInfo(branchName);
+                    // 同时预测冲突（merge-tree，不修改工作区）
+                    return await Promise.all([
+                        this.gitService.getBranchMergeInfo(branchName),
+                        this.gitService.predictMergeConflicts(branchName)
+                    ]);
                 }
             );
 
@@ -662,6 +927,7 @@ export class DashboardPanel {
                 label: string;
                 description: string;
                 value: 'fast-forward' | 'three-way';
+                detail?: string;
                 recommended?: boolean;
             }> = [];
 
@@ -707,14 +973,27 @@ export class DashboardPanel {
                 });
             }
 
+            // 三路合并时附带冲突预测
+            const predictedConflicts = prediction && !prediction.clean ? prediction : null;
+            if (prediction && mergeInfo.canFastForward !== true) {
+                const predictionDetail = predictedConflicts
+                    ? `$(warning) ${summarizeMergePrediction(prediction)}：${formatPredictedConflicts(prediction).join('、')}`
+                    : `$(check) ${summarizeMergePrediction(prediction)}`;
+                strategyOptions
+                    .filter(option => option.value === 'three-way')
+                    .forEach(option => option.detail = predictionDetail);
+            }
+
             const strategyPick = await vscode.window.showQuickPick(
                 strategyOptions,
                 {
-                    placeHolder: mergeInfo.canFastForward === true
-                        ? '✅ 检测到可快进合并，推荐使用快速合并'
-                        : mergeInfo.hasDiverged
-                            ? '⚠️ 分支已分叉，推荐使用三路合并'
-                            : '选择合并策略'
+                    placeHolder: predictedConflicts
+                        ? `⚠️ ${summarizeMergePrediction(predictedConflicts)}，合并后需要解决冲突`
+                        : mergeInfo.canFastForward === true
+                            ? '✅ 检测到可快进合并，推荐使用快速合并'
+                            : mergeInfo.hasDiverged
+                                ? '⚠️ 分支已分叉，推荐使用三路合并'
+                                : '选择合并策略'
                 }
             );
 
@@ -729,6 +1008,9 @@ export class DashboardPanel {
             if (mergeInfo.commitsAhead > 0) {
                 confirmMessage += `\n\n将合并 ${mergeInfo.commitsAhead} 个提交到 ${currentBranch}`;
             }
+            if (predictedConflicts && strategyPick.value === 'three-way') {
+                confirmMessage += `\n\n⚠️ ${summarizeMergePrediction(predictedConflicts)}：\n${formatPredictedConflicts(predictedConflicts, 10).map(line => `• ${line}`).join('\n')}`;
+            }
             if (mergeInfo.canFastForward === false && strategyPick.value === 'fast-forward') {
                 confirmMessage += `\n\n⚠️ 警告：此合并可能无法快进，操作可能失败`;
             }
@@ -765,14 +1047,13 @@ export class DashboardPanel {
             await this._sendGitData();
         } catch (error) {
             const errorMessage = error instanceof Error ? error.message : String(error);
-            if (errorMessage.includes('CONFLICT')) {
-                vscode.window.showErrorMessage(
-                    '合并冲突！请使用 "Git Assistant: 解决冲突" 命令处理'
-                );
+            await this._sendGitData();
+            if (await this.gitService.getOperationState()) {
+                // 合并因冲突暂停：引导解决冲突或中止合并
+                promptOperationStopped(this.gitService);
             } else {
                 vscode.window.showErrorMessage(`合并失败: ${errorMessage}`);
             }
-            await this._sendGitData();
         }
     }
 
@@ -792,11 +1073,14 @@ export class DashboardPanel {
             const isCurrent = typeof isCurrentFromWebview === 'boolean'
                 ? isCurrentFromWebview
                 : currentBranch === branchName;
+            const protectedPattern = getProtectedBranchPattern(branchName);
 
             type BranchAction =
                 | 'switch'
                 | 'merge'
+                | 'compare'
                 | 'rename'
+                | 'upstream'
                 | 'delete';
 
             const items: (vscode.QuickPickItem & { action: BranchAction })[] = [];
@@ -814,21 +1098,37 @@ export class DashboardPanel {
                         description: currentBranch ? `${branchName} → ${currentBranch}` : undefined,
                         detail: '提供快进 / 三路合并策略选择，并进行安全检查',
                         action: 'merge'
+                    },
+                    {
+                        label: '与当前分支比较',
+                        description: currentBranch ? `${currentBranch}...${branchName}` : undefined,
+                        detail: '查看两侧独有的提交及文件更改',
+                        action: 'compare'
                     }
                 );
             }
 
             items.push({
                 label: isCurrent ? '重命名当前分支' : '重命名此分支',
-                description: branchName,
+                description: protectedPattern ? `🔒 ${branchName}` : branchName,
+                detail: protectedPattern ? `受保护分支（匹配规则 ${protectedPattern}），需要确认或已被阻止` : undefined,
                 action: 'rename'
             });
 
+            items.push({
+                label: '设置 / 更改上游分支',
+                description: branchName,
+                detail: '选择要跟踪的远程分支，或取消上游跟踪',
+                action: 'upstream'
+            });
+
             if (!isCurrent) {
                 items.push({
                     label: '删除此本地分支',
-                    description: branchName,
-                    detail: '会检查是否已合并并给出安全提示，可选择强制删除',
+                    description: protectedPattern ? `🔒 ${branchName}` : branchName,
+                    detail: protectedPattern
+                        ? `受保护分支（匹配规则 ${protectedPattern}），需要确认或已被阻止`
+                        : '会检查是否已合并并给出安全提示，可选择强制删除',
                     action: 'delete'
                 });
             }
@@ -854,9 +1154,15 @@ export class DashboardPanel {
                 case 'merge':
                     await this._handleMergeBranch(branchName);
                     break;
+                case 'compare':
+                    await this._compareWithCurrent(branchName);
+                    break;
                 case 'rename':
                     await vscode.commands.executeCommand('git-assistant.renameBranch', branchName);
                     break;
+                case 'upstream':
+                    await vscode.commands.executeCommand('git-assistant.setUpstream', branchName);
+                    break;
                 case 'delete':
                     await vscode.commands.executeCommand('git-assistant.deleteBranch', branchName);
                     break;
@@ -870,7 +1176,7 @@ export class DashboardPanel {
     /**
      * 解决冲突
      */
-    private async _resolveConflict(file: string, action: 'current' | 'incoming' | 'both') {
+    private async _resolveConflict(file: string, action: ConflictResolution) {
         try {
             const workspaceRoot = this.gitService.getWorkspaceRoot();
             if (!workspaceRoot) {
@@ -882,49 +1188,36 @@ export class DashboardPanel {
             const document = await vscode.workspace.openTextDocument(filePath);
             const text = document.getText();
 
-            // 解析冲突标记并解决
-            const conflictPattern = /<<<<<<< HEAD\n([\s\S]*?)\n=======\n([\s\S]*?)\n>>>>>>> .+/g;
-            const edit = new vscode.WorkspaceEdit();
-            const replacements: Array<{ range: vscode.Range; text: string }> = [];
-            let match;
-
-            // 收集所有冲突及其替换内容
-            while ((match = conflictPattern.exec(text)) !== null) {
-                const fullMatch = match[0];
-                const currentChanges = match[1];
-                const incomingChanges = match[2];
-
-                let replacement = '';
-                switch (action) {
-                    case 'current':
-                        replacement = currentChanges;
-                        break;
-                    case 'incoming':
-                        replacement = incomingChanges;
-                        break;
-                    case 'both':
-                        replacement = currentChanges + '\n' + incomingChanges;
-                        break;
-                }
-
-                const startPos = document.positionAt(match.index);
-                const endPos = document.positionAt(match.index + fullMatch.length);
-                replacements.push({
-                    range: new vscode.Range(startPos, endPos),
-                    text: replacement
-                });
+            // 解析冲突标记并解决（支持 diff3 / zdiff3 的基准部分）
+            const result = applyConflictResolutions(text, block => resolveConflictBlock(block, action));
+            if (result.resolved === 0) {
+                vscode.window.showWarningMessage(
+                    result.remaining > 0
+                        ? `${file} 中的冲突块两侧都有修改，无法自动解决，请打开文件手动处理`
+                        : `${file} 中未检测到冲突标记`
+                );
+                return;
             }
 
-            // 从后往前应用替换，避免位置偏移问题
-            for (let i = replacements.length - 1; i >= 0; i--) {
-                const { range, text } = replacements[i];
-                edit.replace(document.uri, range, text);
-            }
+            const edit = new vscode.WorkspaceEdit();
+            edit.replace(
+                document.uri,
+                new vscode.Range(document.positionAt(0), document.positionAt(text.length)),
+                result.content
+            );
 
             // 应用所有更改
             await vscode.workspace.applyEdit(edit);
             await document.save();
 
+            if (result.remaining > 0) {
+                vscode.window.showInformationMessage(
+                    `已自动解决 ${result.resolved} 处冲突，还有 ${result.remaining} 处两侧都有修改，请打开文件手动处理`
+                );
+                await this._sendGitData();
+                return;
+            }
+
             vscode.window.showInformationMessage(`✅ 冲突已解决: ${file}`);
 
             // 解决后提示是否直接暂存
@@ -1096,7 +1389,11 @@ export class DashboardPanel {
      */
     private async _loadCommitFiles(commitHash: string) {
         try {
-            const files = await this.gitService.getCommitFiles(commitHash);
+            // Git 图中的储藏节点使用储藏文件列表（包含未跟踪文件）
+            const stash = (await this.gitService.getStashes()).find(s => s.hash === commitHash);
+            const files = stash
+                ? await this.gitService.getStashFiles(stash.index)
+                : await this.gitService.getCommitFiles(commitHash);
             if (this._disposed) {
                 return;
             }
@@ -1124,6 +1421,44 @@ export class DashboardPanel {
         }
     }
 
+    /**
+     * 加载储藏的文件列表并推送给 Webview（按储藏提交哈希索引）
+     */
+    private async _loadStashFiles(stashIndex: number) {
+        const stash = (await this.gitService.getStashes()).find(s => s.index === stashIndex);
+        if (!stash || this._disposed) {
+            return;
+        }
+
+        const files = await this.gitService.getStashFiles(stashIndex);
+        if (this._disposed) {
+            return;
+        }
+        this._panel.webview.postMessage({
+            type: 'gitDataUpdate',
+            data: {
+                stashFiles: {
+                    [stash.hash]: files
+                }
+            }
+        });
+    }
+
+    /**
+     * 打开储藏中单个文件的差异
+     */
+    private async _openStashFile(stashIndex: number, filePath: string) {
+        const stash = (await this.gitService.getStashes()).find(s => s.index === stashIndex);
+        if (!stash) {
+            return;
+        }
+        const files = await this.gitService.getStashFiles(stashIndex);
+        const file = files.find(f => f.path === filePath);
+        if (file) {
+            await vscode.commands.executeCommand('git-assistant.openStashFile', stash, file);
+        }
+    }
+
     /**
      * 生成指定提交的补丁并打开
      */
@@ -1213,6 +1548,58 @@ export class DashboardPanel {
         }, DashboardPanel.REFRESH_DEBOUNCE_MS);
     }
 
+    /**
+     * 打开交互式变基编辑器
+     */
+    public static async showInteractiveRebase(baseHash: string) {
+        if (DashboardPanel.currentPanel) {
+            await DashboardPanel.currentPanel._openInteractiveRebase(baseHash);
+        }
+    }
+
+    /**
+     * 关闭交互式变基编辑器（变基已执行或取消）
+     */
+    public static clearInteractiveRebase() {
+        DashboardPanel.currentPanel?._setInteractiveRebase(null);
+    }
+
+    /**
+     * 在合并编辑器中打开冲突文件
+     */
+    public static async showMergeEditor(file: string) {
+        if (DashboardPanel.currentPanel) {
+            await DashboardPanel.currentPanel._openMergeEditor(file);
+        }
+    }
+
+    /**
+     * 在按块/行暂存编辑器中打开文件的未暂存（或已暂存）更改
+     */
+    public static async showHunkStaging(file: string, staged: boolean) {
+        if (DashboardPanel.currentPanel) {
+            await DashboardPanel.currentPanel._openHunkStaging(file, staged);
+        }
+    }
+
+    /**
+     * 打开提交编辑器
+     */
+    public static async showCommitComposer() {
+        if (DashboardPanel.currentPanel) {
+            await DashboardPanel.currentPanel._openCommitComposer();
+        }
+    }
+
+    /**
+     * 在比较视图中比较两个分支、标签或提交
+     */
+    public static async showRefComparison(left: string, right: string) {
+        if (DashboardPanel.currentPanel) {
+            await DashboardPanel.currentPanel._compareRefs(left, right);
+        }
+    }
+
     /**
      * 立即刷新（跳过防抖）
      */
@@ -1303,6 +1690,63 @@ export class DashboardPanel {
             }
 
             const workspaceRoot = this.gitService.getWorkspaceRoot();
+            // 切换仓库后丢弃属于其他仓库的变基计划和合并编辑器
+            if (this._interactiveRebase && this._interactiveRebaseRoot !== workspaceRoot) {
+                this._interactiveRebase = null;
+                this._interactiveRebaseRoot = undefined;
+            }
+            if (this._mergeEditor && this._mergeEditorRoot !== workspaceRoot) {
+                this._mergeEditor = null;
+                this._mergeEditorRoot = undefined;
+            }
+            if (this._hunkStaging && this._hunkStagingRoot !== workspaceRoot) {
+                this._hunkStaging = null;
+                this._hunkStagingRoot = undefined;
+            }
+            if (this._commitComposer && this._commitComposerRoot !== workspaceRoot) {
+                this._commitComposer = null;
+                this._commitComposerRoot = undefined;
+            }
+            if (this._refComparison && this._refComparisonRoot !== workspaceRoot) {
+                this._refComparison = null;
+                this._refComparisonRoot = undefined;
+            }
+            if (this._branchCleanup && this._branchCleanupRoot !== workspaceRoot) {
+                this._branchCleanup = null;
+                this._branchCleanupRoot = undefined;
+            }
+            if (this._branchCleanup) {
+                // 在其他地方删除的分支不再作为候选，并更新可恢复的分支
+                const existing = (await this.gitService.getBranches()).all;
+                this._branchCleanup = {
+                    ...this._branchCleanup,
+                    candidates: this._branchCleanup.candidates.filter(candidate => existing.includes(candidate.name)),
+                    deleted: DeletedBranches.getRecords(workspaceRoot || '')
+                };
+            }
+            if (this._commitComposer) {
+                // 在其他地方提交后更新“修改上一次提交”使用的提交信息
+                const head = await this.gitService.getHeadCommitMessage();
+                if ((head?.hash || null) !== (this._commitComposer.lastCommit?.hash || null)) {
+                    this._commitComposer = {
+                        ...this._commitComposer,
+                        lastCommit: await this._loadLastCommit(head)
+                    };
+                }
+                const suggestionKey = await this._getStagedKey();
+                if (suggestionKey !== this._commitSuggestionKey) {
+                    this._commitSuggestionKey = suggestionKey;
+                    const suggestion = await getStagedCommitSuggestion(this.gitService);
+                    this._commitComposer = {
+                        ...this._commitComposer,
+                        suggestion: suggestion?.header || null
+                    };
+                }
+            }
+            if (this._hunkStaging) {
+                // 文件可能已在其他地方暂存或修改，重新读取差异
+                this._hunkStaging = await this._loadHunkStaging(this._hunkStaging.file, this._hunkStaging.staged, this._hunkStaging.id);
+            }
             const repositoryInfo = workspaceRoot ? {
                 path: workspaceRoot,
                 name: path.basename(workspaceRoot)
@@ -1315,7 +1759,9 @@ export class DashboardPanel {
                 logResult,
                 remotesResult,
                 conflictsResult,
-                tagsResult
+                tagsResult,
+                stashesResult,
+                operationStateResult
             ] = await Promise.allSettled([
                 this.gitService.getStatus(),
                 this.gitService.getBranches(),
@@ -1325,8 +1771,10 @@ export class DashboardPanel {
                     ? this.gitService.getLogForBranch(800, this._gitGraphBranchFilter, forceRefreshLog)
                     : this.gitService.getLog(800, undefined, forceRefreshLog),
                 this.gitService.getRemotes(),
-                this.gitService.getConflicts(),
-                this.gitService.getTags()
+                this.gitService.getConflictEntries(),
+                this.gitService.getTags(),
+                this.gitService.getStashes(),
+                this.gitService.getOperationState()
             ]);
 
             // 先发送关键数据，让界面快速响应
@@ -1357,8 +1805,11 @@ export class DashboardPanel {
 
             const remotes = remotesResult.status === 'fulfilled' ? remotesResult.value : [];
             const currentBranch = branches.current || null;
-            const conflicts = conflictsResult.status === 'fulfilled' ? conflictsResult.value : [];
+            const conflictDetails = conflictsResult.status === 'fulfilled' ? conflictsResult.value : [];
+            const conflicts = conflictDetails.map(entry => entry.path);
             const tags = tagsResult.status === 'fulfilled' ? tagsResult.value : [];
+            const stashes = stashesResult.status === 'fulfilled' ? stashesResult.value : [];
+            const operationState = operationStateResult.status === 'fulfilled' ? operationStateResult.value : null;
 
             // 先尝试读取缓存的分支图；若为空则立即构建，保证首屏有 dag / parents
             let branchGraphSnapshot = await this.gitService.getBranchGraphSnapshot().catch(() => null);
@@ -1480,6 +1931,11 @@ export class DashboardPanel {
                 }
             };
 
+            const workflowStatus = await getWorkflowStatus(this.gitService).catch(error => {
+                ErrorHandler.handleSilent(error, '获取工作流状态');
+                return null;
+            });
+
             // 发送初始数据（尽可能带上缓存的分支图，远程标签异步加载）
             this._sendInitialData({
                 status,
@@ -1488,10 +1944,14 @@ export class DashboardPanel {
                 remotes,
                 currentBranch,
                 conflicts,
+                conflictDetails,
                 tags,
+                stashes,
+                operationState,
                 remoteTags: [], // 初始为空，异步加载
                 repositoryInfo,
-                branchGraphSnapshot: branchGraphSnapshot || null
+                branchGraphSnapshot: branchGraphSnapshot || null,
+                workflowStatus
             });
 
             // 异步加载远程标签（使用缓存，加快速度）
@@ -1557,10 +2017,14 @@ export class DashboardPanel {
                 remotes: [],
                 currentBranch: null,
                 conflicts: [],
+                conflictDetails: [],
                 tags: [],
+                stashes: [],
+                operationState: null,
                 remoteTags: [],
                 repositoryInfo: null,
-                branchGraphSnapshot: null
+                branchGraphSnapshot: null,
+                workflowStatus: null
             });
         }
     }
@@ -1622,10 +2086,14 @@ export class DashboardPanel {
         remotes: RemoteInfo[];
         currentBranch: string | null;
         conflicts: string[];
+        conflictDetails: ConflictEntry[];
         tags: GitData['tags'];
+        stashes: StashEntry[];
+        operationState: GitOperationState | null;
         remoteTags: Array<{ name: string; commit: string }>;
         repositoryInfo: RepositoryInfo | null;
         branchGraphSnapshot: BranchGraphData | null;
+        workflowStatus: WorkflowStatus | null;
     }) {
         if (this._disposed) {
             return;
@@ -1653,6 +2121,13 @@ export class DashboardPanel {
                 contributorStats: [],
                 branchGraph,
                 timeline: [],
+                repositories: this.repositoryManager.getRepositories(),
+                interactiveRebase: this._interactiveRebase,
+                mergeEditor: this._mergeEditor,
+                hunkStaging: this._hunkStaging,
+                commitComposer: this._commitComposer,
+                branchCleanup: this._branchCleanup,
+                refComparison: this._refComparison,
                 commandHistory: CommandHistory.getHistory(20),
                 availableCommands: CommandHistory.getAvailableCommands(),
                 categories: CommandHistory.getCommandCategories()
@@ -2165,6 +2640,425 @@ export class DashboardPanel {
         return pickRemote(this.gitService, actionLabel);
     }
 
+    /**
+     * 加载基准提交之后的提交，创建交互式变基计划
+     */
+    private async _openInteractiveRebase(baseHash: string) {
+        const commits = await this.gitService.getRebaseCommits(baseHash);
+        if (commits.length === 0) {
+            vscode.window.showInformationMessage('该提交之后没有可变基的提交');
+            return;
+        }
+
+        const [baseInfo, branches] = await Promise.all([
+            this.gitService.getCommitDetails([baseHash]),
+            this.gitService.getBranches()
+        ]);
+        const base = baseInfo[baseHash];
+
+        this._setInteractiveRebase({
+            id: Date.now(),
+            baseHash,
+            baseShortHash: baseHash.substring(0, 8),
+            baseMessage: base?.message || '',
+            branch: branches.current || null,
+            commits
+        });
+    }
+
+    private _setInteractiveRebase(session: InteractiveRebaseSession | null) {
+        this._interactiveRebase = session;
+        this._interactiveRebaseRoot = session ? this.gitService.getWorkspaceRoot() : undefined;
+        if (this._disposed) {
+            return;
+        }
+        this._panel.webview.postMessage({
+            type: 'gitDataUpdate',
+            data: {
+                interactiveRebase: session
+            }
+        });
+    }
+
+    /**
+     * 整体取舍冲突文件（删除/重命名/二进制/子模块冲突），与冲突视图共用命令
+     */
+    private async _resolveConflictSide(file: string, side: ConflictSideResolution) {
+        const commandIds: Record<ConflictSideResolution, string> = {
+            ours: 'git-assistant.resolveConflictOurs',
+            theirs: 'git-assistant.resolveConflictTheirs',
+            delete: 'git-assistant.resolveConflictDelete'
+        };
+        await vscode.commands.executeCommand(commandIds[side], file);
+        await this._sendGitData();
+    }
+
+    /**
+     * 加载冲突文件的三方版本和当前内容，在合并编辑器中打开
+     */
+    private async _openMergeEditor(file: string) {
+        try {
+            const workspaceRoot = this.gitService.getWorkspaceRoot();
+            if (!workspaceRoot) {
+                vscode.window.showErrorMessage('无法获取工作区根目录');
+                return;
+            }
+
+            // 通过文档读取当前内容，包含编辑器中尚未保存的修改
+            const document = await vscode.workspace.openTextDocument(vscode.Uri.joinPath(vscode.Uri.file(workspaceRoot), file));
+            const versions = await this.gitService.getConflictVersions(file);
+
+            this._setMergeEditor({
+                id: Date.now(),
+                file,
+                ...versions,
+                result: document.getText()
+            });
+        } catch (error) {
+            const errorMessage = error instanceof Error ? error.message : String(error);
+            vscode.window.showErrorMessage(`打开合并编辑器失败: ${errorMessage}`);
+        }
+    }
+
+    private _setMergeEditor(data: MergeEditorData | null) {
+        this._mergeEditor = data;
+        this._mergeEditorRoot = data ? this.gitService.getWorkspaceRoot() : undefined;
+        if (this._disposed) {
+            return;
+        }
+        this._panel.webview.postMessage({
+            type: 'gitDataUpdate',
+            data: {
+                mergeEditor: data
+            }
+        });
+    }
+
+    /**
+     * 读取文件差异；重新加载已打开的文件时沿用原 id，避免 Webview 再次切换标签页
+     */
+    private async _loadHunkStaging(file: string, staged: boolean, id: number = Date.now()): Promise<HunkStagingData> {
+        return {
+            id,
+            file,
+            staged,
+            diff: await this.gitService.getFileDiff(file, staged)
+        };
+    }
+
+    /**
+     * 在按块/行暂存编辑器中打开文件
+     */
+    private async _openHunkStaging(file: string, staged: boolean) {
+        try {
+            this._setHunkStaging(await this._loadHunkStaging(file, staged));
+        } catch (error) {
+            const errorMessage = error instanceof Error ? error.message : String(error);
+            vscode.window.showErrorMessage(`打开按块暂存失败: ${errorMessage}`);
+        }
+    }
+
+    private _setHunkStaging(data: HunkStagingData | null) {
+        this._hunkStaging = data;
+        this._hunkStagingRoot = data ? this.gitService.getWorkspaceRoot() : undefined;
+        if (this._disposed) {
+            return;
+        }
+        this._panel.webview.postMessage({
+            type: 'gitDataUpdate',
+            data: {
+                hunkStaging: data
+            }
+        });
+    }
+
+    /**
+     * 暂存/取消暂存/放弃按块暂存编辑器中选中的块或行
+     */
+    private async _applyHunkSelection(action: PartialChangeAction, selections: DiffLineSelection[], diff: FileDiff) {
+        if (!this._hunkStaging) {
+            return;
+        }
+        // diff 是控制面板中显示的差异，选中的块/行索引以它为准
+        if (await applyPartialChange(this.gitService, this._hunkStaging.file, action, selections, diff)) {
+            // 完整刷新时会重新读取差异
+            await this._sendGitData();
+        }
+    }
+
+    private async _loadLastCommit(head: { hash: string; message: string } | null): Promise<CommitComposerData['lastCommit']> {
+        if (!head) {
+            return null;
+        }
+        const { subject, body } = splitCommitMessage(head.message);
+        const extracted = extractCoAuthors(body);
+        return {
+            hash: head.hash,
+            subject,
+            body: extracted.body,
+            coAuthors: extracted.coAuthors,
+            pushed: await this.gitService.isCommitPushed(head.hash)
+        };
+    }
+
+    /**
+     * 加载提交模板、上一次提交和仓库中的作者，打开提交编辑器
+     */
+    private async _openCommitComposer() {
+        try {
+            const [template, head, authors, currentUser, suggestion, stagedKey] = await Promise.all([
+                this.gitService.getCommitTemplate(),
+                this.gitService.getHeadCommitMessage(),
+                this.gitService.getCommitAuthors(),
+                this.gitService.getCurrentUser(),
+                getStagedCommitSuggestion(this.gitService),
+                this._getStagedKey()
+            ]);
+            const initial = template ? parseCommitTemplate(template) : { subject: '', body: '' };
+            const currentEmail = currentUser?.email.toLowerCase();
+
+            this._commitSuggestionKey = stagedKey;
+            this._commitComposer = {
+                id: Date.now(),
+                // 模板没有标题时预填建议
+                subject: initial.subject || suggestion?.header || '',
+                body: initial.body,
+                hasTemplate: template !== null,
+                lastCommit: await this._loadLastCommit(head),
+                contributors: authors.filter(author => author.email.toLowerCase() !== currentEmail),
+                currentUser,
+                suggestion: suggestion?.header || null
+            };
+            this._commitComposerRoot = this.gitService.getWorkspaceRoot();
+            if (this._disposed) {
+                return;
+            }
+            this._panel.webview.postMessage({
+                type: 'gitDataUpdate',
+                data: {
+                    commitComposer: this._commitComposer
+                }
+            });
+        } catch (error) {
+            const errorMessage = error instanceof Error ? error.message : String(error);
+            vscode.window.showErrorMessage(`打开提交编辑器失败: ${errorMessage}`);
+        }
+    }
+
+    /**
+     * 暂存区状态的摘要（文件路径与暂存状态），用于判断是否需要重新生成提交建议
+     */
+    private async _getStagedKey(): Promise<string> {
+        const status = await this.gitService.getStatus();
+        return status.files
+            .filter(file => file.index !== ' ' && file.index !== '?')
+            .map(file => `${file.index}${file.path}`)
+            .join('\n');
+    }
+
+    /**
+     * 提交编辑器中的提交，成功后重置编辑器
+     */
+    private async _commitFromComposer(request: CommitRequest) {
+        const committed = await vscode.commands.executeCommand<boolean>('git-assistant.commitComposed', request);
+        if (committed) {
+            await this._openCommitComposer();
+        }
+        await this._sendGitData(true);
+    }
+
+    /**
+     * 比较两个引用：两侧各自独有的提交（left...right）以及汇总的文件更改
+     */
+    private async _compareRefs(left: string, right: string, mode: RefCompareMode = 'mergeBase') {
+        try {
+            const [leftHash, rightHash] = await Promise.all([
+                this.gitService.resolveRef(`${left}^{commit}`),
+                this.gitService.resolveRef(`${right}^{commit}`)
+            ]);
+            if (!leftHash || !rightHash) {
+                vscode.window.showErrorMessage(`无法解析引用 "${leftHash ? right : left}"，请输入分支、标签或提交哈希`);
+                return;
+            }
+
+            const [mergeBase, commits] = await Promise.all([
+                this.gitService.getMergeBase(leftHash, rightHash),
+                this.gitService.getLeftRightCommits(leftHash, rightHash)
+            ]);
+            // 没有共同祖先时只能直接比较两端
+            const effectiveMode: RefCompareMode = mergeBase ? mode : 'direct';
+            const files = await this.gitService.getChangedFiles(
+                effectiveMode === 'mergeBase' && mergeBase ? mergeBase : leftHash,
+                rightHash
+            );
+
+            this._refComparison = {
+                id: Date.now(),
+                left,
+                right,
+                leftHash,
+                rightHash,
+                mergeBase,
+                mode: effectiveMode,
+                leftCommits: commits.left,
+                rightCommits: commits.right,
+                truncated: commits.truncated,
+                files
+            };
+            this._refComparisonRoot = this.gitService.getWorkspaceRoot();
+            if (this._disposed) {
+                return;
+            }
+            this._panel.webview.postMessage({
+                type: 'gitDataUpdate',
+                data: {
+                    refComparison: this._refComparison
+                }
+            });
+        } catch (error) {
+            const errorMessage = error instanceof Error ? error.message : String(error);
+            vscode.window.showErrorMessage(`比较失败: ${errorMessage}`);
+        }
+    }
+
+    /**
+     * 将分支与当前分支比较（当前分支在左侧）
+     */
+    private async _compareWithCurrent(branchName: string) {
+        const currentBranch = (await this.gitService.getBranches()).current;
+        if (!currentBranch) {
+            vscode.window.showWarningMessage('当前处于分离 HEAD 状态，无法与当前分支比较');
+            return;
+        }
+        await this._compareRefs(currentBranch, branchName);
+    }
+
+    /**
+     * 打开比较结果中单个文件的差异（左侧为共同祖先或左侧引用，右侧为右侧引用）
+     */
+    private async _openCompareFileDiff(filePath: string, oldPath?: string, changeType?: string) {
+        const comparison = this._refComparison;
+        if (!comparison) {
+            return;
+        }
+        const fromRef = comparison.mode === 'mergeBase' && comparison.mergeBase ? comparison.mergeBase : comparison.leftHash;
+        const type = (changeType || '').trim().toUpperCase();
+
+        if (type.startsWith('D')) {
+            // 右侧已删除的文件：左侧版本对比空内容
+            const workspaceRoot = this.gitService.getWorkspaceRoot();
+            if (!workspaceRoot) {
+                vscode.window.showErrorMessage('无法获取工作区根目录');
+                return;
+            }
+            try {
+                const fileUri = vscode.Uri.file(path.join(workspaceRoot, filePath));
+                await vscode.commands.executeCommand(
+                    'vscode.diff',
+                    this._toGitUri(fileUri, fromRef),
+                    vscode.Uri.parse(`untitled:${path.join(workspaceRoot, filePath)}`),
+                    `${path.basename(filePath)} (Deleted in ${comparison.right})`
+                );
+            } catch (error) {
+                const errorMessage = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`无法打开差异视图: ${errorMessage}`);
+            }
+            return;
+        }
+
+        await this._openCommitDiff(
+            comparison.rightHash,
+            type.startsWith('A') ? 'EMPTY' : fromRef,
+            filePath,
+            oldPath,
+            filePath,
+            changeType
+        );
+    }
+
+    /**
+     * 扫描可清理的分支并推送给 Webview，未指定基准分支时使用 main / master 或当前分支
+     */
+    private async _scanBranchCleanup(base?: string, staleDays?: number, prune?: boolean) {
+        try {
+            const target = base || await getDefaultCleanupBase(this.gitService);
+            if (!target) {
+                vscode.window.showWarningMessage('无法确定基准分支');
+                return;
+            }
+            if (prune) {
+                await this.gitService.fetch({ all: true, prune: true });
+                CommandHistory.addCommand('git fetch --all --prune', '获取并清理', true);
+            }
+            this._branchCleanup = await scanBranchCleanup(this.gitService, target, staleDays);
+            this._branchCleanupRoot = this.gitService.getWorkspaceRoot();
+            if (this._disposed) {
+                return;
+            }
+            this._panel.webview.postMessage({
+                type: 'gitDataUpdate',
+                data: {
+                    branchCleanup: this._branchCleanup
+                }
+            });
+        } catch (error) {
+            const errorMessage = error instanceof Error ? error.message : String(error);
+            vscode.window.showErrorMessage(`扫描分支失败: ${errorMessage}`);
+        }
+    }
+
+    /**
+     * 保存合并结果，可选地标记为已解决
+     */
+    private async _saveMergeResult(file: string, content: string, markResolved: boolean) {
+        try {
+            const workspaceRoot = this.gitService.getWorkspaceRoot();
+            if (!workspaceRoot) {
+                vscode.window.showErrorMessage('无法获取工作区根目录');
+                return;
+            }
+
+            if (markResolved && parseConflictMarkers(content).hasConflict) {
+                const confirm = await vscode.window.showWarningMessage(
+                    `合并结果中仍包含冲突标记，确定要将 ${file} 标记为已解决吗？`,
+                    { modal: true },
+                    '仍然标记'
+                );
+                if (confirm !== '仍然标记') {
+                    return;
+                }
+            }
+
+            const fileUri = vscode.Uri.joinPath(vscode.Uri.file(workspaceRoot), file);
+            const document = await vscode.workspace.openTextDocument(fileUri);
+            const edit = new vscode.WorkspaceEdit();
+            edit.replace(
+                document.uri,
+                new vscode.Range(document.positionAt(0), document.positionAt(document.getText().length)),
+                content
+            );
+            await vscode.workspace.applyEdit(edit);
+            await document.save();
+
+            if (!markResolved) {
+                vscode.window.showInformationMessage(`✅ 已保存合并结果: ${file}`);
+                if (this._mergeEditor) {
+                    this._mergeEditor = { ...this._mergeEditor, result: content };
+                }
+                return;
+            }
+
+            // 与侧边栏“标记已解决”共用命令，同时刷新冲突视图
+            await vscode.commands.executeCommand('git-assistant.markResolved', fileUri.fsPath);
+            CommandHistory.addCommand(`git add ${file}`, '标记冲突已解决', true);
+            this._setMergeEditor(null);
+            await this._sendGitData();
+        } catch (error) {
+            const errorMessage = error instanceof Error ? error.message : String(error);
+            vscode.window.showErrorMessage(`保存合并结果失败: ${errorMessage}`);
+        }
+    }
+
     /**
      * 显示提交上下文菜单
      */
@@ -2200,6 +3094,11 @@ export class DashboardPanel {
                     label: '拣选提交',
                     description: 'Cherry-pick this commit',
                     action: 'cherryPick'
+                },
+                {
+                    label: '从此处交互式变基',
+                    description: '重写此提交之后的提交（git rebase -i）',
+                    action: 'interactiveRebase'
                 }
             ];
 
@@ -2230,6 +3129,9 @@ export class DashboardPanel {
                 case 'cherryPick':
                     await this._cherryPickCommit(commitHash);
                     break;
+                case 'interactiveRebase':
+                    await vscode.commands.executeCommand('git-assistant.interactiveRebase', commitHash);
+                    break;
             }
         } catch (error) {
             const errorMessage = error instanceof Error ? error.message : String(error);
@@ -2275,18 +3177,11 @@ export class DashboardPanel {
      */
     private async _createBranchFromCommit(commitHash: string) {
         try {
-            const branchName = await vscode.window.showInputBox({
+            const localBranches = (await this.gitService.getBranches()).all.filter(branch => !branch.startsWith('remotes/'));
+            const branchName = await promptBranchName(this.gitService, {
                 prompt: '输入新分支名称',
                 placeHolder: 'feature/new-branch',
-                validateInput: (value: string) => {
-                    if (!value) {
-                        return '分支名称不能为空';
-                    }
-                    if (!/^[a-zA-Z0-9_\-/]+$/.test(value)) {
-                        return '分支名称只能包含字母、数字、下划线、横线和斜线';
-                    }
-                    return null;
-                }
+                localBranches
             });
 
             if (!branchName) {
@@ -2323,7 +3218,12 @@ export class DashboardPanel {
             await this._sendGitData();
         } catch (error) {
             const errorMessage = error instanceof Error ? error.message : String(error);
-            vscode.window.showErrorMessage(`回滚失败: ${errorMessage}`);
+            if (await this.gitService.getOperationState()) {
+                await this._sendGitData();
+                promptOperationStopped(this.gitService);
+            } else {
+                vscode.window.showErrorMessage(`回滚失败: ${errorMessage}`);
+            }
         }
     }
 
@@ -2347,7 +3247,12 @@ export class DashboardPanel {
             await this._sendGitData();
         } catch (error) {
             const errorMessage = error instanceof Error ? error.message : String(error);
-            vscode.window.showErrorMessage(`拣选失败: ${errorMessage}`);
+            if (await this.gitService.getOperationState()) {
+                await this._sendGitData();
+                promptOperationStopped(this.gitService);
+            } else {
+                vscode.window.showErrorMessage(`拣选失败: ${errorMessage}`);
+            }
         }
     }
 
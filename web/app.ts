@@ -8,15 +8,23 @@ import { CommandHistoryComponent } from './components/command-history.js';
 import { GitCommandReferenceComponent } from './components/git-command-reference.js';
 import { RemoteManagerComponent } from './components/remote-manager.js';
 import { BranchTreeComponent } from './components/branch-tree.js';
+import { BranchCleanupComponent } from './components/branch-cleanup.js';
+import { RefCompareComponent } from './components/ref-compare.js';
+import { WorkflowStatusComponent } from './components/workflow-status.js';
 import { TagManagerComponent } from './components/tag-manager.js';
+import { StashManagerComponent } from './components/stash-manager.js';
+import { InteractiveRebaseComponent } from './components/interactive-rebase.js';
 import { ConflictEditorComponent } from './components/conflict-editor.js';
+import { HunkStagingComponent } from './components/hunk-staging.js';
+import { CommitComposerComponent } from './components/commit-composer.js';
 import { CommitGraphComponent } from './components/commit-graph.js';
 import { TimelineViewComponent } from './components/timeline-view.js';
 import { HeatmapAnalysisComponent } from './components/heatmap-analysis.js';
 import { GitGraphViewComponent } from './components/git-graph-view.js';
+import { attachOperationBannerListeners, getOperationBannerHtml } from './components/operation-banner.js';
 import { GitData } from './types/git.js';
 
-type TabType = 'graph' | 'heatmap' | 'git-graph' | 'timeline' | 'branches' | 'tags' | 'remotes' | 'conflicts' | 'commands' | 'command-ref';
+type TabType = 'graph' | 'heatmap' | 'git-graph' | 'timeline' | 'branches' | 'branch-cleanup' | 'compare' | 'workflow' | 'tags' | 'stashes' | 'rebase' | 'remotes' | 'changes' | 'commit' | 'conflicts' | 'commands' | 'command-ref';
 
 // VSCodeAPI 类型定义已移至 web/globals.d.ts
 
@@ -29,6 +37,11 @@ export class App {
     private timelineViewComponent: TimelineViewComponent | null = null;
     private heatmapAnalysisComponent: HeatmapAnalysisComponent | null = null;
     private tabScrollPositions: Partial<Record<TabType, number>> = {};
+    private interactiveRebaseId: number | null = null;
+    private mergeEditorId: number | null = null;
+    private hunkStagingId: number | null = null;
+    private commitComposerId: number | null = null;
+    private refComparisonId: number | null = null;
 
     constructor() {
         // 从持久化状态中恢复上次的标签页
@@ -59,19 +72,33 @@ export class App {
                 if (!incoming.commitFiles && this.gitData?.commitFiles) {
                     incoming.commitFiles = this.gitData.commitFiles;
                 }
+                if (!incoming.stashFiles && this.gitData?.stashFiles) {
+                    incoming.stashFiles = this.gitData.stashFiles;
+                }
                 this.gitData = incoming;
                 this.isLoading = false;
+                this.showNewSession();
                 this.render();
             } else if (message.type === 'gitDataUpdate') {
                 // 合并更新数据到现有数据
                 if (!this.gitData) {
                     this.gitData = message.data;
                 } else {
+                    // 储藏文件列表按需逐个加载，需要与已加载的列表合并
+                    const stashFiles = message.data?.stashFiles
+                        ? { ...(this.gitData.stashFiles || {}), ...message.data.stashFiles }
+                        : this.gitData.stashFiles;
                     this.gitData = {
                         ...this.gitData,
-                        ...message.data
+                        ...message.data,
+                        stashFiles
                     };
                 }
+                // 新建交互式变基或合并编辑器会话时切换到对应标签页并整页渲染
+                if (this.showNewSession()) {
+                    this.render();
+                    return;
+                }
                 // 对于 git-graph、timeline 和 heatmap 视图，避免重建整个页面导致滚动丢失或闪烁，直接局部更新
                 if (this.activeTab === 'git-graph' && this.gitGraphViewComponent) {
                     this.gitGraphViewComponent.render(this.gitData);
@@ -86,6 +113,76 @@ export class App {
         });
     }
 
+    /**
+     * 收到新的交互式变基会话时切换到变基标签页，收到新的合并编辑器会话时切换到冲突标签页，
+     * 打开新的按块暂存文件时切换到暂存更改标签页，收到新的比较结果时切换到分支比较标签页
+     */
+    private showNewSession(): boolean {
+        let targetTab: TabType | null = null;
+
+        const rebaseId = this.gitData?.interactiveRebase?.id ?? null;
+        if (rebaseId !== this.interactiveRebaseId) {
+            this.interactiveRebaseId = rebaseId;
+            if (rebaseId !== null) {
+                targetTab = 'rebase';
+            }
+        }
+
+        const mergeEditorId = this.gitData?.mergeEditor?.id ?? null;
+        if (mergeEditorId !== this.mergeEditorId) {
+            this.mergeEditorId = mergeEditorId;
+            if (mergeEditorId !== null) {
+                targetTab = 'conflicts';
+            }
+        }
+
+        const hunkStagingId = this.gitData?.hunkStaging?.id ?? null;
+        if (hunkStagingId !== this.hunkStagingId) {
+            this.hunkStagingId = hunkStagingId;
+            if (hunkStagingId !== null) {
+                targetTab = 'changes';
+            }
+        }
+
+        const commitComposerId = this.gitData?.commitComposer?.id ?? null;
+        if (commitComposerId !== this.commitComposerId) {
+            this.commitComposerId = commitComposerId;
+            if (commitComposerId !== null) {
+                targetTab = 'commit';
+            }
+        }
+
+        const refComparisonId = this.gitData?.refComparison?.id ?? null;
+        if (refComparisonId !== this.refComparisonId) {
+            this.refComparisonId = refComparisonId;
+            if (refComparisonId !== null) {
+                targetTab = 'compare';
+            }
+        }
+
+        if (targetTab === null || this.activeTab === targetTab) {
+            return false;
+        }
+        this.setActiveTab(targetTab);
+        return true;
+    }
+
+    private setActiveTab(tabId: TabType) {
+        // 切换离开 git-graph 前保存状态
+        if (this.activeTab === 'git-graph') {
+            this.gitGraphViewComponent?.saveState();
+        }
+        this.activeTab = tabId;
+        // 保存选中标签
+        if (window.vscode) {
+            const currentState = window.vscode.getState() || {};
+            window.vscode.setState({
+                ...currentState,
+                activeTab: tabId
+            });
+        }
+    }
+
     private requestData() {
         if (window.vscode) {
             window.vscode.postMessage({ command: 'getData' });
@@ -123,6 +220,7 @@ export class App {
             <div class="app-container">
                 ${this.getHeaderHtml()}
                 <main class="app-main">
+                    ${this.gitData?.operationState ? getOperationBannerHtml(this.gitData.operationState, this.gitData.conflicts?.length || 0) : ''}
                     ${this.getContentHtml()}
                 </main>
             </div>
@@ -149,7 +247,14 @@ export class App {
             { id: 'git-graph', label: '🧬 Git 视图表' },
             { id: 'remotes', label: '☁️ 远程仓库' },
             { id: 'branches', label: '🌿 分支管理' },
+            { id: 'branch-cleanup', label: '🧹 分支清理' },
+            { id: 'compare', label: '🔀 分支比较' },
+            { id: 'workflow', label: '🧭 工作流' },
             { id: 'tags', label: '🏷️ 标签管理' },
+            { id: 'stashes', label: '📦 储藏管理' },
+            { id: 'rebase', label: '✂️ 交互式变基' },
+            { id: 'changes', label: '✏️ 暂存更改' },
+            { id: 'commit', label: '💾 提交' },
             { id: 'conflicts', label: '⚠️ 冲突解决' },
             { id: 'graph', label: '📊 提交图' },
             { id: 'timeline', label: '📅 时间线' },
@@ -160,9 +265,12 @@ export class App {
             <header class="app-header">
                 <div class="header-top">
                     <h1>Git Assistant 可视化面板</h1>
-                    <button class="refresh-button" id="refresh-btn" title="刷新面板信息">
-                        <span class="refresh-icon">🔄</span>
-                    </button>
+                    <div class="header-actions">
+                        ${this.getRepositorySelectorHtml()}
+                        <button class="refresh-button" id="refresh-btn" title="刷新面板信息">
+                            <span class="refresh-icon">🔄</span>
+                        </button>
+                    </div>
                 </div>
                 <div class="tab-buttons">
                     ${tabs.map(tab => `
@@ -178,6 +286,26 @@ export class App {
         `;
     }
 
+    private getRepositorySelectorHtml(): string {
+        const repositories = this.gitData?.repositories || [];
+        const activePath = this.gitData?.repositoryInfo?.path;
+        if (repositories.length <= 1) {
+            return this.gitData?.repositoryInfo
+                ? `<span class="repo-name" title="${this.escapeHtml(this.gitData.repositoryInfo.path)}">📁 ${this.escapeHtml(this.gitData.repositoryInfo.name)}</span>`
+                : '';
+        }
+
+        return `
+            <select class="repo-select" id="repo-select" title="切换仓库">
+                ${repositories.map(repo => `
+                    <option value="${this.escapeHtml(repo.path)}" title="${this.escapeHtml(repo.path)}" ${repo.path === activePath ? 'selected' : ''}>
+                        📁 ${this.escapeHtml(repo.name)}
+                    </option>
+                `).join('')}
+            </select>
+        `;
+    }
+
     private getContentHtml(): string {
         // 根据当前标签页渲染对应内容
         // 这里先返回一个占位符，后续会逐步迁移各个组件
@@ -190,10 +318,24 @@ export class App {
                 return '<div id="remote-manager-container"></div>';
             case 'branches':
                 return '<div id="branch-tree-container"></div>';
+            case 'branch-cleanup':
+                return '<div id="branch-cleanup-container"></div>';
+            case 'compare':
+                return '<div id="ref-compare-container"></div>';
+            case 'workflow':
+                return '<div id="workflow-container"></div>';
             case 'tags':
                 return '<div id="tag-manager-container"></div>';
+            case 'stashes':
+                return '<div id="stash-manager-container"></div>';
+            case 'rebase':
+                return '<div id="interactive-rebase-container"></div>';
             case 'git-graph':
                 return '<div id="git-graph-view-container"></div>';
+            case 'changes':
+                return '<div id="hunk-staging-container"></div>';
+            case 'commit':
+                return '<div id="commit-composer-container"></div>';
             case 'conflicts':
                 return '<div id="conflict-editor-container"></div>';
             case 'graph':
@@ -218,24 +360,17 @@ export class App {
                 const target = e.target as HTMLElement;
                 const tabId = target.dataset.tab as TabType;
                 if (tabId) {
-                    // 切换离开 git-graph 前保存状态
-                    if (this.activeTab === 'git-graph') {
-                        this.gitGraphViewComponent?.saveState();
-                    }
-                    this.activeTab = tabId;
-                    // 保存选中标签
-                    if (window.vscode) {
-                        const currentState = window.vscode.getState() || {};
-                        window.vscode.setState({
-                            ...currentState,
-                            activeTab: tabId
-                        });
-                    }
+                    this.setActiveTab(tabId);
                     this.render();
                 }
             });
         });
 
+        // 进行中操作的继续/跳过/中止
+        if (this.rootElement) {
+            attachOperationBannerListeners(this.rootElement);
+        }
+
         // 刷新按钮
         const refreshBtn = document.getElementById('refresh-btn');
         if (refreshBtn) {
@@ -246,6 +381,16 @@ export class App {
             });
         }
 
+        // 仓库切换
+        const repoSelect = document.getElementById('repo-select') as HTMLSelectElement | null;
+        if (repoSelect) {
+            repoSelect.addEventListener('change', () => {
+                this.isLoading = true;
+                this.render();
+                window.vscode?.postMessage({ command: 'selectRepository', repositoryPath: repoSelect.value });
+            });
+        }
+
         // 初始化组件
         this.initComponents();
     }
@@ -287,6 +432,33 @@ export class App {
             }
         }
 
+        // 分支清理组件
+        if (this.activeTab === 'branch-cleanup') {
+            const container = document.getElementById('branch-cleanup-container');
+            if (container) {
+                const component = new BranchCleanupComponent('branch-cleanup-container');
+                component.render(this.gitData);
+            }
+        }
+
+        // 分支比较组件
+        if (this.activeTab === 'compare') {
+            const container = document.getElementById('ref-compare-container');
+            if (container) {
+                const component = new RefCompareComponent('ref-compare-container');
+                component.render(this.gitData);
+            }
+        }
+
+        // 工作流组件
+        if (this.activeTab === 'workflow') {
+            const container = document.getElementById('workflow-container');
+            if (container) {
+                const component = new WorkflowStatusComponent('workflow-container');
+                component.render(this.gitData);
+            }
+        }
+
         // 标签管理组件
         if (this.activeTab === 'tags') {
             const container = document.getElementById('tag-manager-container');
@@ -296,6 +468,42 @@ export class App {
             }
         }
 
+        // 储藏管理组件
+        if (this.activeTab === 'stashes') {
+            const container = document.getElementById('stash-manager-container');
+            if (container) {
+                const component = new StashManagerComponent('stash-manager-container');
+                component.render(this.gitData);
+            }
+        }
+
+        // 交互式变基组件
+        if (this.activeTab === 'rebase') {
+            const container = document.getElementById('interactive-rebase-container');
+            if (container) {
+                const component = new InteractiveRebaseComponent('interactive-rebase-container');
+                component.render(this.gitData);
+            }
+        }
+
+        // 按块/行暂存组件
+        if (this.activeTab === 'changes') {
+            const container = document.getElementById('hunk-staging-container');
+            if (container) {
+                const component = new HunkStagingComponent('hunk-staging-container');
+                component.render(this.gitData);
+            }
+        }
+
+        // 提交编辑器组件
+        if (this.activeTab === 'commit') {
+            const container = document.getElementById('commit-composer-container');
+            if (container) {
+                const component = new CommitComposerComponent('commit-composer-container');
+                component.render(this.gitData);
+            }
+        }
+
         // 冲突解决组件
         if (this.activeTab === 'conflicts') {
             const container = document.getElementById('conflict-editor-container');
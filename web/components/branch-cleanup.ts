@@ -0,0 +1,257 @@
+/**
+ * 分支清理组件
+ */
+
+import { escapeHtml, formatRelativeTime } from '../utils/dom-utils.js';
+import { BranchCleanupCandidate, BranchCleanupReason, BranchCleanupReport, DeletedBranchRecord, GitData } from '../types/git.js';
+
+const REASON_LABELS: Record<BranchCleanupReason, string> = {
+    merged: '已合并',
+    gone: '上游已删除',
+    stale: '长期无提交'
+};
+
+export class BranchCleanupComponent {
+    // 组件会随面板重新渲染而重建，选择状态与表单输入需要跨实例保留
+    private static selected: Set<string> = new Set();
+    private static selectionScannedAt: number | null = null;
+    private static showPreview = false;
+    private static base = '';
+    private static staleDays: number | null = null;
+    private static prune = false;
+    private container: HTMLElement;
+    private data: GitData | null = null;
+
+    constructor(containerId: string) {
+        const container = document.getElementById(containerId);
+        if (!container) {
+            throw new Error(`Container ${containerId} not found`);
+        }
+        this.container = container;
+    }
+
+    render(data: GitData | null) {
+        this.data = data;
+        const report = data?.branchCleanup || null;
+        if (report && report.scannedAt !== BranchCleanupComponent.selectionScannedAt) {
+            // 新的扫描结果：默认选中已合并或上游已删除的分支
+            BranchCleanupComponent.selectionScannedAt = report.scannedAt;
+            BranchCleanupComponent.selected = new Set(
+                report.candidates
+                    .filter(candidate => candidate.reasons.includes('merged') || candidate.reasons.includes('gone'))
+                    .map(candidate => candidate.name)
+            );
+            BranchCleanupComponent.base = report.base;
+            BranchCleanupComponent.staleDays = report.staleDays;
+            BranchCleanupComponent.showPreview = false;
+        }
+        this.container.innerHTML = this.getHtml(report);
+        this.attachEventListeners(report);
+    }
+
+    private getHtml(report: BranchCleanupReport | null): string {
+        const localBranches = (this.data?.branches?.all || []).filter(branch => !branch.startsWith('remotes/'));
+        const base = BranchCleanupComponent.base || report?.base || '';
+
+        return `
+            <div class="branch-cleanup">
+                <div class="branch-cleanup-header">
+                    <div class="branch-cleanup-title">
+                        <h2>分支清理</h2>
+                        ${report ? `<span class="branch-cleanup-count">${report.candidates.length} 个候选分支</span>` : ''}
+                    </div>
+                </div>
+                <div class="branch-cleanup-form">
+                    <label>
+                        基准分支
+                        <select id="cleanup-base">
+                            ${base ? '' : '<option value="">默认（main / master）</option>'}
+                            ${localBranches.map(branch => `
+                                <option value="${escapeHtml(branch)}" ${branch === base ? 'selected' : ''}>${escapeHtml(branch)}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                    <label>
+                        无提交天数
+                        <input type="number" id="cleanup-stale-days" min="0" value="${BranchCleanupComponent.staleDays ?? ''}" placeholder="默认">
+                    </label>
+                    <label class="branch-cleanup-checkbox">
+                        <input type="checkbox" id="cleanup-prune" ${BranchCleanupComponent.prune ? 'checked' : ''}>
+                        扫描前执行 fetch --prune
+                    </label>
+                    <button class="branch-cleanup-button" id="cleanup-scan-btn">🔍 扫描</button>
+                </div>
+                ${report ? this.getReportHtml(report) : `
+                    <div class="empty-state compact">
+                        <div class="empty-icon">🧹</div>
+                        <p>选择基准分支后点击“扫描”，查找已合并、上游已删除或长期无提交的本地分支</p>
+                    </div>
+                `}
+            </div>
+        `;
+    }
+
+    private getReportHtml(report: BranchCleanupReport): string {
+        const selected = report.candidates.filter(candidate => BranchCleanupComponent.selected.has(candidate.name));
+        const allSelected = report.candidates.length > 0 && selected.length === report.candidates.length;
+
+        return `
+            ${report.candidates.length > 0 ? `
+                <div class="branch-cleanup-toolbar">
+                    <label class="branch-cleanup-checkbox">
+                        <input type="checkbox" id="cleanup-select-all" ${allSelected ? 'checked' : ''}>
+                        全选
+                    </label>
+                    <span class="branch-cleanup-hint">基准分支 ${escapeHtml(report.base)} · ${report.staleDays > 0 ? `${report.staleDays} 天无提交视为长期无提交` : '不检查提交时间'}</span>
+                    <div class="branch-cleanup-actions">
+                        <button class="branch-cleanup-button secondary" id="cleanup-preview-btn" ${selected.length === 0 ? 'disabled' : ''}>
+                            ${BranchCleanupComponent.showPreview ? '隐藏预览' : '预览（dry run）'}
+                        </button>
+                        <button class="branch-cleanup-button danger" id="cleanup-delete-btn" ${selected.length === 0 ? 'disabled' : ''}>
+                            🗑️ 删除所选（${selected.length}）
+                        </button>
+                    </div>
+                </div>
+                ${BranchCleanupComponent.showPreview && selected.length > 0 ? this.getPreviewHtml(selected) : ''}
+                <div class="branch-cleanup-list">
+                    ${report.candidates.map(candidate => this.getCandidateHtml(candidate)).join('')}
+                </div>
+            ` : `
+                <div class="empty-state compact">
+                    <div class="empty-icon">✨</div>
+                    <p>没有需要清理的分支</p>
+                </div>
+            `}
+            ${report.deleted.length > 0 ? this.getDeletedHtml(report.deleted) : ''}
+        `;
+    }
+
+    private getCandidateHtml(candidate: BranchCleanupCandidate): string {
+        const checked = BranchCleanupComponent.selected.has(candidate.name);
+        return `
+            <label class="branch-cleanup-item ${checked ? 'selected' : ''}">
+                <input type="checkbox" class="cleanup-branch-checkbox" data-branch="${escapeHtml(candidate.name)}" ${checked ? 'checked' : ''}>
+                <div class="branch-cleanup-details">
+                    <div class="branch-cleanup-name-row">
+                        <span class="branch-cleanup-name">${escapeHtml(candidate.name)}</span>
+                        ${candidate.reasons.map(reason => `<span class="branch-cleanup-reason reason-${reason}">${REASON_LABELS[reason]}</span>`).join('')}
+                    </div>
+                    <div class="branch-cleanup-meta">
+                        <span title="${escapeHtml(new Date(candidate.date).toLocaleString('zh-CN'))}">${formatRelativeTime(candidate.date)}</span>
+                        <span>👤 ${escapeHtml(candidate.author)}</span>
+                        <span title="相对 ${escapeHtml(this.data?.branchCleanup?.base || '')} 领先 / 落后的提交数">↑${candidate.ahead} ↓${candidate.behind}</span>
+                        ${candidate.upstream ? `<span>☁️ ${escapeHtml(candidate.upstream)}</span>` : ''}
+                        <code>${escapeHtml(candidate.hash.substring(0, 8))}</code>
+                    </div>
+                </div>
+            </label>
+        `;
+    }
+
+    private getPreviewHtml(selected: BranchCleanupCandidate[]): string {
+        const lines = selected.map(candidate => {
+            const reasons = candidate.reasons.map(reason => REASON_LABELS[reason]).join('、');
+            return `git branch -D ${candidate.name}  # ${reasons}；${candidate.hash.substring(0, 8)}`;
+        });
+        return `
+            <div class="branch-cleanup-preview">
+                <div class="branch-cleanup-hint">预览：将执行以下命令（不会做任何修改），删除后可在“最近删除”中恢复</div>
+                <pre>${escapeHtml(lines.join('\n'))}</pre>
+            </div>
+        `;
+    }
+
+    private getDeletedHtml(deleted: DeletedBranchRecord[]): string {
+        return `
+            <div class="branch-cleanup-deleted">
+                <h3>最近删除</h3>
+                ${deleted.slice(0, 20).map(record => `
+                    <div class="branch-cleanup-deleted-item">
+                        <span class="branch-cleanup-name">${escapeHtml(record.name)}</span>
+                        <code>${escapeHtml(record.hash.substring(0, 8))}</code>
+                        <span class="branch-cleanup-hint">${formatRelativeTime(record.timestamp)}</span>
+                        <button class="branch-cleanup-button secondary restore-branch-btn" data-record-id="${escapeHtml(record.id)}">↩️ 恢复</button>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    private attachEventListeners(report: BranchCleanupReport | null) {
+        const baseSelect = this.container.querySelector('#cleanup-base') as HTMLSelectElement | null;
+        baseSelect?.addEventListener('change', () => {
+            BranchCleanupComponent.base = baseSelect.value;
+        });
+
+        const staleInput = this.container.querySelector('#cleanup-stale-days') as HTMLInputElement | null;
+        staleInput?.addEventListener('change', () => {
+            const value = parseInt(staleInput.value, 10);
+            BranchCleanupComponent.staleDays = Number.isNaN(value) || value < 0 ? null : value;
+        });
+
+        const pruneCheckbox = this.container.querySelector('#cleanup-prune') as HTMLInputElement | null;
+        pruneCheckbox?.addEventListener('change', () => {
+            BranchCleanupComponent.prune = pruneCheckbox.checked;
+        });
+
+        this.container.querySelector('#cleanup-scan-btn')?.addEventListener('click', () => {
+            window.vscode?.postMessage({
+                command: 'scanBranchCleanup',
+                base: BranchCleanupComponent.base || undefined,
+                staleDays: BranchCleanupComponent.staleDays ?? undefined,
+                prune: BranchCleanupComponent.prune
+            });
+        });
+
+        if (!report) {
+            return;
+        }
+
+        this.container.querySelectorAll('.cleanup-branch-checkbox').forEach(checkbox => {
+            checkbox.addEventListener('change', (e) => {
+                const target = e.currentTarget as HTMLInputElement;
+                const branch = target.dataset.branch;
+                if (!branch) {
+                    return;
+                }
+                if (target.checked) {
+                    BranchCleanupComponent.selected.add(branch);
+                } else {
+                    BranchCleanupComponent.selected.delete(branch);
+                }
+                this.render(this.data);
+            });
+        });
+
+        const selectAll = this.container.querySelector('#cleanup-select-all') as HTMLInputElement | null;
+        selectAll?.addEventListener('change', () => {
+            BranchCleanupComponent.selected = selectAll.checked
+                ? new Set(report.candidates.map(candidate => candidate.name))
+                : new Set();
+            this.render(this.data);
+        });
+
+        this.container.querySelector('#cleanup-preview-btn')?.addEventListener('click', () => {
+            BranchCleanupComponent.showPreview = !BranchCleanupComponent.showPreview;
+            this.render(this.data);
+        });
+
+        this.container.querySelector('#cleanup-delete-btn')?.addEventListener('click', () => {
+            const branches = report.candidates
+                .map(candidate => candidate.name)
+                .filter(name => BranchCleanupComponent.selected.has(name));
+            if (branches.length > 0) {
+                window.vscode?.postMessage({ command: 'cleanupBranches', base: report.base, branches });
+            }
+        });
+
+        this.container.querySelectorAll('.restore-branch-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const recordId = (e.currentTarget as HTMLElement).dataset.recordId;
+                if (recordId) {
+                    window.vscode?.postMessage({ command: 'restoreDeletedBranch', recordId });
+                }
+            });
+        });
+    }
+}
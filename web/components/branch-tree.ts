@@ -214,6 +214,12 @@ export class BranchTreeComponent {
                                                     title="合并到当前分支">
                                                 <span class="action-icon">🔗</span>
                                             </button>
+                                            <button class="branch-action-btn" 
+                                                    data-action="compare" 
+                                                    data-branch="${escapeHtml(branch)}"
+                                                    title="与当前分支比较">
+                                                <span class="action-icon">⇄</span>
+                                            </button>
                                         ` : ''}
                                         <button class="branch-action-btn" 
                                                 data-action="rename" 
@@ -259,6 +265,20 @@ export class BranchTreeComponent {
                                         <span class="branch-icon">☁️</span>
                                         <span class="branch-name">${escapeHtml(displayName)}</span>
                                     </div>
+                                    <div class="branch-actions">
+                                        <button class="branch-action-btn" 
+                                                data-action="track" 
+                                                data-branch="${escapeHtml(displayName)}"
+                                                title="检出为本地跟踪分支">
+                                            <span class="action-icon">⬇️</span>
+                                        </button>
+                                        <button class="branch-action-btn" 
+                                                data-action="compare" 
+                                                data-branch="${escapeHtml(displayName)}"
+                                                title="与当前分支比较">
+                                            <span class="action-icon">⇄</span>
+                                        </button>
+                                    </div>
                                 </div>
                             </div>
                         `;
@@ -304,6 +324,12 @@ export class BranchTreeComponent {
                     case 'delete':
                         window.vscode.postMessage({ command: 'deleteBranch', branch: branchName });
                         break;
+                    case 'compare':
+                        window.vscode.postMessage({ command: 'compareWithCurrent', branch: branchName });
+                        break;
+                    case 'track':
+                        window.vscode.postMessage({ command: 'checkoutTrackingBranch', branch: branchName });
+                        break;
                 }
             });
         });
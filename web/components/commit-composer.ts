@@ -0,0 +1,351 @@
+/**
+ * 提交编辑器组件
+ */
+
+import { escapeHtml } from '../utils/dom-utils.js';
+import { CommitAuthor, CommitComposerData, FileStatus, GitData } from '../types/git.js';
+
+// 标题建议长度与上限（超过上限时大多数工具会截断显示）
+const SUBJECT_SOFT_LIMIT = 50;
+const SUBJECT_HARD_LIMIT = 72;
+const BODY_LINE_LIMIT = 72;
+const MAX_VISIBLE_CONTRIBUTORS = 30;
+
+/**
+ * 正在编辑的提交（组件每次渲染都会重建，因此保存在静态字段中）
+ */
+interface CommitDraft {
+    id: number;
+    subject: string;
+    body: string;
+    amend: boolean;
+    signoff: boolean;
+    noVerify: boolean;
+    coAuthors: CommitAuthor[];
+    /** 取消勾选、提交前需要移出暂存区的文件 */
+    unstage: string[];
+    contributorFilter: string;
+}
+
+export class CommitComposerComponent {
+    private static draft: CommitDraft | null = null;
+    private static loadRequested = false;
+
+    private container: HTMLElement;
+    private data: GitData | null = null;
+
+    constructor(containerId: string) {
+        const container = document.getElementById(containerId);
+        if (!container) {
+            throw new Error(`Container ${containerId} not found`);
+        }
+        this.container = container;
+    }
+
+    render(data: GitData | null) {
+        this.data = data;
+        const composer = data?.commitComposer;
+        if (!composer) {
+            // 首次打开标签页时请求加载模板和作者列表
+            if (data && !CommitComposerComponent.loadRequested) {
+                CommitComposerComponent.loadRequested = true;
+                window.vscode?.postMessage({ command: 'openCommitComposer' });
+            }
+            this.container.innerHTML = '<div class="empty-state"><p>💾 正在加载提交编辑器...</p></div>';
+            return;
+        }
+        CommitComposerComponent.loadRequested = false;
+
+        if (!CommitComposerComponent.draft || CommitComposerComponent.draft.id !== composer.id) {
+            CommitComposerComponent.draft = {
+                id: composer.id,
+                subject: composer.subject,
+                body: composer.body,
+                amend: false,
+                signoff: false,
+                noVerify: false,
+                coAuthors: [],
+                unstage: [],
+                contributorFilter: ''
+            };
+        }
+        const draft = CommitComposerComponent.draft;
+        // 已不在暂存区的文件无需再取消暂存
+        const stagedFiles = this.getStagedFiles();
+        draft.unstage = draft.unstage.filter(file => stagedFiles.some(entry => entry.path === file));
+
+        this.container.innerHTML = this.getHtml(composer, draft, stagedFiles);
+        this.attachEventListeners(composer, draft);
+        this.updateIndicators(draft);
+    }
+
+    private getStagedFiles(): FileStatus[] {
+        return (this.data?.status?.files || []).filter(file => file.index !== ' ' && file.index !== '?');
+    }
+
+    private getHtml(composer: CommitComposerData, draft: CommitDraft, stagedFiles: FileStatus[]): string {
+        const lastCommit = composer.lastCommit;
+        return `
+            <div class="commit-composer">
+                <div class="section-header">
+                    <h2>💾 提交</h2>
+                    ${composer.currentUser ? `<span class="commit-author">作者：${escapeHtml(composer.currentUser.name)} &lt;${escapeHtml(composer.currentUser.email)}&gt;</span>` : ''}
+                </div>
+                <div class="commit-composer-layout">
+                    <div class="commit-message-editor">
+                        <label class="commit-field-label" for="commit-subject">标题</label>
+                        <div class="commit-subject-wrapper">
+                            <input id="commit-subject" class="commit-subject" type="text" spellcheck="false"
+                                   placeholder="简要描述本次提交，例如: feat: 添加导出功能"
+                                   value="${escapeHtml(draft.subject)}">
+                            <div class="commit-subject-ruler"><div class="commit-subject-ruler-fill"></div></div>
+                            <span class="commit-subject-count"></span>
+                        </div>
+                        ${composer.suggestion && composer.suggestion !== draft.subject.trim() ? `
+                            <div class="commit-suggestion" title="根据暂存的更改生成">
+                                💡 建议：<code>${escapeHtml(composer.suggestion)}</code>
+                                <button class="commit-btn small commit-use-suggestion">使用</button>
+                            </div>
+                        ` : ''}
+                        <label class="commit-field-label" for="commit-body">正文（可选）</label>
+                        <textarea id="commit-body" class="commit-body" spellcheck="false" rows="10"
+                                  placeholder="说明修改的原因和影响，每行建议不超过 ${BODY_LINE_LIMIT} 个字符">${escapeHtml(draft.body)}</textarea>
+                        <div class="commit-body-hint"></div>
+                        ${composer.hasTemplate ? '<div class="commit-template-hint">📄 已载入 commit.template 提交模板</div>' : ''}
+
+                        <div class="commit-options">
+                            <label title="${lastCommit ? escapeHtml(lastCommit.subject) : '当前分支还没有提交'}">
+                                <input type="checkbox" data-option="amend" ${draft.amend ? 'checked' : ''} ${lastCommit ? '' : 'disabled'}>
+                                修改上一次提交 (--amend)
+                            </label>
+                            <label><input type="checkbox" data-option="signoff" ${draft.signoff ? 'checked' : ''}> 添加签名 (--signoff)</label>
+                            <label><input type="checkbox" data-option="noVerify" ${draft.noVerify ? 'checked' : ''}> 跳过钩子 (--no-verify)</label>
+                        </div>
+                        ${draft.amend && lastCommit?.pushed ? '<div class="commit-warning">⚠️ 上一次提交已推送到远程，修改后需要强制推送</div>' : ''}
+
+                        <div class="commit-actions">
+                            <button class="commit-btn primary commit-submit">${draft.amend ? '✏️ 修改提交' : '✅ 提交'}</button>
+                            <span class="commit-submit-hint"></span>
+                        </div>
+                    </div>
+                    <div class="commit-side">
+                        ${this.getStagedFilesHtml(draft, stagedFiles)}
+                        ${this.getCoAuthorsHtml(composer, draft)}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    private getStagedFilesHtml(draft: CommitDraft, stagedFiles: FileStatus[]): string {
+        const includedCount = stagedFiles.length - draft.unstage.length;
+        return `
+            <div class="commit-panel">
+                <div class="commit-panel-title">已暂存的文件 <span class="count">${includedCount}/${stagedFiles.length}</span></div>
+                ${stagedFiles.length === 0
+                ? '<div class="commit-panel-empty">暂存区为空，请先暂存要提交的更改</div>'
+                : `<div class="commit-file-list">
+                        ${stagedFiles.map(file => `
+                            <label class="commit-file" title="取消勾选的文件会在提交前移出暂存区">
+                                <input type="checkbox" data-staged-file="${escapeHtml(file.path)}" ${draft.unstage.includes(file.path) ? '' : 'checked'}>
+                                <span class="commit-file-status">${escapeHtml(file.index)}</span>
+                                <span class="file-path">${escapeHtml(file.path)}</span>
+                            </label>
+                        `).join('')}
+                    </div>`}
+            </div>
+        `;
+    }
+
+    private getCoAuthorsHtml(composer: CommitComposerData, draft: CommitDraft): string {
+        const filter = draft.contributorFilter.trim().toLowerCase();
+        const selectedEmails = new Set(draft.coAuthors.map(author => author.email.toLowerCase()));
+        const candidates = this.getCoAuthorCandidates(composer, draft);
+        const visible = candidates
+            .filter(author => selectedEmails.has(author.email.toLowerCase()) || !filter ||
+                author.name.toLowerCase().includes(filter) || author.email.toLowerCase().includes(filter))
+            .slice(0, MAX_VISIBLE_CONTRIBUTORS);
+
+        return `
+            <div class="commit-panel">
+                <div class="commit-panel-title">共同作者 (Co-authored-by) <span class="count">${draft.coAuthors.length}</span></div>
+                <input class="commit-coauthor-filter" type="text" placeholder="搜索姓名或邮箱" value="${escapeHtml(draft.contributorFilter)}">
+                ${visible.length === 0
+                ? '<div class="commit-panel-empty">没有其他作者</div>'
+                : `<div class="commit-coauthor-list">
+                        ${visible.map(author => `
+                            <label class="commit-coauthor">
+                                <input type="checkbox" data-coauthor="${escapeHtml(author.email)}" ${selectedEmails.has(author.email.toLowerCase()) ? 'checked' : ''}>
+                                <span>${escapeHtml(author.name)}</span>
+                                <span class="commit-coauthor-email">${escapeHtml(author.email)}</span>
+                            </label>
+                        `).join('')}
+                    </div>`}
+            </div>
+        `;
+    }
+
+    /**
+     * 可选的共同作者：已选中的排在前面，修改提交时包括原提交中不在作者列表里的共同作者（取消勾选后仍可重新勾选）
+     */
+    private getCoAuthorCandidates(composer: CommitComposerData, draft: CommitDraft): CommitAuthor[] {
+        const seen = new Set<string>();
+        return [
+            ...draft.coAuthors,
+            ...(draft.amend && composer.lastCommit ? composer.lastCommit.coAuthors : []),
+            ...composer.contributors
+        ].filter(author => {
+            const email = author.email.toLowerCase();
+            if (seen.has(email)) {
+                return false;
+            }
+            seen.add(email);
+            return true;
+        });
+    }
+
+    /**
+     * 更新标题长度标尺、正文超长行提示和提交按钮状态（输入时不重新渲染，避免丢失焦点）
+     */
+    private updateIndicators(draft: CommitDraft) {
+        const length = draft.subject.trim().length;
+        const level = length > SUBJECT_HARD_LIMIT ? 'error' : length > SUBJECT_SOFT_LIMIT ? 'warning' : '';
+
+        const count = this.container.querySelector<HTMLElement>('.commit-subject-count');
+        if (count) {
+            count.textContent = `${length}/${SUBJECT_SOFT_LIMIT}`;
+            count.className = `commit-subject-count ${level}`;
+            count.title = `标题建议不超过 ${SUBJECT_SOFT_LIMIT} 个字符，最多 ${SUBJECT_HARD_LIMIT} 个字符`;
+        }
+        const fill = this.container.querySelector<HTMLElement>('.commit-subject-ruler-fill');
+        if (fill) {
+            fill.style.width = `${Math.min(length / SUBJECT_HARD_LIMIT, 1) * 100}%`;
+            fill.className = `commit-subject-ruler-fill ${level}`;
+        }
+
+        const longLines = draft.body.split('\n')
+            .map((line, index) => ({ line: index + 1, length: line.length }))
+            .filter(item => item.length > BODY_LINE_LIMIT);
+        const bodyHint = this.container.querySelector<HTMLElement>('.commit-body-hint');
+        if (bodyHint) {
+            bodyHint.textContent = longLines.length > 0
+                ? `正文第 ${longLines.map(item => item.line).join('、')} 行超过 ${BODY_LINE_LIMIT} 个字符`
+                : '';
+        }
+
+        const stagedCount = this.getStagedFiles().length - draft.unstage.length;
+        const submit = this.container.querySelector<HTMLButtonElement>('.commit-submit');
+        const submitHint = this.container.querySelector<HTMLElement>('.commit-submit-hint');
+        let reason = '';
+        if (!draft.subject.trim()) {
+            reason = '请输入提交标题';
+        } else if (stagedCount === 0 && !draft.amend) {
+            reason = '没有要提交的文件';
+        }
+        if (submit) {
+            submit.disabled = reason !== '';
+        }
+        if (submitHint) {
+            submitHint.textContent = reason || (draft.amend ? '将替换上一次提交' : `将提交 ${stagedCount} 个文件`);
+        }
+    }
+
+    private attachEventListeners(composer: CommitComposerData, draft: CommitDraft) {
+        const subject = this.container.querySelector<HTMLInputElement>('.commit-subject');
+        subject?.addEventListener('input', () => {
+            draft.subject = subject.value;
+            this.updateIndicators(draft);
+        });
+        const body = this.container.querySelector<HTMLTextAreaElement>('.commit-body');
+        body?.addEventListener('input', () => {
+            draft.body = body.value;
+            this.updateIndicators(draft);
+        });
+
+        this.container.querySelector('.commit-use-suggestion')?.addEventListener('click', () => {
+            if (composer.suggestion) {
+                draft.subject = composer.suggestion;
+                this.render(this.data);
+            }
+        });
+
+        this.container.querySelectorAll<HTMLInputElement>('[data-option]').forEach(input => {
+            input.addEventListener('change', () => {
+                const option = input.dataset.option as 'amend' | 'signoff' | 'noVerify';
+                draft[option] = input.checked;
+                if (option === 'amend') {
+                    this.toggleAmend(composer, draft);
+                }
+                this.render(this.data);
+            });
+        });
+
+        this.container.querySelectorAll<HTMLInputElement>('[data-staged-file]').forEach(input => {
+            input.addEventListener('change', () => {
+                const file = input.dataset.stagedFile || '';
+                draft.unstage = input.checked
+                    ? draft.unstage.filter(item => item !== file)
+                    : [...draft.unstage, file];
+                this.render(this.data);
+            });
+        });
+
+        const filter = this.container.querySelector<HTMLInputElement>('.commit-coauthor-filter');
+        filter?.addEventListener('change', () => {
+            draft.contributorFilter = filter.value;
+            this.render(this.data);
+        });
+
+        this.container.querySelectorAll<HTMLInputElement>('[data-coauthor]').forEach(input => {
+            input.addEventListener('change', () => {
+                const email = (input.dataset.coauthor || '').toLowerCase();
+                if (input.checked) {
+                    const author = this.getCoAuthorCandidates(composer, draft).find(item => item.email.toLowerCase() === email);
+                    if (author) {
+                        draft.coAuthors = [...draft.coAuthors, author];
+                    }
+                } else {
+                    draft.coAuthors = draft.coAuthors.filter(item => item.email.toLowerCase() !== email);
+                }
+                this.render(this.data);
+            });
+        });
+
+        this.container.querySelector('.commit-submit')?.addEventListener('click', () => {
+            window.vscode?.postMessage({
+                command: 'commitFromComposer',
+                commit: {
+                    subject: draft.subject,
+                    body: draft.body,
+                    amend: draft.amend,
+                    signoff: draft.signoff,
+                    noVerify: draft.noVerify,
+                    coAuthors: draft.coAuthors,
+                    unstage: draft.unstage
+                }
+            });
+        });
+    }
+
+    /**
+     * 勾选“修改上一次提交”时载入原提交信息；取消勾选且未修改时恢复模板
+     */
+    private toggleAmend(composer: CommitComposerData, draft: CommitDraft) {
+        const lastCommit = composer.lastCommit;
+        if (!lastCommit) {
+            return;
+        }
+        if (draft.amend) {
+            if (!draft.subject.trim() || (draft.subject === composer.subject && draft.body === composer.body)) {
+                draft.subject = lastCommit.subject;
+                draft.body = lastCommit.body;
+            }
+            if (draft.coAuthors.length === 0) {
+                draft.coAuthors = [...lastCommit.coAuthors];
+            }
+        } else if (draft.subject === lastCommit.subject && draft.body === lastCommit.body) {
+            draft.subject = composer.subject;
+            draft.body = composer.body;
+        }
+    }
+}
@@ -3,9 +3,47 @@
  */
 
 import { escapeHtml } from '../utils/dom-utils.js';
-import { GitData } from '../types/git.js';
+import { ConflictEntry, ConflictSideResolution, ConflictType, GitData, MergeEditorData } from '../types/git.js';
+import { OPERATION_LABELS, describeOperation } from './operation-banner.js';
+import { applyMergeHunk, findLineSequence, MergeHunk, MergeHunkAction, parseMergeHunks } from '../utils/conflict-parser.js';
+
+type MergePaneSide = 'ours' | 'base' | 'theirs';
+
+// 与扩展侧 conflict-status 保持一致
+const CONFLICT_TYPE_LABELS: Record<ConflictType, string> = {
+    'both-modified': '双方修改',
+    'added-by-both': '双方新增',
+    'deleted-by-us': '当前分支已删除',
+    'deleted-by-them': '传入分支已删除',
+    'added-by-us': '仅当前分支存在',
+    'added-by-them': '仅传入分支存在',
+    'deleted-by-both': '双方均已删除'
+};
+
+function isTextConflict(entry: ConflictEntry | undefined): boolean {
+    return !entry || (!entry.binary && !entry.submodule && entry.stages.ours !== null && entry.stages.theirs !== null);
+}
+
+function describeConflict(entry: ConflictEntry): string {
+    const kind = entry.submodule ? '子模块' : entry.binary ? '二进制文件' : '';
+    return kind ? `${kind} · ${CONFLICT_TYPE_LABELS[entry.type]}` : CONFLICT_TYPE_LABELS[entry.type];
+}
+
+/**
+ * 合并编辑器的编辑状态（组件每次渲染都会重建，因此保存在静态字段中）
+ */
+interface MergeSession {
+    id: number;
+    /** 合并结果（文本框中统一使用 LF 换行，保存时恢复原始换行符） */
+    result: string;
+    eol: '\n' | '\r\n';
+    activeIndex: number;
+    scrollTop: number;
+}
 
 export class ConflictEditorComponent {
+    private static mergeSession: MergeSession | null = null;
+
     private container: HTMLElement;
     private data: GitData | null = null;
     private selectedFile: string | null = null;
@@ -24,6 +62,25 @@ export class ConflictEditorComponent {
             this.container.innerHTML = '<div class="empty-state"><p>⚠️ 正在检测冲突...</p></div>';
             return;
         }
+
+        const mergeEditor = data.mergeEditor;
+        if (mergeEditor) {
+            const session = ConflictEditorComponent.mergeSession;
+            if (!session || session.id !== mergeEditor.id) {
+                ConflictEditorComponent.mergeSession = {
+                    id: mergeEditor.id,
+                    result: mergeEditor.result.replace(/\r\n/g, '\n'),
+                    eol: mergeEditor.result.includes('\r\n') ? '\r\n' : '\n',
+                    activeIndex: 0,
+                    scrollTop: 0
+                };
+            }
+            this.container.innerHTML = this.getMergeEditorHtml(mergeEditor, ConflictEditorComponent.mergeSession!);
+            this.attachMergeEditorListeners(mergeEditor, ConflictEditorComponent.mergeSession!);
+            return;
+        }
+
+        ConflictEditorComponent.mergeSession = null;
         this.container.innerHTML = this.getHtml();
         this.attachEventListeners();
     }
@@ -59,6 +116,7 @@ export class ConflictEditorComponent {
             <div class="section-header">
                 <div>
                     <h2>冲突解决</h2>
+                    ${this.getOperationSourceHtml()}
                 </div>
                 <div class="conflict-count">
                     发现 <span class="count">${count}</span> 个冲突文件
@@ -67,23 +125,52 @@ export class ConflictEditorComponent {
         `;
     }
 
+    /**
+     * 显示引起冲突的操作及双方引用
+     */
+    private getOperationSourceHtml(): string {
+        const state = this.data?.operationState;
+        if (!state) {
+            return '';
+        }
+        return `
+            <div class="conflict-source">
+                <div>由<strong>${OPERATION_LABELS[state.type]}</strong>引起：${escapeHtml(describeOperation(state))}</div>
+                <div class="conflict-refs">
+                    <span>当前更改 (ours)：<code>${escapeHtml(state.current || '未知')}</code></span>
+                    <span>传入更改 (theirs)：<code>${escapeHtml(state.incoming || '未知')}</code>${state.incomingMessage ? ` ${escapeHtml(state.incomingMessage)}` : ''}</span>
+                </div>
+                ${state.type === 'rebase' ? '<div class="conflict-source-hint">💡 变基时“当前更改”是变基的目标基准，“传入更改”是正在重新应用的你的提交</div>' : ''}
+            </div>
+        `;
+    }
+
     private getConflictListHtml(conflicts: string[]): string {
         return `
             <div class="conflict-list">
                 ${conflicts.map(file => {
             const isSelected = file === this.selectedFile;
+            const entry = this.data?.conflictDetails?.find(item => item.path === file);
+            const textual = isTextConflict(entry);
             return `
                         <div class="conflict-item ${isSelected ? 'selected' : ''}" 
                              data-file="${escapeHtml(file)}">
                             <div class="conflict-header">
-                                <span class="conflict-icon">⚠️</span>
+                                <span class="conflict-icon">${textual ? '⚠️' : entry?.submodule ? '📦' : entry?.binary ? '🧱' : '🗑️'}</span>
                                 <span class="file-path">${escapeHtml(file)}</span>
+                                ${entry ? `<span class="conflict-type ${textual ? '' : 'whole'}">${escapeHtml(describeConflict(entry))}</span>` : ''}
+                                ${textual ? `
+                                <button class="merge-button" 
+                                        data-file="${escapeHtml(file)}">
+                                    🔀 合并编辑器
+                                </button>` : ''}
+                                ${entry?.type !== 'deleted-by-both' && !entry?.submodule ? `
                                 <button class="open-button" 
                                         data-file="${escapeHtml(file)}">
                                     📝 打开文件
-                                </button>
+                                </button>` : ''}
                             </div>
-                            ${isSelected ? this.getConflictActionsHtml(file) : ''}
+                            ${isSelected ? (textual ? this.getConflictActionsHtml(file) : this.getWholeFileActionsHtml(entry!)) : ''}
                         </div>
                     `;
         }).join('')}
@@ -92,6 +179,9 @@ export class ConflictEditorComponent {
     }
 
     private getConflictActionsHtml(file: string): string {
+        const state = this.data?.operationState;
+        const currentDesc = state?.current ? `保留 ${escapeHtml(state.current)} 的修改` : '保留本地修改';
+        const incomingDesc = state?.incoming ? `使用 ${escapeHtml(state.incoming)} 的修改` : '使用远程修改';
         return `
             <div class="conflict-actions">
                 <h4>选择解决方式：</h4>
@@ -101,25 +191,87 @@ export class ConflictEditorComponent {
                             data-file="${escapeHtml(file)}">
                         <div class="button-icon">←</div>
                         <div class="button-label">接受当前更改</div>
-                        <div class="button-desc">保留本地修改</div>
+                        <div class="button-desc">${currentDesc}</div>
                     </button>
                     <button class="action-button incoming" 
                             data-action="incoming" 
                             data-file="${escapeHtml(file)}">
                         <div class="button-icon">→</div>
                         <div class="button-label">接受传入更改</div>
-                        <div class="button-desc">使用远程修改</div>
+                        <div class="button-desc">${incomingDesc}</div>
                     </button>
                     <button class="action-button both" 
                             data-action="both" 
                             data-file="${escapeHtml(file)}">
                         <div class="button-icon">↕</div>
                         <div class="button-label">接受所有更改</div>
-                        <div class="button-desc">保留两边修改</div>
+                        <div class="button-desc">先当前后传入</div>
+                    </button>
+                    <button class="action-button both" 
+                            data-action="incomingThenCurrent" 
+                            data-file="${escapeHtml(file)}">
+                        <div class="button-icon">⇅</div>
+                        <div class="button-label">接受所有更改</div>
+                        <div class="button-desc">先传入后当前</div>
+                    </button>
+                    <button class="action-button auto" 
+                            data-action="auto" 
+                            data-file="${escapeHtml(file)}">
+                        <div class="button-icon">✨</div>
+                        <div class="button-label">自动解决</div>
+                        <div class="button-desc">仅一侧相对基准有修改的冲突块</div>
                     </button>
                 </div>
                 <div class="manual-edit">
-                    <p>💡 提示：你也可以点击"打开文件"手动编辑解决冲突</p>
+                    <p>💡 提示：你也可以使用"合并编辑器"对照三方版本逐块解决，或点击"打开文件"手动编辑</p>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * 删除、重命名、二进制和子模块冲突只能整体选择保留哪个版本
+     */
+    private getWholeFileActionsHtml(entry: ConflictEntry): string {
+        const state = this.data?.operationState;
+        const buttons: Array<{ side: ConflictSideResolution; icon: string; label: string; desc: string }> = [];
+        if (entry.stages.ours) {
+            buttons.push({
+                side: 'ours',
+                icon: '←',
+                label: '使用当前版本',
+                desc: entry.stages.theirs
+                    ? `保留 ${escapeHtml(state?.current || '当前分支')} 的版本`
+                    : '保留文件，不接受传入分支的删除'
+            });
+        }
+        if (entry.stages.theirs) {
+            buttons.push({
+                side: 'theirs',
+                icon: '→',
+                label: '使用传入版本',
+                desc: entry.stages.ours
+                    ? `使用 ${escapeHtml(state?.incoming || '传入分支')} 的版本`
+                    : '保留文件，不接受当前分支的删除'
+            });
+        }
+        if (!entry.stages.ours || !entry.stages.theirs) {
+            buttons.push({ side: 'delete', icon: '🗑', label: '删除文件', desc: '接受删除，从工作区和索引中移除' });
+        }
+
+        return `
+            <div class="conflict-actions">
+                <h4>${escapeHtml(describeConflict(entry))}，无法按文本合并，请选择保留哪个版本：</h4>
+                <div class="action-buttons">
+                    ${buttons.map(button => `
+                        <button class="action-button ${button.side === 'ours' ? 'current' : button.side === 'theirs' ? 'incoming' : 'delete'}" 
+                                data-side="${button.side}" 
+                                data-file="${escapeHtml(entry.path)}">
+                            <div class="button-icon">${button.icon}</div>
+                            <div class="button-label">${button.label}</div>
+                            <div class="button-desc">${button.desc}</div>
+                        </button>
+                    `).join('')}
                 </div>
             </div>
         `;
@@ -137,7 +289,16 @@ export class ConflictEditorComponent {
                         <strong>接受传入更改</strong>：使用远程的修改，放弃你本地的修改
                     </li>
                     <li>
-                        <strong>接受所有更改</strong>：同时保留本地和远程的修改
+                        <strong>接受所有更改</strong>：同时保留本地和远程的修改，可选择先后顺序
+                    </li>
+                    <li>
+                        <strong>自动解决</strong>：对比合并基准，只有一侧修改的冲突块直接采用该侧（启用 <code>git config merge.conflictStyle zdiff3</code> 后冲突中会包含基准内容）
+                    </li>
+                    <li>
+                        <strong>删除、重命名、二进制和子模块冲突</strong>：无法按文本合并，直接选择使用当前版本、传入版本或删除文件
+                    </li>
+                    <li>
+                        <strong>合并编辑器</strong>：并排查看当前、基准、传入三个版本，逐个冲突块选择或直接编辑合并结果
                     </li>
                     <li>
                         <strong>手动编辑</strong>：打开文件手动编辑，适合需要精细控制的情况
@@ -152,7 +313,8 @@ export class ConflictEditorComponent {
         this.container.querySelectorAll('.conflict-item').forEach(item => {
             item.addEventListener('click', (e) => {
                 if ((e.target as HTMLElement).closest('.conflict-actions') ||
-                    (e.target as HTMLElement).closest('.open-button')) {
+                    (e.target as HTMLElement).closest('.open-button') ||
+                    (e.target as HTMLElement).closest('.merge-button')) {
                     return;
                 }
                 const file = (e.currentTarget as HTMLElement).dataset.file;
@@ -174,15 +336,33 @@ export class ConflictEditorComponent {
             });
         });
 
+        // 在合并编辑器中打开
+        this.container.querySelectorAll('.merge-button').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const file = (e.currentTarget as HTMLElement).dataset.file;
+                if (file && window.vscode) {
+                    window.vscode.postMessage({ command: 'openMergeEditor', file });
+                }
+            });
+        });
+
         // 解决冲突
         this.container.querySelectorAll('.action-button').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 e.stopPropagation();
                 const target = e.currentTarget as HTMLElement;
-                const action = target.dataset.action as 'current' | 'incoming' | 'both';
+                const action = target.dataset.action;
+                const side = target.dataset.side;
                 const file = target.dataset.file;
 
-                if (file && action && window.vscode) {
+                if (file && side && window.vscode) {
+                    window.vscode.postMessage({
+                        command: 'resolveConflictSide',
+                        file,
+                        side
+                    });
+                } else if (file && action && window.vscode) {
                     window.vscode.postMessage({
                         command: 'resolveConflict',
                         file,
@@ -192,5 +372,215 @@ export class ConflictEditorComponent {
             });
         });
     }
+
+    private getMergeEditorHtml(editor: MergeEditorData, session: MergeSession): string {
+        const state = this.data?.operationState;
+        return `
+            <div class="merge-editor">
+                <div class="merge-editor-header">
+                    <div class="merge-editor-title">
+                        <h2>🔀 合并编辑器</h2>
+                        <span class="file-path">${escapeHtml(editor.file)}</span>
+                        <span class="merge-unresolved-count"></span>
+                    </div>
+                    <div class="merge-editor-actions">
+                        <button class="merge-editor-btn" data-merge-command="prev" title="上一个未解决的冲突">↑ 上一个</button>
+                        <button class="merge-editor-btn" data-merge-command="next" title="下一个未解决的冲突">↓ 下一个</button>
+                        <button class="merge-editor-btn" data-merge-command="save">💾 保存</button>
+                        <button class="merge-editor-btn primary" data-merge-command="markResolved">✅ 保存并标记已解决</button>
+                        <button class="merge-editor-btn" data-merge-command="openFile">📝 打开文件</button>
+                        <button class="merge-editor-btn" data-merge-command="close">✖ 关闭</button>
+                    </div>
+                </div>
+                ${this.getOperationSourceHtml()}
+                <div class="merge-panes">
+                    ${this.getMergePaneHtml('ours', '当前更改 (ours)', state?.current, editor.ours)}
+                    ${this.getMergePaneHtml('base', '合并基准 (base)', null, editor.base)}
+                    ${this.getMergePaneHtml('theirs', '传入更改 (theirs)', state?.incoming, editor.theirs)}
+                </div>
+                <div class="merge-result">
+                    <div class="merge-result-header">
+                        <h3>合并结果</h3>
+                        <span class="merge-result-hint">可直接编辑，或在下方为每个冲突块选择要采用的内容</span>
+                    </div>
+                    <div class="merge-hunk-list"></div>
+                    <textarea class="merge-result-text" spellcheck="false">${escapeHtml(session.result)}</textarea>
+                </div>
+            </div>
+        `;
+    }
+
+    private getMergePaneHtml(side: MergePaneSide, title: string, ref: string | null | undefined, content: string | null): string {
+        const body = content === null
+            ? '<div class="merge-pane-empty">该版本不存在（文件在此侧被新增或删除）</div>'
+            : content.split(/\r?\n/).map((text, index) => `
+                <div class="merge-pane-line" data-line="${index}"><span class="line-number">${index + 1}</span><span class="line-text">${escapeHtml(text)}</span></div>
+            `).join('');
+        return `
+            <div class="merge-pane" data-pane="${side}">
+                <div class="merge-pane-header">
+                    <span>${title}</span>
+                    ${ref ? `<code>${escapeHtml(ref)}</code>` : ''}
+                </div>
+                <div class="merge-pane-body">${body}</div>
+            </div>
+        `;
+    }
+
+    private getHunkListHtml(hunks: MergeHunk[], activeIndex: number): string {
+        if (hunks.length === 0) {
+            return '<div class="merge-hunk-empty">✅ 所有冲突块均已处理，检查结果后即可标记为已解决</div>';
+        }
+        return hunks.map((hunk, index) => `
+            <div class="merge-hunk ${index === activeIndex ? 'active' : ''}" data-hunk-index="${index}">
+                <span class="merge-hunk-label">冲突 #${index + 1} · 第 ${hunk.line + 1} 行</span>
+                <div class="merge-hunk-actions">
+                    <button data-hunk-action="current" title="采用当前更改">接受当前</button>
+                    <button data-hunk-action="incoming" title="采用传入更改">接受传入</button>
+                    <button data-hunk-action="both" title="先当前后传入">接受两者</button>
+                    <button data-hunk-action="incomingThenCurrent" title="先传入后当前">传入 + 当前</button>
+                    ${hunk.base !== undefined ? '<button data-hunk-action="base" title="恢复为合并基准的内容">使用基准</button>' : ''}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    private attachMergeEditorListeners(editor: MergeEditorData, session: MergeSession) {
+        const textarea = this.container.querySelector<HTMLTextAreaElement>('.merge-result-text');
+        if (!textarea) {
+            return;
+        }
+        textarea.scrollTop = session.scrollTop;
+
+        let hunks = this.updateMergeHunks(session);
+
+        const selectActiveHunk = () => {
+            const hunk = hunks[session.activeIndex];
+            if (!hunk) {
+                return;
+            }
+            textarea.focus();
+            textarea.setSelectionRange(hunk.start, hunk.end);
+            const lineHeight = parseFloat(getComputedStyle(textarea).lineHeight) || 18;
+            textarea.scrollTop = Math.max(0, hunk.line * lineHeight - textarea.clientHeight / 3);
+            session.scrollTop = textarea.scrollTop;
+        };
+
+        const refresh = () => {
+            hunks = this.updateMergeHunks(session);
+            this.container.querySelectorAll<HTMLElement>('.merge-hunk').forEach(row => {
+                const index = Number(row.dataset.hunkIndex);
+                row.addEventListener('click', (e) => {
+                    const action = (e.target as HTMLElement).closest<HTMLElement>('[data-hunk-action]')?.dataset.hunkAction as MergeHunkAction | undefined;
+                    if (action && hunks[index]) {
+                        session.result = applyMergeHunk(session.result, hunks[index], action);
+                        textarea.value = session.result;
+                    }
+                    session.activeIndex = index;
+                    refresh();
+                    selectActiveHunk();
+                });
+            });
+        };
+        refresh();
+
+        textarea.addEventListener('input', () => {
+            session.result = textarea.value;
+            refresh();
+        });
+        textarea.addEventListener('scroll', () => {
+            session.scrollTop = textarea.scrollTop;
+        });
+
+        this.container.querySelectorAll<HTMLElement>('[data-merge-command]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const command = btn.dataset.mergeCommand;
+                if (!window.vscode) {
+                    return;
+                }
+                switch (command) {
+                    case 'prev':
+                    case 'next':
+                        if (hunks.length === 0) {
+                            return;
+                        }
+                        session.activeIndex = (session.activeIndex + (command === 'next' ? 1 : -1) + hunks.length) % hunks.length;
+                        refresh();
+                        selectActiveHunk();
+                        break;
+                    case 'save':
+                    case 'markResolved':
+                        window.vscode.postMessage({
+                            command: 'saveMergeResult',
+                            file: editor.file,
+                            content: session.eol === '\r\n' ? session.result.replace(/\n/g, '\r\n') : session.result,
+                            markResolved: command === 'markResolved'
+                        });
+                        break;
+                    case 'openFile':
+                        window.vscode.postMessage({ command: 'openFile', file: editor.file });
+                        break;
+                    case 'close':
+                        window.vscode.postMessage({ command: 'closeMergeEditor' });
+                        break;
+                }
+            });
+        });
+    }
+
+    /**
+     * 重新解析合并结果，更新冲突块列表、计数以及三个版本中的高亮
+     */
+    private updateMergeHunks(session: MergeSession): MergeHunk[] {
+        const hunks = parseMergeHunks(session.result);
+        session.activeIndex = Math.min(session.activeIndex, Math.max(hunks.length - 1, 0));
+
+        const count = this.container.querySelector('.merge-unresolved-count');
+        if (count) {
+            count.textContent = hunks.length > 0 ? `剩余 ${hunks.length} 个冲突块` : '冲突已全部处理';
+            count.classList.toggle('done', hunks.length === 0);
+        }
+        const list = this.container.querySelector('.merge-hunk-list');
+        if (list) {
+            list.innerHTML = this.getHunkListHtml(hunks, session.activeIndex);
+        }
+
+        const sides: Array<[MergePaneSide, (hunk: MergeHunk) => string[] | undefined]> = [
+            ['ours', hunk => hunk.current],
+            ['base', hunk => hunk.base],
+            ['theirs', hunk => hunk.incoming]
+        ];
+        sides.forEach(([side, getLines]) => {
+            const body = this.container.querySelector<HTMLElement>(`.merge-pane[data-pane="${side}"] .merge-pane-body`);
+            if (!body) {
+                return;
+            }
+            const lineElements = Array.from(body.querySelectorAll<HTMLElement>('.merge-pane-line'));
+            const paneLines = lineElements.map(el => el.querySelector('.line-text')?.textContent ?? '');
+            lineElements.forEach(el => el.classList.remove('hunk-line', 'active'));
+
+            // 按顺序在该版本中定位每个冲突块对应的行
+            let searchFrom = 0;
+            hunks.forEach((hunk, index) => {
+                const lines = getLines(hunk) || [];
+                const found = findLineSequence(paneLines, lines, searchFrom);
+                if (found === -1) {
+                    return;
+                }
+                searchFrom = found + lines.length;
+                lineElements.slice(found, searchFrom).forEach(el => {
+                    el.classList.add('hunk-line');
+                    el.classList.toggle('active', index === session.activeIndex);
+                });
+            });
+
+            const active = body.querySelector<HTMLElement>('.merge-pane-line.active');
+            if (active) {
+                body.scrollTop = Math.max(0, active.offsetTop - body.clientHeight / 3);
+            }
+        });
+
+        return hunks;
+    }
 }
 
@@ -3,7 +3,7 @@
  */
 
 import { escapeHtml } from '../utils/dom-utils.js';
-import { GitData, CommitInfo, BranchGraphDag } from '../types/git.js';
+import { GitData, CommitInfo, BranchGraphDag, StashEntry } from '../types/git.js';
 import { GitGraphRenderer } from '../utils/git-graph-renderer.js';
 import { TextFormatter } from '../utils/text-formatter.js';
 import { Dialog } from './dialog.js';
@@ -345,6 +345,9 @@ export class GitGraphViewComponent {
     private commitsRef: CommitInfo[] = [];
     private dagRef: BranchGraphDag | null = null;
     private currentBranchRef: string | null = null;
+    private stashMap: Map<string, StashEntry> = new Map();
+    // Ctrl/Cmd+点击选中的提交（最多两个），用于比较
+    private compareSelection: string[] = [];
 
     // 计算缓存
     private commitNodes: CommitNode[] = [];
@@ -537,6 +540,7 @@ export class GitGraphViewComponent {
             if (commitsChanged) this.commitsRef = data?.log?.all || [];
             if (dagChanged) this.dagRef = data?.branchGraph?.dag || null;
             if (branchChanged) this.currentBranchRef = (data?.branchGraph?.currentBranch || data?.branches?.current || null);
+            this.stashMap = new Map((data?.stashes || []).map(stash => [stash.hash, stash]));
             if (incomingCommitFiles) {
                 Object.entries(incomingCommitFiles).forEach(([hash, files]) => {
                     this.commitFilesCache.set(hash, files || []);
@@ -912,17 +916,52 @@ export class GitGraphViewComponent {
             }
         });
 
+        // 储藏作为独立节点挂在其基准提交上（基准提交不在图中时不显示）
+        const stashesByBase = new Map<string, string[]>();
+        this.stashMap.forEach(stash => {
+            if (!stash.baseHash || !nodeMap.has(stash.baseHash) || nodeMap.has(stash.hash)) {
+                return;
+            }
+            commitMap.set(stash.hash, {
+                hash: stash.hash,
+                message: stash.message || stash.ref,
+                date: stash.date,
+                author_name: '',
+                author_email: '',
+                parents: [stash.baseHash],
+                branches: []
+            });
+            nodeMap.set(stash.hash, {
+                hash: stash.hash,
+                branches: [],
+                parents: [stash.baseHash],
+                timestamp: Date.parse(stash.date) || 0
+            });
+            const siblings = stashesByBase.get(stash.baseHash) || [];
+            siblings.push(stash.hash);
+            stashesByBase.set(stash.baseHash, siblings);
+        });
+
         // 使用 dag 原顺序（topo-order）为主，缺失的 log 提交追加在末尾，避免拓扑破坏
         // 纯函数构造，避免大仓库下重复 push 造成 UI 卡顿
         const seen = new Set<string>();
-        const sortedHashes = [
+        const topoHashes = [
             ...dag.nodes.map((n: { hash: string }) => n.hash).filter(hash => {
                 if (seen.has(hash)) return false;
                 seen.add(hash);
                 return true;
             }),
-            ...Array.from(commitMap.keys()).filter(hash => !seen.has(hash))
+            ...Array.from(commitMap.keys()).filter(hash => !seen.has(hash) && !this.stashMap.has(hash))
         ];
+        // 储藏行插入到基准提交的正上方
+        const sortedHashes: string[] = [];
+        topoHashes.forEach(hash => {
+            const stashHashes = stashesByBase.get(hash);
+            if (stashHashes) {
+                sortedHashes.push(...stashHashes);
+            }
+            sortedHashes.push(hash);
+        });
 
         // 构建顶点和分支（类似官方实现）
         const vertices: Vertex[] = sortedHashes.map((_, i) => new Vertex(i));
@@ -1146,6 +1185,24 @@ export class GitGraphViewComponent {
                 } as CommitInfo);
             });
         }
+        stashesByBase.forEach(stashHashes => {
+            stashHashes.forEach(hash => {
+                const stash = this.stashMap.get(hash)!;
+                const prev = merged.get(hash);
+                merged.set(hash, {
+                    ...prev,
+                    hash,
+                    date: stash.date,
+                    message: stash.message || stash.ref,
+                    author_name: prev?.author_name || '',
+                    author_email: prev?.author_email || '',
+                    body: prev?.body || '',
+                    parents: stash.baseHash ? [stash.baseHash] : [],
+                    branches: [],
+                    stash
+                });
+            });
+        });
         this.commitInfoMap = merged;
 
         // 计算 muted 提交
@@ -1440,7 +1497,7 @@ export class GitGraphViewComponent {
 
             return `
                                     <tr
-                                        class="commit${isCurrent ? ' current' : ''}${this.selectedCommit === commit.hash ? ' selected' : ''}${isMuted ? ' mute' : ''}${isExpanded ? ' commit-details-open' : ''}${matchesBranchFilter ? '' : ' branch-filter-excluded'}"
+                                        class="commit${isCurrent ? ' current' : ''}${this.selectedCommit === commit.hash ? ' selected' : ''}${this.compareSelection.includes(commit.hash) ? ' compare-selected' : ''}${isMuted ? ' mute' : ''}${isExpanded ? ' commit-details-open' : ''}${matchesBranchFilter ? '' : ' branch-filter-excluded'}"
                                             data-commit-hash="${escapeHtml(commit.hash)}"
                                         style="height: ${ROW_HEIGHT}px;"
                                     >
@@ -1585,11 +1642,14 @@ export class GitGraphViewComponent {
         const extraBranchCount = Math.max(refInfo.branches.length - maxRefDisplay, 0);
         const extraTagCount = Math.max(refInfo.tags.length - maxRefDisplay, 0);
         const currentLabel = isCurrent ? this.renderCurrentRef(commit.colorIndex) : '';
+        const stash = this.stashMap.get(commit.hash);
+        const stashLabel = stash ? this.renderStashLabel(stash, commit.colorIndex) : '';
 
         return `
             <span class="description description-container">
                 <span class="unmute-in-muted-row">${currentLabel}</span>
                 <span class="description-refs unmute-in-muted-row">
+                    ${stashLabel}
                     ${branchLabels}
                     ${extraBranchCount > 0 ? this.renderOverflowLabel(extraBranchCount, 'branch') : ''}
                     ${tagLabels}
@@ -1819,6 +1879,21 @@ export class GitGraphViewComponent {
         `;
     }
 
+    /**
+     * 渲染储藏标签
+     */
+    private renderStashLabel(stash: StashEntry, colorIndex: number): string {
+        const branchColor = BRANCH_COLORS[colorIndex % BRANCH_COLORS.length];
+        return `
+            <span class="gitRef stash" data-name="${escapeHtml(stash.ref)}" title="${escapeHtml(stash.branch ? `储藏于 ${stash.branch}` : stash.ref)}" style="border-color: rgba(128, 128, 128, 0.75); color: var(--vscode-foreground);">
+                <span class="gitRefIcon" aria-hidden="true" style="background-color: ${branchColor};">
+                    ${SVG_ICONS.stash}
+                </span>
+                <span class="gitRefName">${escapeHtml(stash.ref)}</span>
+            </span>
+        `;
+    }
+
     /**
      * 渲染溢出计数标签（用于分支/标签过多时提示）
      */
@@ -2049,7 +2124,10 @@ export class GitGraphViewComponent {
             const commitRow = target.closest('tr.commit');
             if (commitRow && !commitRow.classList.contains('commit-details')) {
                 const hash = (commitRow as HTMLElement).dataset.commitHash;
-                if (hash) {
+                const mouseEvent = e as MouseEvent;
+                if (hash && (mouseEvent.ctrlKey || mouseEvent.metaKey)) {
+                    this.toggleCompareSelection(hash);
+                } else if (hash) {
                     this.handleCommitClick(hash);
                 }
             }
@@ -2176,6 +2254,32 @@ export class GitGraphViewComponent {
         this.saveState();
     }
 
+    /**
+     * 切换提交的比较选择状态，超过两个时丢弃最早选中的提交
+     */
+    private toggleCompareSelection(hash: string) {
+        if (this.compareSelection.includes(hash)) {
+            this.compareSelection = this.compareSelection.filter(item => item !== hash);
+        } else {
+            this.compareSelection = [...this.compareSelection, hash].slice(-2);
+        }
+        this.container.querySelectorAll('tr.commit').forEach(row => {
+            const rowHash = (row as HTMLElement).dataset.commitHash;
+            row.classList.toggle('compare-selected', !!rowHash && this.compareSelection.includes(rowHash));
+        });
+    }
+
+    /**
+     * 在控制面板的分支比较视图中比较两个提交（先选中的在左侧）
+     */
+    private compareCommits(left: string, right: string) {
+        // eslint-disable-next-line @typescript-eslint/no-explicit-any
+        const vscode = (window as any).vscode;
+        if (vscode) {
+            vscode.postMessage({ command: 'compareRefs', left, right });
+        }
+    }
+
     /**
      * 处理提交双击
      */
@@ -2198,8 +2302,9 @@ export class GitGraphViewComponent {
             return;
         }
 
-        // 构建上下文菜单动作（精简版）
-        const actions: ContextMenuActions = [
+        // 储藏行使用储藏操作菜单
+        const stash = this.stashMap.get(hash);
+        const actions: ContextMenuActions = stash ? this.getStashContextMenuActions(stash) : [
             [
                 {
                     title: '创建新分支',
@@ -2237,6 +2342,21 @@ export class GitGraphViewComponent {
                     onClick: () => {
                         this.showCheckoutDialog(hash);
                     }
+                },
+                {
+                    title: '从此处交互式变基...',
+                    visible: true,
+                    onClick: () => {
+                        // 以此提交为基准，在控制面板中编辑之后的提交
+                        // eslint-disable-next-line @typescript-eslint/no-explicit-any
+                        const vscode = (window as any).vscode;
+                        if (vscode) {
+                            vscode.postMessage({
+                                command: 'startInteractiveRebase',
+                                commitHash: hash
+                            });
+                        }
+                    }
                 }
             ],
             [
@@ -2268,6 +2388,29 @@ export class GitGraphViewComponent {
                         }
                     }
                 }
+            ],
+            [
+                {
+                    title: this.compareSelection.includes(hash) ? '取消选择比较' : '选择以进行比较',
+                    visible: true,
+                    onClick: () => {
+                        this.toggleCompareSelection(hash);
+                    }
+                },
+                {
+                    title: '与已选提交比较',
+                    visible: this.compareSelection.length > 0 && !this.compareSelection.includes(hash),
+                    onClick: () => {
+                        this.compareCommits(this.compareSelection[this.compareSelection.length - 1], hash);
+                    }
+                },
+                {
+                    title: '比较所选的两个提交',
+                    visible: this.compareSelection.length === 2,
+                    onClick: () => {
+                        this.compareCommits(this.compareSelection[0], this.compareSelection[1]);
+                    }
+                }
             ]
         ];
 
@@ -2308,6 +2451,45 @@ export class GitGraphViewComponent {
         );
     }
 
+    /**
+     * 储藏行的上下文菜单动作
+     */
+    private getStashContextMenuActions(stash: StashEntry): ContextMenuActions {
+        const post = (command: string) => {
+            // eslint-disable-next-line @typescript-eslint/no-explicit-any
+            const vscode = (window as any).vscode;
+            if (vscode) {
+                vscode.postMessage({ command, stashIndex: stash.index, stashHash: stash.hash });
+            }
+        };
+
+        return [
+            [
+                { title: '应用储藏', visible: true, onClick: () => post('stashApply') },
+                { title: '弹出储藏', visible: true, onClick: () => post('stashPop') },
+                { title: '从储藏创建分支', visible: true, onClick: () => post('stashBranch') },
+                { title: '删除储藏', visible: true, onClick: () => post('stashDrop') }
+            ],
+            [
+                { title: '查看储藏补丁', visible: true, onClick: () => post('showStash') },
+                {
+                    title: '复制储藏名称',
+                    visible: true,
+                    onClick: () => {
+                        navigator.clipboard.writeText(stash.ref);
+                    }
+                },
+                {
+                    title: '复制储藏哈希',
+                    visible: true,
+                    onClick: () => {
+                        navigator.clipboard.writeText(stash.hash);
+                    }
+                }
+            ]
+        ];
+    }
+
     /**
      * 创建上下文菜单目标对象（辅助方法）
      */
@@ -2880,7 +3062,15 @@ export class GitGraphViewComponent {
     ) {
         // eslint-disable-next-line @typescript-eslint/no-explicit-any
         const vscode = (window as any).vscode;
-        if (vscode) {
+        const stash = this.stashMap.get(commitHash);
+        if (vscode && stash) {
+            // 储藏文件（包括未跟踪文件）由储藏命令打开差异
+            vscode.postMessage({
+                command: 'openStashFile',
+                stashIndex: stash.index,
+                filePath
+            });
+        } else if (vscode) {
             // 直接将 parentHash（可能是 'EMPTY' 标记）发送给后端，并携带重命名/复制信息
             vscode.postMessage({
                 command: 'openCommitDiff',
@@ -2983,7 +3173,7 @@ export class GitGraphViewComponent {
                     parents: commitInfo.parents || node.parents || []
                 };
             }
-            // 如果找不到，从 node 创建
+            // 如果找不到，从 node 创建（储藏节点携带 stash 信息，以储藏样式绘制）
             return {
                 hash: node.hash,
                 message: node.message,
@@ -2991,7 +3181,8 @@ export class GitGraphViewComponent {
                 author_name: node.author_name,
                 author_email: node.author_email,
                 body: '',
-                parents: node.parents || []
+                parents: node.parents || [],
+                stash: this.stashMap.get(node.hash)
             };
         });
 
@@ -0,0 +1,265 @@
+/**
+ * 按块/行暂存组件
+ */
+
+import { escapeHtml } from '../utils/dom-utils.js';
+import { DiffHunk, DiffLineSelection, FileStatus, GitData, HunkStagingData, PartialChangeAction } from '../types/git.js';
+
+/**
+ * 已选中的行（组件每次渲染都会重建，因此保存在静态字段中）
+ */
+interface LineSelectionState {
+    id: number;
+    /** 差异内容变化（暂存或修改文件）后行索引失效，需要清空选择 */
+    diffKey: string;
+    /** 差异块索引 -> 选中的行索引 */
+    lines: Record<number, number[]>;
+    /** 上一次点击的行，用于 Shift 连选 */
+    anchor: { hunk: number; line: number } | null;
+}
+
+export class HunkStagingComponent {
+    private static selection: LineSelectionState | null = null;
+
+    private container: HTMLElement;
+    private data: GitData | null = null;
+
+    constructor(containerId: string) {
+        const container = document.getElementById(containerId);
+        if (!container) {
+            throw new Error(`Container ${containerId} not found`);
+        }
+        this.container = container;
+    }
+
+    render(data: GitData | null) {
+        this.data = data;
+        if (!data) {
+            this.container.innerHTML = '<div class="empty-state"><p>✏️ 正在加载更改...</p></div>';
+            return;
+        }
+
+        const staging = data.hunkStaging || null;
+        if (!staging) {
+            HunkStagingComponent.selection = null;
+        } else {
+            const diffKey = JSON.stringify(staging.diff?.hunks || []);
+            const selection = HunkStagingComponent.selection;
+            if (!selection || selection.id !== staging.id || selection.diffKey !== diffKey) {
+                HunkStagingComponent.selection = { id: staging.id, diffKey, lines: {}, anchor: null };
+            }
+        }
+
+        this.container.innerHTML = `
+            <div class="hunk-staging">
+                <div class="section-header">
+                    <h2>✏️ 暂存更改</h2>
+                </div>
+                <div class="hunk-staging-layout">
+                    ${this.getFileListHtml(staging)}
+                    <div class="hunk-staging-diff">
+                        ${staging ? this.getDiffHtml(staging) : '<div class="empty-state"><p>选择左侧文件，按代码块或按行暂存、取消暂存或放弃更改</p></div>'}
+                    </div>
+                </div>
+            </div>
+        `;
+        this.attachEventListeners(staging);
+    }
+
+    private getFileListHtml(staging: HunkStagingData | null): string {
+        const files: FileStatus[] = this.data?.status?.files || [];
+        const unstaged = files.filter(file => file.working_dir !== ' ' && file.working_dir !== '?');
+        const staged = files.filter(file => file.index !== ' ' && file.index !== '?');
+        const untrackedCount = files.filter(file => file.working_dir === '?').length;
+
+        const renderGroup = (title: string, entries: FileStatus[], isStaged: boolean) => `
+            <div class="hunk-file-group">
+                <div class="hunk-file-group-title">${title} <span class="count">${entries.length}</span></div>
+                ${entries.length === 0 ? '<div class="hunk-file-empty">无</div>' : entries.map(file => {
+            const active = staging?.file === file.path && staging.staged === isStaged;
+            return `
+                        <div class="hunk-file-item ${active ? 'active' : ''}"
+                             data-file="${escapeHtml(file.path)}"
+                             data-staged="${isStaged}">
+                            <span class="hunk-file-status">${escapeHtml(isStaged ? file.index : file.working_dir)}</span>
+                            <span class="file-path" title="${escapeHtml(file.path)}">${escapeHtml(file.path)}</span>
+                        </div>
+                    `;
+        }).join('')}
+            </div>
+        `;
+
+        return `
+            <div class="hunk-file-list">
+                ${renderGroup('未暂存的更改', unstaged, false)}
+                ${renderGroup('已暂存的更改', staged, true)}
+                ${untrackedCount > 0 ? `<div class="hunk-file-hint">💡 ${untrackedCount} 个未跟踪文件需整体暂存后才能按块取消暂存</div>` : ''}
+            </div>
+        `;
+    }
+
+    private getDiffHtml(staging: HunkStagingData): string {
+        const diff = staging.diff;
+        const selectedCount = this.getSelections().reduce((sum, item) => sum + (item.lines?.length || 0), 0);
+        const actions: Array<{ action: PartialChangeAction; label: string; primary?: boolean }> = staging.staged
+            ? [{ action: 'unstage', label: '取消暂存', primary: true }]
+            : [{ action: 'stage', label: '暂存', primary: true }, { action: 'discard', label: '放弃' }];
+
+        let body: string;
+        if (!diff || diff.hunks.length === 0) {
+            body = `<div class="hunk-empty">${diff?.binary ? '二进制文件不支持按块操作' : staging.staged ? '该文件没有已暂存的更改' : '该文件没有未暂存的更改'}</div>`;
+        } else {
+            body = diff.hunks.map((hunk, index) => this.getHunkHtml(hunk, index, actions)).join('');
+        }
+
+        return `
+            <div class="hunk-diff-header">
+                <div class="hunk-diff-title">
+                    <span class="file-path">${escapeHtml(staging.file)}</span>
+                    <span class="hunk-diff-mode">${staging.staged ? '已暂存' : '未暂存'}</span>
+                </div>
+                <div class="hunk-diff-actions">
+                    ${actions.map(item => `
+                        <button class="hunk-btn ${item.primary ? 'primary' : ''}" data-selection-action="${item.action}" ${selectedCount === 0 ? 'disabled' : ''}>
+                            ${item.label}选中的行${selectedCount > 0 ? ` (${selectedCount})` : ''}
+                        </button>
+                    `).join('')}
+                    <button class="hunk-btn" data-hunk-command="clear" ${selectedCount === 0 ? 'disabled' : ''}>清除选择</button>
+                    <button class="hunk-btn" data-hunk-command="openFile">📝 打开文件</button>
+                    <button class="hunk-btn" data-hunk-command="close">✖ 关闭</button>
+                </div>
+            </div>
+            <div class="hunk-diff-hint">💡 点击新增/删除行选择要处理的行，按住 Shift 点击可连续选择</div>
+            <div class="hunk-diff-body">${body}</div>
+        `;
+    }
+
+    private getHunkHtml(hunk: DiffHunk, hunkIndex: number, actions: Array<{ action: PartialChangeAction; label: string }>): string {
+        const selected = HunkStagingComponent.selection?.lines[hunkIndex] || [];
+        const lines = hunk.lines.map((line, index) => {
+            const marker = line.type === 'add' ? '+' : line.type === 'delete' ? '-' : ' ';
+            const selectable = line.type !== 'context';
+            return `
+                <div class="hunk-line ${line.type} ${selectable ? 'selectable' : ''} ${selected.includes(index) ? 'selected' : ''}"
+                     ${selectable ? `data-hunk="${hunkIndex}" data-line="${index}"` : ''}>
+                    <span class="line-number">${line.oldLine ?? ''}</span>
+                    <span class="line-number">${line.newLine ?? ''}</span>
+                    <span class="line-marker">${marker}</span>
+                    <span class="line-text">${escapeHtml(line.content)}${line.noNewline ? '<span class="no-newline" title="文件末尾没有换行符">⏎̸</span>' : ''}</span>
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <div class="diff-hunk">
+                <div class="diff-hunk-header">
+                    <code>${escapeHtml(hunk.header)}</code>
+                    <div class="diff-hunk-actions">
+                        ${actions.map(item => `<button class="hunk-btn small" data-hunk-action="${item.action}" data-hunk="${hunkIndex}">${item.label}块</button>`).join('')}
+                    </div>
+                </div>
+                <div class="diff-hunk-lines">${lines}</div>
+            </div>
+        `;
+    }
+
+    private getSelections(): DiffLineSelection[] {
+        const lines = HunkStagingComponent.selection?.lines || {};
+        return Object.keys(lines)
+            .map(key => ({ hunk: Number(key), lines: lines[Number(key)] }))
+            .filter(item => item.lines.length > 0);
+    }
+
+    private attachEventListeners(staging: HunkStagingData | null) {
+        // 打开文件差异
+        this.container.querySelectorAll<HTMLElement>('.hunk-file-item').forEach(item => {
+            item.addEventListener('click', () => {
+                const file = item.dataset.file;
+                if (file && window.vscode) {
+                    window.vscode.postMessage({ command: 'openHunkStaging', file, staged: item.dataset.staged === 'true' });
+                }
+            });
+        });
+
+        if (!staging) {
+            return;
+        }
+
+        // 选择/取消选择行
+        this.container.querySelectorAll<HTMLElement>('.hunk-line.selectable').forEach(row => {
+            row.addEventListener('click', (e) => {
+                const selection = HunkStagingComponent.selection;
+                const hunk = Number(row.dataset.hunk);
+                const line = Number(row.dataset.line);
+                if (!selection) {
+                    return;
+                }
+                const current = new Set(selection.lines[hunk] || []);
+                const anchor = selection.anchor;
+                if (e.shiftKey && anchor && anchor.hunk === hunk) {
+                    const lines = staging.diff?.hunks[hunk]?.lines || [];
+                    for (let index = Math.min(anchor.line, line); index <= Math.max(anchor.line, line); index++) {
+                        if (lines[index] && lines[index].type !== 'context') {
+                            current.add(index);
+                        }
+                    }
+                } else if (current.has(line)) {
+                    current.delete(line);
+                } else {
+                    current.add(line);
+                }
+                selection.lines[hunk] = Array.from(current).sort((a, b) => a - b);
+                selection.anchor = { hunk, line };
+                this.render(this.data);
+            });
+        });
+
+        // 整块操作
+        this.container.querySelectorAll<HTMLElement>('[data-hunk-action]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                window.vscode?.postMessage({
+                    command: 'applyHunkSelection',
+                    partialAction: btn.dataset.hunkAction,
+                    selections: [{ hunk: Number(btn.dataset.hunk) }],
+                    diff: staging?.diff
+                });
+            });
+        });
+
+        // 选中行操作
+        this.container.querySelectorAll<HTMLElement>('[data-selection-action]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const selections = this.getSelections();
+                if (selections.length === 0) {
+                    return;
+                }
+                window.vscode?.postMessage({
+                    command: 'applyHunkSelection',
+                    partialAction: btn.dataset.selectionAction,
+                    selections,
+                    diff: staging?.diff
+                });
+            });
+        });
+
+        this.container.querySelectorAll<HTMLElement>('[data-hunk-command]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                switch (btn.dataset.hunkCommand) {
+                    case 'clear':
+                        if (HunkStagingComponent.selection) {
+                            HunkStagingComponent.selection.lines = {};
+                            HunkStagingComponent.selection.anchor = null;
+                        }
+                        this.render(this.data);
+                        break;
+                    case 'openFile':
+                        window.vscode?.postMessage({ command: 'openFile', file: staging.file });
+                        break;
+                    case 'close':
+                        window.vscode?.postMessage({ command: 'closeHunkStaging' });
+                        break;
+                }
+            });
+        });
+    }
+}
@@ -0,0 +1,297 @@
+/**
+ * 交互式变基编辑器组件
+ */
+
+import { escapeHtml, formatRelativeTime } from '../utils/dom-utils.js';
+import { GitData, InteractiveRebaseSession, RebaseAction, RebaseTodoItem } from '../types/git.js';
+
+const REBASE_ACTIONS: Array<{ value: RebaseAction; label: string; description: string }> = [
+    { value: 'pick', label: 'pick', description: '保留提交' },
+    { value: 'reword', label: 'reword', description: '保留提交并修改提交信息' },
+    { value: 'edit', label: 'edit', description: '在此提交处暂停以便修改' },
+    { value: 'squash', label: 'squash', description: '合并到前一个提交并保留提交信息' },
+    { value: 'fixup', label: 'fixup', description: '合并到前一个提交并丢弃提交信息' },
+    { value: 'drop', label: 'drop', description: '丢弃提交' }
+];
+
+interface PreviewCommit {
+    message: string;
+    hashes: string[];
+    pauses: boolean;
+    rewritten: boolean;
+}
+
+export class InteractiveRebaseComponent {
+    // 组件会随面板重新渲染而重建，编辑中的计划需要跨实例保留
+    private static plan: { sessionId: number; items: RebaseTodoItem[] } | null = null;
+    private container: HTMLElement;
+    private data: GitData | null = null;
+    private dragIndex: number | null = null;
+
+    constructor(containerId: string) {
+        const container = document.getElementById(containerId);
+        if (!container) {
+            throw new Error(`Container ${containerId} not found`);
+        }
+        this.container = container;
+    }
+
+    render(data: GitData | null) {
+        this.data = data;
+        const session = data?.interactiveRebase || null;
+        if (!session) {
+            InteractiveRebaseComponent.plan = null;
+        } else if (InteractiveRebaseComponent.plan?.sessionId !== session.id) {
+            InteractiveRebaseComponent.plan = {
+                sessionId: session.id,
+                items: session.commits.map(commit => ({ ...commit }))
+            };
+        }
+        this.container.innerHTML = this.getHtml(session);
+        this.attachEventListeners();
+    }
+
+    private get items(): RebaseTodoItem[] {
+        return InteractiveRebaseComponent.plan?.items || [];
+    }
+
+    private getHtml(session: InteractiveRebaseSession | null): string {
+        if (!session) {
+            return `
+                <div class="interactive-rebase">
+                    <div class="empty-state">
+                        <div class="empty-icon">✂️</div>
+                        <h2>交互式变基</h2>
+                        <p>在「Git 视图表」中右键任意提交，选择「从此处交互式变基」开始整理提交历史</p>
+                    </div>
+                </div>
+            `;
+        }
+
+        const validationError = this.validate();
+
+        return `
+            <div class="interactive-rebase">
+                <div class="rebase-header">
+                    <div class="rebase-header-title">
+                        <h2>交互式变基</h2>
+                        <span class="rebase-base">
+                            ${session.branch ? `<span class="rebase-branch">🌿 ${escapeHtml(session.branch)}</span>` : ''}
+                            基准提交 <code>${escapeHtml(session.baseShortHash)}</code>
+                            ${escapeHtml(session.baseMessage.split('\n')[0])}
+                        </span>
+                    </div>
+                    <div class="rebase-header-actions">
+                        <button class="rebase-btn" id="rebase-reset-btn" title="恢复为初始顺序和动作">重置</button>
+                        <button class="rebase-btn" id="rebase-cancel-btn">取消</button>
+                        <button class="rebase-btn primary" id="rebase-run-btn" ${validationError || this.data?.operationState ? 'disabled' : ''}>开始变基</button>
+                    </div>
+                </div>
+                ${validationError ? `<div class="rebase-validation">⚠️ ${escapeHtml(validationError)}</div>` : ''}
+                <div class="rebase-body">
+                    <div class="rebase-todo">
+                        <div class="rebase-section-title">提交列表（从旧到新，拖动调整顺序）</div>
+                        ${this.items.map((item, index) => this.getTodoRowHtml(item, index)).join('')}
+                    </div>
+                    <div class="rebase-preview">
+                        <div class="rebase-section-title">变基后的历史预览（从新到旧）</div>
+                        ${this.getPreviewHtml(session)}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    private getTodoRowHtml(item: RebaseTodoItem, index: number): string {
+        const isLast = index === this.items.length - 1;
+        return `
+            <div class="rebase-row action-${item.action}" draggable="true" data-index="${index}">
+                <span class="rebase-drag-handle" title="拖动调整顺序">⠿</span>
+                <select class="rebase-action-select" data-index="${index}">
+                    ${REBASE_ACTIONS.map(action => `
+                        <option value="${action.value}" title="${action.description}" ${action.value === item.action ? 'selected' : ''}>${action.label}</option>
+                    `).join('')}
+                </select>
+                <code class="rebase-hash">${escapeHtml(item.shortHash)}</code>
+                <div class="rebase-message">
+                    ${item.action === 'reword' ? `
+                        <textarea class="rebase-message-input" data-index="${index}" rows="${Math.min(Math.max((item.newMessage || '').split('\n').length, 1), 6)}">${escapeHtml(item.newMessage ?? item.message)}</textarea>
+                    ` : `
+                        <span class="rebase-message-text" title="${escapeHtml(item.message)}">${escapeHtml(item.message.split('\n')[0])}</span>
+                    `}
+                    <span class="rebase-meta">${escapeHtml(item.author || '')}${item.date ? ` · ${formatRelativeTime(item.date)}` : ''}</span>
+                </div>
+                <div class="rebase-move">
+                    <button class="rebase-move-btn" data-move="-1" data-index="${index}" ${index === 0 ? 'disabled' : ''} title="上移">▲</button>
+                    <button class="rebase-move-btn" data-move="1" data-index="${index}" ${isLast ? 'disabled' : ''} title="下移">▼</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * 根据当前计划推算变基后的提交列表
+     */
+    private getPreviewHtml(session: InteractiveRebaseSession): string {
+        const result: PreviewCommit[] = [];
+        this.items.forEach((item, index) => {
+            if (item.action === 'drop') {
+                return;
+            }
+            const previous = result[result.length - 1];
+            if ((item.action === 'squash' || item.action === 'fixup') && previous) {
+                previous.hashes.push(item.shortHash);
+                previous.rewritten = true;
+                if (item.action === 'squash') {
+                    previous.message += `\n\n${item.message}`;
+                }
+                return;
+            }
+            const original = session.commits[index];
+            result.push({
+                message: item.action === 'reword' ? (item.newMessage ?? item.message) : item.message,
+                hashes: [item.shortHash],
+                pauses: item.action === 'edit',
+                // 顺序变化或前面的提交被修改后，后续提交的哈希都会变化
+                rewritten: item.action === 'reword' || original?.hash !== item.hash
+            });
+        });
+
+        const dropped = this.items.filter(item => item.action === 'drop').length;
+
+        return `
+            <div class="rebase-preview-list">
+                ${result.slice().reverse().map(commit => `
+                    <div class="rebase-preview-item ${commit.rewritten ? 'rewritten' : ''}">
+                        <span class="rebase-preview-dot"></span>
+                        <div class="rebase-preview-content">
+                            <span class="rebase-preview-message">${escapeHtml(commit.message.split('\n')[0])}</span>
+                            <span class="rebase-meta">
+                                ${commit.hashes.map(hash => `<code>${escapeHtml(hash)}</code>`).join(' + ')}
+                                ${commit.pauses ? ' · ⏸️ 将在此暂停' : ''}
+                            </span>
+                        </div>
+                    </div>
+                `).join('')}
+                <div class="rebase-preview-item base">
+                    <span class="rebase-preview-dot"></span>
+                    <div class="rebase-preview-content">
+                        <span class="rebase-preview-message">${escapeHtml(session.baseMessage.split('\n')[0])}</span>
+                        <span class="rebase-meta"><code>${escapeHtml(session.baseShortHash)}</code> · 基准提交</span>
+                    </div>
+                </div>
+            </div>
+            <div class="rebase-summary">
+                共 ${result.length} 个提交${dropped > 0 ? `，丢弃 ${dropped} 个` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * 与扩展侧 validateRebaseTodo 保持一致，便于即时提示
+     */
+    private validate(): string | null {
+        const kept = this.items.filter(item => item.action !== 'drop');
+        if (kept.length === 0) {
+            return '至少需要保留一个提交';
+        }
+        if (kept[0].action === 'squash' || kept[0].action === 'fixup') {
+            return '第一个保留的提交不能使用 squash 或 fixup（没有可合并的前一个提交）';
+        }
+        const emptyReword = this.items.find(item => item.action === 'reword' && !(item.newMessage ?? item.message).trim());
+        if (emptyReword) {
+            return `提交 ${emptyReword.shortHash} 的新提交信息不能为空`;
+        }
+        return null;
+    }
+
+    private moveItem(from: number, to: number) {
+        const items = this.items;
+        if (from === to || from < 0 || to < 0 || from >= items.length || to >= items.length) {
+            return;
+        }
+        const [moved] = items.splice(from, 1);
+        items.splice(to, 0, moved);
+        this.render(this.data);
+    }
+
+    private attachEventListeners() {
+        this.container.querySelectorAll<HTMLSelectElement>('.rebase-action-select').forEach(select => {
+            select.addEventListener('change', () => {
+                const item = this.items[Number(select.dataset.index)];
+                if (item) {
+                    item.action = select.value as RebaseAction;
+                    if (item.action === 'reword' && item.newMessage === undefined) {
+                        item.newMessage = item.message;
+                    }
+                    this.render(this.data);
+                }
+            });
+        });
+
+        this.container.querySelectorAll<HTMLTextAreaElement>('.rebase-message-input').forEach(input => {
+            input.addEventListener('input', () => {
+                const item = this.items[Number(input.dataset.index)];
+                if (item) {
+                    item.newMessage = input.value;
+                }
+            });
+            // 输入结束后再刷新预览，避免输入时失去焦点
+            input.addEventListener('change', () => this.render(this.data));
+        });
+
+        this.container.querySelectorAll<HTMLButtonElement>('.rebase-move-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const index = Number(btn.dataset.index);
+                this.moveItem(index, index + Number(btn.dataset.move));
+            });
+        });
+
+        // 拖动排序
+        this.container.querySelectorAll<HTMLElement>('.rebase-row').forEach(row => {
+            row.addEventListener('dragstart', (e) => {
+                this.dragIndex = Number(row.dataset.index);
+                row.classList.add('dragging');
+                e.dataTransfer?.setData('text/plain', row.dataset.index || '');
+            });
+            row.addEventListener('dragend', () => {
+                this.dragIndex = null;
+                row.classList.remove('dragging');
+            });
+            row.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                row.classList.add('drag-over');
+            });
+            row.addEventListener('dragleave', () => {
+                row.classList.remove('drag-over');
+            });
+            row.addEventListener('drop', (e) => {
+                e.preventDefault();
+                row.classList.remove('drag-over');
+                if (this.dragIndex !== null) {
+                    this.moveItem(this.dragIndex, Number(row.dataset.index));
+                }
+            });
+        });
+
+        this.container.querySelector('#rebase-reset-btn')?.addEventListener('click', () => {
+            InteractiveRebaseComponent.plan = null;
+            this.render(this.data);
+        });
+
+        this.container.querySelector('#rebase-cancel-btn')?.addEventListener('click', () => {
+            window.vscode?.postMessage({ command: 'cancelInteractiveRebase' });
+        });
+
+        this.container.querySelector('#rebase-run-btn')?.addEventListener('click', () => {
+            if (this.validate()) {
+                return;
+            }
+            const todo = this.items.map(item => ({
+                ...item,
+                newMessage: item.action === 'reword' ? (item.newMessage ?? item.message).trim() : undefined
+            }));
+            window.vscode?.postMessage({ command: 'runInteractiveRebase', todo });
+        });
+    }
+}
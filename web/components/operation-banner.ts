@@ -0,0 +1,73 @@
+/**
+ * 进行中操作（合并/变基/拣选/回滚）提示横幅
+ */
+
+import { escapeHtml } from '../utils/dom-utils.js';
+import { GitOperationState, GitOperationType } from '../types/git.js';
+
+export const OPERATION_LABELS: Record<GitOperationType, string> = {
+    'merge': '合并',
+    'rebase': '变基',
+    'cherry-pick': '拣选',
+    'revert': '回滚'
+};
+
+/**
+ * 生成操作状态的简要说明（与扩展侧 describeOperation 保持一致）
+ */
+export function describeOperation(state: GitOperationState): string {
+    const branch = state.branch || 'HEAD';
+    const incoming = state.incoming || '未知提交';
+    const progress = state.step && state.totalSteps ? `（${state.step}/${state.totalSteps}）` : '';
+
+    switch (state.type) {
+        case 'merge':
+            return `将 ${incoming} 合并到 ${branch}`;
+        case 'rebase':
+            return `将 ${branch} 变基到 ${state.current || '未知提交'}${progress}`;
+        case 'cherry-pick':
+            return `拣选 ${incoming} 到 ${branch}`;
+        case 'revert':
+            return `在 ${branch} 上回滚 ${incoming}`;
+    }
+}
+
+export function getOperationBannerHtml(state: GitOperationState, conflictCount: number): string {
+    const label = OPERATION_LABELS[state.type];
+    const hint = conflictCount > 0
+        ? `还有 <strong>${conflictCount}</strong> 个冲突文件待解决`
+        : state.type === 'rebase' ? '可修改当前提交后继续' : '冲突已解决，可以继续';
+
+    return `
+        <div class="operation-banner">
+            <div class="operation-banner-text">
+                <span class="operation-banner-icon">⏸️</span>
+                <span><strong>${label}进行中</strong>：${escapeHtml(describeOperation(state))}</span>
+                ${state.incomingMessage ? `<span class="operation-banner-message">「${escapeHtml(state.incomingMessage)}」</span>` : ''}
+                <span class="operation-banner-hint">${hint}</span>
+            </div>
+            <div class="operation-banner-actions">
+                ${conflictCount > 0 ? '<button class="operation-banner-btn" data-operation-command="resolveConflicts">解决冲突</button>' : ''}
+                <button class="operation-banner-btn primary" data-operation-command="continueOperation">继续</button>
+                ${state.canSkip ? '<button class="operation-banner-btn" data-operation-command="skipOperation">跳过</button>' : ''}
+                <button class="operation-banner-btn danger" data-operation-command="abortOperation">中止</button>
+            </div>
+        </div>
+    `;
+}
+
+export function attachOperationBannerListeners(container: HTMLElement) {
+    container.querySelectorAll<HTMLElement>('[data-operation-command]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const command = btn.dataset.operationCommand;
+            if (!command || !window.vscode) {
+                return;
+            }
+            if (command === 'resolveConflicts') {
+                window.vscode.postMessage({ command: 'executeCommand', commandId: 'git-assistant.resolveConflicts' });
+            } else {
+                window.vscode.postMessage({ command });
+            }
+        });
+    });
+}
@@ -0,0 +1,196 @@
+/**
+ * 分支比较组件：比较任意两个分支、标签或提交
+ */
+
+import { escapeHtml, formatRelativeTime } from '../utils/dom-utils.js';
+import { CommitFileChange, CommitInfo, GitData, RefCompareMode, RefComparisonData } from '../types/git.js';
+
+const FILE_STATUS_LABELS: Record<string, string> = {
+    A: '新增',
+    M: '修改',
+    D: '删除',
+    R: '重命名',
+    C: '复制',
+    T: '类型变更'
+};
+
+export class RefCompareComponent {
+    // 组件会随面板重新渲染而重建，表单输入需要跨实例保留
+    private static left = '';
+    private static right = '';
+    private static mode: RefCompareMode = 'mergeBase';
+    private static comparisonId: number | null = null;
+    private container: HTMLElement;
+    private data: GitData | null = null;
+
+    constructor(containerId: string) {
+        const container = document.getElementById(containerId);
+        if (!container) {
+            throw new Error(`Container ${containerId} not found`);
+        }
+        this.container = container;
+    }
+
+    render(data: GitData | null) {
+        this.data = data;
+        const comparison = data?.refComparison || null;
+        if (comparison && comparison.id !== RefCompareComponent.comparisonId) {
+            // 新的比较结果（可能来自分支视图或提交图）：同步表单
+            RefCompareComponent.comparisonId = comparison.id;
+            RefCompareComponent.left = comparison.left;
+            RefCompareComponent.right = comparison.right;
+            RefCompareComponent.mode = comparison.mode;
+        }
+        if (!RefCompareComponent.left && data?.branches?.current) {
+            RefCompareComponent.left = data.branches.current;
+        }
+        this.container.innerHTML = this.getHtml(comparison);
+        this.attachEventListeners(comparison);
+    }
+
+    private getHtml(comparison: RefComparisonData | null): string {
+        const refs = [
+            ...(this.data?.branches?.all || []).map(branch => branch.replace(/^remotes\//, '')),
+            ...(this.data?.tags || []).map(tag => tag.name)
+        ];
+
+        return `
+            <div class="ref-compare">
+                <div class="ref-compare-header">
+                    <h2>分支比较</h2>
+                    ${comparison ? '<button class="ref-compare-button secondary" id="compare-close-btn">✖ 关闭结果</button>' : ''}
+                </div>
+                <div class="ref-compare-form">
+                    <input type="text" id="compare-left" list="compare-ref-list" value="${escapeHtml(RefCompareComponent.left)}" placeholder="左侧：分支、标签或提交">
+                    <button class="ref-compare-button secondary" id="compare-swap-btn" title="交换左右两侧">⇄</button>
+                    <input type="text" id="compare-right" list="compare-ref-list" value="${escapeHtml(RefCompareComponent.right)}" placeholder="右侧：分支、标签或提交">
+                    <select id="compare-mode" title="比较方式">
+                        <option value="mergeBase" ${RefCompareComponent.mode === 'mergeBase' ? 'selected' : ''}>从共同祖先比较（A...B）</option>
+                        <option value="direct" ${RefCompareComponent.mode === 'direct' ? 'selected' : ''}>直接比较两端（A..B）</option>
+                    </select>
+                    <button class="ref-compare-button" id="compare-run-btn">🔀 比较</button>
+                    <datalist id="compare-ref-list">
+                        ${Array.from(new Set(refs)).map(ref => `<option value="${escapeHtml(ref)}"></option>`).join('')}
+                    </datalist>
+                </div>
+                ${comparison ? this.getResultHtml(comparison) : `
+                    <div class="empty-state compact">
+                        <div class="empty-icon">🔀</div>
+                        <p>输入两个分支、标签或提交后点击“比较”，查看两侧独有的提交和文件差异</p>
+                    </div>
+                `}
+            </div>
+        `;
+    }
+
+    private getResultHtml(comparison: RefComparisonData): string {
+        const fromLabel = comparison.mode === 'mergeBase' && comparison.mergeBase
+            ? `共同祖先 ${comparison.mergeBase.substring(0, 8)}`
+            : comparison.left;
+
+        return `
+            <div class="ref-compare-summary">
+                <span><code>${escapeHtml(comparison.left)}</code> ↑${comparison.leftCommits.length}</span>
+                <span>⇄</span>
+                <span><code>${escapeHtml(comparison.right)}</code> ↑${comparison.rightCommits.length}</span>
+                ${comparison.mergeBase ? '' : '<span class="ref-compare-hint">两者没有共同祖先，已直接比较两端</span>'}
+            </div>
+            ${comparison.truncated ? '<div class="ref-compare-hint">提交过多，仅列出最近的部分提交</div>' : ''}
+            <div class="ref-compare-columns">
+                ${this.getCommitColumnHtml(`仅在 ${comparison.left} 中`, comparison.leftCommits)}
+                ${this.getCommitColumnHtml(`仅在 ${comparison.right} 中`, comparison.rightCommits)}
+            </div>
+            <div class="ref-compare-files">
+                <h3>文件更改（${comparison.files.length}）</h3>
+                <div class="ref-compare-hint">${escapeHtml(fromLabel)} → ${escapeHtml(comparison.right)}，点击文件查看差异</div>
+                ${comparison.files.length > 0
+                    ? comparison.files.map(file => this.getFileHtml(file)).join('')
+                    : '<div class="ref-compare-empty">没有文件差异</div>'}
+            </div>
+        `;
+    }
+
+    private getCommitColumnHtml(title: string, commits: CommitInfo[]): string {
+        return `
+            <div class="ref-compare-column">
+                <h3>${escapeHtml(title)}（${commits.length}）</h3>
+                ${commits.length > 0 ? commits.map(commit => `
+                    <div class="ref-compare-commit" title="${escapeHtml(`${commit.hash}\n${commit.author_name} <${commit.author_email}>`)}">
+                        <code>${escapeHtml(commit.hash.substring(0, 8))}</code>
+                        <span class="ref-compare-message">${escapeHtml(commit.message)}</span>
+                        <span class="ref-compare-meta">${escapeHtml(commit.author_name)} · ${formatRelativeTime(commit.date)}</span>
+                    </div>
+                `).join('') : '<div class="ref-compare-empty">没有独有的提交</div>'}
+            </div>
+        `;
+    }
+
+    private getFileHtml(file: CommitFileChange): string {
+        const type = (file.type || file.status || 'M').charAt(0).toUpperCase();
+        return `
+            <div class="ref-compare-file" data-path="${escapeHtml(file.path)}" data-old-path="${escapeHtml(file.oldPath || '')}" data-type="${escapeHtml(type)}">
+                <span class="ref-compare-status status-${escapeHtml(type)}" title="${FILE_STATUS_LABELS[type] || type}">${escapeHtml(type)}</span>
+                <span class="ref-compare-path">${file.oldPath && file.oldPath !== file.path ? `${escapeHtml(file.oldPath)} → ` : ''}${escapeHtml(file.path)}</span>
+                ${typeof file.additions === 'number' ? `<span class="ref-compare-stat added">+${file.additions}</span>` : ''}
+                ${typeof file.deletions === 'number' ? `<span class="ref-compare-stat deleted">-${file.deletions}</span>` : ''}
+            </div>
+        `;
+    }
+
+    private attachEventListeners(comparison: RefComparisonData | null) {
+        const leftInput = this.container.querySelector('#compare-left') as HTMLInputElement | null;
+        const rightInput = this.container.querySelector('#compare-right') as HTMLInputElement | null;
+        const modeSelect = this.container.querySelector('#compare-mode') as HTMLSelectElement | null;
+
+        leftInput?.addEventListener('input', () => {
+            RefCompareComponent.left = leftInput.value;
+        });
+        rightInput?.addEventListener('input', () => {
+            RefCompareComponent.right = rightInput.value;
+        });
+        modeSelect?.addEventListener('change', () => {
+            RefCompareComponent.mode = modeSelect.value as RefCompareMode;
+        });
+
+        this.container.querySelector('#compare-swap-btn')?.addEventListener('click', () => {
+            [RefCompareComponent.left, RefCompareComponent.right] = [RefCompareComponent.right, RefCompareComponent.left];
+            this.render(this.data);
+        });
+
+        const runCompare = () => {
+            const left = RefCompareComponent.left.trim();
+            const right = RefCompareComponent.right.trim();
+            if (left && right) {
+                window.vscode?.postMessage({ command: 'compareRefs', left, right, compareMode: RefCompareComponent.mode });
+            }
+        };
+        this.container.querySelector('#compare-run-btn')?.addEventListener('click', runCompare);
+        [leftInput, rightInput].forEach(input => {
+            input?.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    runCompare();
+                }
+            });
+        });
+
+        if (!comparison) {
+            return;
+        }
+
+        this.container.querySelector('#compare-close-btn')?.addEventListener('click', () => {
+            window.vscode?.postMessage({ command: 'closeRefComparison' });
+        });
+
+        this.container.querySelectorAll('.ref-compare-file').forEach(item => {
+            item.addEventListener('click', (e) => {
+                const target = e.currentTarget as HTMLElement;
+                window.vscode?.postMessage({
+                    command: 'openCompareFileDiff',
+                    filePath: target.dataset.path,
+                    oldPath: target.dataset.oldPath || undefined,
+                    changeType: target.dataset.type
+                });
+            });
+        });
+    }
+}
@@ -0,0 +1,187 @@
+/**
+ * 储藏管理组件
+ */
+
+import { escapeHtml, formatRelativeTime } from '../utils/dom-utils.js';
+import { CommitFileChange, GitData, StashEntry } from '../types/git.js';
+
+export class StashManagerComponent {
+    // 组件会随面板重新渲染而重建，展开状态需要跨实例保留
+    private static expandedStashes: Set<string> = new Set();
+    private container: HTMLElement;
+    private data: GitData | null = null;
+
+    constructor(containerId: string) {
+        const container = document.getElementById(containerId);
+        if (!container) {
+            throw new Error(`Container ${containerId} not found`);
+        }
+        this.container = container;
+    }
+
+    render(data: GitData | null) {
+        this.data = data;
+        this.container.innerHTML = this.getHtml();
+        this.attachEventListeners();
+    }
+
+    private getHtml(): string {
+        if (!this.data?.stashes) {
+            return '<div class="empty-state"><p>📦 正在加载储藏信息...</p></div>';
+        }
+
+        const stashes = this.data.stashes;
+
+        return `
+            <div class="stash-manager">
+                <div class="stash-header">
+                    <div class="stash-header-title">
+                        <h2>储藏管理</h2>
+                        <span class="stash-count">${stashes.length} 个储藏</span>
+                    </div>
+                    <button class="create-stash-button" id="create-stash-btn" title="储藏当前工作区的更改">
+                        <span class="button-icon">📦</span>
+                        <span class="button-text">储藏更改</span>
+                    </button>
+                </div>
+                <div class="stash-list">
+                    ${stashes.length > 0 ? stashes.map(stash => this.getStashCardHtml(stash)).join('') : `
+                        <div class="empty-state compact">
+                            <div class="empty-icon">📦</div>
+                            <p>暂无储藏</p>
+                        </div>
+                    `}
+                </div>
+            </div>
+        `;
+    }
+
+    private getStashCardHtml(stash: StashEntry): string {
+        const expanded = StashManagerComponent.expandedStashes.has(stash.hash);
+        return `
+            <div class="stash-card ${expanded ? 'expanded' : ''}" data-hash="${escapeHtml(stash.hash)}" data-index="${stash.index}">
+                <div class="stash-card-content">
+                    <div class="stash-info">
+                        <span class="stash-toggle">${expanded ? '▼' : '▶'}</span>
+                        <div class="stash-details">
+                            <span class="stash-message">${escapeHtml(stash.message || stash.ref)}</span>
+                            <div class="stash-meta">
+                                <code class="stash-ref">${escapeHtml(stash.ref)}</code>
+                                ${stash.branch ? `<span class="stash-branch">🌿 ${escapeHtml(stash.branch)}</span>` : ''}
+                                <span class="stash-date" title="${escapeHtml(new Date(stash.date).toLocaleString('zh-CN'))}">${formatRelativeTime(stash.date)}</span>
+                            </div>
+                        </div>
+                    </div>
+                    <div class="stash-actions">
+                        <button class="stash-action-btn" data-action="stashApply" data-index="${stash.index}" title="应用储藏（保留记录）">
+                            <span class="action-icon">📥</span>
+                        </button>
+                        <button class="stash-action-btn" data-action="stashPop" data-index="${stash.index}" title="弹出储藏（应用并删除）">
+                            <span class="action-icon">⏏️</span>
+                        </button>
+                        <button class="stash-action-btn" data-action="stashBranch" data-index="${stash.index}" title="基于储藏创建分支">
+                            <span class="action-icon">🌿</span>
+                        </button>
+                        <button class="stash-action-btn" data-action="showStash" data-index="${stash.index}" title="查看完整补丁">
+                            <span class="action-icon">📄</span>
+                        </button>
+                        <button class="stash-action-btn danger" data-action="stashDrop" data-index="${stash.index}" title="删除储藏">
+                            <span class="action-icon">🗑️</span>
+                        </button>
+                    </div>
+                </div>
+                ${expanded ? this.getStashFilesHtml(stash) : ''}
+            </div>
+        `;
+    }
+
+    private getStashFilesHtml(stash: StashEntry): string {
+        const files: CommitFileChange[] | undefined = this.data?.stashFiles?.[stash.hash];
+        if (!files) {
+            return '<div class="stash-files loading">正在加载文件列表...</div>';
+        }
+        if (files.length === 0) {
+            return '<div class="stash-files empty">没有文件变更</div>';
+        }
+
+        return `
+            <div class="stash-files">
+                ${files.map(file => {
+            const type = file.type || file.status.charAt(0) || 'M';
+            const stats = typeof file.additions === 'number' && typeof file.deletions === 'number'
+                ? `<span class="stash-file-stats"><span class="additions">+${file.additions}</span> <span class="deletions">-${file.deletions}</span></span>`
+                : '';
+            return `
+                        <div class="stash-file" data-index="${stash.index}" data-path="${escapeHtml(file.path)}" title="${escapeHtml(file.path)}">
+                            <span class="stash-file-type type-${escapeHtml(type.toLowerCase())}">${escapeHtml(type === 'U' ? '未跟踪' : type)}</span>
+                            <span class="stash-file-path">${escapeHtml(file.path)}</span>
+                            ${stats}
+                        </div>
+                    `;
+        }).join('')}
+            </div>
+        `;
+    }
+
+    private attachEventListeners() {
+        const createBtn = this.container.querySelector('#create-stash-btn');
+        if (createBtn) {
+            createBtn.addEventListener('click', () => {
+                window.vscode?.postMessage({ command: 'stashChanges' });
+            });
+        }
+
+        // 储藏操作
+        this.container.querySelectorAll('.stash-action-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const target = e.currentTarget as HTMLElement;
+                const action = target.dataset.action;
+                const stashIndex = Number(target.dataset.index);
+                if (!action || Number.isNaN(stashIndex) || !window.vscode) {
+                    return;
+                }
+                // 同时发送哈希，后端据此确认储藏列表在此期间没有变化
+                const stashHash = (target.closest('.stash-card') as HTMLElement | null)?.dataset.hash;
+                window.vscode.postMessage({ command: action, stashIndex, stashHash });
+            });
+        });
+
+        // 展开/收起储藏文件列表
+        this.container.querySelectorAll('.stash-card-content').forEach(content => {
+            content.addEventListener('click', (e) => {
+                const card = (e.currentTarget as HTMLElement).closest('.stash-card') as HTMLElement | null;
+                const hash = card?.dataset.hash;
+                if (!card || !hash) {
+                    return;
+                }
+                const expandedStashes = StashManagerComponent.expandedStashes;
+                if (expandedStashes.has(hash)) {
+                    expandedStashes.delete(hash);
+                } else {
+                    expandedStashes.add(hash);
+                    if (!this.data?.stashFiles?.[hash]) {
+                        window.vscode?.postMessage({
+                            command: 'loadStashFiles',
+                            stashIndex: Number(card.dataset.index)
+                        });
+                    }
+                }
+                this.render(this.data);
+            });
+        });
+
+        // 打开文件差异
+        this.container.querySelectorAll('.stash-file').forEach(item => {
+            item.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const target = e.currentTarget as HTMLElement;
+                window.vscode?.postMessage({
+                    command: 'openStashFile',
+                    stashIndex: Number(target.dataset.index),
+                    filePath: target.dataset.path
+                });
+            });
+        });
+    }
+}
@@ -0,0 +1,180 @@
+/**
+ * 工作流状态组件：当前分支所处阶段、开始 / 完成功能、发布、热修复分支
+ */
+
+import { escapeHtml } from '../utils/dom-utils.js';
+import { GitData, WorkflowBranchSummary, WorkflowBranchType, WorkflowStage, WorkflowStatus } from '../types/git.js';
+
+const BRANCH_TYPES: WorkflowBranchType[] = ['feature', 'release', 'hotfix'];
+
+const BRANCH_TYPE_LABELS: Record<WorkflowBranchType, string> = {
+    feature: '功能',
+    release: '发布',
+    hotfix: '热修复'
+};
+
+const STAGE_LABELS: Record<WorkflowStage, string> = {
+    main: '生产（主分支）',
+    develop: '开发集成',
+    feature: '功能开发',
+    release: '发布准备',
+    hotfix: '紧急修复',
+    other: '不属于工作流的分支'
+};
+
+const STAGE_ICONS: Record<WorkflowStage, string> = {
+    main: '🚀',
+    develop: '🧪',
+    feature: '🌱',
+    release: '📦',
+    hotfix: '🚑',
+    other: '❔'
+};
+
+export class WorkflowStatusComponent {
+    private container: HTMLElement;
+
+    constructor(containerId: string) {
+        const container = document.getElementById(containerId);
+        if (!container) {
+            throw new Error(`Container ${containerId} not found`);
+        }
+        this.container = container;
+    }
+
+    render(data: GitData | null) {
+        const status = data?.workflowStatus || null;
+        this.container.innerHTML = status ? this.getStatusHtml(status) : this.getDisabledHtml();
+        this.attachEventListeners();
+    }
+
+    private getDisabledHtml(): string {
+        return `
+            <div class="workflow">
+                <div class="workflow-header">
+                    <h2>分支工作流</h2>
+                </div>
+                <div class="empty-state compact">
+                    <div class="empty-icon">🧭</div>
+                    <p>尚未启用分支工作流。选择一个模板后，可以按工作流开始和完成功能、发布、热修复分支</p>
+                    <div class="workflow-enable">
+                        <select id="workflow-template">
+                            <option value="gitflow">Git Flow（main + develop，功能 / 发布 / 热修复）</option>
+                            <option value="githubflow">GitHub Flow（main + 功能分支）</option>
+                            <option value="custom">自定义（git-assistant.workflowDefinition）</option>
+                        </select>
+                        <button class="workflow-button" id="workflow-enable-btn">启用</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    private getStatusHtml(status: WorkflowStatus): string {
+        const types = BRANCH_TYPES.filter(type => status.prefixes[type]);
+        return `
+            <div class="workflow">
+                <div class="workflow-header">
+                    <h2>分支工作流 · ${escapeHtml(status.name)}</h2>
+                    <button class="workflow-button secondary" id="workflow-settings-btn">⚙️ 设置</button>
+                </div>
+                ${status.missingBranches.length > 0 ? `
+                    <div class="workflow-warning">
+                        ⚠️ 仓库中缺少工作流需要的分支：${status.missingBranches.map(branch => `<code>${escapeHtml(branch)}</code>`).join('、')}（开始新分支时可自动创建开发分支）
+                    </div>
+                ` : ''}
+                ${this.getStageHtml(status)}
+                <div class="workflow-start">
+                    ${types.map(type => `
+                        <button class="workflow-button workflow-start-btn" data-type="${type}">
+                            ▶ 开始${BRANCH_TYPE_LABELS[type]}（${escapeHtml(status.prefixes[type] || '')}）
+                        </button>
+                    `).join('')}
+                </div>
+                ${types.map(type => this.getBranchGroupHtml(type, status.activeBranches.filter(item => item.type === type), status.currentBranch)).join('')}
+            </div>
+        `;
+    }
+
+    private getStageHtml(status: WorkflowStatus): string {
+        const isWorkflowBranch = status.stage === 'feature' || status.stage === 'release' || status.stage === 'hotfix';
+        return `
+            <div class="workflow-stage stage-${status.stage}">
+                <div class="workflow-stage-title">
+                    <span class="workflow-stage-icon">${STAGE_ICONS[status.stage]}</span>
+                    <span>当前阶段：${STAGE_LABELS[status.stage]}</span>
+                    <code>${escapeHtml(status.currentBranch || 'HEAD（分离）')}</code>
+                </div>
+                ${isWorkflowBranch ? `
+                    <div class="workflow-stage-details">
+                        <span>基于 <code>${escapeHtml(status.base || '')}</code>，领先 ${status.ahead} 个提交，落后 ${status.behind} 个提交</span>
+                        <span>完成时合并到 ${status.mergeTargets.map(target => `<code>${escapeHtml(target)}</code>`).join(' → ')}${status.tagName ? `，创建标签 <code>${escapeHtml(status.tagName)}</code>` : ''}</span>
+                    </div>
+                    <button class="workflow-button workflow-finish-btn" data-branch="${escapeHtml(status.currentBranch || '')}">✅ 完成${BRANCH_TYPE_LABELS[status.stage as WorkflowBranchType]}</button>
+                ` : `
+                    <div class="workflow-stage-details">
+                        ${status.stage === 'other'
+                            ? '当前分支不符合工作流命名，可以开始一个新的工作流分支'
+                            : '长期分支：从这里开始新的工作流分支'}
+                    </div>
+                `}
+            </div>
+        `;
+    }
+
+    private getBranchGroupHtml(type: WorkflowBranchType, branches: WorkflowBranchSummary[], currentBranch: string | null): string {
+        return `
+            <div class="workflow-group">
+                <h3>${BRANCH_TYPE_LABELS[type]}分支（${branches.length}）</h3>
+                ${branches.length > 0 ? branches.map(item => `
+                    <div class="workflow-branch ${item.branch === currentBranch ? 'current' : ''}">
+                        <span class="workflow-branch-name">${escapeHtml(item.branch)}</span>
+                        ${item.branch === currentBranch ? '<span class="workflow-branch-badge">当前</span>' : ''}
+                        <div class="workflow-branch-actions">
+                            ${item.branch === currentBranch ? '' : `<button class="workflow-button secondary workflow-switch-btn" data-branch="${escapeHtml(item.branch)}">切换</button>`}
+                            <button class="workflow-button secondary workflow-finish-btn" data-branch="${escapeHtml(item.branch)}">完成</button>
+                        </div>
+                    </div>
+                `).join('') : '<div class="workflow-empty">没有进行中的分支</div>'}
+            </div>
+        `;
+    }
+
+    private attachEventListeners() {
+        const templateSelect = this.container.querySelector('#workflow-template') as HTMLSelectElement | null;
+        this.container.querySelector('#workflow-enable-btn')?.addEventListener('click', () => {
+            if (templateSelect) {
+                window.vscode?.postMessage({ command: 'setWorkflow', workflow: templateSelect.value });
+            }
+        });
+
+        this.container.querySelector('#workflow-settings-btn')?.addEventListener('click', () => {
+            window.vscode?.postMessage({ command: 'openWorkflowSettings' });
+        });
+
+        this.container.querySelectorAll('.workflow-start-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const branchType = (e.currentTarget as HTMLElement).dataset.type;
+                window.vscode?.postMessage({ command: 'workflowStart', branchType });
+            });
+        });
+
+        this.container.querySelectorAll('.workflow-finish-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const branch = (e.currentTarget as HTMLElement).dataset.branch;
+                if (branch) {
+                    window.vscode?.postMessage({ command: 'workflowFinish', branch });
+                }
+            });
+        });
+
+        this.container.querySelectorAll('.workflow-switch-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const branch = (e.currentTarget as HTMLElement).dataset.branch;
+                if (branch) {
+                    window.vscode?.postMessage({ command: 'switchBranch', branch });
+                }
+            });
+        });
+    }
+}
@@ -0,0 +1,129 @@
+/**
+ * 合并编辑器使用的冲突标记解析（与扩展侧 parseConflictMarkers 规则一致，额外记录字符偏移）
+ */
+
+export interface MergeHunk {
+    /** 冲突块起始位置（<<<<<<< 行首的字符偏移） */
+    start: number;
+    /** 冲突块结束位置（>>>>>>> 行及其换行符之后的字符偏移） */
+    end: number;
+    /** 冲突块起始行号（从 0 开始） */
+    line: number;
+    current: string[];
+    base?: string[];
+    incoming: string[];
+    /** >>>>>>> 行后是否带有换行符 */
+    endsWithNewline: boolean;
+}
+
+export type MergeHunkAction = 'current' | 'incoming' | 'both' | 'incomingThenCurrent' | 'base';
+
+interface SourceLine {
+    text: string;
+    start: number;
+    end: number;
+}
+
+function splitLines(content: string): SourceLine[] {
+    const lines: SourceLine[] = [];
+    const pattern = /\r?\n/g;
+    let position = 0;
+    let match: RegExpExecArray | null;
+    while ((match = pattern.exec(content)) !== null) {
+        lines.push({ text: content.slice(position, match.index), start: position, end: pattern.lastIndex });
+        position = pattern.lastIndex;
+    }
+    lines.push({ text: content.slice(position), start: position, end: content.length });
+    return lines;
+}
+
+/**
+ * 解析内容中的冲突块
+ */
+export function parseMergeHunks(content: string): MergeHunk[] {
+    const lines = splitLines(content);
+    const hunks: MergeHunk[] = [];
+    let start = -1;
+    let baseMarker = -1;
+    let middle = -1;
+
+    for (let i = 0; i < lines.length; i++) {
+        const text = lines[i].text;
+
+        if (text.startsWith('<<<<<<<')) {
+            start = i;
+            baseMarker = -1;
+            middle = -1;
+        } else if (start === -1) {
+            continue;
+        } else if (text.startsWith('|||||||') && baseMarker === -1 && middle === -1) {
+            baseMarker = i;
+        } else if (text.startsWith('=======') && middle === -1) {
+            middle = i;
+        } else if (text.startsWith('>>>>>>>')) {
+            if (middle !== -1) {
+                const currentEnd = baseMarker !== -1 ? baseMarker : middle;
+                const texts = (from: number, to: number) => lines.slice(from, to).map(line => line.text);
+                hunks.push({
+                    start: lines[start].start,
+                    end: lines[i].end,
+                    line: start,
+                    current: texts(start + 1, currentEnd),
+                    base: baseMarker !== -1 ? texts(baseMarker + 1, middle) : undefined,
+                    incoming: texts(middle + 1, i),
+                    endsWithNewline: lines[i].end > lines[i].start + text.length
+                });
+            }
+            start = -1;
+            baseMarker = -1;
+            middle = -1;
+        }
+    }
+
+    return hunks;
+}
+
+/**
+ * 使用指定方式替换单个冲突块，返回新的内容
+ */
+export function applyMergeHunk(content: string, hunk: MergeHunk, action: MergeHunkAction): string {
+    let lines: string[];
+    switch (action) {
+        case 'current':
+            lines = hunk.current;
+            break;
+        case 'incoming':
+            lines = hunk.incoming;
+            break;
+        case 'both':
+            lines = [...hunk.current, ...hunk.incoming];
+            break;
+        case 'incomingThenCurrent':
+            lines = [...hunk.incoming, ...hunk.current];
+            break;
+        case 'base':
+            lines = hunk.base || [];
+            break;
+    }
+
+    const eol = content.includes('\r\n') ? '\r\n' : '\n';
+    const replacement = lines.length > 0
+        ? lines.join(eol) + (hunk.endsWithNewline ? eol : '')
+        : '';
+    return content.slice(0, hunk.start) + replacement + content.slice(hunk.end);
+}
+
+/**
+ * 在文本行中查找连续行序列，返回起始行号，未找到时返回 -1
+ */
+export function findLineSequence(lines: string[], sequence: string[], fromLine = 0): number {
+    if (sequence.length === 0) {
+        return -1;
+    }
+    for (let i = Math.max(0, fromLine); i + sequence.length <= lines.length; i++) {
+        if (sequence.every((text, offset) => lines[i + offset] === text)) {
+            return i;
+        }
+    }
+    return -1;
+}
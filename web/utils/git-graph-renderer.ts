@@ -477,7 +477,7 @@ export class GitGraphRenderer {
 
         // 创建顶点
         for (let i = 0; i < commits.length; i++) {
-            this.vertices.push(new Vertex(i, false)); // 暂时不支持 stash
+            this.vertices.push(new Vertex(i, !!commits[i].stash));
         }
 
         // 建立父子关系（与官方实现保持一致）